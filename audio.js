@@ -0,0 +1,213 @@
+import { readFileSync } from 'fs';
+
+// Twilio media streams carry 8kHz mono G.711 μ-law audio
+export const SAMPLE_RATE = 8000;
+// Bytes in one 20ms μ-law frame, the size Twilio sends
+export const FRAME_BYTES = 160;
+// μ-law byte for a zero sample
+export const MULAW_SILENCE = 0xff;
+
+const WAVE_FORMAT_PCM = 1;
+const WAVE_FORMAT_MULAW = 7;
+const WAVE_FORMAT_EXTENSIBLE = 0xfffe;
+
+const MULAW_BIAS = 0x84;
+const MULAW_CLIP = 32635;
+
+/**
+ * Encode one 16-bit PCM sample as G.711 μ-law
+ * @param {number} sample - Signed 16-bit sample
+ * @returns {number} - μ-law byte
+ */
+export function linearToMuLaw(sample) {
+  const sign = sample < 0 ? 0x80 : 0;
+  const magnitude = Math.min(Math.abs(sample), MULAW_CLIP) + MULAW_BIAS;
+
+  let exponent = 7;
+  for (let mask = 0x4000; (magnitude & mask) === 0 && exponent > 0; mask >>= 1) {
+    exponent--;
+  }
+  const mantissa = (magnitude >> (exponent + 3)) & 0x0f;
+
+  return ~(sign | (exponent << 4) | mantissa) & 0xff;
+}
+
+/**
+ * Decode one G.711 μ-law byte to a 16-bit PCM sample
+ * @param {number} byte - μ-law byte
+ * @returns {number} - Signed 16-bit sample
+ */
+export function muLawToLinear(byte) {
+  const value = ~byte & 0xff;
+  const exponent = (value >> 4) & 0x07;
+  const mantissa = value & 0x0f;
+  const magnitude = (((mantissa << 3) + MULAW_BIAS) << exponent) - MULAW_BIAS;
+
+  return value & 0x80 ? -magnitude : magnitude;
+}
+
+// Linear interpolation is plenty for speech going down to 8kHz
+function resample(samples, fromRate, toRate) {
+  if (fromRate === toRate) return samples;
+
+  const length = Math.floor(samples.length * toRate / fromRate);
+  const result = new Float64Array(length);
+  for (let i = 0; i < length; i++) {
+    const position = i * fromRate / toRate;
+    const index = Math.floor(position);
+    const next = Math.min(index + 1, samples.length - 1);
+    result[i] = samples[index] + (samples[next] - samples[index]) * (position - index);
+  }
+  return result;
+}
+
+function parseWavChunks(buffer) {
+  if (buffer.length < 12 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WAVE') {
+    throw new Error('Not a WAV file');
+  }
+
+  let format = null;
+  let data = null;
+  let offset = 12;
+  while (offset + 8 <= buffer.length) {
+    const id = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    const body = buffer.subarray(offset + 8, Math.min(offset + 8 + size, buffer.length));
+
+    if (id === 'fmt ') {
+      let audioFormat = body.readUInt16LE(0);
+      if (audioFormat === WAVE_FORMAT_EXTENSIBLE && body.length >= 26) {
+        audioFormat = body.readUInt16LE(24);
+      }
+      format = {
+        audioFormat,
+        channels: body.readUInt16LE(2),
+        sampleRate: body.readUInt32LE(4),
+        bitsPerSample: body.readUInt16LE(14)
+      };
+    } else if (id === 'data') {
+      data = body;
+    }
+
+    // Chunks are padded to an even length
+    offset += 8 + size + (size % 2);
+  }
+
+  if (!format) throw new Error('WAV file has no fmt chunk');
+  if (!data) throw new Error('WAV file has no data chunk');
+  return { format, data };
+}
+
+/**
+ * Convert a WAV file's contents to 8kHz mono μ-law, ready for a media stream.
+ * Accepts 8/16-bit PCM at any sample rate and channel count, or μ-law.
+ * @param {Buffer} buffer - WAV file contents
+ * @returns {Buffer} - μ-law audio
+ */
+export function wavToMuLaw(buffer) {
+  const { format, data } = parseWavChunks(buffer);
+  const { audioFormat, channels, sampleRate, bitsPerSample } = format;
+
+  if (audioFormat === WAVE_FORMAT_MULAW && channels === 1 && sampleRate === SAMPLE_RATE) {
+    return Buffer.from(data);
+  }
+
+  let readSample;
+  let bytesPerSample;
+  if (audioFormat === WAVE_FORMAT_MULAW && bitsPerSample === 8) {
+    bytesPerSample = 1;
+    readSample = offset => muLawToLinear(data[offset]);
+  } else if (audioFormat === WAVE_FORMAT_PCM && bitsPerSample === 16) {
+    bytesPerSample = 2;
+    readSample = offset => data.readInt16LE(offset);
+  } else if (audioFormat === WAVE_FORMAT_PCM && bitsPerSample === 8) {
+    bytesPerSample = 1;
+    readSample = offset => (data[offset] - 128) << 8;
+  } else {
+    throw new Error(`Unsupported WAV encoding (format ${audioFormat}, ${bitsPerSample}-bit); use 8/16-bit PCM or μ-law`);
+  }
+
+  // Mix down to mono
+  const frameCount = Math.floor(data.length / (bytesPerSample * channels));
+  const mono = new Float64Array(frameCount);
+  for (let i = 0; i < frameCount; i++) {
+    let sum = 0;
+    for (let channel = 0; channel < channels; channel++) {
+      sum += readSample((i * channels + channel) * bytesPerSample);
+    }
+    mono[i] = sum / channels;
+  }
+
+  const samples = resample(mono, sampleRate, SAMPLE_RATE);
+  const result = Buffer.alloc(samples.length);
+  for (let i = 0; i < samples.length; i++) {
+    result[i] = linearToMuLaw(Math.round(samples[i]));
+  }
+  return result;
+}
+
+/**
+ * Read a WAV file as 8kHz mono μ-law
+ * @param {string} path - WAV file
+ * @returns {Buffer} - μ-law audio
+ */
+export function readWavAsMuLaw(path) {
+  return wavToMuLaw(readFileSync(path));
+}
+
+/**
+ * Wrap 8kHz μ-law audio in a WAV file
+ * @param {Buffer} mulaw - μ-law audio, samples interleaved if there is more than one channel
+ * @param {Object} options - encoding: "pcm16" (default, plays anywhere) or "mulaw" (smaller, lossless copy);
+ *   channels: number of interleaved channels (default 1)
+ * @returns {Buffer} - WAV file contents
+ */
+export function muLawToWav(mulaw, { encoding = 'pcm16', channels = 1 } = {}) {
+  let data;
+  let audioFormat;
+  let bitsPerSample;
+  if (encoding === 'pcm16') {
+    audioFormat = WAVE_FORMAT_PCM;
+    bitsPerSample = 16;
+    data = Buffer.alloc(mulaw.length * 2);
+    for (let i = 0; i < mulaw.length; i++) {
+      data.writeInt16LE(muLawToLinear(mulaw[i]), i * 2);
+    }
+  } else if (encoding === 'mulaw') {
+    audioFormat = WAVE_FORMAT_MULAW;
+    bitsPerSample = 8;
+    data = Buffer.from(mulaw);
+  } else {
+    throw new Error(`Unknown WAV encoding: ${encoding}`);
+  }
+
+  const blockAlign = (bitsPerSample / 8) * channels;
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length + (data.length % 2), 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(audioFormat, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(SAMPLE_RATE, 24);
+  header.writeUInt32LE(SAMPLE_RATE * blockAlign, 28);
+  header.writeUInt16LE(blockAlign, 32);
+  header.writeUInt16LE(bitsPerSample, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+
+  const padding = data.length % 2 ? Buffer.alloc(1) : Buffer.alloc(0);
+  return Buffer.concat([header, data, padding]);
+}
+
+export default {
+  SAMPLE_RATE,
+  FRAME_BYTES,
+  MULAW_SILENCE,
+  linearToMuLaw,
+  muLawToLinear,
+  wavToMuLaw,
+  readWavAsMuLaw,
+  muLawToWav
+};
@@ -0,0 +1,134 @@
+// Lifecycle of one media-stream session:
+//
+//   connecting → greeting → active → ending → closed
+//
+// connecting: WebSocket open, waiting for a verified start event
+// greeting:   start verified, OpenAI connected and the greeting under way
+// active:     the greeting has been spoken; the inspection conversation is running
+// ending:     the call is being finalized; no more audio or tool calls are handled
+// closed:     the Twilio socket is gone
+//
+// Any state before ending may jump straight to ending, which happens exactly
+// once and records why the call ended.
+
+export const CALL_STATES = ['connecting', 'greeting', 'active', 'ending', 'closed'];
+
+// completed:       the caller hung up after submitting an inspection
+// caller_hangup:   the caller hung up before submitting anything
+// assistant_ended: the assistant hung up with the end_call tool
+// transferred:     the assistant transferred the caller to a supervisor
+// openai_error:    the OpenAI Realtime connection failed mid-call
+// timeout:         the call took too long to set up or ran past its maximum length
+// server_restart:  the server stopped mid-call (set by the startup sweep)
+export const CALL_END_REASONS = [
+  'completed',
+  'caller_hangup',
+  'assistant_ended',
+  'transferred',
+  'openai_error',
+  'timeout',
+  'server_restart'
+];
+
+// How far the inspection conversation got, furthest last. Recorded as the call
+// goes so a call that ends early shows where it stopped.
+export const CALL_PROGRESS_STAGES = [
+  'greeted',
+  'caller_identified',
+  'equipment_identified',
+  'checklist_started',
+  'submission_rejected',
+  'submitted'
+];
+
+const TRANSITIONS = {
+  connecting: ['greeting', 'ending'],
+  greeting: ['active', 'ending'],
+  active: ['ending'],
+  ending: ['closed'],
+  closed: []
+};
+
+/**
+ * Create the lifecycle state machine for one call
+ * @param {Object} options - onChange(from, to) is called after every transition
+ * @returns {Object} - { state, endReason, is(), startGreeting(), activate(), end(), close() }
+ */
+export function createCallLifecycle({ onChange } = {}) {
+  let state = 'connecting';
+  let endReason = null;
+
+  const transition = (to) => {
+    if (!TRANSITIONS[state].includes(to)) return false;
+    const from = state;
+    state = to;
+    onChange?.(from, to);
+    return true;
+  };
+
+  return {
+    get state() {
+      return state;
+    },
+
+    get endReason() {
+      return endReason;
+    },
+
+    /**
+     * True if the call is in any of the given states
+     * @param {...string} states - State names
+     */
+    is(...states) {
+      return states.includes(state);
+    },
+
+    startGreeting() {
+      return transition('greeting');
+    },
+
+    activate() {
+      return transition('active');
+    },
+
+    /**
+     * Start ending the call. Only the first call wins, so the reason recorded
+     * is whatever ended the call first.
+     * @param {string} reason - One of CALL_END_REASONS
+     * @returns {boolean} - False if the call was already ending
+     */
+    end(reason) {
+      if (!CALL_END_REASONS.includes(reason)) {
+        throw new Error(`Unknown call end reason: ${reason}`);
+      }
+      if (!TRANSITIONS[state].includes('ending')) return false;
+      endReason = reason;
+      return transition('ending');
+    },
+
+    close() {
+      return transition('closed');
+    }
+  };
+}
+
+/**
+ * True if stage is further along than current
+ * @param {string} stage - One of CALL_PROGRESS_STAGES
+ * @param {string|null} current - Stage reached so far, or null
+ * @returns {boolean}
+ */
+export function isFurtherProgress(stage, current) {
+  if (!CALL_PROGRESS_STAGES.includes(stage)) {
+    throw new Error(`Unknown call progress stage: ${stage}`);
+  }
+  return CALL_PROGRESS_STAGES.indexOf(stage) > CALL_PROGRESS_STAGES.indexOf(current);
+}
+
+export default {
+  CALL_STATES,
+  CALL_END_REASONS,
+  CALL_PROGRESS_STAGES,
+  createCallLifecycle,
+  isFurtherProgress
+};
@@ -0,0 +1,109 @@
+import { SAMPLE_RATE, MULAW_SILENCE, muLawToWav } from './audio.js';
+
+// Records both sides of a call as a two-channel WAV: the caller on the left,
+// the assistant on the right. Audio is placed on a shared timeline measured in
+// Twilio media timestamps, so the channels line up the way the call sounded.
+
+// One byte per sample in μ-law
+const BYTES_PER_MS = SAMPLE_RATE / 1000;
+
+// Longest silence filled in when the media timestamps jump ahead (ms). Twilio's
+// timestamps run on without gaps, so a bigger jump is bad data, not a pause.
+const MAX_GAP_MS = 5000;
+
+/**
+ * Create a recorder for one call
+ * @param {Object} options - maxDurationMs: audio past this point in the call is not recorded
+ * @returns {Object} - { addInbound, addOutbound, clearOutbound, duration, toWav }
+ */
+export function createCallRecorder({ maxDurationMs = Infinity } = {}) {
+  // Audio segments per channel: { offset, data }, offsets in bytes from the start of the stream
+  const inbound = [];
+  let outbound = [];
+  let inboundEnd = 0;
+  let outboundEnd = 0;
+  const maxBytes = maxDurationMs * BYTES_PER_MS;
+
+  // Where a media timestamp falls on the timeline, at most MAX_GAP_MS past
+  // the audio recorded so far, so one bad timestamp can't allocate a huge buffer
+  const offsetOf = mediaTimestamp => Math.min(
+    Math.max(Math.round(mediaTimestamp * BYTES_PER_MS), 0),
+    Math.max(inboundEnd, outboundEnd) + MAX_GAP_MS * BYTES_PER_MS
+  );
+
+  // The part of a segment that falls within the longest recording
+  const withinLimit = (offset, data) => data.subarray(0, Math.max(maxBytes - offset, 0));
+
+  return {
+    /**
+     * Record caller audio received from Twilio
+     * @param {Buffer} mulaw - μ-law audio
+     * @param {number} mediaTimestamp - Twilio media timestamp of the audio (ms); the end of the last chunk if unknown
+     */
+    addInbound(mulaw, mediaTimestamp = null) {
+      const offset = mediaTimestamp == null ? inboundEnd : offsetOf(mediaTimestamp);
+      const data = withinLimit(offset, mulaw);
+      if (data.length === 0) return;
+      inbound.push({ offset, data });
+      inboundEnd = Math.max(inboundEnd, offset + data.length);
+    },
+
+    /**
+     * Record assistant audio forwarded to Twilio. Twilio plays it after any
+     * assistant audio still queued, and no earlier than it arrives.
+     * @param {Buffer} mulaw - μ-law audio
+     * @param {number} mediaTimestamp - Latest Twilio media timestamp (ms)
+     */
+    addOutbound(mulaw, mediaTimestamp) {
+      const offset = Math.max(outboundEnd, offsetOf(mediaTimestamp));
+      const data = withinLimit(offset, mulaw);
+      if (data.length === 0) return;
+      outbound.push({ offset, data });
+      outboundEnd = offset + data.length;
+    },
+
+    /**
+     * Drop assistant audio Twilio was told to clear before it played
+     * @param {number} mediaTimestamp - Twilio media timestamp of the clear (ms)
+     */
+    clearOutbound(mediaTimestamp) {
+      const cut = Math.round(mediaTimestamp * BYTES_PER_MS);
+      outbound = outbound
+        .filter(segment => segment.offset < cut)
+        .map(segment => ({ offset: segment.offset, data: segment.data.subarray(0, cut - segment.offset) }));
+      outboundEnd = outbound.reduce((end, segment) => Math.max(end, segment.offset + segment.data.length), 0);
+    },
+
+    /**
+     * Length of the recording so far (ms)
+     */
+    duration() {
+      return Math.max(inboundEnd, outboundEnd) / BYTES_PER_MS;
+    },
+
+    /**
+     * Render the recording, silence filling the gaps on each channel
+     * @param {Object} options - encoding, as for muLawToWav
+     * @returns {Buffer} - Two-channel WAV file contents
+     */
+    toWav({ encoding = 'pcm16' } = {}) {
+      const length = Math.max(inboundEnd, outboundEnd);
+      const channels = [inbound, outbound].map(segments => {
+        const track = Buffer.alloc(length, MULAW_SILENCE);
+        segments.forEach(({ offset, data }) => data.copy(track, offset));
+        return track;
+      });
+
+      const interleaved = Buffer.alloc(length * 2);
+      for (let i = 0; i < length; i++) {
+        interleaved[i * 2] = channels[0][i];
+        interleaved[i * 2 + 1] = channels[1][i];
+      }
+      return muLawToWav(interleaved, { encoding, channels: 2 });
+    }
+  };
+}
+
+export default {
+  createCallRecorder
+};
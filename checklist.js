@@ -0,0 +1,97 @@
+import { readFileSync } from 'fs';
+
+const DEFAULT_TEMPLATES_FILE = './checklist-templates.json';
+
+export const CHECKLIST_RESULTS = ['PASS', 'FAIL', 'NA'];
+
+let templates = null;
+
+function normalizeTemplate(items, name) {
+  if (!Array.isArray(items)) {
+    throw new Error(`Checklist template "${name}" must be an array of items`);
+  }
+
+  const keys = new Set();
+  return items.map((item, index) => {
+    if (!item || typeof item.key !== 'string' || item.key.trim() === '') {
+      throw new Error(`Checklist template "${name}": item ${index + 1} is missing a key`);
+    }
+    if (typeof item.label !== 'string' || item.label.trim() === '') {
+      throw new Error(`Checklist template "${name}": item "${item.key}" is missing a label`);
+    }
+    if (keys.has(item.key)) {
+      throw new Error(`Checklist template "${name}": duplicate item "${item.key}"`);
+    }
+    keys.add(item.key);
+
+    return {
+      key: item.key,
+      label: item.label,
+      required: item.required !== false
+    };
+  });
+}
+
+/**
+ * Load checklist templates from a JSON file with a "default" item list and
+ * optional per-equipment-type lists under "types"
+ * @param {string} path - Templates file (defaults to CHECKLIST_TEMPLATES_FILE or ./checklist-templates.json)
+ * @returns {Object} - The loaded templates
+ */
+export function loadChecklistTemplates(path = process.env.CHECKLIST_TEMPLATES_FILE || DEFAULT_TEMPLATES_FILE) {
+  const parsed = JSON.parse(readFileSync(path, 'utf-8'));
+
+  const types = {};
+  for (const [type, items] of Object.entries(parsed.types || {})) {
+    types[type.toLowerCase()] = normalizeTemplate(items, type);
+  }
+
+  templates = {
+    default: normalizeTemplate(parsed.default || [], 'default'),
+    types
+  };
+  return templates;
+}
+
+function getTemplates() {
+  if (!templates) {
+    try {
+      loadChecklistTemplates();
+    } catch (error) {
+      console.warn(`⚠️  Could not load checklist templates: ${error.message}. Inspections will not require a checklist.`);
+      templates = { default: [], types: {} };
+    }
+  }
+  return templates;
+}
+
+/**
+ * Checklist items for an equipment type, falling back to the default template
+ * @param {string} equipmentType - Equipment type (e.g., "Mobile Scaffold Tower")
+ * @returns {Array<Object>} - Items with key, label and required flag
+ */
+export function getChecklistTemplate(equipmentType) {
+  const { default: defaultItems, types } = getTemplates();
+  return types[equipmentType?.toLowerCase()] || defaultItems;
+}
+
+/**
+ * Compare recorded checklist responses with the template
+ * @param {Array<Object>} template - Items from getChecklistTemplate()
+ * @param {Array<Object>} responses - Recorded responses with item_key and result
+ * @returns {Object} - Required items still missing and items that failed
+ */
+export function summarizeChecklist(template, responses) {
+  const recorded = new Set(responses.map(response => response.item_key));
+  return {
+    missing: template.filter(item => item.required && !recorded.has(item.key)),
+    failed: responses.filter(response => response.result === 'FAIL')
+  };
+}
+
+export default {
+  CHECKLIST_RESULTS,
+  loadChecklistTemplates,
+  getChecklistTemplate,
+  summarizeChecklist
+};
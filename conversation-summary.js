@@ -0,0 +1,72 @@
+// Builds the context handed to a fresh OpenAI Realtime session when the
+// connection drops mid-call, so the assistant can pick up where it left off
+// instead of starting the inspection over.
+
+// Enough recent back-and-forth to resume mid-question without replaying the call
+const RECENT_TRANSCRIPT_ENTRIES = 12;
+
+const SPEAKERS = { caller: 'Caller', assistant: 'Assistant' };
+
+function describeAnswer(response) {
+  return response.note
+    ? `${response.item_key} ${response.result} (${response.note})`
+    : `${response.item_key} ${response.result}`;
+}
+
+/**
+ * Summarize a call so far for a new Realtime session
+ * @param {Object} state
+ * @param {string} state.callerName - Caller's name, if known
+ * @param {Array} state.equipment - Equipment validated during the call: { equipment, checklist, missing },
+ *   where checklist holds the recorded answers and missing the required template items not yet answered
+ * @param {Array} state.inspections - Inspections already submitted on this call
+ * @param {Array} state.transcript - Transcript entries so far, oldest first
+ * @returns {string} - Instructions for the assistant
+ */
+export function summarizeConversation({ callerName = null, equipment = [], inspections = [], transcript = [] } = {}) {
+  const lines = [
+    'The phone connection to the assistant dropped for a moment and has just been restored. The caller is still on the line.',
+    'Briefly apologise for the interruption in one sentence, then carry on from where the conversation left off. Do not start over, and do not ask again for anything listed below.',
+    ''
+  ];
+
+  lines.push(callerName
+    ? `Caller: ${callerName}. Use this for the inspector_name field; do not ask for their name again.`
+    : 'Caller: has not given their name yet.');
+
+  const submitted = new Map(inspections.map(inspection => [inspection.equipment_id, inspection]));
+  for (const inspection of inspections) {
+    lines.push(`Inspection already submitted: ${inspection.equipment_id} ${inspection.inspection_result} (#${inspection.id}).`);
+  }
+
+  for (const { equipment: item, checklist = [], missing = [] } of equipment) {
+    if (submitted.has(item.id)) continue;
+
+    const taggedOut = item.status === 'tagged_out' ? ' - TAGGED OUT' : '';
+    lines.push(`Equipment being inspected: ${item.id}, ${item.type} at ${item.location}${taggedOut}. Already validated; do not look it up again.`);
+    if (checklist.length > 0) {
+      lines.push(`  Checklist answers recorded: ${checklist.map(describeAnswer).join(', ')}.`);
+    }
+    lines.push(missing.length > 0
+      ? `  Still to check: ${missing.map(entry => `${entry.label} (${entry.key})`).join(', ')}.`
+      : '  Every required checklist item is recorded; ask for the overall result and any comments, then submit.');
+  }
+
+  if (equipment.length === 0 && inspections.length === 0) {
+    lines.push('No equipment has been identified yet.');
+  }
+
+  const recent = transcript
+    .filter(entry => SPEAKERS[entry.role] && entry.content)
+    .slice(-RECENT_TRANSCRIPT_ENTRIES);
+  if (recent.length > 0) {
+    lines.push('', 'Most recent conversation:');
+    recent.forEach(entry => lines.push(`${SPEAKERS[entry.role]}: ${entry.content}`));
+  }
+
+  return lines.join('\n');
+}
+
+export default {
+  summarizeConversation
+};
@@ -1,120 +1,638 @@
 import Database from 'better-sqlite3';
+import { rankLocations } from './location-search.js';
 
-const DB_PATH = process.env.DB_PATH || './data/inspections.db';
+const DEFAULT_DB_PATH = './data/inspections.db';
 
 let db = null;
 
-export function initializeDatabase() {
-  db = new Database(DB_PATH);
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS calls (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    
+    -- One row per Twilio media stream
+    stream_sid TEXT UNIQUE NOT NULL,
+    phone_number TEXT,
+    call_started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    call_ended_at DATETIME,
+    call_duration_seconds INTEGER,
+    status TEXT DEFAULT 'in_progress' CHECK(status IN ('in_progress', 'completed', 'failed')),
+    
+    -- How the call ended (see call-lifecycle.js); NULL while the call is live
+    end_reason TEXT CHECK(end_reason IN ('completed', 'caller_hangup', 'assistant_ended', 'transferred', 'openai_error', 'timeout', 'server_restart')),
+    
+    -- Why the assistant ended or transferred the call, and the number it was transferred to
+    end_note TEXT,
+    transferred_to TEXT,
+    
+    -- Furthest stage the conversation reached, and the equipment it was about
+    progress TEXT,
+    progress_equipment_id TEXT,
+    
+    -- Two-channel WAV of the call, relative to RECORDINGS_DIR; NULL if not recorded or expired
+    recording_file TEXT
+  );
   
-  db.pragma('journal_mode = WAL');
+  CREATE TABLE IF NOT EXISTS inspections (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    
+    -- Owning call (a call may record any number of inspections)
+    call_id INTEGER NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+    
+    -- Inspection data (from structured JSON)
+    equipment_id TEXT NOT NULL,
+    inspector_name TEXT NOT NULL,
+    location TEXT NOT NULL,
+    inspection_result TEXT NOT NULL CHECK(inspection_result IN ('PASS', 'FAIL')),
+    comments TEXT,
+    
+    -- System metadata
+    submitted_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
   
-  db.exec(`
-    CREATE TABLE IF NOT EXISTS inspections (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      
-      -- Call metadata
-      stream_sid TEXT UNIQUE,
-      phone_number TEXT,
-      call_started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      call_ended_at DATETIME,
-      call_duration_seconds INTEGER,
-      
-      -- Inspection data (from structured JSON) - nullable until submitted
-      equipment_id TEXT,
-      inspector_name TEXT,
-      location TEXT,
-      inspection_result TEXT CHECK(inspection_result IN ('PASS', 'FAIL') OR inspection_result IS NULL),
-      comments TEXT,
-      
-      -- System metadata
-      submitted_at DATETIME,
-      status TEXT DEFAULT 'in_progress' CHECK(status IN ('in_progress', 'completed', 'failed'))
-    );
+  CREATE TABLE IF NOT EXISTS transcript_entries (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    call_id INTEGER NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
     
-    CREATE TABLE IF NOT EXISTS callers (
-      id INTEGER PRIMARY KEY AUTOINCREMENT,
-      phone_number TEXT UNIQUE NOT NULL,
-      caller_name TEXT,
-      first_call_at DATETIME DEFAULT CURRENT_TIMESTAMP,
-      last_call_at DATETIME DEFAULT CURRENT_TIMESTAMP
-    );
+    -- Set once the inspection this part of the conversation led to is submitted
+    inspection_id INTEGER REFERENCES inspections(id) ON DELETE SET NULL,
     
-    CREATE INDEX IF NOT EXISTS idx_stream_sid ON inspections(stream_sid);
-    CREATE INDEX IF NOT EXISTS idx_phone_number ON inspections(phone_number);
-    CREATE INDEX IF NOT EXISTS idx_equipment_id ON inspections(equipment_id);
-    CREATE INDEX IF NOT EXISTS idx_inspector_name ON inspections(inspector_name);
-    CREATE INDEX IF NOT EXISTS idx_location ON inspections(location);
-    CREATE INDEX IF NOT EXISTS idx_result ON inspections(inspection_result);
-    CREATE INDEX IF NOT EXISTS idx_submitted_at ON inspections(submitted_at);
-    CREATE INDEX IF NOT EXISTS idx_call_date ON inspections(call_started_at);
-    CREATE INDEX IF NOT EXISTS idx_caller_phone ON callers(phone_number);
-  `);
-  
-  console.log('✅ Database initialized:', DB_PATH);
+    role TEXT NOT NULL CHECK(role IN ('caller', 'assistant', 'function_call', 'function_result')),
+    content TEXT,
+    function_name TEXT,
+    item_id TEXT,
+    created_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now'))
+  );
+  
+  -- Item-level checklist answers. Recorded during the call and linked to the
+  -- inspection once it is submitted for the same equipment.
+  CREATE TABLE IF NOT EXISTS checklist_responses (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    call_id INTEGER NOT NULL REFERENCES calls(id) ON DELETE CASCADE,
+    inspection_id INTEGER REFERENCES inspections(id) ON DELETE CASCADE,
+    equipment_id TEXT NOT NULL,
+    item_key TEXT NOT NULL,
+    result TEXT NOT NULL CHECK(result IN ('PASS', 'FAIL', 'NA')),
+    note TEXT,
+    recorded_at DATETIME DEFAULT (strftime('%Y-%m-%d %H:%M:%f', 'now'))
+  );
+  
+  CREATE TABLE IF NOT EXISTS equipment (
+    id TEXT PRIMARY KEY COLLATE NOCASE,
+    type TEXT NOT NULL,
+    location TEXT NOT NULL,
+    height TEXT,
+    last_inspection TEXT,
+    status TEXT NOT NULL DEFAULT 'active',
+    notes TEXT,
+    inspection_interval_days INTEGER,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  
+  -- Default inspection interval for every piece of equipment of a type
+  CREATE TABLE IF NOT EXISTS inspection_schedules (
+    equipment_type TEXT PRIMARY KEY COLLATE NOCASE,
+    interval_days INTEGER NOT NULL CHECK(interval_days > 0),
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  
+  -- Server-wide markers, such as when the equipment registry was seeded
+  CREATE TABLE IF NOT EXISTS settings (
+    key TEXT PRIMARY KEY,
+    value TEXT
+  );
+  
+  CREATE TABLE IF NOT EXISTS callers (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    phone_number TEXT UNIQUE NOT NULL,
+    caller_name TEXT,
+    first_call_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+    last_call_at DATETIME DEFAULT CURRENT_TIMESTAMP
+  );
+  
+  CREATE INDEX IF NOT EXISTS idx_call_stream_sid ON calls(stream_sid);
+  CREATE INDEX IF NOT EXISTS idx_call_phone_number ON calls(phone_number);
+  CREATE INDEX IF NOT EXISTS idx_call_date ON calls(call_started_at);
+  CREATE INDEX IF NOT EXISTS idx_call_id ON inspections(call_id);
+  CREATE INDEX IF NOT EXISTS idx_equipment_id ON inspections(equipment_id);
+  CREATE INDEX IF NOT EXISTS idx_inspector_name ON inspections(inspector_name);
+  CREATE INDEX IF NOT EXISTS idx_location ON inspections(location);
+  CREATE INDEX IF NOT EXISTS idx_result ON inspections(inspection_result);
+  CREATE INDEX IF NOT EXISTS idx_submitted_at ON inspections(submitted_at);
+  CREATE INDEX IF NOT EXISTS idx_transcript_call ON transcript_entries(call_id);
+  CREATE INDEX IF NOT EXISTS idx_transcript_inspection ON transcript_entries(inspection_id);
+  CREATE INDEX IF NOT EXISTS idx_checklist_call ON checklist_responses(call_id, equipment_id);
+  CREATE INDEX IF NOT EXISTS idx_checklist_inspection ON checklist_responses(inspection_id);
+  CREATE INDEX IF NOT EXISTS idx_equipment_status ON equipment(status);
+  CREATE INDEX IF NOT EXISTS idx_caller_phone ON callers(phone_number);
+`;
+
+// Full-text indexes over what was said about each inspection. Both are external
+// content tables kept in step by triggers, so the text is stored only once.
+// Transcripts index the conversation itself, not tool calls and their JSON.
+const SEARCH_SCHEMA = `
+  CREATE VIRTUAL TABLE IF NOT EXISTS inspection_search USING fts5(
+    comments, content='inspections', content_rowid='id', tokenize='porter unicode61'
+  );
+  
+  CREATE VIRTUAL TABLE IF NOT EXISTS transcript_search USING fts5(
+    content, content='transcript_entries', content_rowid='id', tokenize='porter unicode61'
+  );
+  
+  CREATE TRIGGER IF NOT EXISTS inspection_search_insert AFTER INSERT ON inspections BEGIN
+    INSERT INTO inspection_search(rowid, comments) VALUES (new.id, new.comments);
+  END;
+  CREATE TRIGGER IF NOT EXISTS inspection_search_delete AFTER DELETE ON inspections BEGIN
+    INSERT INTO inspection_search(inspection_search, rowid, comments) VALUES ('delete', old.id, old.comments);
+  END;
+  CREATE TRIGGER IF NOT EXISTS inspection_search_update AFTER UPDATE OF comments ON inspections BEGIN
+    INSERT INTO inspection_search(inspection_search, rowid, comments) VALUES ('delete', old.id, old.comments);
+    INSERT INTO inspection_search(rowid, comments) VALUES (new.id, new.comments);
+  END;
+  
+  CREATE TRIGGER IF NOT EXISTS transcript_search_insert AFTER INSERT ON transcript_entries
+  WHEN new.role IN ('caller', 'assistant') BEGIN
+    INSERT INTO transcript_search(rowid, content) VALUES (new.id, new.content);
+  END;
+  CREATE TRIGGER IF NOT EXISTS transcript_search_delete AFTER DELETE ON transcript_entries
+  WHEN old.role IN ('caller', 'assistant') BEGIN
+    INSERT INTO transcript_search(transcript_search, rowid, content) VALUES ('delete', old.id, old.content);
+  END;
+  CREATE TRIGGER IF NOT EXISTS transcript_search_update AFTER UPDATE OF content ON transcript_entries
+  WHEN old.role IN ('caller', 'assistant') BEGIN
+    INSERT INTO transcript_search(transcript_search, rowid, content) VALUES ('delete', old.id, old.content);
+    INSERT INTO transcript_search(rowid, content) VALUES (new.id, new.content);
+  END;
+`;
+
+// Placeholders FTS5 puts around matched words in search snippets. The text
+// around them is what callers said or typed, so it is HTML-escaped before the
+// placeholders become <mark> tags (see highlightSnippet).
+const SNIPPET_OPEN = '\u0002';
+const SNIPPET_CLOSE = '\u0003';
+const SNIPPET_WORDS = 12;
+
+const HTML_ENTITIES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+
+// Matches shown per inspection in search results
+const SEARCH_MATCHES_PER_INSPECTION = 3;
+
+// Columns callers may set on an equipment record (id is fixed at creation)
+const EQUIPMENT_FIELDS = ['type', 'location', 'height', 'last_inspection', 'status', 'notes', 'inspection_interval_days'];
+
+// Columns added after their table was first released. CREATE TABLE IF NOT EXISTS
+// leaves existing tables alone, so these are added to older databases on startup.
+const ADDED_COLUMNS = [
+  ['equipment', 'inspection_interval_days', 'INTEGER'],
+  ['calls', 'end_reason', "TEXT CHECK(end_reason IN ('completed', 'caller_hangup', 'assistant_ended', 'transferred', 'openai_error', 'timeout', 'server_restart'))"],
+  ['calls', 'progress', 'TEXT'],
+  ['calls', 'progress_equipment_id', 'TEXT'],
+  ['calls', 'recording_file', 'TEXT'],
+  ['calls', 'end_note', 'TEXT'],
+  ['calls', 'transferred_to', 'TEXT']
+];
+
+// Inspection rows are returned with their call's metadata so API consumers
+// still see stream_sid, phone_number and call timing on every record.
+const INSPECTION_SELECT = `
+  SELECT
+    i.*,
+    c.stream_sid,
+    c.phone_number,
+    c.call_started_at,
+    c.call_ended_at,
+    c.call_duration_seconds,
+    c.end_reason,
+    c.end_note,
+    c.transferred_to,
+    c.recording_file
+  FROM inspections i
+  JOIN calls c ON c.id = i.call_id
+`;
+
+/**
+ * Migrate a pre-calls database, where each inspection row was keyed by
+ * stream_sid, into the calls/inspections split. Only submitted rows become
+ * inspections; every legacy row becomes a call.
+ */
+function migrateLegacyInspections() {
+  const columns = db.prepare('PRAGMA table_info(inspections)').all().map(col => col.name);
+  if (columns.length === 0 || columns.includes('call_id')) {
+    return;
+  }
+
+  db.transaction(() => {
+    db.exec('ALTER TABLE inspections RENAME TO inspections_legacy');
+
+    // Legacy index names are reused by the new schema
+    const legacyIndexes = db.prepare(`
+      SELECT name FROM sqlite_master
+      WHERE type = 'index' AND tbl_name = 'inspections_legacy' AND sql IS NOT NULL
+    `).all();
+    for (const { name } of legacyIndexes) {
+      db.exec(`DROP INDEX IF EXISTS "${name}"`);
+    }
+
+    db.exec(SCHEMA);
+
+    db.exec(`
+      INSERT INTO calls (stream_sid, phone_number, call_started_at, call_ended_at, call_duration_seconds, status)
+      SELECT stream_sid, phone_number, call_started_at, call_ended_at, call_duration_seconds, status
+      FROM inspections_legacy
+      WHERE stream_sid IS NOT NULL;
+
+      INSERT INTO inspections (call_id, equipment_id, inspector_name, location, inspection_result, comments, submitted_at)
+      SELECT c.id, l.equipment_id, l.inspector_name, l.location, l.inspection_result, l.comments, l.submitted_at
+      FROM inspections_legacy l
+      JOIN calls c ON c.stream_sid = l.stream_sid
+      WHERE l.status = 'completed' AND l.inspection_result IS NOT NULL;
+
+      DROP TABLE inspections_legacy;
+    `);
+  })();
+
+  console.log('🔄 Migrated legacy inspections to calls/inspections schema');
+}
+
+function addMissingColumns() {
+  for (const [table, column, definition] of ADDED_COLUMNS) {
+    const columns = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+    if (!columns.includes(column)) {
+      db.exec(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`);
+    }
+  }
+}
+
+/**
+ * Create the full-text indexes, filling them from existing rows the first time
+ * so databases from before search was added are searchable too
+ */
+function createSearchIndexes() {
+  const existing = db.prepare(`
+    SELECT name FROM sqlite_master WHERE type = 'table' AND name IN ('inspection_search', 'transcript_search')
+  `).pluck().all();
+  
+  db.transaction(() => {
+    db.exec(SEARCH_SCHEMA);
+    if (!existing.includes('inspection_search')) {
+      db.exec(`INSERT INTO inspection_search(inspection_search) VALUES ('rebuild')`);
+    }
+    if (!existing.includes('transcript_search')) {
+      db.exec(`
+        INSERT INTO transcript_search(rowid, content)
+        SELECT id, content FROM transcript_entries WHERE role IN ('caller', 'assistant')
+      `);
+    }
+  })();
+}
+
+export function initializeDatabase() {
+  const dbPath = process.env.DB_PATH || DEFAULT_DB_PATH;
+  db = new Database(dbPath);
+  
+  db.pragma('journal_mode = WAL');
+  db.pragma('foreign_keys = ON');
+  
+  migrateLegacyInspections();
+  db.exec(SCHEMA);
+  addMissingColumns();
+  createSearchIndexes();
+  
+  console.log('✅ Database initialized:', dbPath);
   return db;
 }
 
-export function createInspection(streamSid, phoneNumber = null) {
+export function createCall(streamSid, phoneNumber = null) {
   const stmt = db.prepare(`
-    INSERT OR IGNORE INTO inspections (stream_sid, phone_number)
+    INSERT OR IGNORE INTO calls (stream_sid, phone_number)
     VALUES (?, ?)
   `);
   stmt.run(streamSid, phoneNumber);
   
-  return getInspectionByStreamSid(streamSid);
+  return getCallByStreamSid(streamSid);
 }
 
-export function getInspectionByStreamSid(streamSid) {
-  const stmt = db.prepare('SELECT * FROM inspections WHERE stream_sid = ?');
+export function getCallByStreamSid(streamSid) {
+  const stmt = db.prepare('SELECT * FROM calls WHERE stream_sid = ?');
   return stmt.get(streamSid);
 }
 
+export function getAllCalls(limit = 100) {
+  const stmt = db.prepare(`
+    SELECT c.*, COUNT(i.id) as inspection_count
+    FROM calls c
+    LEFT JOIN inspections i ON i.call_id = c.id
+    GROUP BY c.id
+    ORDER BY c.call_started_at DESC, c.id DESC
+    LIMIT ?
+  `);
+  return stmt.all(limit);
+}
+
+export function getInspectionById(id) {
+  const stmt = db.prepare(`${INSPECTION_SELECT} WHERE i.id = ?`);
+  return stmt.get(id);
+}
+
+export function getInspectionsByStreamSid(streamSid) {
+  const stmt = db.prepare(`${INSPECTION_SELECT} WHERE c.stream_sid = ? ORDER BY i.submitted_at ASC, i.id ASC`);
+  return stmt.all(streamSid);
+}
+
 export function getInspectionByEquipmentId(equipmentId) {
-  const stmt = db.prepare('SELECT * FROM inspections WHERE equipment_id = ? ORDER BY call_started_at DESC');
+  const stmt = db.prepare(`${INSPECTION_SELECT} WHERE i.equipment_id = ? ORDER BY i.submitted_at DESC, i.id DESC`);
   return stmt.all(equipmentId);
 }
 
+/**
+ * Record a submitted inspection against the call for this stream.
+ * Each call inserts a new row, so one call can record several inspections.
+ * Transcript entries not yet linked to an inspection are linked to this one,
+ * and the inspected equipment's last_inspection is set to the submission time.
+ * Pending checklist responses for the same equipment are linked as well.
+ * A FAIL tags the equipment out until it is explicitly returned to service.
+ * @param {string} streamSid - Twilio stream SID of the owning call
+ * @param {Object} data - Validated inspection data
+ * @returns {Object} - The saved inspection, with call metadata
+ */
 export function saveInspectionData(streamSid, data) {
+  const call = getCallByStreamSid(streamSid);
+  if (!call) {
+    throw new Error(`No call found for stream ${streamSid}`);
+  }
+
+  const insert = db.prepare(`
+    INSERT INTO inspections (call_id, equipment_id, inspector_name, location, inspection_result, comments)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+  const markCompleted = db.prepare(`UPDATE calls SET status = 'completed' WHERE id = ?`);
+  const linkTranscript = db.prepare(`
+    UPDATE transcript_entries
+    SET inspection_id = ?
+    WHERE call_id = ? AND inspection_id IS NULL
+  `);
+  const linkChecklist = db.prepare(`
+    UPDATE checklist_responses
+    SET inspection_id = ?
+    WHERE call_id = ? AND equipment_id = ? AND inspection_id IS NULL
+  `);
+  const recordOnEquipment = db.prepare(`
+    UPDATE equipment
+    SET
+      last_inspection = (SELECT submitted_at FROM inspections WHERE id = @inspectionId),
+      status = CASE WHEN @result = 'FAIL' THEN 'tagged_out' ELSE status END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = @equipmentId
+  `);
+
+  const { lastInsertRowid } = db.transaction(() => {
+    const info = insert.run(
+      call.id,
+      data.equipment_id,
+      data.inspector_name,
+      data.location,
+      data.inspection_result,
+      data.comments || null
+    );
+    markCompleted.run(call.id);
+    linkTranscript.run(info.lastInsertRowid, call.id);
+    linkChecklist.run(info.lastInsertRowid, call.id, data.equipment_id.trim().toUpperCase());
+    recordOnEquipment.run({
+      inspectionId: info.lastInsertRowid,
+      result: data.inspection_result,
+      equipmentId: data.equipment_id.trim()
+    });
+    return info;
+  })();
+
+  return getInspectionById(lastInsertRowid);
+}
+
+// Calls ending for these reasons went as intended even without an inspection:
+// the assistant wrapped up with end_call, or handed the caller to a supervisor
+const INTENDED_END_REASONS = ['completed', 'assistant_ended', 'transferred'];
+
+/**
+ * Record the end of a call: end time, duration and why it ended.
+ * A call that ends without any inspection submitted is marked failed, unless
+ * the assistant ended or transferred it on purpose.
+ * @param {string} streamSid - Twilio stream SID of the call
+ * @param {string} endReason - One of CALL_END_REASONS (call-lifecycle.js)
+ * @param {Object} details - note: why the assistant ended or transferred the call; transferredTo: number it was transferred to
+ * @returns {Object} - The run result
+ */
+export function completeCall(streamSid, endReason = null, { note = null, transferredTo = null } = {}) {
   const stmt = db.prepare(`
-    UPDATE inspections
+    UPDATE calls
     SET 
-      equipment_id = ?,
-      inspector_name = ?,
-      location = ?,
-      inspection_result = ?,
-      comments = ?,
-      submitted_at = CURRENT_TIMESTAMP,
-      status = 'completed'
-    WHERE stream_sid = ?
+      call_ended_at = CURRENT_TIMESTAMP,
+      call_duration_seconds = CAST((julianday(CURRENT_TIMESTAMP) - julianday(call_started_at)) * 86400 AS INTEGER),
+      end_reason = @endReason,
+      end_note = @note,
+      transferred_to = @transferredTo,
+      status = CASE
+        WHEN status != 'in_progress' THEN status
+        WHEN @endReason IN (SELECT value FROM json_each(@intendedEndReasons)) THEN 'completed'
+        ELSE 'failed'
+      END
+    WHERE stream_sid = @streamSid
   `);
   
+  return stmt.run({ endReason, note, transferredTo, streamSid, intendedEndReasons: JSON.stringify(INTENDED_END_REASONS) });
+}
+
+/**
+ * Link a call to its recording
+ * @param {string} streamSid - Twilio stream SID of the call
+ * @param {string|null} recordingFile - WAV file name in RECORDINGS_DIR, or null once it is deleted
+ * @returns {Object} - The run result
+ */
+export function setCallRecording(streamSid, recordingFile) {
+  const stmt = db.prepare('UPDATE calls SET recording_file = ? WHERE stream_sid = ?');
+  return stmt.run(recordingFile, streamSid);
+}
+
+/**
+ * Calls whose recordings are past the retention period
+ * @param {number} retentionDays - Days to keep a recording after its call ended
+ * @returns {Array} - { stream_sid, recording_file } for each expired recording
+ */
+export function getExpiredRecordings(retentionDays) {
+  const stmt = db.prepare(`
+    SELECT stream_sid, recording_file
+    FROM calls
+    WHERE recording_file IS NOT NULL
+      AND call_ended_at < datetime('now', ?)
+    ORDER BY call_ended_at ASC
+  `);
+  return stmt.all(`-${retentionDays} days`);
+}
+
+/**
+ * Record how far a call's conversation has got
+ * @param {string} streamSid - Twilio stream SID of the call
+ * @param {string} stage - One of CALL_PROGRESS_STAGES (call-lifecycle.js)
+ * @param {string} equipmentId - Equipment being inspected, if known
+ * @returns {Object} - The run result
+ */
+export function recordCallProgress(streamSid, stage, equipmentId = null) {
+  const stmt = db.prepare(`
+    UPDATE calls
+    SET progress = ?, progress_equipment_id = COALESCE(?, progress_equipment_id)
+    WHERE stream_sid = ?
+  `);
+  return stmt.run(stage, equipmentId, streamSid);
+}
+
+/**
+ * Close calls left open by a server that stopped mid-call. Run at startup,
+ * before any call can be live. The end time is the call's last recorded
+ * activity, so durations do not include the downtime.
+ * @returns {number} - Number of calls closed
+ */
+export function closeOrphanedCalls() {
+  const stmt = db.prepare(`
+    UPDATE calls
+    SET
+      call_ended_at = COALESCE(
+        (SELECT MAX(created_at) FROM transcript_entries t WHERE t.call_id = calls.id),
+        call_started_at
+      ),
+      call_duration_seconds = CAST((julianday(COALESCE(
+        (SELECT MAX(created_at) FROM transcript_entries t WHERE t.call_id = calls.id),
+        call_started_at
+      )) - julianday(call_started_at)) * 86400 AS INTEGER),
+      end_reason = 'server_restart',
+      status = CASE WHEN status = 'in_progress' THEN 'failed' ELSE status END
+    WHERE call_ended_at IS NULL
+  `);
+  return stmt.run().changes;
+}
+
+/**
+ * Failed calls (ended without an inspection, other than on purpose by the
+ * assistant), newest first, for supervisors to follow up. Each includes the caller's saved name and any checklist answers
+ * recorded before the call ended.
+ * @param {number} limit - Maximum number of calls
+ * @returns {Array} - Calls with caller_name, checklist_items_recorded and checklist_equipment_ids
+ */
+export function getIncompleteCalls(limit = 100) {
+  const stmt = db.prepare(`
+    SELECT
+      c.*,
+      cl.caller_name,
+      COUNT(cr.id) AS checklist_items_recorded,
+      GROUP_CONCAT(DISTINCT cr.equipment_id) AS checklist_equipment_ids
+    FROM calls c
+    LEFT JOIN callers cl ON cl.phone_number = c.phone_number
+    LEFT JOIN checklist_responses cr ON cr.call_id = c.id AND cr.inspection_id IS NULL
+    WHERE c.status = 'failed'
+    GROUP BY c.id
+    ORDER BY c.call_started_at DESC, c.id DESC
+    LIMIT ?
+  `);
+  return stmt.all(limit).map(call => ({
+    ...call,
+    checklist_equipment_ids: call.checklist_equipment_ids ? call.checklist_equipment_ids.split(',') : []
+  }));
+}
+
+/**
+ * Append one entry to the call's transcript. Entries are kept in insertion order.
+ * @param {string} streamSid - Twilio stream SID of the owning call
+ * @param {Object} entry - { role, content, function_name, item_id, inspection_id }
+ * @returns {Object|null} - The run result, or null if the call does not exist
+ */
+export function addTranscriptEntry(streamSid, entry) {
+  const call = getCallByStreamSid(streamSid);
+  if (!call) return null;
+
+  const stmt = db.prepare(`
+    INSERT INTO transcript_entries (call_id, inspection_id, role, content, function_name, item_id)
+    VALUES (?, ?, ?, ?, ?, ?)
+  `);
+
   return stmt.run(
-    data.equipment_id,
-    data.inspector_name,
-    data.location,
-    data.inspection_result,
-    data.comments || null,
-    streamSid
+    call.id,
+    entry.inspection_id || null,
+    entry.role,
+    entry.content ?? null,
+    entry.function_name || null,
+    entry.item_id || null
   );
 }
 
-export function completeInspection(streamSid) {
+export function getTranscriptByInspectionId(inspectionId) {
   const stmt = db.prepare(`
-    UPDATE inspections
-    SET 
-      call_ended_at = CURRENT_TIMESTAMP,
-      call_duration_seconds = CAST((julianday(CURRENT_TIMESTAMP) - julianday(call_started_at)) * 86400 AS INTEGER)
-    WHERE stream_sid = ?
+    SELECT * FROM transcript_entries
+    WHERE inspection_id = ?
+    ORDER BY id ASC
   `);
-  
-  return stmt.run(streamSid);
+  return stmt.all(inspectionId);
+}
+
+export function getTranscriptByStreamSid(streamSid) {
+  const stmt = db.prepare(`
+    SELECT t.* FROM transcript_entries t
+    JOIN calls c ON c.id = t.call_id
+    WHERE c.stream_sid = ?
+    ORDER BY t.id ASC
+  `);
+  return stmt.all(streamSid);
+}
+
+/**
+ * Record one checklist item for equipment inspected on this call. Answering
+ * the same item again before submission replaces the earlier answer.
+ * @param {string} streamSid - Twilio stream SID of the owning call
+ * @param {Object} response - { equipment_id, item_key, result, note }
+ * @returns {Object|null} - The saved response, or null if the call does not exist
+ */
+export function saveChecklistResponse(streamSid, response) {
+  const call = getCallByStreamSid(streamSid);
+  if (!call) return null;
+
+  const equipmentId = response.equipment_id.trim().toUpperCase();
+  const replacePending = db.prepare(`
+    DELETE FROM checklist_responses
+    WHERE call_id = ? AND equipment_id = ? AND item_key = ? AND inspection_id IS NULL
+  `);
+  const insert = db.prepare(`
+    INSERT INTO checklist_responses (call_id, equipment_id, item_key, result, note)
+    VALUES (?, ?, ?, ?, ?)
+  `);
+
+  const { lastInsertRowid } = db.transaction(() => {
+    replacePending.run(call.id, equipmentId, response.item_key);
+    return insert.run(call.id, equipmentId, response.item_key, response.result, response.note || null);
+  })();
+
+  return db.prepare('SELECT * FROM checklist_responses WHERE id = ?').get(lastInsertRowid);
+}
+
+export function getPendingChecklistResponses(streamSid, equipmentId) {
+  const stmt = db.prepare(`
+    SELECT r.* FROM checklist_responses r
+    JOIN calls c ON c.id = r.call_id
+    WHERE c.stream_sid = ? AND r.equipment_id = ? AND r.inspection_id IS NULL
+    ORDER BY r.id ASC
+  `);
+  return stmt.all(streamSid, equipmentId.trim().toUpperCase());
+}
+
+export function getChecklistByInspectionId(inspectionId) {
+  const stmt = db.prepare(`
+    SELECT * FROM checklist_responses
+    WHERE inspection_id = ?
+    ORDER BY id ASC
+  `);
+  return stmt.all(inspectionId);
 }
 
 export function getAllInspections(limit = 100) {
   const stmt = db.prepare(`
-    SELECT * FROM inspections
-    ORDER BY call_started_at DESC
+    ${INSPECTION_SELECT}
+    ORDER BY i.submitted_at DESC, i.id DESC
     LIMIT ?
   `);
   return stmt.all(limit);
@@ -122,22 +640,143 @@ export function getAllInspections(limit = 100) {
 
 export function getInspectionsByResult(result, limit = 100) {
   const stmt = db.prepare(`
-    SELECT * FROM inspections
-    WHERE inspection_result = ?
-    ORDER BY call_started_at DESC
+    ${INSPECTION_SELECT}
+    WHERE i.inspection_result = ?
+    ORDER BY i.submitted_at DESC, i.id DESC
     LIMIT ?
   `);
   return stmt.all(result, limit);
 }
 
+/**
+ * Inspections at locations matching a search, in any word order. Most relevant
+ * location first, then newest first.
+ * @param {string} location - Location search text
+ * @param {number} limit - Maximum inspections to return
+ * @returns {Array} - Matching inspections
+ */
 export function getInspectionsByLocation(location, limit = 100) {
+  const locations = db.prepare('SELECT DISTINCT location FROM inspections').pluck().all();
+  const relevance = Object.fromEntries(
+    rankLocations(location, locations).map(match => [match.location, match.relevance])
+  );
   const stmt = db.prepare(`
-    SELECT * FROM inspections
-    WHERE location LIKE ?
-    ORDER BY call_started_at DESC
+    ${INSPECTION_SELECT}
+    JOIN json_each(?) matched ON matched.key = i.location
+    ORDER BY matched.value DESC, i.submitted_at DESC, i.id DESC
     LIMIT ?
   `);
-  return stmt.all(`%${location}%`, limit);
+  return stmt.all(JSON.stringify(relevance), limit);
+}
+
+/**
+ * Turn free text into an FTS5 query: every word (or "quoted phrase") must
+ * appear, and FTS5 operators and punctuation are taken literally
+ * @param {string} text - Search text as typed
+ * @returns {string|null} - FTS5 MATCH expression, or null if there is nothing to search for
+ */
+export function toSearchQuery(text) {
+  const terms = [];
+  const pattern = /"([^"]*)"|([^\s"]+)/g;
+  for (const [, phrase, word] of String(text ?? '').matchAll(pattern)) {
+    const words = (phrase ?? word).match(/[\p{L}\p{N}]+/gu);
+    if (words) terms.push(`"${words.join(' ')}"`);
+  }
+  return terms.length > 0 ? terms.join(' AND ') : null;
+}
+
+// Escape a search snippet for HTML and wrap its matched words in <mark>
+function highlightSnippet(snippet) {
+  return snippet
+    .replace(/[&<>"']/g, char => HTML_ENTITIES[char])
+    .replaceAll(SNIPPET_OPEN, '<mark>')
+    .replaceAll(SNIPPET_CLOSE, '</mark>');
+}
+
+// Every comment or transcript line matching the query, with the inspection it belongs to
+const SEARCH_HITS = `
+  hits AS (
+    SELECT
+      inspection_search.rowid AS inspection_id,
+      'comments' AS source,
+      NULL AS role,
+      snippet(inspection_search, 0, '${SNIPPET_OPEN}', '${SNIPPET_CLOSE}', '…', ${SNIPPET_WORDS}) AS snippet,
+      bm25(inspection_search) AS rank
+    FROM inspection_search
+    WHERE inspection_search MATCH @query
+    UNION ALL
+    SELECT
+      t.inspection_id,
+      'transcript',
+      t.role,
+      snippet(transcript_search, 0, '${SNIPPET_OPEN}', '${SNIPPET_CLOSE}', '…', ${SNIPPET_WORDS}),
+      bm25(transcript_search)
+    FROM transcript_search
+    JOIN transcript_entries t ON t.id = transcript_search.rowid
+    WHERE transcript_search MATCH @query AND t.inspection_id IS NOT NULL
+  )
+`;
+
+/**
+ * Full-text search over inspection comments and the conversations that led to
+ * them. Best matches first, then newest first.
+ * @param {string} text - Search text (e.g., 'missing toe boards' or '"toe board"')
+ * @param {Object} options - result (PASS/FAIL), equipmentId, from and to
+ *   (YYYY-MM-DD, inclusive), limit and offset
+ * @returns {Object} - { inspections, total }; each inspection has matches
+ *   [{ source, role, snippet }]; snippets are HTML-escaped with matched
+ *   words wrapped in <mark>
+ */
+export function searchInspections(text, { result = null, equipmentId = null, from = null, to = null, limit = 20, offset = 0 } = {}) {
+  const query = toSearchQuery(text);
+  if (!query) return { inspections: [], total: 0 };
+  
+  const params = { query, result, equipmentId: equipmentId && equipmentId.trim().toUpperCase(), from, to, limit, offset };
+  const filters = `
+    (@result IS NULL OR i.inspection_result = @result)
+    AND (@equipmentId IS NULL OR i.equipment_id = @equipmentId)
+    AND (@from IS NULL OR i.submitted_at >= @from)
+    AND (@to IS NULL OR i.submitted_at < date(@to, '+1 day'))
+  `;
+  
+  const { total } = db.prepare(`
+    WITH ${SEARCH_HITS}
+    SELECT COUNT(DISTINCT i.id) AS total
+    FROM hits h
+    JOIN inspections i ON i.id = h.inspection_id
+    WHERE ${filters}
+  `).get(params);
+  
+  const inspections = db.prepare(`
+    WITH ${SEARCH_HITS},
+    ranked AS (SELECT inspection_id, MIN(rank) AS rank FROM hits GROUP BY inspection_id)
+    ${INSPECTION_SELECT}
+    JOIN ranked r ON r.inspection_id = i.id
+    WHERE ${filters}
+    ORDER BY r.rank, i.submitted_at DESC, i.id DESC
+    LIMIT @limit OFFSET @offset
+  `).all(params);
+  
+  if (inspections.length > 0) {
+    const matches = db.prepare(`
+      WITH ${SEARCH_HITS}
+      SELECT inspection_id, source, role, snippet FROM hits
+      WHERE inspection_id IN (SELECT value FROM json_each(@ids))
+      ORDER BY source, rank
+    `).all({ query, ids: JSON.stringify(inspections.map(inspection => inspection.id)) });
+    
+    for (const inspection of inspections) {
+      inspection.matches = matches
+        .filter(match => match.inspection_id === inspection.id)
+        .slice(0, SEARCH_MATCHES_PER_INSPECTION)
+        .map(({ source, role, snippet }) => {
+          const highlighted = highlightSnippet(snippet);
+          return source === 'comments' ? { source, snippet: highlighted } : { source, role, snippet: highlighted };
+        });
+    }
+  }
+  
+  return { inspections, total };
 }
 
 export function getInspectionStats() {
@@ -147,13 +786,140 @@ export function getInspectionStats() {
       SUM(CASE WHEN inspection_result = 'PASS' THEN 1 ELSE 0 END) as passed,
       SUM(CASE WHEN inspection_result = 'FAIL' THEN 1 ELSE 0 END) as failed,
       COUNT(DISTINCT inspector_name) as unique_inspectors,
-      COUNT(DISTINCT location) as unique_locations
+      COUNT(DISTINCT location) as unique_locations,
+      COUNT(DISTINCT call_id) as calls
     FROM inspections
-    WHERE status = 'completed'
   `);
   return stmt.get();
 }
 
+/**
+ * Insert the given equipment records once, when the registry is first set up,
+ * so a fresh database starts with the default equipment list. A registry
+ * emptied later through the API stays empty.
+ * @param {Array<Object>} records - Equipment records to seed
+ * @returns {number} - Number of records inserted
+ */
+export function seedEquipment(records) {
+  const seeded = db.prepare("SELECT 1 FROM settings WHERE key = 'equipment_seeded_at'").get();
+  if (seeded) return 0;
+
+  // A registry that predates the marker already has its records
+  const { count } = db.prepare('SELECT COUNT(*) as count FROM equipment').get();
+
+  db.transaction(() => {
+    if (count === 0) {
+      for (const record of records) {
+        insertEquipment(record);
+      }
+    }
+    db.prepare("INSERT INTO settings (key, value) VALUES ('equipment_seeded_at', CURRENT_TIMESTAMP)").run();
+  })();
+
+  return count === 0 ? records.length : 0;
+}
+
+export function listEquipment() {
+  const stmt = db.prepare('SELECT * FROM equipment ORDER BY id');
+  return stmt.all();
+}
+
+export function findEquipmentById(id) {
+  const stmt = db.prepare('SELECT * FROM equipment WHERE id = ?');
+  return stmt.get(id);
+}
+
+export function findEquipmentByStatus(status) {
+  const stmt = db.prepare('SELECT * FROM equipment WHERE status = ? ORDER BY id');
+  return stmt.all(status);
+}
+
+export function insertEquipment(data) {
+  const stmt = db.prepare(`
+    INSERT INTO equipment (id, type, location, height, last_inspection, status, notes, inspection_interval_days)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+  `);
+  stmt.run(
+    data.id.trim().toUpperCase(),
+    data.type,
+    data.location,
+    data.height ?? null,
+    data.last_inspection ?? null,
+    data.status || 'active',
+    data.notes ?? null,
+    data.inspection_interval_days ?? null
+  );
+
+  return findEquipmentById(data.id.trim());
+}
+
+/**
+ * Update the given fields of an equipment record. Fields not listed in
+ * `changes` are left untouched.
+ * @param {string} id - Equipment ID
+ * @param {Object} changes - Subset of type, location, height, last_inspection, status, notes, inspection_interval_days
+ * @returns {Object|undefined} - The updated record, or undefined if it does not exist
+ */
+export function updateEquipment(id, changes) {
+  const fields = EQUIPMENT_FIELDS.filter(field => field in changes);
+  if (fields.length > 0) {
+    const assignments = fields.map(field => `${field} = @${field}`).join(', ');
+    const params = { id };
+    for (const field of fields) {
+      params[field] = changes[field] ?? null;
+    }
+    db.prepare(`
+      UPDATE equipment
+      SET ${assignments}, updated_at = CURRENT_TIMESTAMP
+      WHERE id = @id
+    `).run(params);
+  }
+
+  return findEquipmentById(id);
+}
+
+export function deleteEquipment(id) {
+  const stmt = db.prepare('DELETE FROM equipment WHERE id = ?');
+  return stmt.run(id).changes > 0;
+}
+
+/**
+ * Time of the most recent submitted inspection for each piece of equipment
+ * @returns {Object} - Map of upper-cased equipment ID to submitted_at
+ */
+export function getLatestInspectionTimes() {
+  const rows = db.prepare(`
+    SELECT UPPER(equipment_id) as equipment_id, MAX(submitted_at) as submitted_at
+    FROM inspections
+    GROUP BY UPPER(equipment_id)
+  `).all();
+  return Object.fromEntries(rows.map(row => [row.equipment_id, row.submitted_at]));
+}
+
+export function listInspectionSchedules() {
+  const stmt = db.prepare('SELECT * FROM inspection_schedules ORDER BY equipment_type');
+  return stmt.all();
+}
+
+export function setInspectionSchedule(equipmentType, intervalDays) {
+  const stmt = db.prepare(`
+    INSERT INTO inspection_schedules (equipment_type, interval_days)
+    VALUES (?, ?)
+    ON CONFLICT(equipment_type)
+    DO UPDATE SET
+      interval_days = excluded.interval_days,
+      updated_at = CURRENT_TIMESTAMP
+  `);
+  stmt.run(equipmentType, intervalDays);
+
+  return db.prepare('SELECT * FROM inspection_schedules WHERE equipment_type = ?').get(equipmentType);
+}
+
+export function deleteInspectionSchedule(equipmentType) {
+  const stmt = db.prepare('DELETE FROM inspection_schedules WHERE equipment_type = ?');
+  return stmt.run(equipmentType).changes > 0;
+}
+
 export function closeDatabase() {
   if (db) {
     db.close();
@@ -199,24 +965,57 @@ export function clearAllData() {
     console.warn('⚠️  Warning: clearAllData() called on non-test database path');
   }
   
+  db.prepare('DELETE FROM transcript_entries').run();
+  db.prepare('DELETE FROM checklist_responses').run();
   db.prepare('DELETE FROM inspections').run();
+  db.prepare('DELETE FROM calls').run();
   db.prepare('DELETE FROM callers').run();
+  db.prepare('DELETE FROM equipment').run();
+  db.prepare('DELETE FROM inspection_schedules').run();
+  db.prepare('DELETE FROM settings').run();
 }
 
 export default {
   initializeDatabase,
-  createInspection,
-  getInspectionByStreamSid,
+  createCall,
+  getCallByStreamSid,
+  getAllCalls,
+  getInspectionById,
+  getInspectionsByStreamSid,
   getInspectionByEquipmentId,
   saveInspectionData,
-  completeInspection,
+  completeCall,
+  recordCallProgress,
+  setCallRecording,
+  getExpiredRecordings,
+  closeOrphanedCalls,
+  getIncompleteCalls,
+  addTranscriptEntry,
+  getTranscriptByInspectionId,
+  getTranscriptByStreamSid,
+  saveChecklistResponse,
+  getPendingChecklistResponses,
+  getChecklistByInspectionId,
   getAllInspections,
   getInspectionsByResult,
   getInspectionsByLocation,
+  toSearchQuery,
+  searchInspections,
   getInspectionStats,
   closeDatabase,
   getDatabase,
   getCallerByPhoneNumber,
   saveCallerName,
+  seedEquipment,
+  listEquipment,
+  findEquipmentById,
+  findEquipmentByStatus,
+  insertEquipment,
+  updateEquipment,
+  deleteEquipment,
+  getLatestInspectionTimes,
+  listInspectionSchedules,
+  setInspectionSchedule,
+  deleteInspectionSchedule,
   clearAllData
 };
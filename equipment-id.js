@@ -0,0 +1,195 @@
+// Turns equipment IDs as the speech recognizer hears them ("scaffold thirteen",
+// "S-C-A-F-F 0 0 7", "staff zero one three") back into registry IDs, and scores
+// how closely a heard ID matches a registry ID.
+
+// Registry IDs pad their number to three digits (SCAFF-007)
+const ID_NUMBER_WIDTH = 3;
+
+const DIGIT_WORDS = {
+  ZERO: 0, OH: 0, O: 0,
+  ONE: 1, TWO: 2, THREE: 3, FOUR: 4, FIVE: 5, SIX: 6, SEVEN: 7, EIGHT: 8, NINE: 9,
+  // Radio pronunciations
+  TREE: 3, FIFE: 5, NINER: 9
+};
+
+// Words the recognizer substitutes for digits. Only read as digits once the ID
+// has started, so "the one for scaff 13" keeps its meaning.
+const DIGIT_HOMOPHONES = { WON: 1, TO: 2, TOO: 2, FOR: 4, ATE: 8 };
+
+const TEEN_WORDS = {
+  TEN: 10, ELEVEN: 11, TWELVE: 12, THIRTEEN: 13, FOURTEEN: 14,
+  FIFTEEN: 15, SIXTEEN: 16, SEVENTEEN: 17, EIGHTEEN: 18, NINETEEN: 19
+};
+
+const TENS_WORDS = {
+  TWENTY: 20, THIRTY: 30, FORTY: 40, FIFTY: 50, SIXTY: 60, SEVENTY: 70, EIGHTY: 80, NINETY: 90
+};
+
+const REPEAT_WORDS = { DOUBLE: 2, TRIPLE: 3 };
+
+const NATO_ALPHABET = {
+  ALPHA: 'A', ALFA: 'A', BRAVO: 'B', CHARLIE: 'C', DELTA: 'D', ECHO: 'E', FOXTROT: 'F',
+  GOLF: 'G', HOTEL: 'H', INDIA: 'I', JULIET: 'J', JULIETT: 'J', KILO: 'K', LIMA: 'L',
+  MIKE: 'M', NOVEMBER: 'N', OSCAR: 'O', PAPA: 'P', QUEBEC: 'Q', ROMEO: 'R', SIERRA: 'S',
+  TANGO: 'T', UNIFORM: 'U', VICTOR: 'V', WHISKEY: 'W', WHISKY: 'W', XRAY: 'X',
+  YANKEE: 'Y', ZULU: 'Z'
+};
+
+// Letters spelled out one at a time ("ess see ay eff eff")
+const LETTER_NAMES = {
+  AY: 'A', BEE: 'B', SEE: 'C', SEA: 'C', CEE: 'C', DEE: 'D', EFF: 'F', EF: 'F',
+  GEE: 'G', AITCH: 'H', JAY: 'J', KAY: 'K', EL: 'L', ELL: 'L', EM: 'M', EN: 'N',
+  PEE: 'P', CUE: 'Q', AR: 'R', ESS: 'S', ES: 'S', TEE: 'T', VEE: 'V', EX: 'X', ZED: 'Z', ZEE: 'Z'
+};
+
+// Whole words heard for an ID prefix
+const PREFIX_ALIASES = {
+  SCAFFOLD: 'SCAFF', SCAFFOLDING: 'SCAFF', SCAFFOLDS: 'SCAFF', SCAF: 'SCAFF',
+  SKAFF: 'SCAFF', SKAF: 'SCAFF', STAFF: 'SCAFF', SCARF: 'SCAFF', SCUFF: 'SCAFF', SCOFF: 'SCAFF'
+};
+
+// Spoken between the prefix and the number
+const FILLER_WORDS = new Set(['NUMBER', 'NUM', 'NO', 'ID', 'DASH', 'HYPHEN', 'MINUS', 'AND']);
+
+// A heard ID without a prefix ("thirteen") could still be any registry prefix
+const MISSING_PREFIX_SIMILARITY = 0.8;
+
+// "Thirteen" and "thirty" are easily confused over the phone
+const TEEN_TENS_SIMILARITY = 0.8;
+
+// Swapped neighbouring digits ("31" for "13") are a common slip, so cost half an edit
+const TRANSPOSITION_COST = 0.5;
+
+function tokenize(text) {
+  return text
+    .toUpperCase()
+    .replace(/X-RAY/g, 'XRAY')
+    .replace(/[^A-Z0-9]+/g, ' ')
+    .replace(/([A-Z])([0-9])/g, '$1 $2')
+    .replace(/([0-9])([A-Z])/g, '$1 $2')
+    .trim()
+    .split(' ')
+    .filter(Boolean);
+}
+
+/**
+ * Split a heard or registry equipment ID into its letter prefix and number
+ * @param {string} text - Equipment ID as typed or transcribed
+ * @returns {Object} - { prefix, number }; number has no leading zeros, either may be ''
+ */
+export function parseEquipmentId(text) {
+  let prefix = '';
+  let digits = '';
+  let repeat = 1;
+  let afterTens = false;
+
+  const addDigits = value => {
+    digits += value.repeat(value.length === 1 ? repeat : 1);
+    repeat = 1;
+  };
+
+  for (const token of tokenize(String(text ?? ''))) {
+    const started = prefix !== '' || digits !== '';
+    const wasAfterTens = afterTens;
+    afterTens = false;
+
+    if (/^[0-9]+$/.test(token)) {
+      addDigits(token);
+    } else if (token in DIGIT_WORDS && (token.length > 1 || started)) {
+      if (token === 'OH' && !started) continue;
+      const digit = DIGIT_WORDS[token];
+      // "twenty one" is 21, not 201
+      if (wasAfterTens && digit > 0) {
+        digits = digits.slice(0, -1) + digit;
+      } else {
+        addDigits(String(digit));
+      }
+    } else if (token in DIGIT_HOMOPHONES && started) {
+      addDigits(String(DIGIT_HOMOPHONES[token]));
+    } else if (token in TEEN_WORDS) {
+      addDigits(String(TEEN_WORDS[token]));
+    } else if (token in TENS_WORDS) {
+      addDigits(String(TENS_WORDS[token]));
+      afterTens = true;
+    } else if (token in REPEAT_WORDS) {
+      repeat = REPEAT_WORDS[token];
+    } else if (digits !== '' || FILLER_WORDS.has(token)) {
+      // Words after the number ("scaff 13 please") are not part of the ID
+      continue;
+    } else if (token.length === 1) {
+      prefix += token;
+    } else if (token in NATO_ALPHABET) {
+      prefix += NATO_ALPHABET[token];
+    } else if (token in LETTER_NAMES) {
+      prefix += LETTER_NAMES[token];
+    } else {
+      // A whole word replaces anything before it ("it's scaffold 13")
+      prefix = PREFIX_ALIASES[token] || token;
+    }
+  }
+
+  return { prefix, number: digits.replace(/^0+(?=[0-9])/, '') };
+}
+
+/**
+ * Normalize a transcribed equipment ID to registry form
+ * @param {string} text - Equipment ID as heard (e.g., "scaffold zero one three")
+ * @returns {string|null} - e.g., "SCAFF-013", or null if nothing ID-like was heard
+ */
+export function normalizeEquipmentId(text) {
+  const { prefix, number } = parseEquipmentId(text);
+  const padded = number.padStart(ID_NUMBER_WIDTH, '0');
+  if (prefix && number) return `${prefix}-${padded}`;
+  if (number) return padded;
+  return prefix || null;
+}
+
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + TRANSPOSITION_COST);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+function similarity(a, b) {
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length, 1);
+}
+
+function isTeenTensPair(a, b) {
+  const teenTens = (teen, tens) => /^1[3-9]$/.test(teen) && tens === `${teen[1]}0`;
+  return teenTens(a, b) || teenTens(b, a);
+}
+
+/**
+ * Score how likely a heard equipment ID refers to a registry ID
+ * @param {string} heard - Equipment ID as heard
+ * @param {string} registryId - ID from the equipment registry
+ * @returns {number} - Confidence from 0 (no resemblance) to 1 (same ID)
+ */
+export function scoreEquipmentIdMatch(heard, registryId) {
+  const spoken = parseEquipmentId(heard);
+  const registered = parseEquipmentId(registryId);
+  if (!spoken.number || !registered.number) return 0;
+
+  const prefixScore = spoken.prefix ? similarity(spoken.prefix, registered.prefix) : MISSING_PREFIX_SIMILARITY;
+  const numberScore = spoken.number === registered.number
+    ? 1
+    : isTeenTensPair(spoken.number, registered.number) ? TEEN_TENS_SIMILARITY : similarity(spoken.number, registered.number);
+
+  return Math.round(prefixScore * numberScore * 100) / 100;
+}
+
+export default {
+  parseEquipmentId,
+  normalizeEquipmentId,
+  scoreEquipmentIdMatch
+};
@@ -1,4 +1,20 @@
-const EQUIPMENT_REGISTRY = [
+import {
+  seedEquipment,
+  listEquipment,
+  findEquipmentById,
+  findEquipmentByStatus,
+  getLatestInspectionTimes,
+  listInspectionSchedules
+} from './database.js';
+import { normalizeEquipmentId, scoreEquipmentIdMatch } from './equipment-id.js';
+import { rankLocations } from './location-search.js';
+
+// tagged_out is set automatically when an inspection FAILs and cleared by returning the equipment to service
+export const EQUIPMENT_STATUSES = ['active', 'maintenance', 'inactive', 'decommissioned', 'tagged_out'];
+
+// Default registry, seeded into the equipment table on first run.
+// After that the database is the source of truth - manage equipment through the /equipment API.
+export const EQUIPMENT_SEED = [
   {
     id: "SCAFF-001",
     type: "Mobile Scaffold Tower",
@@ -42,7 +58,8 @@ const EQUIPMENT_REGISTRY = [
     height: "15m",
     last_inspection: "2024-09-05",
     status: "active",
-    notes: "Requires daily inspection"
+    notes: "Requires daily inspection",
+    inspection_interval_days: 1
   },
   {
     id: "SCAFF-006",
@@ -136,38 +153,95 @@ const EQUIPMENT_REGISTRY = [
   }
 ];
 
+export function seedEquipmentRegistry() {
+  const inserted = seedEquipment(EQUIPMENT_SEED);
+  if (inserted > 0) {
+    console.log(`🌱 Seeded equipment registry with ${inserted} records`);
+  }
+  return inserted;
+}
+
 export function getAllEquipment() {
-  return EQUIPMENT_REGISTRY;
+  return listEquipment();
 }
 
+/**
+ * Look up equipment by ID, accepting IDs as the speech recognizer hears them
+ * ("scaffold thirteen", "S-C-A-F-F 0 0 7")
+ * @param {string} id - Equipment ID
+ * @returns {Object|undefined} - The equipment, or undefined if no ID matches exactly
+ */
 export function getEquipmentById(id) {
-  const normalizedId = id.trim().toUpperCase();
-  return EQUIPMENT_REGISTRY.find(
-    eq => eq.id.toUpperCase() === normalizedId
-  );
+  const exact = findEquipmentById(id.trim().toUpperCase());
+  if (exact) return exact;
+
+  const normalizedId = normalizeEquipmentId(id);
+  const normalized = normalizedId && findEquipmentById(normalizedId);
+  if (normalized) return normalized;
+
+  // Same prefix and number but padded differently (SCAFF-0013, CRANE-1)
+  const sameId = findSimilarEquipment(id, { minConfidence: 1 });
+  return sameId.length === 1 ? sameId[0].equipment : undefined;
+}
+
+/**
+ * Registry equipment whose IDs resemble a misheard one, best match first
+ * @param {string} id - Equipment ID as heard
+ * @param {Object} options - limit (default 3), minConfidence (0-1, default 0.5)
+ * @returns {Array<Object>} - { equipment, confidence } candidates
+ */
+export function findSimilarEquipment(id, { limit = 3, minConfidence = 0.5 } = {}) {
+  return listEquipment()
+    .map(equipment => ({ equipment, confidence: scoreEquipmentIdMatch(id, equipment.id) }))
+    .filter(candidate => candidate.confidence > 0 && candidate.confidence >= minConfidence)
+    .sort((a, b) => b.confidence - a.confidence || a.equipment.id.localeCompare(b.equipment.id))
+    .slice(0, limit);
 }
 
+/**
+ * Equipment whose ID ends in the given number, ignoring leading zeros, so a
+ * keyed-in "13" finds SCAFF-013
+ * @param {string} digits - Number entered by the caller
+ * @returns {Array} - Matching equipment, usually one
+ */
+export function getEquipmentByNumber(digits) {
+  if (!/^[0-9]+$/.test(digits)) return [];
+  const number = Number(digits);
+  return listEquipment().filter(equipment => {
+    const match = equipment.id.match(/([0-9]+)$/);
+    return match !== null && Number(match[1]) === number;
+  });
+}
+
+/**
+ * Equipment at locations matching a search, in any word order ("bay three
+ * warehouse A"), most relevant location first
+ * @param {string} locationQuery - Location as described by the caller
+ * @returns {Array} - Matching equipment
+ */
 export function searchEquipmentByLocation(locationQuery) {
-  const query = locationQuery.toLowerCase();
-  return EQUIPMENT_REGISTRY.filter(
-    eq => eq.location.toLowerCase().includes(query)
+  const equipment = listEquipment();
+  const relevance = new Map(
+    rankLocations(locationQuery, equipment.map(item => item.location)).map(match => [match.location, match.relevance])
   );
+  return equipment
+    .filter(item => relevance.has(item.location))
+    .sort((a, b) => relevance.get(b.location) - relevance.get(a.location) || a.id.localeCompare(b.id));
 }
 
 export function getEquipmentByStatus(status) {
-  return EQUIPMENT_REGISTRY.filter(
-    eq => eq.status === status
-  );
+  return findEquipmentByStatus(status);
 }
 
 export function getEquipmentStats() {
-  const total = EQUIPMENT_REGISTRY.length;
-  const byStatus = EQUIPMENT_REGISTRY.reduce((acc, eq) => {
+  const equipment = listEquipment();
+  const total = equipment.length;
+  const byStatus = equipment.reduce((acc, eq) => {
     acc[eq.status] = (acc[eq.status] || 0) + 1;
     return acc;
   }, {});
   
-  const byType = EQUIPMENT_REGISTRY.reduce((acc, eq) => {
+  const byType = equipment.reduce((acc, eq) => {
     acc[eq.type] = (acc[eq.type] || 0) + 1;
     return acc;
   }, {});
@@ -179,10 +253,103 @@ export function getEquipmentStats() {
   };
 }
 
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Equipment that is out of use is not expected to be inspected
+const UNSCHEDULED_STATUSES = ['inactive', 'decommissioned'];
+
+// SQLite timestamps are UTC without a zone ("YYYY-MM-DD HH:MM:SS"); plain dates are "YYYY-MM-DD"
+function parseTimestamp(value) {
+  if (!value) return null;
+  const date = new Date(value.includes(' ') ? `${value.replace(' ', 'T')}Z` : value);
+  return Number.isNaN(date.getTime()) ? null : date;
+}
+
+function loadScheduleContext() {
+  const schedulesByType = {};
+  for (const schedule of listInspectionSchedules()) {
+    schedulesByType[schedule.equipment_type.toLowerCase()] = schedule.interval_days;
+  }
+  return { schedulesByType, latestTimes: getLatestInspectionTimes() };
+}
+
+function buildInspectionStatus(equipment, { schedulesByType, latestTimes }, now) {
+  if (UNSCHEDULED_STATUSES.includes(equipment.status)) return null;
+
+  const typeInterval = schedulesByType[equipment.type.toLowerCase()];
+  const intervalDays = equipment.inspection_interval_days ?? typeInterval;
+  if (!intervalDays) return null;
+
+  // Latest completed inspection, or the registry date if it was set more recently
+  const candidates = [latestTimes[equipment.id.toUpperCase()], equipment.last_inspection]
+    .map(value => ({ value, date: parseTimestamp(value) }))
+    .filter(candidate => candidate.date);
+  const last = candidates.sort((a, b) => b.date - a.date)[0] || null;
+
+  const due = last ? new Date(last.date.getTime() + intervalDays * DAY_MS) : null;
+  const overdue = !due || due < now;
+
+  return {
+    interval_days: intervalDays,
+    interval_source: equipment.inspection_interval_days != null ? 'equipment' : 'type',
+    last_inspected_at: last ? last.value : null,
+    next_due_at: due ? due.toISOString() : null,
+    overdue,
+    days_overdue: overdue && due ? Math.floor((now - due) / DAY_MS) : null
+  };
+}
+
+function withInspectionStatus(now) {
+  const context = loadScheduleContext();
+  return listEquipment()
+    .map(equipment => ({ ...equipment, inspection_schedule: buildInspectionStatus(equipment, context, now) }))
+    .filter(equipment => equipment.inspection_schedule);
+}
+
+// Never-inspected equipment (no due date) sorts first
+function byNextDue(a, b) {
+  return (a.inspection_schedule.next_due_at || '').localeCompare(b.inspection_schedule.next_due_at || '');
+}
+
+/**
+ * Work out when a piece of equipment is next due for inspection
+ * @param {Object} equipment - Equipment record
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Object|null} - Schedule status, or null if the equipment has no inspection interval
+ */
+export function getInspectionStatus(equipment, now = new Date()) {
+  return buildInspectionStatus(equipment, loadScheduleContext(), now);
+}
+
+export function getOverdueEquipment(now = new Date()) {
+  return withInspectionStatus(now)
+    .filter(equipment => equipment.inspection_schedule.overdue)
+    .sort(byNextDue);
+}
+
+/**
+ * Scheduled equipment that is not yet overdue but falls due within the given window
+ * @param {number} days - Window length in days
+ * @param {Date} now - Reference time (defaults to the current time)
+ * @returns {Array<Object>} - Equipment with its inspection_schedule, soonest first
+ */
+export function getEquipmentDueWithin(days, now = new Date()) {
+  const horizon = new Date(now.getTime() + days * DAY_MS).toISOString();
+  return withInspectionStatus(now)
+    .filter(equipment => !equipment.inspection_schedule.overdue && equipment.inspection_schedule.next_due_at <= horizon)
+    .sort(byNextDue);
+}
+
 export default {
+  seedEquipmentRegistry,
   getAllEquipment,
   getEquipmentById,
+  findSimilarEquipment,
+  getEquipmentByNumber,
   searchEquipmentByLocation,
   getEquipmentByStatus,
-  getEquipmentStats
+  getEquipmentStats,
+  getInspectionStatus,
+  getOverdueEquipment,
+  getEquipmentDueWithin
 };
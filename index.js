@@ -2,32 +2,80 @@ import Fastify from 'fastify';
 import FastifyWS from '@fastify/websocket';
 import WebSocket from 'ws';
 import dotenv from 'dotenv';
-import { readFileSync } from 'fs';
+import { readFileSync, mkdirSync, createReadStream } from 'fs';
+import { writeFile, unlink, stat } from 'fs/promises';
+import { join, basename } from 'path';
 import { Client } from '@modelcontextprotocol/sdk/client/index.js';
-import { StdioClientTransport } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ToolListChangedNotificationSchema } from '@modelcontextprotocol/sdk/types.js';
 import {
   initializeDatabase,
-  createInspection,
-  getInspectionByStreamSid,
+  createCall,
+  getAllCalls,
+  getInspectionsByStreamSid,
   getInspectionByEquipmentId,
   saveInspectionData,
-  completeInspection,
+  completeCall,
+  recordCallProgress,
+  setCallRecording,
+  getExpiredRecordings,
+  closeOrphanedCalls,
+  getIncompleteCalls,
+  addTranscriptEntry,
+  getInspectionById,
+  getTranscriptByInspectionId,
+  getTranscriptByStreamSid,
+  saveChecklistResponse,
+  getPendingChecklistResponses,
+  getChecklistByInspectionId,
   getAllInspections,
   getInspectionsByResult,
   getInspectionsByLocation,
+  searchInspections,
   getInspectionStats,
   closeDatabase,
   getCallerByPhoneNumber,
-  saveCallerName
+  saveCallerName,
+  findEquipmentById,
+  insertEquipment,
+  updateEquipment,
+  deleteEquipment,
+  listInspectionSchedules,
+  setInspectionSchedule,
+  deleteInspectionSchedule
 } from './database.js';
 import {
+  seedEquipmentRegistry,
   getAllEquipment,
   getEquipmentById,
+  findSimilarEquipment,
+  getEquipmentByNumber,
   searchEquipmentByLocation,
   getEquipmentByStatus,
-  getEquipmentStats
+  getEquipmentStats,
+  getInspectionStatus,
+  getOverdueEquipment,
+  getEquipmentDueWithin
 } from './equipment.js';
-import { validateInspectionData } from './validation.js';
+import { getChecklistTemplate, summarizeChecklist, CHECKLIST_RESULTS } from './checklist.js';
+import {
+  validateInspectionData,
+  validateChecklistResponse,
+  validateEquipmentData,
+  validateInspectionSchedule,
+  validateInspectionSearch,
+  validateToolArguments
+} from './validation.js';
+import { validateTwilioSignature, createStreamToken, verifyStreamToken, validateBearerToken } from './twilio-auth.js';
+import { twiml, connectStream, say, hangup, dial } from './twiml.js';
+import { updateCall } from './twilio-api.js';
+import { createPlaybackTracker } from './playback.js';
+import { createCallLifecycle, isFurtherProgress } from './call-lifecycle.js';
+import { summarizeConversation } from './conversation-summary.js';
+import { createCallRecorder } from './call-recorder.js';
+import { createKeypadBuffer, describeKeypadEntry } from './keypad.js';
+import { loadMCPConfig, createStdioTransport } from './mcp-config.js';
+import { createToolCatalog, limitToolResult } from './mcp-tools.js';
+import { createMCPSupervisor } from './mcp-supervisor.js';
 
 dotenv.config();
 
@@ -36,9 +84,37 @@ const {
   PORT = 5050,
   SYSTEM_MESSAGE_FILE = './system-prompt.txt',
   VOICE = 'alloy',
-  OPENAI_MODEL = 'gpt-4o-realtime-preview-2024-10-01'
+  OPENAI_MODEL = 'gpt-4o-realtime-preview-2024-10-01',
+  TRANSCRIPTION_MODEL = 'whisper-1',
+  TWILIO_ACCOUNT_SID,
+  TWILIO_AUTH_TOKEN,
+  TWILIO_API_URL,
+  SUPERVISOR_PHONE_NUMBER,
+  PUBLIC_URL
 } = process.env;
 
+// Persist caller/assistant transcripts and tool calls for each call (disable with LOG_CONVERSATIONS=false)
+const LOG_CONVERSATIONS = process.env.LOG_CONVERSATIONS !== 'false';
+
+// Record both sides of every call as a two-channel WAV (see call-recorder.js)
+const RECORD_CALLS = process.env.RECORD_CALLS === 'true';
+const RECORDINGS_DIR = process.env.RECORDINGS_DIR || './recordings';
+// Days to keep a recording after its call ends (0 keeps recordings forever)
+const RECORDING_RETENTION_DAYS = Number(process.env.RECORDING_RETENTION_DAYS ?? 90);
+// How often expired recordings are looked for (ms)
+const RECORDING_SWEEP_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// Accept unsigned webhooks and media streams during local development.
+// Never honoured in production.
+const SKIP_TWILIO_VALIDATION = process.env.TWILIO_SKIP_VALIDATION === 'true' && process.env.NODE_ENV !== 'production';
+if (process.env.TWILIO_SKIP_VALIDATION === 'true' && !SKIP_TWILIO_VALIDATION) {
+  console.error('⚠️  TWILIO_SKIP_VALIDATION is ignored in production - Twilio requests will be verified');
+}
+// How long a media stream token from /incoming-call stays valid (seconds)
+const STREAM_TOKEN_TTL_SECONDS = Number(process.env.STREAM_TOKEN_TTL_SECONDS) || 60;
+// Shared secret for admin endpoints (MCP reload, equipment and schedule changes), sent as "Authorization: Bearer <token>"
+const ADMIN_TOKEN = process.env.ADMIN_TOKEN || '';
+
 let SYSTEM_MESSAGE = 'You are a helpful AI assistant.';
 try {
   SYSTEM_MESSAGE = readFileSync(SYSTEM_MESSAGE_FILE, 'utf-8').trim();
@@ -55,7 +131,9 @@ const fastify = Fastify();
 fastify.register(FastifyWS);
 fastify.register(import('@fastify/formbody'));
 
-const OPENAI_WS_URL = `wss://api.openai.com/v1/realtime?model=${OPENAI_MODEL}`;
+// Override to point at a local stand-in (see mock-realtime.js)
+const OPENAI_REALTIME_URL = process.env.OPENAI_REALTIME_URL || 'wss://api.openai.com/v1/realtime';
+const OPENAI_WS_URL = `${OPENAI_REALTIME_URL}?model=${encodeURIComponent(OPENAI_MODEL)}`;
 
 // Timing constants for session and message handling.
 // These values are defaults chosen based on observed network and system latency in typical deployments.
@@ -69,98 +147,126 @@ const GREETING_DELAY_OFFSET_MS = Number(process.env.GREETING_DELAY_OFFSET_MS) ||
 const MESSAGE_SEQUENCE_DELAY_MS = Number(process.env.MESSAGE_SEQUENCE_DELAY_MS) || 50;
 // Combined delay to ensure session is configured before greeting (ms)
 const TOTAL_GREETING_DELAY_MS = SESSION_UPDATE_DELAY_MS + GREETING_DELAY_OFFSET_MS;
-// MCP client management
-const mcpClients = new Map();
-
-// Initialize MCP servers
-async function initializeMCP() {
-  const mcpServers = process.env.MCP_SERVERS?.split(',').filter(Boolean) || [];
-
-  for (const serverName of mcpServers) {
-    const commandEnvVar = `MCP_${serverName.toUpperCase()}_COMMAND`;
-    const command = process.env[commandEnvVar];
-
-    if (!command) {
-      console.warn(`No command found for MCP server: ${serverName} (expected ${commandEnvVar})`);
-      continue;
-    }
+// A call still not past its greeting after this long is ended as a timeout (s)
+const CALL_SETUP_TIMEOUT_SECONDS = Number(process.env.CALL_SETUP_TIMEOUT_SECONDS) || 15;
+// Hard limit on the length of a call (s)
+const MAX_CALL_DURATION_SECONDS = Number(process.env.MAX_CALL_DURATION_SECONDS) || 1800;
+// Attempts to open a new Realtime session after the connection drops mid-call (0 disables)
+const OPENAI_RECONNECT_ATTEMPTS = Number(process.env.OPENAI_RECONNECT_ATTEMPTS ?? 3);
+// Delay before the first reconnect attempt, doubled for each further attempt (ms)
+const OPENAI_RECONNECT_DELAY_MS = Number(process.env.OPENAI_RECONNECT_DELAY_MS) || 500;
+
+// Played by Twilio when a call has to be ended because OpenAI cannot be reached
+const OPENAI_FALLBACK_MESSAGE = 'Sorry, we are having technical difficulties and cannot continue this call. Any inspection you already submitted has been saved. Please call back in a few minutes.';
+// TwiML to run once a media stream ends instead of hanging up, keyed by Twilio CallSid (see /stream-ended)
+const streamEndTwiml = new Map();
+// Twilio asks straight away; forget the TwiML if it never does (ms)
+const STREAM_END_TWIML_TTL_MS = 60000;
+
+// Failed get_equipment_info lookups in a row before the assistant offers keypad entry
+const KEYPAD_OFFER_AFTER_FAILED_LOOKUPS = 2;
+
+// Longest wait for the assistant's last words to play before a hang-up or transfer goes ahead (ms)
+const CALL_ACTION_PLAYBACK_TIMEOUT_MS = 15000;
+
+// How often each MCP server is pinged, and how long it has to answer (ms)
+const MCP_PING_INTERVAL_MS = Number(process.env.MCP_PING_INTERVAL_MS) || 30000;
+const MCP_PING_TIMEOUT_MS = Number(process.env.MCP_PING_TIMEOUT_MS) || 5000;
+// Delay before restarting a server that went down, doubled for each further attempt (ms)
+const MCP_RESTART_DELAY_MS = Number(process.env.MCP_RESTART_DELAY_MS) || 1000;
+// How long a server has to list its tools, and how often the listings are refreshed (ms)
+const MCP_LIST_TOOLS_TIMEOUT_MS = Number(process.env.MCP_LIST_TOOLS_TIMEOUT_MS) || 5000;
+const MCP_TOOLS_REFRESH_INTERVAL_MS = Number(process.env.MCP_TOOLS_REFRESH_INTERVAL_MS) || 5 * 60 * 1000;
+// How long a tool call may take unless its server config says otherwise (ms)
+const MCP_TOOL_TIMEOUT_MS = Number(process.env.MCP_TOOL_TIMEOUT_MS) || 30000;
+// Longest MCP tool result passed to the assistant; longer ones are cut short (characters)
+const MCP_TOOL_RESULT_MAX_CHARS = Number(process.env.MCP_TOOL_RESULT_MAX_CHARS) || 8000;
+
+async function connectMCPServer(server) {
+  const client = new Client({
+    name: `realtime-audio-${server.name}`,
+    version: '1.0.0'
+  }, {
+    capabilities: {}
+  });
+  client.setNotificationHandler(ToolListChangedNotificationSchema, () => mcpToolCatalog.refresh(server.name, client));
 
-    try {
-      // Parse command string respecting quoted arguments
-      const args = [];
-      let current = '';
-      let inQuote = false;
-      let quoteChar = '';
-
-      for (let i = 0; i < command.length; i++) {
-        const char = command[i];
-
-        if ((char === '"' || char === "'") && !inQuote) {
-          inQuote = true;
-          quoteChar = char;
-        } else if (char === quoteChar && inQuote) {
-          inQuote = false;
-          quoteChar = '';
-        } else if (char === ' ' && !inQuote) {
-          if (current) {
-            args.push(current);
-            current = '';
-          }
-        } else {
-          current += char;
-        }
-      }
+  try {
+    await client.connect(createStdioTransport(server));
+  } catch (error) {
+    await client.close().catch(() => {});
+    throw error;
+  }
+  return client;
+}
 
-      if (current) {
-        args.push(current);
+function logMCPServerState(status) {
+  const retryIn = status.next_attempt_at ? Math.ceil((Date.parse(status.next_attempt_at) - Date.now()) / 1000) : 0;
+  switch (status.state) {
+    case 'up':
+      if (status.restarts > 0) {
+        console.log(`✓ MCP server '${status.name}' restarted`);
+      } else {
+        console.log(`✓ MCP server '${status.name}' initialized${status.description ? ` (${status.description})` : ''}`);
       }
-
-      const [cmd, ...cmdArgs] = args;
-      const transport = new StdioClientTransport({
-        command: cmd,
-        args: cmdArgs
-      });
-
-      const client = new Client({
-        name: `realtime-audio-${serverName}`,
-        version: '1.0.0'
-      }, {
-        capabilities: {}
-      });
-
-      await client.connect(transport);
-      mcpClients.set(serverName, client);
-      console.log(`✓ MCP server '${serverName}' initialized`);
-    } catch (error) {
-      console.error(`Failed to initialize MCP server '${serverName}':`, error.message);
-    }
+      break;
+    case 'restarting':
+      console.error(`⚠️  MCP server '${status.name}' is down (${status.last_error}); restarting in ${retryIn}s`);
+      break;
+    case 'failed':
+      console.error(`❌ MCP server '${status.name}' has failed ${status.failed_attempts} times (${status.last_error}); retrying in ${retryIn}s`);
+      break;
+    case 'disabled':
+      console.log(`⏸️  MCP server '${status.name}' is disabled`);
+      break;
+    case 'stopped':
+      console.log(`⏹️  MCP server '${status.name}' stopped (removed from the config)`);
+      break;
   }
 }
 
-// Get available tools from all MCP servers
-async function getMCPTools() {
-  const allTools = [];
-
-  for (const [serverName, client] of mcpClients.entries()) {
-    try {
-      const { tools } = await client.listTools();
-      for (const tool of tools) {
-        allTools.push({
-          type: 'function',
-          name: `${serverName}_${tool.name}`,
-          description: tool.description || '',
-          parameters: tool.inputSchema || { type: 'object', properties: {} }
-        });
-      }
-    } catch (error) {
-      console.error(`Error listing tools from ${serverName}:`, error.message);
+// Starts, health-checks and restarts the MCP servers
+const mcpSupervisor = createMCPSupervisor({
+  connect: connectMCPServer,
+  onChange: status => {
+    logMCPServerState(status);
+    // A server that comes up may offer different tools than before
+    if (status.state === 'up') {
+      mcpToolCatalog.refresh(status.name, mcpSupervisor.client(status.name));
+    } else if (status.state === 'stopped') {
+      mcpToolCatalog.remove(status.name);
     }
+  },
+  pingIntervalMs: MCP_PING_INTERVAL_MS,
+  pingTimeoutMs: MCP_PING_TIMEOUT_MS,
+  restartDelayMs: MCP_RESTART_DELAY_MS
+});
+
+// Start the configured MCP servers, or bring the running ones in line with
+// the config after it changed. Throws if the config file can't be read.
+async function loadMCPServers() {
+  const config = loadMCPConfig();
+  config.errors.forEach(message => console.error(`❌ ${message}`));
+  const servers = await mcpSupervisor.reload(config.servers);
+  return { servers, errors: config.errors };
+}
+
+// Initialize MCP servers, and wait for their tool listings so the first call gets them
+async function initializeMCP() {
+  try {
+    await loadMCPServers();
+    await mcpToolCatalog.settled();
+  } catch (error) {
+    console.error(`❌ ${error.message}. Starting without MCP servers.`);
   }
+}
 
-  allTools.push({
+// Tools handled by this server rather than an MCP server
+const BUILT_IN_TOOLS = [
+  {
     type: 'function',
     name: 'get_equipment_info',
-    description: 'Look up equipment information from the registry by equipment ID. Use this to verify equipment exists and get its details before conducting an inspection.',
+    description: 'Look up equipment information from the registry by equipment ID. Use this to verify equipment exists and get its details, including the inspection checklist for its type, before conducting an inspection.',
     parameters: {
       type: 'object',
       properties: {
@@ -171,12 +277,11 @@ async function getMCPTools() {
       },
       required: ['equipment_id']
     }
-  });
-
-  allTools.push({
+  },
+  {
     type: 'function',
     name: 'search_equipment_by_location',
-    description: 'Search for equipment by location name. Useful when the inspector knows the location but not the specific equipment ID.',
+    description: 'Search for equipment by location name. Useful when the inspector knows the location but not the specific equipment ID. Words can be in any order and numbers can be spoken ("bay three warehouse A"); results are most relevant first.',
     parameters: {
       type: 'object',
       properties: {
@@ -187,9 +292,8 @@ async function getMCPTools() {
       },
       required: ['location']
     }
-  });
-
-  allTools.push({
+  },
+  {
     type: 'function',
     name: 'save_caller_name',
     description: 'Save the caller\'s name associated with their phone number for future calls. Call this when you first learn the inspector\'s name.',
@@ -203,12 +307,39 @@ async function getMCPTools() {
       },
       required: ['caller_name']
     }
-  });
-
-  allTools.push({
+  },
+  {
+    type: 'function',
+    name: 'record_checklist_item',
+    description: 'Record the result of one checklist item for the equipment being inspected. Call once per item as the inspector answers it; answering an item again replaces the earlier answer. The item must be a key from the checklist returned by get_equipment_info.',
+    parameters: {
+      type: 'object',
+      properties: {
+        equipment_id: {
+          type: 'string',
+          description: 'Equipment ID being inspected (e.g., "SCAFF-001")'
+        },
+        item: {
+          type: 'string',
+          description: 'Checklist item key (e.g., "planking", "guardrails")'
+        },
+        result: {
+          type: 'string',
+          enum: CHECKLIST_RESULTS,
+          description: 'PASS, FAIL, or NA when the item does not apply to this equipment'
+        },
+        note: {
+          type: 'string',
+          description: 'What the inspector observed, especially the defect for a FAIL'
+        }
+      },
+      required: ['equipment_id', 'item', 'result']
+    }
+  },
+  {
     type: 'function',
     name: 'submit_inspection_data',
-    description: 'Submit structured scaffolding inspection data in JSON format. Must be called before ending the call. The equipment_id must reference a valid equipment ID from the registry.',
+    description: 'Submit structured scaffolding inspection data in JSON format. Call once per inspection - each call records a new inspection, so several pieces of equipment can be inspected in one phone call. The equipment_id must reference a valid equipment ID from the registry. Every required checklist item must be recorded with record_checklist_item first, and the result must be FAIL if any item failed.',
     parameters: {
       type: 'object',
       properties: {
@@ -236,16 +367,95 @@ async function getMCPTools() {
       },
       required: ['equipment_id', 'inspector_name', 'location', 'inspection_result']
     }
-  });
+  },
+  {
+    type: 'function',
+    name: 'end_call',
+    description: 'Hang up the phone call. Only use this once the caller has said they are finished and has nothing else to inspect. After calling it, say a short goodbye; the call ends as soon as the goodbye has played.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          description: 'Why the call is ending (e.g., "caller finished", "wrong number")'
+        }
+      }
+    }
+  },
+  {
+    type: 'function',
+    name: 'transfer_to_supervisor',
+    description: 'Transfer the caller to a human supervisor. Use this straight away if the caller reports an imminent hazard - a scaffold moving, collapsing or about to fail, or anyone in danger of falling or being struck - or if they ask for a person. After calling it, tell the caller in one sentence that you are connecting them; the transfer happens as soon as you finish.',
+    parameters: {
+      type: 'object',
+      properties: {
+        reason: {
+          type: 'string',
+          description: 'What the caller reported, for the supervisor (e.g., "SCAFF-002 base plate sinking, crew still on the platform")'
+        }
+      },
+      required: ['reason']
+    }
+  }
+];
+
+// Cached tool listings of the MCP servers, and the routing table built from them
+const mcpToolCatalog = createToolCatalog({
+  reservedNames: BUILT_IN_TOOLS.map(tool => tool.name),
+  listTimeoutMs: MCP_LIST_TOOLS_TIMEOUT_MS,
+  onConflict: message => console.warn(`⚠️  ${message}`),
+  onError: (serverName, error) => console.error(`⚠️  Could not list tools from MCP server '${serverName}': ${error.message}`)
+});
 
+// Tools offered to the assistant: those of every MCP server that is up (from
+// the cached listings), then the built-in tools
+function getMCPTools() {
+  const upServers = mcpSupervisor.clients().map(([name]) => name);
+  return [...mcpToolCatalog.tools(upServers), ...BUILT_IN_TOOLS];
+}
 
-  return allTools;
+// List every running server's tools again, in case a server changed them
+// without telling us
+function refreshMCPTools() {
+  return Promise.all(mcpSupervisor.clients().map(([name, client]) => mcpToolCatalog.refresh(name, client)));
 }
 
 // Validation function imported from validation.js
 
 // Call an MCP tool or built-in function
 async function callMCPTool(toolName, args, context = {}) {
+  // end_call and transfer_to_supervisor are carried out by the media stream
+  // handler once the assistant has finished speaking; here they are only checked
+  if (toolName === 'end_call') {
+    return {
+      success: true,
+      message: 'The call will end once your goodbye has played. Say a short goodbye now.'
+    };
+  }
+
+  if (toolName === 'transfer_to_supervisor') {
+    if (!args.reason || String(args.reason).trim() === '') {
+      return {
+        success: false,
+        error: 'Reason is required',
+        message: 'Say briefly what the caller reported so the supervisor knows why they are being called'
+      };
+    }
+
+    if (!SUPERVISOR_PHONE_NUMBER || !context.callSid) {
+      return {
+        success: false,
+        error: 'Transfer unavailable',
+        message: 'This call cannot be transferred. Tell the caller to contact their supervisor directly, and to call emergency services if anyone is in danger.'
+      };
+    }
+
+    return {
+      success: true,
+      message: 'Tell the caller in one short sentence that you are connecting them to a supervisor now. The transfer happens as soon as you finish speaking.'
+    };
+  }
+
   if (toolName === 'save_caller_name') {
     const { phoneNumber } = context;
 
@@ -288,6 +498,21 @@ async function callMCPTool(toolName, args, context = {}) {
     const equipment = getEquipmentById(args.equipment_id);
     
     if (!equipment) {
+      const suggestions = findSimilarEquipment(args.equipment_id).map(({ equipment, confidence }) => ({
+        equipment_id: equipment.id,
+        type: equipment.type,
+        location: equipment.location,
+        confidence
+      }));
+      if (suggestions.length > 0) {
+        const options = suggestions.map(suggestion => `${suggestion.equipment_id} (${suggestion.type} at ${suggestion.location})`).join(', or ');
+        return {
+          success: false,
+          error: 'Equipment not found',
+          suggestions,
+          message: `Equipment ID "${args.equipment_id}" not found in registry. Did you mean ${options}? Ask the caller to confirm, then call get_equipment_info with the confirmed ID.`
+        };
+      }
       return {
         success: false,
         error: 'Equipment not found',
@@ -295,11 +520,43 @@ async function callMCPTool(toolName, args, context = {}) {
       };
     }
     
-    return {
+    const result = {
       success: true,
       equipment: equipment,
+      checklist: getChecklistTemplate(equipment.type),
       message: `Found equipment: ${equipment.type} at ${equipment.location}`
     };
+    if (equipment.id !== args.equipment_id.trim().toUpperCase()) {
+      result.message += ` (heard "${args.equipment_id}" as ${equipment.id})`;
+    }
+    const warnings = [];
+    
+    if (equipment.status === 'tagged_out') {
+      const [lastInspection] = getInspectionByEquipmentId(equipment.id);
+      const failedOn = lastInspection ? ` on ${lastInspection.submitted_at}` : '';
+      const reason = lastInspection?.comments ? ` (${lastInspection.comments})` : '';
+      result.tagged_out = true;
+      result.message += ' - TAGGED OUT, do not use';
+      warnings.push(`This equipment is TAGGED OUT. It failed its last inspection${failedOn}${reason} and must not be used until it is repaired and returned to service.`);
+    }
+    
+    const schedule = getInspectionStatus(equipment);
+    if (schedule) {
+      result.inspection_schedule = schedule;
+      if (schedule.overdue) {
+        result.overdue = true;
+        result.message += ' - inspection OVERDUE';
+        warnings.push(schedule.last_inspected_at
+          ? `This equipment must be inspected every ${schedule.interval_days} day(s) and is OVERDUE: it was last inspected ${schedule.last_inspected_at}, ${schedule.days_overdue} day(s) past its due date.`
+          : `This equipment must be inspected every ${schedule.interval_days} day(s) and is OVERDUE: it has no recorded inspection.`);
+      }
+    }
+    
+    if (warnings.length > 0) {
+      result.warning = warnings.join(' ');
+    }
+    
+    return result;
   }
   
   if (toolName === 'search_equipment_by_location') {
@@ -320,8 +577,68 @@ async function callMCPTool(toolName, args, context = {}) {
     };
   }
   
+  if (toolName === 'record_checklist_item') {
+    const validation = validateChecklistResponse(args);
+    
+    if (!validation.valid) {
+      return {
+        success: false,
+        error: 'Validation failed',
+        details: validation.errors,
+        message: validation.errors.join(', ')
+      };
+    }
+    
+    // Store the registry ID, not the ID as it was heard
+    const equipment = getEquipmentById(args.equipment_id);
+    
+    try {
+      const response = saveChecklistResponse(context.streamSid, {
+        equipment_id: equipment.id,
+        item_key: args.item,
+        result: args.result,
+        note: args.note
+      });
+      if (!response) {
+        return {
+          success: false,
+          error: 'Call not found',
+          message: 'Cannot record a checklist item outside of an active call'
+        };
+      }
+      console.log(`☑️  Checklist ${response.equipment_id} ${response.item_key}: ${response.result}`);
+      
+      const { missing, failed } = summarizeChecklist(
+        getChecklistTemplate(equipment.type),
+        getPendingChecklistResponses(context.streamSid, equipment.id)
+      );
+      
+      return {
+        success: true,
+        message: missing.length > 0
+          ? `Recorded ${response.item_key} as ${response.result}. ${missing.length} required item(s) remaining.`
+          : `Recorded ${response.item_key} as ${response.result}. All required items are recorded.`,
+        remaining_items: missing,
+        failed_items: failed.map(item => item.item_key)
+      };
+    } catch (error) {
+      console.error('❌ Error saving checklist item:', error);
+      return {
+        success: false,
+        error: 'Database error',
+        message: 'Failed to save checklist item. Please try again.'
+      };
+    }
+  }
+  
   if (toolName === 'submit_inspection_data') {
-    const validation = validateInspectionData(args);
+    // Store the registry ID, not the ID as it was heard
+    const registered = args.equipment_id ? getEquipmentById(args.equipment_id) : undefined;
+    const inspection = registered ? { ...args, equipment_id: registered.id } : args;
+    const checklist = registered
+      ? getPendingChecklistResponses(context.streamSid, registered.id)
+      : [];
+    const validation = validateInspectionData(inspection, { checklist });
     
     if (!validation.valid) {
       return {
@@ -333,17 +650,26 @@ async function callMCPTool(toolName, args, context = {}) {
     }
     
     try {
-      saveInspectionData(context.streamSid, args);
-      console.log('📋 Inspection Data Submitted:', JSON.stringify(args, null, 2));
-      console.log('💾 Saved to database for stream:', context.streamSid);
+      const saved = saveInspectionData(context.streamSid, inspection);
+      console.log('📋 Inspection Data Submitted:', JSON.stringify(inspection, null, 2));
+      console.log(`💾 Saved inspection #${saved.id} to database for stream:`, context.streamSid);
       
       context.inspectionSubmitted = true;
-      context.inspectionData = args;
+      context.inspectionData = inspection;
+      
+      const equipment = getEquipmentById(inspection.equipment_id);
+      if (equipment?.status === 'tagged_out') {
+        console.log(`🏷️  Equipment tagged out: ${equipment.id}`);
+      }
       
       return {
         success: true,
-        message: 'Inspection data successfully recorded',
-        data: args
+        message: equipment?.status === 'tagged_out'
+          ? `Inspection data successfully recorded. Equipment ${equipment.id} is now tagged out and must not be used until it is repaired and returned to service.`
+          : 'Inspection data successfully recorded',
+        inspection_id: saved.id,
+        equipment_status: equipment?.status,
+        data: inspection
       };
     } catch (error) {
       console.error('❌ Database save error:', error);
@@ -356,20 +682,101 @@ async function callMCPTool(toolName, args, context = {}) {
   }
   
 
-  const [serverName, ...toolNameParts] = toolName.split('_');
-  const actualToolName = toolNameParts.join('_');
+  const route = mcpToolCatalog.route(toolName);
+  if (!route) {
+    throw new Error(`Unknown tool '${toolName}'`);
+  }
 
-  const client = mcpClients.get(serverName);
+  const client = mcpSupervisor.client(route.serverName);
   if (!client) {
-    throw new Error(`MCP server '${serverName}' not found`);
+    const status = mcpSupervisor.status(route.serverName);
+    throw new Error(status
+      ? `MCP server '${route.serverName}' is ${status.state}; this tool is unavailable right now`
+      : `MCP server '${route.serverName}' is no longer configured`);
   }
 
-  const result = await client.callTool({
-    name: actualToolName,
-    arguments: args
-  });
+  // Let the assistant correct its own arguments rather than have the server fail on them
+  const validation = validateToolArguments(args, route.inputSchema);
+  if (!validation.valid) {
+    return {
+      success: false,
+      error: 'Invalid arguments',
+      details: validation.errors,
+      message: `Fix the arguments to match the ${toolName} parameters and call it again.`
+    };
+  }
 
-  return result;
+  const server = mcpSupervisor.config(route.serverName);
+  const timeoutMs = server?.toolTimeouts[route.toolName] ?? server?.timeoutMs ?? MCP_TOOL_TIMEOUT_MS;
+  let result;
+  try {
+    result = await client.callTool({
+      name: route.toolName,
+      arguments: args
+    }, undefined, { signal: AbortSignal.timeout(timeoutMs) });
+  } catch (error) {
+    if (error?.name !== 'TimeoutError') {
+      throw error;
+    }
+    console.warn(`⏱️  MCP tool ${toolName} did not finish within ${timeoutMs}ms`);
+    return {
+      success: false,
+      error: 'Tool timed out',
+      message: `${toolName} did not finish within ${timeoutMs / 1000} seconds. Try once more, or tell the caller it is not available right now.`
+    };
+  }
+
+  const limited = limitToolResult(result, MCP_TOOL_RESULT_MAX_CHARS);
+  if (limited !== result) {
+    console.warn(`✂️  MCP tool ${toolName} returned ${limited.original_length} characters; cut to ${MCP_TOOL_RESULT_MAX_CHARS}`);
+  }
+  return limited;
+}
+
+// Have Twilio run this TwiML once the call's media stream ends, instead of hanging up
+function setStreamEndTwiml(callSid, document) {
+  if (!callSid) return;
+  streamEndTwiml.set(callSid, document);
+  setTimeout(() => streamEndTwiml.delete(callSid), STREAM_END_TWIML_TTL_MS).unref();
+}
+
+// Recordings are named after their stream; keep the name safe to use as a path
+function recordingFileName(streamSid) {
+  return `${streamSid.replace(/[^\w-]/g, '_')}.wav`;
+}
+
+// Write a finished call's recording and link it to the call
+async function saveRecording(streamSid, recorder) {
+  try {
+    const fileName = recordingFileName(streamSid);
+    await writeFile(join(RECORDINGS_DIR, fileName), recorder.toWav());
+    setCallRecording(streamSid, fileName);
+    console.log(`🎙️ Saved call recording: ${fileName} (${(recorder.duration() / 1000).toFixed(1)}s)`);
+  } catch (error) {
+    console.error('❌ Error saving call recording:', error);
+  }
+}
+
+// Delete recordings older than RECORDING_RETENTION_DAYS
+async function deleteExpiredRecordings() {
+  if (RECORDING_RETENTION_DAYS <= 0) return;
+  let deleted = 0;
+  for (const { stream_sid, recording_file } of getExpiredRecordings(RECORDING_RETENTION_DAYS)) {
+    try {
+      await unlink(join(RECORDINGS_DIR, basename(recording_file)));
+    } catch (error) {
+      // Already gone is as good as deleted
+      if (error.code !== 'ENOENT') {
+        console.error(`❌ Error deleting recording ${recording_file}:`, error);
+        continue;
+      }
+    }
+    setCallRecording(stream_sid, null);
+    deleted++;
+  }
+  if (deleted > 0) {
+    console.log(`🧹 Deleted ${deleted} recording(s) older than ${RECORDING_RETENTION_DAYS} days`);
+  }
 }
 
 // Main WebSocket route for handling Twilio media streams
@@ -381,20 +788,155 @@ fastify.register(async (fastify) => {
     let phoneNumber = null;
     let returningCaller = null;
 
-    const openAiWs = new WebSocket(OPENAI_WS_URL, {
-      headers: {
-        Authorization: `Bearer ${OPENAI_API_KEY}`,
-        "OpenAI-Beta": "realtime=v1"
-      }
-    });
+    // Opened once the start event has been verified, so unauthenticated
+    // clients never reach OpenAI
+    let openAiWs = null;
 
     let streamSid = null;
-    let isAIResponding = false;
+    let callSid = null;
+    // Twilio media timestamp (ms since the stream started) of the latest caller audio
+    let latestMediaTimestamp = 0;
+    let playback = createPlaybackTracker();
+    let recorder = null;
+
+    // What the conversation has established, replayed to OpenAI after a reconnect
+    let callerName = null;
+    const validatedEquipment = new Map();
+    let greetingSent = false;
+
+    // OpenAI reconnection state
+    let reconnectAttempts = 0;
+    let reconnectTimer = null;
+    let recovering = false;
+
+    // Hang-up or transfer the assistant asked for, carried out once its last words have played
+    let pendingCallAction = null;
+    let callActionTimer = null;
+    let transferring = false;
+    // Stored with the end reason: why the assistant ended the call, and where it was transferred
+    let callEndDetails = {};
     let inspectionSubmitted = false;
     let inspectionData = null;
 
+    // Equipment numbers typed on the phone keypad, for when speech recognition keeps mishearing them
+    const keypad = createKeypadBuffer();
+    let failedEquipmentLookups = 0;
+
+    const lifecycle = createCallLifecycle({
+      onChange: (from, to) => console.log(`🔄 Call ${streamSid || '(unverified)'}: ${from} → ${to}`)
+    });
+
+    // Covers streams that never send a start event as well as OpenAI never answering
+    const setupTimer = setTimeout(() => {
+      if (lifecycle.is('connecting', 'greeting')) {
+        console.warn(`⏱️ Call ${streamSid || '(unverified)'} not set up after ${CALL_SETUP_TIMEOUT_SECONDS}s`);
+        endCall('timeout');
+      }
+    }, CALL_SETUP_TIMEOUT_SECONDS * 1000);
+    let maxDurationTimer = null;
+
+    // Finalize the call exactly once, whatever ended it first
+    const endCall = (reason) => {
+      if (!lifecycle.end(reason)) return;
+      clearTimeout(setupTimer);
+      clearTimeout(maxDurationTimer);
+      clearTimeout(reconnectTimer);
+      clearTimeout(callActionTimer);
+
+      if (openAiWs && openAiWs.readyState !== WebSocket.CLOSED) {
+        openAiWs.close();
+      }
+
+      if (streamSid) {
+        completeCall(streamSid, reason, callEndDetails);
+        console.log(`✅ Inspection call completed: ${streamSid} (${reason})`);
+        if (recorder) {
+          saveRecording(streamSid, recorder);
+        }
+      }
+
+      if (connection.readyState === WebSocket.OPEN) {
+        connection.close();
+      }
+    };
+
+    // How the call ended when Twilio is the one ending it. A transfer ends the
+    // stream from Twilio's side, possibly before the REST API has replied.
+    const hangUpReason = () => {
+      if (transferring) return 'transferred';
+      return inspectionSubmitted ? 'completed' : 'caller_hangup';
+    };
+
+    // Furthest stage of the conversation, saved as it happens so a call cut
+    // short (even by a crash) shows where it stopped
+    let progress = null;
+    const advanceProgress = (stage, equipmentId = null) => {
+      if (!streamSid || !isFurtherProgress(stage, progress)) return;
+      progress = stage;
+      try {
+        recordCallProgress(streamSid, stage, equipmentId);
+      } catch (error) {
+        console.error('❌ Error saving call progress:', error);
+      }
+    };
+
+    // Note what a built-in tool's result established, move the conversation's progress on
+    // and queue any hang-up or transfer the assistant asked for
+    const trackToolResult = (name, args, result) => {
+      const heardId = typeof args?.equipment_id === 'string' ? args.equipment_id : null;
+      const equipmentId = heardId && (getEquipmentById(heardId)?.id || heardId.trim().toUpperCase());
+      if (name === 'save_caller_name' && result.success) {
+        callerName = result.caller_name;
+        advanceProgress('caller_identified');
+      } else if (name === 'get_equipment_info' && result.success) {
+        validatedEquipment.set(result.equipment.id, result.equipment);
+        advanceProgress('equipment_identified', result.equipment.id);
+      } else if (name === 'record_checklist_item' && result.success) {
+        advanceProgress('checklist_started', equipmentId);
+      } else if (name === 'submit_inspection_data') {
+        if (result.success) {
+          advanceProgress('submitted', equipmentId);
+        } else if (result.error === 'Validation failed') {
+          advanceProgress('submission_rejected', equipmentId);
+        }
+      } else if ((name === 'end_call' || name === 'transfer_to_supervisor') && result.success) {
+        scheduleCallAction(name === 'end_call' ? 'hangup' : 'transfer', args?.reason);
+      }
+    };
+
+    // Append to the call transcript; never let a storage error interrupt the audio
+    const recordTranscript = (entry) => {
+      if (!LOG_CONVERSATIONS || !streamSid) return;
+      try {
+        addTranscriptEntry(streamSid, entry);
+      } catch (error) {
+        console.error('❌ Error saving transcript entry:', error);
+      }
+    };
+
+    // Send an event to the Realtime session. Events meant for a socket that has
+    // closed or been replaced by a reconnect are dropped: ws throws on a socket
+    // that is still connecting, and the new session is brought up to date by
+    // resumeConversation instead.
+    const sendToOpenAI = (event, socket = openAiWs) => {
+      if (socket !== openAiWs || socket?.readyState !== WebSocket.OPEN) {
+        if (lifecycle.is('greeting', 'active')) {
+          console.warn(`⚠️  Dropped ${event.type} for ${streamSid}: its OpenAI connection is no longer open`);
+        }
+        return false;
+      }
+      socket.send(JSON.stringify(event));
+      return true;
+    };
+
+    // Ask for a response once the items just sent have been sequenced, on the
+    // socket they were sent on
+    const requestResponse = (socket = openAiWs) => {
+      setTimeout(() => sendToOpenAI({ type: 'response.create' }, socket), MESSAGE_SEQUENCE_DELAY_MS);
+    };
+
     const sendSessionUpdate = async () => {
-      const tools = await getMCPTools();
+      const tools = getMCPTools();
 
       const sessionUpdate = {
         type: 'session.update',
@@ -414,6 +956,11 @@ fastify.register(async (fastify) => {
         }
       };
 
+      // Caller speech is only transcribed when explicitly requested
+      if (LOG_CONVERSATIONS) {
+        sessionUpdate.session.input_audio_transcription = { model: TRANSCRIPTION_MODEL };
+      }
+
       // Add tools if MCP servers are configured
       if (tools.length > 0) {
         sessionUpdate.session.tools = tools;
@@ -422,108 +969,383 @@ fastify.register(async (fastify) => {
       }
 
       console.log('Sending session update:', JSON.stringify(sessionUpdate));
-      openAiWs.send(JSON.stringify(sessionUpdate));
+      sendToOpenAI(sessionUpdate);
 
       // Greeting will be sent after we receive the 'start' event and extract phone number
     };
 
-    // Handle OpenAI WebSocket open
-    openAiWs.on('open', () => {
-      console.log('Connected to OpenAI Realtime API');
-      // Session update will be sent after receiving session.created event
-    });
+    // Server VAD cancels any response still being generated; what is left is the
+    // audio Twilio has queued and the conversation's record of what was said
+    const handleBargeIn = () => {
+      const interruption = playback.interrupt(latestMediaTimestamp);
+      if (!interruption) return;
+
+      connection.send(JSON.stringify({ event: 'clear', streamSid }));
+      recorder?.clearOutbound(latestMediaTimestamp);
 
-    // Handle messages from OpenAI
-    openAiWs.on('message', async (data) => {
+      const truncate = (itemId, audioEndMs) => sendToOpenAI({
+        type: 'conversation.item.truncate',
+        item_id: itemId,
+        content_index: 0,
+        audio_end_ms: audioEndMs
+      });
+      truncate(interruption.itemId, interruption.audioEndMs);
+      interruption.unplayedItemIds.forEach(itemId => truncate(itemId, 0));
+
+      console.log(`✋ Caller interrupted; assistant audio cut at ${interruption.audioEndMs}ms of ${interruption.itemId}`);
+    };
+
+    // The assistant asked to hang up or transfer the call. It says its last words
+    // in the response after the tool call; the action waits until they have played.
+    const scheduleCallAction = (type, reason) => {
+      pendingCallAction = {
+        type,
+        reason: typeof reason === 'string' && reason.trim() ? reason.trim() : null,
+        responseId: null,
+        responseDone: false
+      };
+      clearTimeout(callActionTimer);
+      callActionTimer = setTimeout(runCallAction, CALL_ACTION_PLAYBACK_TIMEOUT_MS);
+    };
+
+    const runCallActionWhenPlayed = () => {
+      if (pendingCallAction?.responseDone && !playback.isPlaying()) {
+        runCallAction();
+      }
+    };
+
+    const runCallAction = async () => {
+      const action = pendingCallAction;
+      pendingCallAction = null;
+      clearTimeout(callActionTimer);
+      if (!action || !lifecycle.is('greeting', 'active')) return;
+
+      if (action.type === 'hangup') {
+        console.log(`👋 Assistant ended the call: ${streamSid}`);
+        callEndDetails = { note: action.reason };
+        endCall('assistant_ended');
+        return;
+      }
+
+      transferring = true;
+      callEndDetails = { note: action.reason, transferredTo: SUPERVISOR_PHONE_NUMBER };
+      const dialSupervisor = twiml(dial(SUPERVISOR_PHONE_NUMBER));
       try {
-        const response = JSON.parse(data);
+        await updateCall({
+          accountSid: TWILIO_ACCOUNT_SID,
+          authToken: TWILIO_AUTH_TOKEN,
+          callSid,
+          twiml: dialSupervisor,
+          apiUrl: TWILIO_API_URL
+        });
+        console.log(`📞 Transferred ${streamSid} to the supervisor line: ${action.reason}`);
+      } catch (error) {
+        // Closing the stream sends Twilio to /stream-ended, which dials instead
+        console.error(`❌ Could not transfer ${streamSid} through the Twilio API, dialling once the stream ends instead:`, error.message);
+        setStreamEndTwiml(callSid, dialSupervisor);
+      }
+      endCall('transferred');
+    };
 
-        // Log all events for debugging
-        if (response.type !== 'response.audio.delta') {
-          console.log(`OpenAI Event: ${response.type}`, response);
+    // The caller typed an equipment number and pressed #: look it up and hand it
+    // to the assistant as if the caller had said it
+    const handleKeypadEntry = (digits) => {
+      const matches = getEquipmentByNumber(digits);
+      console.log(`🔢 Keypad entry ${digits}#: ${matches.map(equipment => equipment.id).join(', ') || 'no match'}`);
+      recordTranscript({ role: 'caller', content: `[Keypad] ${digits}#` });
+
+      const sent = sendToOpenAI({
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_text', text: describeKeypadEntry(digits, matches) }]
         }
+      });
+      if (sent) {
+        requestResponse();
+      }
+    };
 
-        // Send session update when session is created
-        if (response.type === 'session.created') {
-          await sendSessionUpdate();
+    // Ask OpenAI to greet the caller, once the socket is ready
+    const sendGreeting = () => {
+      if (!lifecycle.is('greeting') || greetingSent) return;
+      if (openAiWs.readyState === WebSocket.OPEN) {
+        greetingSent = true;
+        let greetingText;
+        if (returningCaller && returningCaller.caller_name) {
+          greetingText = `This is a returning caller named ${returningCaller.caller_name}. Welcome them back warmly and invite them to begin a scaffolding inspection. DO NOT ask for their name - use ${returningCaller.caller_name} for the inspector_name field.`;
+        } else {
+          greetingText = 'This is a new caller. Please greet them and invite them to begin a scaffolding inspection. You will need to ask for their name.';
         }
 
-        // Handle function calls from OpenAI
-        if (response.type === 'response.function_call_arguments.done') {
-          const { call_id, name, arguments: args } = response;
-          console.log(`Function call: ${name}`, args);
+        const initialMessage = {
+          type: 'conversation.item.create',
+          item: {
+            type: 'message',
+            role: 'user',
+            content: [
+              {
+                type: 'input_text',
+                text: greetingText
+              }
+            ]
+          }
+        };
+        sendToOpenAI(initialMessage);
+
+        // Trigger AI response after a small delay to ensure proper message sequencing
+        requestResponse();
+      } else {
+        // If WebSocket not ready yet, wait and retry
+        setTimeout(sendGreeting, 100);
+      }
+    };
 
-          try {
-            let parsedArgs;
-            try {
-              parsedArgs = JSON.parse(args);
-            } catch (parseError) {
-              throw new Error(`Invalid JSON arguments: ${parseError.message}`);
-            }
+    // Bring a new Realtime session up to date after a reconnect
+    const resumeConversation = () => {
+      // Dropped before the greeting finished: simply greet again
+      if (lifecycle.is('greeting')) {
+        greetingSent = false;
+        sendGreeting();
+        return;
+      }
 
-            const context = {
-              inspectionSubmitted,
-              inspectionData,
-              streamSid,
-              phoneNumber
-            };
+      const summary = summarizeConversation({
+        callerName,
+        equipment: [...validatedEquipment.values()].map(equipment => {
+          const checklist = getPendingChecklistResponses(streamSid, equipment.id);
+          const { missing } = summarizeChecklist(getChecklistTemplate(equipment.type), checklist);
+          return { equipment, checklist, missing };
+        }),
+        inspections: getInspectionsByStreamSid(streamSid),
+        transcript: LOG_CONVERSATIONS ? getTranscriptByStreamSid(streamSid) : []
+      });
 
-            const result = await callMCPTool(name, parsedArgs, context);
+      const sent = sendToOpenAI({
+        type: 'conversation.item.create',
+        item: {
+          type: 'message',
+          role: 'user',
+          content: [{ type: 'input_text', text: summary }]
+        }
+      });
+      if (sent) {
+        requestResponse();
+      }
+    };
+
+    // The Realtime socket dropped mid-call: open a new session, backing off
+    // between attempts, and give up on the call once they run out
+    const reconnectToOpenAI = () => {
+      // Audio already queued at Twilio belongs to the old session's items
+      playback = createPlaybackTracker();
+
+      if (reconnectAttempts >= OPENAI_RECONNECT_ATTEMPTS) {
+        console.error(`❌ Could not reconnect to OpenAI for ${streamSid} after ${reconnectAttempts} attempt(s); ending the call`);
+        setStreamEndTwiml(callSid, twiml(say(OPENAI_FALLBACK_MESSAGE), hangup()));
+        endCall('openai_error');
+        return;
+      }
+
+      const delay = OPENAI_RECONNECT_DELAY_MS * 2 ** reconnectAttempts;
+      reconnectAttempts++;
+      recovering = true;
+      console.warn(`🔁 Lost the OpenAI Realtime connection for ${streamSid}; reconnecting in ${delay}ms (attempt ${reconnectAttempts} of ${OPENAI_RECONNECT_ATTEMPTS})`);
+      reconnectTimer = setTimeout(() => {
+        if (lifecycle.is('greeting', 'active')) {
+          connectToOpenAI();
+        }
+      }, delay);
+    };
+
+    const connectToOpenAI = () => {
+      // Replies to this session's events go back on this socket, even if a
+      // reconnect has replaced it by the time they are ready
+      const socket = new WebSocket(OPENAI_WS_URL, {
+        headers: {
+          Authorization: `Bearer ${OPENAI_API_KEY}`,
+          "OpenAI-Beta": "realtime=v1"
+        }
+      });
+      openAiWs = socket;
+
+      // Handle OpenAI WebSocket open
+      socket.on('open', () => {
+        console.log('Connected to OpenAI Realtime API');
+        // Session update will be sent after receiving session.created event
+      });
+
+      // Handle messages from OpenAI
+      socket.on('message', async (data) => {
+        try {
+          const response = JSON.parse(data);
 
-            if (name === 'submit_inspection_data' && result.success) {
-              inspectionSubmitted = true;
-              inspectionData = parsedArgs;
-              console.log('✅ Inspection data validated and stored');
+          // Anything still arriving while the call is finalized is dropped
+          if (lifecycle.is('ending', 'closed')) return;
+
+          // Log all events for debugging
+          if (response.type !== 'response.audio.delta') {
+            console.log(`OpenAI Event: ${response.type}`, response);
+          }
+
+          // Send session update when session is created
+          if (response.type === 'session.created') {
+            await sendSessionUpdate();
+
+            if (recovering) {
+              recovering = false;
+              console.log('✅ Reconnected to OpenAI Realtime API:', streamSid);
+              setTimeout(resumeConversation, GREETING_DELAY_OFFSET_MS);
             }
+          }
+
+          // Handle function calls from OpenAI
+          if (response.type === 'response.function_call_arguments.done') {
+            const { call_id, name, arguments: args } = response;
+            console.log(`Function call: ${name}`, args);
+            recordTranscript({ role: 'function_call', function_name: name, content: args, item_id: response.item_id });
 
-            // Send function result back to OpenAI
-            openAiWs.send(JSON.stringify({
-              type: 'conversation.item.create',
-              item: {
-                type: 'function_call_output',
-                call_id: call_id,
-                output: JSON.stringify(result)
+            try {
+              let parsedArgs;
+              try {
+                parsedArgs = JSON.parse(args);
+              } catch (parseError) {
+                throw new Error(`Invalid JSON arguments: ${parseError.message}`);
               }
-            }));
-
-            // After sending function call output to OpenAI, request a new response to continue the conversation
-            setTimeout(() => {
-              openAiWs.send(JSON.stringify({ type: 'response.create' }));
-            }, MESSAGE_SEQUENCE_DELAY_MS);
-          } catch (error) {
-            console.error('Error calling MCP tool:', error);
-            openAiWs.send(JSON.stringify({
-              type: 'conversation.item.create',
-              item: {
-                type: 'function_call_output',
-                call_id: call_id,
-                output: JSON.stringify({ error: error.message })
+
+              const context = {
+                inspectionSubmitted,
+                inspectionData,
+                streamSid,
+                callSid,
+                phoneNumber
+              };
+
+              const result = await callMCPTool(name, parsedArgs, context);
+              trackToolResult(name, parsedArgs, result);
+
+              // Spoken IDs keep failing: have the assistant offer the keypad
+              if (name === 'get_equipment_info') {
+                failedEquipmentLookups = result.success ? 0 : failedEquipmentLookups + 1;
+                if (failedEquipmentLookups >= KEYPAD_OFFER_AFTER_FAILED_LOOKUPS) {
+                  result.keypad_hint = 'The equipment ID has not been recognized several times. Offer keypad entry: ask the caller to type the number from the equipment tag on their phone keypad and then press the pound key (for SCAFF-013, they type 1 3 #).';
+                }
               }
-            }));
+
+              if (name === 'submit_inspection_data' && result.success) {
+                inspectionSubmitted = true;
+                inspectionData = result.data;
+                console.log('✅ Inspection data validated and stored');
+              }
+
+              const output = JSON.stringify(result);
+              recordTranscript({
+                role: 'function_result',
+                function_name: name,
+                content: output,
+                inspection_id: result?.inspection_id
+              });
+
+              // Send function result back to the session that asked for it
+              const sent = sendToOpenAI({
+                type: 'conversation.item.create',
+                item: {
+                  type: 'function_call_output',
+                  call_id: call_id,
+                  output: output
+                }
+              }, socket);
+
+              // After sending function call output to OpenAI, request a new response to continue the conversation
+              if (sent) {
+                requestResponse(socket);
+              }
+            } catch (error) {
+              console.error('Error calling MCP tool:', error);
+              const output = JSON.stringify({ error: error.message });
+              recordTranscript({ role: 'function_result', function_name: name, content: output });
+              sendToOpenAI({
+                type: 'conversation.item.create',
+                item: {
+                  type: 'function_call_output',
+                  call_id: call_id,
+                  output: output
+                }
+              }, socket);
+            }
           }
-        }
 
-        // Track AI response state for interruption handling
-        if (response.type === 'response.audio.start') {
-          isAIResponding = true;
-        }
-        if (response.type === 'response.audio.done') {
-          isAIResponding = false;
+          // Capture what was actually said on the call
+          if (response.type === 'conversation.item.input_audio_transcription.completed') {
+            recordTranscript({ role: 'caller', content: response.transcript, item_id: response.item_id });
+          }
+          if (response.type === 'response.audio_transcript.done') {
+            recordTranscript({ role: 'assistant', content: response.transcript, item_id: response.item_id });
+          }
+          if (response.type === 'response.text.done') {
+            recordTranscript({ role: 'assistant', content: response.text, item_id: response.item_id });
+          }
+
+          // A session that gets as far as a full response counts as recovered;
+          // one that drops before then keeps using up the reconnect attempts
+          if (response.type === 'response.done') {
+            reconnectAttempts = 0;
+          }
+
+          // Last words before a hang-up or transfer: the first response after the tool call
+          if (response.type === 'response.created' && pendingCallAction && !pendingCallAction.responseId) {
+            pendingCallAction.responseId = response.response?.id;
+          }
+          if (response.type === 'response.done' && pendingCallAction?.responseId === response.response?.id) {
+            pendingCallAction.responseDone = true;
+            runCallActionWhenPlayed();
+          }
+
+          // The greeting has been spoken (or cut off); the inspection is under way
+          if (response.type === 'response.done' && lifecycle.is('greeting')) {
+            lifecycle.activate();
+            advanceProgress('greeted');
+          }
+
+          // The caller started talking: stop the assistant where the caller stopped hearing it
+          if (response.type === 'input_audio_buffer.speech_started') {
+            handleBargeIn();
+          }
+
+          // Forward audio back to Twilio, followed by a mark so we know when it has played
+          if (response.type === 'response.audio.delta' && response.delta) {
+            const audioDelta = {
+              event: 'media',
+              streamSid: streamSid,
+              media: { payload: response.delta }
+            };
+            connection.send(JSON.stringify(audioDelta));
+
+            const audio = Buffer.from(response.delta, 'base64');
+            recorder?.addOutbound(audio, latestMediaTimestamp);
+            const markName = playback.audioSent(response.item_id, audio.length, latestMediaTimestamp);
+            connection.send(JSON.stringify({ event: 'mark', streamSid, mark: { name: markName } }));
+          }
+        } catch (error) {
+          console.error('Error processing OpenAI message:', error);
         }
+      });
 
-        // Forward audio back to Twilio
-        if (response.type === 'response.audio.delta' && response.delta) {
-          const audioDelta = {
-            event: 'media',
-            streamSid: streamSid,
-            media: { payload: response.delta }
-          };
-          connection.send(JSON.stringify(audioDelta));
+      // Handle OpenAI WebSocket close
+      socket.on('close', () => {
+        console.log('Disconnected from OpenAI Realtime API');
+        if (lifecycle.is('greeting', 'active')) {
+          reconnectToOpenAI();
         }
-      } catch (error) {
-        console.error('Error processing OpenAI message:', error);
-      }
-    });
+      });
+
+      // Handle errors; a close event always follows
+      socket.on('error', (error) => {
+        if (lifecycle.is('ending', 'closed')) return;
+        console.error('OpenAI WebSocket error:', error);
+      });
+    };
 
     // Handle messages from Twilio
     connection.on('message', (message) => {
@@ -531,16 +1353,15 @@ fastify.register(async (fastify) => {
         const data = JSON.parse(message);
 
         switch (data.event) {
+          case 'connected':
+            console.log('Twilio media stream connected');
+            break;
           case 'media':
-            if (openAiWs.readyState === WebSocket.OPEN) {
-              if (isAIResponding) {
-                openAiWs.send(JSON.stringify({ type: 'response.cancel' }));
-                setTimeout(() => {
-                  openAiWs.send(JSON.stringify({ type: 'input_audio_buffer.clear' }));
-                }, MESSAGE_SEQUENCE_DELAY_MS);
-                isAIResponding = false;
-              }
-              
+            latestMediaTimestamp = Number(data.media.timestamp) || latestMediaTimestamp;
+            if (recorder && lifecycle.is('greeting', 'active')) {
+              recorder.addInbound(Buffer.from(data.media.payload, 'base64'), data.media.timestamp != null ? latestMediaTimestamp : null);
+            }
+            if (lifecycle.is('greeting', 'active') && openAiWs?.readyState === WebSocket.OPEN) {
               const audioAppend = {
                 type: 'input_audio_buffer.append',
                 audio: data.media.payload
@@ -548,65 +1369,74 @@ fastify.register(async (fastify) => {
               openAiWs.send(JSON.stringify(audioAppend));
             }
             break;
-          case 'start':
+          case 'mark':
+            playback.markPlayed(data.mark?.name, latestMediaTimestamp);
+            runCallActionWhenPlayed();
+            break;
+          case 'dtmf': {
+            if (!lifecycle.is('greeting', 'active')) break;
+            const entry = keypad.press(data.dtmf?.digit);
+            if (entry) {
+              handleKeypadEntry(entry);
+            }
+            break;
+          }
+          case 'stop':
+            console.log('📴 Twilio stopped the stream:', streamSid);
+            endCall(hangUpReason());
+            break;
+          case 'start': {
+            if (!lifecycle.is('connecting')) {
+              console.warn('Ignoring start event for stream in state', lifecycle.state, streamSid);
+              break;
+            }
+
+            const verification = verifyMediaStream(data.start.customParameters);
+            if (!verification.valid) {
+              console.warn(`🚫 Rejected media stream ${data.start.streamSid} from ${req.ip}: ${verification.reason}`);
+              connection.close(1008, 'Unauthorized');
+              break;
+            }
+
             streamSid = data.start.streamSid;
+            callSid = verification.claims?.call_sid || data.start.callSid || null;
             console.log('Incoming stream started:', streamSid);
-
-            // Extract phone number from Twilio customParameters
-            if (data.start.customParameters?.phone) {
-              phoneNumber = data.start.customParameters.phone;
+            lifecycle.startGreeting();
+            if (RECORD_CALLS) {
+              recorder = createCallRecorder({ maxDurationMs: MAX_CALL_DURATION_SECONDS * 1000 });
+            }
+            maxDurationTimer = setTimeout(() => {
+              console.warn(`⏱️ Call ${streamSid} reached the ${MAX_CALL_DURATION_SECONDS}s limit`);
+              endCall('timeout');
+            }, MAX_CALL_DURATION_SECONDS * 1000);
+            connectToOpenAI();
+
+            // The signed token carries the caller's number; the plain parameter is only trusted in dev mode
+            const callerPhone = verification.claims?.phone || (SKIP_TWILIO_VALIDATION ? data.start.customParameters?.phone : null);
+            if (callerPhone) {
+              phoneNumber = callerPhone;
               console.log('📱 Caller phone number:', phoneNumber);
 
               // Check if this is a returning caller
               returningCaller = getCallerByPhoneNumber(phoneNumber);
               if (returningCaller && returningCaller.caller_name) {
                 console.log(`👋 Returning caller detected: ${returningCaller.caller_name}`);
+                callerName = returningCaller.caller_name;
               }
             }
 
-            createInspection(streamSid, phoneNumber);
-            console.log('📋 New inspection record created for stream:', streamSid);
-
-            // Send initial greeting based on caller status
-            // Wait for OpenAI WebSocket to be ready before sending greeting
-            const sendGreeting = () => {
-              if (openAiWs.readyState === WebSocket.OPEN) {
-                let greetingText;
-                if (returningCaller && returningCaller.caller_name) {
-                  greetingText = `This is a returning caller named ${returningCaller.caller_name}. Welcome them back warmly and invite them to begin a scaffolding inspection. DO NOT ask for their name - use ${returningCaller.caller_name} for the inspector_name field.`;
-                } else {
-                  greetingText = 'This is a new caller. Please greet them and invite them to begin a scaffolding inspection. You will need to ask for their name.';
-                }
-
-                const initialMessage = {
-                  type: 'conversation.item.create',
-                  item: {
-                    type: 'message',
-                    role: 'user',
-                    content: [
-                      {
-                        type: 'input_text',
-                        text: greetingText
-                      }
-                    ]
-                  }
-                };
-                openAiWs.send(JSON.stringify(initialMessage));
-
-                // Trigger AI response after a small delay to ensure proper message sequencing
-                setTimeout(() => {
-                  openAiWs.send(JSON.stringify({ type: 'response.create' }));
-                }, MESSAGE_SEQUENCE_DELAY_MS);
-              } else {
-                // If WebSocket not ready yet, wait and retry
-                setTimeout(sendGreeting, 100);
-              }
-            };
+            createCall(streamSid, phoneNumber);
+            console.log('📋 New call record created for stream:', streamSid);
+            if (returningCaller?.caller_name) {
+              advanceProgress('caller_identified');
+            }
 
+            // Greet based on caller status once OpenAI is ready
             setTimeout(sendGreeting, GREETING_DELAY_OFFSET_MS);
             break;
+          }
           default:
-            console.log('Received non-media event:', data.event);
+            console.log('Unhandled Twilio event:', data.event);
             break;
         }
       } catch (error) {
@@ -616,32 +1446,76 @@ fastify.register(async (fastify) => {
 
     // Handle connection close
     connection.on('close', () => {
-      if (openAiWs.readyState === WebSocket.OPEN) {
-        openAiWs.close();
-      }
-      
-      if (streamSid) {
-        completeInspection(streamSid);
-        console.log('✅ Inspection call completed:', streamSid);
-      }
-      
+      endCall(hangUpReason());
+      lifecycle.close();
       console.log('Client disconnected');
     });
 
-    // Handle OpenAI WebSocket close
-    openAiWs.on('close', () => {
-      console.log('Disconnected from OpenAI Realtime API');
-    });
-
-    // Handle errors
-    openAiWs.on('error', (error) => {
-      console.error('OpenAI WebSocket error:', error);
-    });
   });
 });
 
+// The URL Twilio requested, which is what it signs. Behind a proxy or tunnel set
+// PUBLIC_URL (e.g., https://abc123.ngrok.io) so it matches the configured webhook.
+function getTwilioRequestUrl(request) {
+  return getPublicBaseUrl(request) + request.url;
+}
+
+// Base URL Twilio reaches this server on
+function getPublicBaseUrl(request) {
+  if (PUBLIC_URL) {
+    return PUBLIC_URL.replace(/\/+$/, '');
+  }
+  const protocol = request.headers['x-forwarded-proto']?.split(',')[0].trim() || request.protocol;
+  return `${protocol}://${request.headers.host}`;
+}
+
+// Media stream WebSocket URL handed to Twilio in the TwiML
+function getMediaStreamUrl(request) {
+  if (PUBLIC_URL) {
+    return PUBLIC_URL.replace(/\/+$/, '').replace(/^http/, 'ws') + '/media-stream';
+  }
+  return `wss://${request.headers.host}/media-stream`;
+}
+
+// Check that a webhook request really came from Twilio
+function verifyTwilioRequest(request) {
+  if (SKIP_TWILIO_VALIDATION) {
+    return { valid: true };
+  }
+  if (!TWILIO_AUTH_TOKEN) {
+    return { valid: false, reason: 'TWILIO_AUTH_TOKEN is not configured' };
+  }
+
+  const signature = request.headers['x-twilio-signature'];
+  if (!signature) {
+    return { valid: false, reason: 'missing X-Twilio-Signature header' };
+  }
+  if (!validateTwilioSignature(TWILIO_AUTH_TOKEN, signature, getTwilioRequestUrl(request), request.body || {})) {
+    return { valid: false, reason: 'invalid X-Twilio-Signature (check PUBLIC_URL matches the webhook URL configured in Twilio)' };
+  }
+  return { valid: true };
+}
+
+// Check the stream token issued by /incoming-call
+function verifyMediaStream(customParameters = {}) {
+  if (SKIP_TWILIO_VALIDATION) {
+    return { valid: true };
+  }
+  if (!TWILIO_AUTH_TOKEN) {
+    return { valid: false, reason: 'TWILIO_AUTH_TOKEN is not configured' };
+  }
+  return verifyStreamToken(TWILIO_AUTH_TOKEN, customParameters.token);
+}
+
 // Incoming call webhook - returns TwiML
 fastify.post('/incoming-call', async (request, reply) => {
+  const verification = verifyTwilioRequest(request);
+  if (!verification.valid) {
+    console.warn(`🚫 Rejected /incoming-call from ${request.ip}: ${verification.reason}`);
+    reply.code(403).send({ error: 'Forbidden' });
+    return;
+  }
+
   // Twilio sends the caller's phone number in the 'From' parameter
   const callerPhoneNumber = request.body.From || null;
   console.log('📞 Incoming call from:', callerPhoneNumber);
@@ -657,26 +1531,43 @@ fastify.post('/incoming-call', async (request, reply) => {
     }
   }
   
-  // Pass caller info via Twilio Stream parameters
-  const parameterXml = callerPhoneNumber
-    ? `<Parameter name="phone" value="${callerPhoneNumber}" />`
-    : '';
+  // Pass caller info via Twilio Stream parameters, with a signed token the
+  // media stream must present
+  const parameters = { phone: callerPhoneNumber };
+  if (TWILIO_AUTH_TOKEN) {
+    parameters.token = createStreamToken(
+      TWILIO_AUTH_TOKEN,
+      { phone: callerPhoneNumber, call_sid: request.body.CallSid || null },
+      { ttlSeconds: STREAM_TOKEN_TTL_SECONDS }
+    );
+  }
+
+  const action = `${getPublicBaseUrl(request)}/stream-ended`;
+  reply.type('text/xml').send(twiml(connectStream(getMediaStreamUrl(request), parameters, { action })));
+});
+
+// Twilio asks what to do next once the media stream closes. Normally that
+// means hanging up; a call the server had to abandon gets a message first, and
+// a transfer the REST API could not make is dialled from here instead.
+fastify.post('/stream-ended', async (request, reply) => {
+  const verification = verifyTwilioRequest(request);
+  if (!verification.valid) {
+    console.warn(`🚫 Rejected /stream-ended from ${request.ip}: ${verification.reason}`);
+    reply.code(403).send({ error: 'Forbidden' });
+    return;
+  }
 
-  const twimlResponse = `<?xml version="1.0" encoding="UTF-8"?>
-    <Response>
-      <Connect>
-        <Stream url="wss://${request.headers.host}/media-stream">
-          ${parameterXml}
-        </Stream>
-      </Connect>
-    </Response>`;
+  const callSid = request.body.CallSid;
+  const next = streamEndTwiml.get(callSid);
+  streamEndTwiml.delete(callSid);
 
-  reply.type('text/xml').send(twimlResponse);
+  reply.type('text/xml').send(next || twiml(hangup()));
 });
 
 // Health check endpoint
 fastify.get('/', async (request, reply) => {
-  const mcpStatus = Array.from(mcpClients.keys());
+  const mcpStatus = mcpSupervisor.status()
+    .map(server => ({ ...server, tools: mcpToolCatalog.tools([server.name]).length }));
   const stats = getInspectionStats();
   const equipmentStats = getEquipmentStats();
   return {
@@ -688,6 +1579,41 @@ fastify.get('/', async (request, reply) => {
   };
 });
 
+// Check that an admin request carries ADMIN_TOKEN. Without one configured,
+// admin endpoints are turned off.
+function verifyAdminRequest(request) {
+  if (!ADMIN_TOKEN) {
+    return { valid: false, status: 403, reason: 'ADMIN_TOKEN is not configured' };
+  }
+  if (!validateBearerToken(ADMIN_TOKEN, request.headers.authorization)) {
+    return { valid: false, status: 401, reason: 'missing or invalid admin token' };
+  }
+  return { valid: true };
+}
+
+// preHandler for routes that change the server's state: the MCP servers, the
+// equipment registry and inspection schedules
+async function requireAdmin(request, reply) {
+  const verification = verifyAdminRequest(request);
+  if (!verification.valid) {
+    console.warn(`🚫 Rejected ${request.method} ${request.url} from ${request.ip}: ${verification.reason}`);
+    reply.code(verification.status).send({ error: verification.status === 401 ? 'Unauthorized' : 'Forbidden' });
+    return reply;
+  }
+}
+
+// Re-read the MCP config: start added servers, stop removed ones, restart
+// changed ones and retry any that are down. The phone server keeps running.
+fastify.post('/mcp/reload', { preHandler: requireAdmin }, async (request, reply) => {
+  try {
+    const { servers, errors } = await loadMCPServers();
+    return { servers, errors };
+  } catch (error) {
+    console.error(`❌ ${error.message}. Keeping the running MCP servers.`);
+    reply.code(400).send({ error: 'Invalid MCP configuration', details: [error.message] });
+  }
+});
+
 // API endpoint to get all inspections
 fastify.get('/inspections', async (request, reply) => {
   const limit = parseInt(request.query.limit) || 100;
@@ -695,6 +1621,103 @@ fastify.get('/inspections', async (request, reply) => {
   return { inspections, count: inspections.length };
 });
 
+// API endpoint to list calls that ended without an inspection, for follow-up
+fastify.get('/inspections/incomplete', async (request, reply) => {
+  const limit = parseInt(request.query.limit) || 100;
+  const calls = getIncompleteCalls(limit);
+  return { calls, count: calls.length };
+});
+
+// API endpoint to search inspection comments and call transcripts
+fastify.get('/inspections/search', async (request, reply) => {
+  const validation = validateInspectionSearch(request.query);
+  if (!validation.valid) {
+    reply.code(400).send({ error: 'Validation failed', details: validation.errors });
+    return;
+  }
+  const { q, equipment_id: equipmentId, from, to } = request.query;
+  const limit = parseInt(request.query.limit) || 20;
+  const offset = parseInt(request.query.offset) || 0;
+  const { inspections, total } = searchInspections(q, {
+    result: request.query.result?.toUpperCase() ?? null,
+    equipmentId: equipmentId ?? null,
+    from: from ?? null,
+    to: to ?? null,
+    limit,
+    offset
+  });
+  return {
+    query: q,
+    inspections,
+    count: inspections.length,
+    total,
+    limit,
+    offset,
+    next_offset: offset + inspections.length < total ? offset + inspections.length : null
+  };
+});
+
+// API endpoint to get every inspection recorded during a call
+fastify.get('/inspections/call/:streamSid', async (request, reply) => {
+  const inspections = getInspectionsByStreamSid(request.params.streamSid);
+  return { inspections, count: inspections.length };
+});
+
+// API endpoint to get the conversation behind an inspection
+fastify.get('/inspections/:id/transcript', async (request, reply) => {
+  const inspection = getInspectionById(request.params.id);
+  if (!inspection) {
+    reply.code(404).send({ error: 'Inspection not found' });
+    return;
+  }
+  const transcript = getTranscriptByInspectionId(inspection.id);
+  return { inspection_id: inspection.id, stream_sid: inspection.stream_sid, transcript, count: transcript.length };
+});
+
+// API endpoint to get the checklist answers recorded for an inspection
+fastify.get('/inspections/:id/checklist', async (request, reply) => {
+  const inspection = getInspectionById(request.params.id);
+  if (!inspection) {
+    reply.code(404).send({ error: 'Inspection not found' });
+    return;
+  }
+  const checklist = getChecklistByInspectionId(inspection.id);
+  return { inspection_id: inspection.id, equipment_id: inspection.equipment_id, checklist, count: checklist.length };
+});
+
+// API endpoint to stream the recording of the call behind an inspection
+fastify.get('/inspections/:id/recording', async (request, reply) => {
+  const inspection = getInspectionById(request.params.id);
+  if (!inspection) {
+    reply.code(404).send({ error: 'Inspection not found' });
+    return;
+  }
+  if (!inspection.recording_file) {
+    reply.code(404).send({ error: 'No recording for this inspection' });
+    return;
+  }
+
+  const path = join(RECORDINGS_DIR, basename(inspection.recording_file));
+  let size;
+  try {
+    ({ size } = await stat(path));
+  } catch (error) {
+    reply.code(404).send({ error: 'Recording file is missing' });
+    return;
+  }
+  reply
+    .header('content-type', 'audio/wav')
+    .header('content-length', size)
+    .header('content-disposition', `inline; filename="${inspection.recording_file}"`);
+  return reply.send(createReadStream(path));
+});
+
+// API endpoint to get the full transcript of a call
+fastify.get('/calls/:streamSid/transcript', async (request, reply) => {
+  const transcript = getTranscriptByStreamSid(request.params.streamSid);
+  return { stream_sid: request.params.streamSid, transcript, count: transcript.length };
+});
+
 // API endpoint to get inspection by tag
 fastify.get('/inspections/equipment/:equipmentId', async (request, reply) => {
   const inspections = getInspectionByEquipmentId(request.params.equipmentId);
@@ -726,13 +1749,26 @@ fastify.get('/inspections/stats', async (request, reply) => {
   return { stats };
 });
 
+// API endpoint to list calls with their inspection counts
+fastify.get('/calls', async (request, reply) => {
+  const limit = parseInt(request.query.limit) || 100;
+  const calls = getAllCalls(limit);
+  return { calls, count: calls.length };
+});
+
 fastify.get('/equipment', async (request, reply) => {
   const equipment = getAllEquipment();
   return { equipment, count: equipment.length };
 });
 
+// The REST API addresses equipment by its exact ID; only the voice tools accept
+// spoken or misheard IDs, so an admin request can't reach a similar record
+function findEquipmentByExactId(id) {
+  return findEquipmentById(id.trim().toUpperCase());
+}
+
 fastify.get('/equipment/:equipmentId', async (request, reply) => {
-  const equipment = getEquipmentById(request.params.equipmentId);
+  const equipment = findEquipmentByExactId(request.params.equipmentId);
   if (!equipment) {
     reply.code(404).send({ error: 'Equipment not found' });
     return;
@@ -750,34 +1786,228 @@ fastify.get('/equipment/stats', async (request, reply) => {
   return { stats };
 });
 
+// API endpoint to list scheduled equipment whose inspection is overdue
+fastify.get('/equipment/overdue', async (request, reply) => {
+  const equipment = getOverdueEquipment();
+  return { equipment, count: equipment.length };
+});
+
+// API endpoint to list scheduled equipment falling due within ?within= days (default 7)
+fastify.get('/equipment/due', async (request, reply) => {
+  // Number('') is 0, so check the text itself: digits only
+  const { within: rawWithin } = request.query;
+  if (rawWithin !== undefined && (typeof rawWithin !== 'string' || !/^[0-9]+$/.test(rawWithin))) {
+    reply.code(400).send({ error: 'within must be a whole number of days' });
+    return;
+  }
+  const within = rawWithin === undefined ? 7 : Number(rawWithin);
+  const equipment = getEquipmentDueWithin(within);
+  return { equipment, count: equipment.length, within };
+});
+
+// API endpoints for per-type inspection intervals (equipment may override with inspection_interval_days)
+fastify.get('/inspection-schedules', async (request, reply) => {
+  const schedules = listInspectionSchedules();
+  return { schedules, count: schedules.length };
+});
+
+fastify.put('/inspection-schedules/:equipmentType', { preHandler: requireAdmin }, async (request, reply) => {
+  const validation = validateInspectionSchedule(request.body);
+  if (!validation.valid) {
+    reply.code(400).send({ error: 'Validation failed', details: validation.errors });
+    return;
+  }
+  const schedule = setInspectionSchedule(request.params.equipmentType, request.body.interval_days);
+  return { schedule };
+});
+
+fastify.delete('/inspection-schedules/:equipmentType', { preHandler: requireAdmin }, async (request, reply) => {
+  if (!deleteInspectionSchedule(request.params.equipmentType)) {
+    reply.code(404).send({ error: 'Schedule not found' });
+    return;
+  }
+  return { deleted: true, equipment_type: request.params.equipmentType };
+});
+
+// Equipment IDs are fixed at creation; PUT/PATCH bodies may repeat the ID but not change it
+function isEquipmentIdChange(body, existing) {
+  return body?.id !== undefined
+    && (typeof body.id !== 'string' || body.id.trim().toUpperCase() !== existing.id.toUpperCase());
+}
+
+// API endpoint to add equipment to the registry
+fastify.post('/equipment', { preHandler: requireAdmin }, async (request, reply) => {
+  const validation = validateEquipmentData(request.body);
+  if (!validation.valid) {
+    reply.code(400).send({ error: 'Validation failed', details: validation.errors });
+    return;
+  }
+  // A new ID that merely sounds like an existing one is still new
+  if (findEquipmentByExactId(request.body.id)) {
+    reply.code(409).send({ error: `Equipment ${request.body.id.trim().toUpperCase()} already exists` });
+    return;
+  }
+  const equipment = insertEquipment(request.body);
+  console.log(`🏗️  Equipment added: ${equipment.id}`);
+  reply.code(201);
+  return { equipment };
+});
+
+// API endpoint to replace an equipment record
+fastify.put('/equipment/:equipmentId', { preHandler: requireAdmin }, async (request, reply) => {
+  const existing = findEquipmentByExactId(request.params.equipmentId);
+  if (!existing) {
+    reply.code(404).send({ error: 'Equipment not found' });
+    return;
+  }
+  const body = request.body || {};
+  if (isEquipmentIdChange(body, existing)) {
+    reply.code(400).send({ error: 'Equipment id cannot be changed' });
+    return;
+  }
+  const validation = validateEquipmentData({ ...body, id: existing.id });
+  if (!validation.valid) {
+    reply.code(400).send({ error: 'Validation failed', details: validation.errors });
+    return;
+  }
+  const equipment = updateEquipment(existing.id, {
+    type: body.type,
+    location: body.location,
+    height: body.height ?? null,
+    last_inspection: body.last_inspection ?? null,
+    status: body.status || 'active',
+    notes: body.notes ?? null,
+    inspection_interval_days: body.inspection_interval_days ?? null
+  });
+  console.log(`🏗️  Equipment replaced: ${equipment.id}`);
+  return { equipment };
+});
+
+// API endpoint to update selected fields of an equipment record
+fastify.patch('/equipment/:equipmentId', { preHandler: requireAdmin }, async (request, reply) => {
+  const existing = findEquipmentByExactId(request.params.equipmentId);
+  if (!existing) {
+    reply.code(404).send({ error: 'Equipment not found' });
+    return;
+  }
+  const body = request.body || {};
+  if (isEquipmentIdChange(body, existing)) {
+    reply.code(400).send({ error: 'Equipment id cannot be changed' });
+    return;
+  }
+  const { id, ...changes } = body;
+  const validation = validateEquipmentData(changes, { partial: true });
+  if (!validation.valid) {
+    reply.code(400).send({ error: 'Validation failed', details: validation.errors });
+    return;
+  }
+  const equipment = updateEquipment(existing.id, changes);
+  console.log(`🏗️  Equipment updated: ${equipment.id}`);
+  return { equipment };
+});
+
+// API endpoint to return tagged-out equipment to service after repair
+fastify.post('/equipment/:equipmentId/return-to-service', { preHandler: requireAdmin }, async (request, reply) => {
+  const existing = findEquipmentByExactId(request.params.equipmentId);
+  if (!existing) {
+    reply.code(404).send({ error: 'Equipment not found' });
+    return;
+  }
+  if (existing.status !== 'tagged_out') {
+    reply.code(409).send({ error: `Equipment ${existing.id} is not tagged out (status: ${existing.status})` });
+    return;
+  }
+  const notes = request.body?.notes;
+  if (notes !== undefined && typeof notes !== 'string') {
+    reply.code(400).send({ error: 'Validation failed', details: ['notes must be a string'] });
+    return;
+  }
+  const equipment = updateEquipment(existing.id, notes !== undefined ? { status: 'active', notes } : { status: 'active' });
+  console.log(`✅ Equipment returned to service: ${equipment.id}`);
+  return { equipment };
+});
+
+// API endpoint to remove equipment from the registry
+fastify.delete('/equipment/:equipmentId', { preHandler: requireAdmin }, async (request, reply) => {
+  const existing = findEquipmentByExactId(request.params.equipmentId);
+  if (!existing) {
+    reply.code(404).send({ error: 'Equipment not found' });
+    return;
+  }
+  deleteEquipment(existing.id);
+  console.log(`🗑️  Equipment removed: ${existing.id}`);
+  return { deleted: true, equipment: existing };
+});
+
 // Start the server
 async function start() {
   try {
     // Initialize database first
     initializeDatabase();
+    seedEquipmentRegistry();
+
+    // Calls still open in the database were cut off when the server last stopped
+    const orphanedCalls = closeOrphanedCalls();
+    if (orphanedCalls > 0) {
+      console.log(`🧹 Closed ${orphanedCalls} call(s) left open by the last server run`);
+    }
+
+    if (RECORD_CALLS) {
+      mkdirSync(RECORDINGS_DIR, { recursive: true });
+      console.log(`🎙️ Recording calls to ${RECORDINGS_DIR}`);
+    }
+    await deleteExpiredRecordings();
+    setInterval(() => {
+      deleteExpiredRecordings().catch(error => console.error('❌ Error deleting expired recordings:', error));
+    }, RECORDING_SWEEP_INTERVAL_MS).unref();
     
     // Initialize MCP servers
     await initializeMCP();
+    setInterval(refreshMCPTools, MCP_TOOLS_REFRESH_INTERVAL_MS).unref();
 
     await fastify.listen({ port: PORT, host: '0.0.0.0' });
     console.log(`\n🚀 Server is listening on port ${PORT}`);
     console.log(`📞 Twilio webhook URL: http://your-domain/incoming-call`);
     console.log(`🔌 WebSocket endpoint: ws://your-domain/media-stream`);
+    if (SKIP_TWILIO_VALIDATION) {
+      console.warn('⚠️  TWILIO_SKIP_VALIDATION=true - accepting unsigned Twilio requests (development only)');
+    } else if (!TWILIO_AUTH_TOKEN) {
+      console.warn('⚠️  TWILIO_AUTH_TOKEN is not set - all calls will be rejected');
+    }
     console.log(`📊 API endpoints:`);
     console.log(`   GET  /inspections - List all inspections`);
+    console.log(`   GET  /inspections/call/:streamSid - Get all inspections from a call`);
+    console.log(`   GET  /inspections/:id/transcript - Get the conversation behind an inspection`);
+    console.log(`   GET  /inspections/:id/checklist - Get the checklist answers behind an inspection`);
+    console.log(`   GET  /inspections/:id/recording - Play the recording of the call behind an inspection`);
     console.log(`   GET  /inspections/equipment/:equipmentId - Get inspections by equipment ID`);
     console.log(`   GET  /inspections/result/:result - Filter by PASS/FAIL`);
     console.log(`   GET  /inspections/location/:location - Search by location`);
     console.log(`   GET  /inspections/stats - Get statistics`);
+    console.log(`   GET  /calls - List calls with inspection counts`);
+    console.log(`   GET  /calls/:streamSid/transcript - Get the full transcript of a call`);
     console.log(`   GET  /equipment - List all equipment`);
     console.log(`   GET  /equipment/:equipmentId - Get equipment by ID`);
     console.log(`   GET  /equipment/location/:location - Search equipment by location`);
     console.log(`   GET  /equipment/stats - Get equipment statistics`);
-
-    if (mcpClients.size > 0) {
-      console.log(`🔧 MCP servers active: ${Array.from(mcpClients.keys()).join(', ')}`);
+    console.log(`   GET  /equipment/overdue - List equipment overdue for inspection`);
+    console.log(`   GET  /equipment/due?within=7 - List equipment due for inspection soon`);
+    console.log(`   GET  /inspection-schedules - List per-type inspection intervals`);
+    console.log(`   PUT  /inspection-schedules/:equipmentType - Set a per-type inspection interval (requires ADMIN_TOKEN)`);
+    console.log(`   DELETE /inspection-schedules/:equipmentType - Remove a per-type inspection interval (requires ADMIN_TOKEN)`);
+    console.log(`   POST /equipment - Add equipment (requires ADMIN_TOKEN)`);
+    console.log(`   PUT  /equipment/:equipmentId - Replace equipment (requires ADMIN_TOKEN)`);
+    console.log(`   PATCH /equipment/:equipmentId - Update equipment fields (requires ADMIN_TOKEN)`);
+    console.log(`   POST /equipment/:equipmentId/return-to-service - Return tagged-out equipment to service (requires ADMIN_TOKEN)`);
+    console.log(`   DELETE /equipment/:equipmentId - Remove equipment (requires ADMIN_TOKEN)`);
+
+    console.log(`   POST /mcp/reload - Reload the MCP server config (requires ADMIN_TOKEN)`);
+
+    const activeServers = mcpSupervisor.clients().map(([name]) => name);
+    if (activeServers.length > 0) {
+      console.log(`🔧 MCP servers active: ${activeServers.join(', ')}`);
     } else {
-      console.log('ℹ️  No MCP servers configured (add MCP_SERVERS to .env)');
+      console.log('ℹ️  No MCP servers configured (set MCP_CONFIG_FILE or MCP_SERVERS in .env)');
     }
   } catch (err) {
     console.error('Error starting server:', err);
@@ -788,12 +2018,14 @@ async function start() {
 // Cleanup on exit
 process.on('SIGINT', () => {
   console.log('\n🛑 Shutting down...');
+  mcpSupervisor.stop();
   closeDatabase();
   process.exit(0);
 });
 
 process.on('SIGTERM', () => {
   console.log('\n🛑 Shutting down...');
+  mcpSupervisor.stop();
   closeDatabase();
   process.exit(0);
 });
@@ -0,0 +1,72 @@
+// Keypad (DTMF) entry of equipment numbers, for job sites too noisy for the
+// speech recognizer. The caller types the number from the equipment tag and
+// presses # to send it; * starts the entry over.
+
+const TERMINATOR = '#';
+const RESET = '*';
+
+// Longer entries are a stuck key or a pocket dial, not an equipment number
+const MAX_DIGITS = 6;
+
+/**
+ * Create a buffer for the digits of one keypad entry at a time
+ * @returns {Object} - { press, pending }
+ */
+export function createKeypadBuffer() {
+  let digits = '';
+
+  return {
+    /**
+     * Add a key press from a Twilio dtmf event
+     * @param {string} key - 0-9, * or #
+     * @returns {string|null} - The digits entered, once # is pressed after at least one digit
+     */
+    press(key) {
+      if (key === TERMINATOR) {
+        const entered = digits;
+        digits = '';
+        return entered || null;
+      }
+      if (key === RESET) {
+        digits = '';
+      } else if (/^[0-9]$/.test(key) && digits.length < MAX_DIGITS) {
+        digits += key;
+      }
+      return null;
+    },
+
+    /**
+     * Digits typed since the last # or *
+     */
+    pending() {
+      return digits;
+    }
+  };
+}
+
+/**
+ * Tell the assistant what the caller keyed in and what it matched
+ * @param {string} digits - Digits entered before #
+ * @param {Array} matches - Registry equipment whose ID number equals the digits
+ * @returns {string} - Instructions for the assistant
+ */
+export function describeKeypadEntry(digits, matches) {
+  const heard = `The caller keyed in equipment number ${digits} on their phone keypad.`;
+
+  if (matches.length === 0) {
+    return `${heard} No equipment in the registry has that number. Tell them, and ask them to check the tag and key it in again followed by the pound key, or to give the location instead.`;
+  }
+
+  if (matches.length === 1) {
+    const [equipment] = matches;
+    return `${heard} That is equipment ${equipment.id}, the ${equipment.type} at ${equipment.location}. Call get_equipment_info with "${equipment.id}", then read the ID back to the caller and ask them to confirm it is the one they are inspecting.`;
+  }
+
+  const options = matches.map(equipment => `${equipment.id} (${equipment.type} at ${equipment.location})`).join(', ');
+  return `${heard} More than one piece of equipment has that number: ${options}. Ask the caller which one they are inspecting, then call get_equipment_info with its ID.`;
+}
+
+export default {
+  createKeypadBuffer,
+  describeKeypadEntry
+};
@@ -0,0 +1,128 @@
+// Word-based location search. Callers describe places in their own order and
+// words ("bay three in warehouse A", "north wall of building B"), so queries and
+// locations are both reduced to normalized words and compared as sets.
+
+const NUMBER_WORDS = {
+  zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9,
+  ten: 10, eleven: 11, twelve: 12, thirteen: 13, fourteen: 14, fifteen: 15,
+  sixteen: 16, seventeen: 17, eighteen: 18, nineteen: 19,
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5, sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+const TENS_WORDS = {
+  twenty: 20, thirty: 30, forty: 40, fifty: 50, sixty: 60, seventy: 70, eighty: 80, ninety: 90
+};
+
+const ABBREVIATIONS = {
+  bldg: 'building', bld: 'building', whse: 'warehouse', wh: 'warehouse', mfg: 'manufacturing',
+  flr: 'floor', fl: 'floor', ext: 'exterior', dept: 'department', maint: 'maintenance'
+};
+
+const STOP_WORDS = new Set(['the', 'of', 'at', 'in', 'on', 'by', 'near', 'and', 'number']);
+
+// A query word this long also matches location words it starts ("manufact")
+const MIN_PREFIX_LENGTH = 3;
+const PREFIX_MATCH_QUALITY = 0.8;
+
+function normalizeWord(word) {
+  if (/^[0-9]+(st|nd|rd|th)$/.test(word)) return String(parseInt(word, 10));
+  if (/^[0-9]+$/.test(word)) return String(Number(word));
+  const expanded = ABBREVIATIONS[word] || word;
+  // Plurals: "bays" finds "Bay 3"
+  return expanded.length > 3 ? expanded.replace(/([^s])s$/, '$1') : expanded;
+}
+
+/**
+ * Split a location into normalized words: lowercase, number words as digits,
+ * abbreviations expanded, filler words dropped
+ * @param {string} text - Location as written or spoken
+ * @returns {Array<string>} - Words in their original order
+ */
+export function tokenizeLocation(text) {
+  const words = String(text ?? '')
+    .toLowerCase()
+    .replace(/([a-z])([0-9])/g, '$1 $2')
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOP_WORDS.has(word));
+
+  const tokens = [];
+  let afterTens = false;
+  for (const word of words) {
+    const wasAfterTens = afterTens;
+    afterTens = false;
+    if (word in TENS_WORDS) {
+      tokens.push(String(TENS_WORDS[word]));
+      afterTens = true;
+    } else if (word in NUMBER_WORDS) {
+      const value = NUMBER_WORDS[word];
+      // "twenty one" is 21
+      if (wasAfterTens && value > 0 && value < 10) {
+        tokens.push(String(Number(tokens.pop()) + value));
+      } else {
+        tokens.push(String(value));
+      }
+    } else {
+      tokens.push(normalizeWord(word));
+    }
+  }
+  return tokens;
+}
+
+function wordMatchQuality(queryWord, locationWord) {
+  if (queryWord === locationWord) return 1;
+  if (queryWord.length >= MIN_PREFIX_LENGTH && /[a-z]/.test(queryWord) && locationWord.startsWith(queryWord)) {
+    return PREFIX_MATCH_QUALITY;
+  }
+  return 0;
+}
+
+/**
+ * Score how well a location matches a search. Every query word has to appear
+ * in the location, in any order.
+ * @param {string} query - Search text
+ * @param {string} location - Location to score
+ * @returns {number} - Relevance from 0 (no match) to 1 (the same words in the same order)
+ */
+export function scoreLocationMatch(query, location) {
+  const queryWords = [...new Set(tokenizeLocation(query))];
+  const locationWords = tokenizeLocation(location);
+  if (queryWords.length === 0 || locationWords.length === 0) return 0;
+
+  let quality = 0;
+  const positions = [];
+  for (const queryWord of queryWords) {
+    let best = { quality: 0, position: -1 };
+    locationWords.forEach((locationWord, position) => {
+      const wordQuality = wordMatchQuality(queryWord, locationWord);
+      if (wordQuality > best.quality) best = { quality: wordQuality, position };
+    });
+    if (best.quality === 0) return 0;
+    quality += best.quality;
+    positions.push(best.position);
+  }
+
+  // Prefer locations the query describes fully ("Bay 3" over "Bay 3 - Mezzanine")
+  const coverage = new Set(positions).size / locationWords.length;
+  const inOrder = positions.every((position, i) => i === 0 || position > positions[i - 1]);
+
+  return Math.round(((quality / queryWords.length) * 0.5 + coverage * 0.4 + (inOrder ? 0.1 : 0)) * 100) / 100;
+}
+
+/**
+ * Locations matching a search, most relevant first
+ * @param {string} query - Search text
+ * @param {Array<string>} locations - Candidate locations (duplicates are scored once)
+ * @returns {Array<Object>} - { location, relevance } for each match
+ */
+export function rankLocations(query, locations) {
+  return [...new Set(locations)]
+    .map(location => ({ location, relevance: scoreLocationMatch(query, location) }))
+    .filter(match => match.relevance > 0)
+    .sort((a, b) => b.relevance - a.relevance || a.location.localeCompare(b.location));
+}
+
+export default {
+  tokenizeLocation,
+  scoreLocationMatch,
+  rankLocations
+};
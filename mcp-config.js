@@ -0,0 +1,338 @@
+import { spawn } from 'child_process';
+import { readFileSync, statSync } from 'fs';
+import { dirname, resolve } from 'path';
+import { getDefaultEnvironment } from '@modelcontextprotocol/sdk/client/stdio.js';
+import { ReadBuffer, serializeMessage } from '@modelcontextprotocol/sdk/shared/stdio.js';
+
+// Which MCP servers to start and how. Read from the JSON file named by
+// MCP_CONFIG_FILE (the format of mcp-config.example.json), or else from
+// MCP_SERVERS with one MCP_<NAME>_COMMAND per server.
+
+// Server names prefix their tool names (weather__get_forecast), so they use
+// only the characters OpenAI allows in function names
+const SERVER_NAME_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const SERVER_FIELDS = ['command', 'args', 'env', 'cwd', 'enabled', 'description', 'timeoutMs', 'toolTimeouts'];
+
+const isTimeout = value => Number.isInteger(value) && value > 0;
+
+// "${GITHUB_TOKEN}" in an env value is taken from the server's own environment
+const ENV_REFERENCE = /\$\{([A-Za-z_][A-Za-z0-9_]*)\}/g;
+
+/**
+ * Split a command line into the command and its arguments, keeping quoted
+ * arguments ("/path/with spaces") together
+ * @param {string} command - Command line, e.g. from MCP_<NAME>_COMMAND
+ * @returns {Array<string>} - Command followed by its arguments
+ */
+export function parseCommandLine(command) {
+  const args = [];
+  let current = '';
+  let inQuote = false;
+  let quoteChar = '';
+
+  for (let i = 0; i < command.length; i++) {
+    const char = command[i];
+
+    if ((char === '"' || char === "'") && !inQuote) {
+      inQuote = true;
+      quoteChar = char;
+    } else if (char === quoteChar && inQuote) {
+      inQuote = false;
+      quoteChar = '';
+    } else if (char === ' ' && !inQuote) {
+      if (current) {
+        args.push(current);
+        current = '';
+      }
+    } else {
+      current += char;
+    }
+  }
+
+  if (current) {
+    args.push(current);
+  }
+  return args;
+}
+
+function isDirectory(path) {
+  try {
+    return statSync(path).isDirectory();
+  } catch {
+    return false;
+  }
+}
+
+function expandEnvValue(value, environment, name, key) {
+  return value.replace(ENV_REFERENCE, (reference, variable) => {
+    if (environment[variable] === undefined) {
+      throw new Error(`MCP server "${name}": env ${key} refers to ${reference}, which is not set`);
+    }
+    return environment[variable];
+  });
+}
+
+function checkServerName(name) {
+  if (!SERVER_NAME_PATTERN.test(name)) {
+    throw new Error(`MCP server "${name}": name may only contain letters, digits, underscores and hyphens`);
+  }
+}
+
+/**
+ * Check one server entry of a config file and fill in its defaults
+ * @param {string} name - Server name (the key under mcpServers)
+ * @param {Object} entry - { command, args, env, cwd, enabled, description, timeoutMs, toolTimeouts }
+ * @param {Object} options - baseDir for a relative cwd, environment for ${VAR} references
+ * @returns {Object} - { name, command, args, env, cwd, enabled, description, timeoutMs, toolTimeouts }
+ */
+export function normalizeServerConfig(name, entry, { baseDir = process.cwd(), environment = process.env } = {}) {
+  checkServerName(name);
+  const fail = message => {
+    throw new Error(`MCP server "${name}": ${message}`);
+  };
+
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    fail('must be an object');
+  }
+  for (const field of Object.keys(entry)) {
+    if (!SERVER_FIELDS.includes(field)) {
+      fail(`unknown field "${field}" (expected one of: ${SERVER_FIELDS.join(', ')})`);
+    }
+  }
+  if (typeof entry.command !== 'string' || entry.command.trim() === '') {
+    fail('command is required');
+  }
+  if (entry.args !== undefined && (!Array.isArray(entry.args) || !entry.args.every(arg => typeof arg === 'string'))) {
+    fail('args must be an array of strings');
+  }
+  if (entry.env !== undefined) {
+    const isObject = entry.env && typeof entry.env === 'object' && !Array.isArray(entry.env);
+    if (!isObject || !Object.values(entry.env).every(value => typeof value === 'string')) {
+      fail('env must map variable names to strings');
+    }
+  }
+  if (entry.cwd !== undefined && (typeof entry.cwd !== 'string' || entry.cwd.trim() === '')) {
+    fail('cwd must be a path');
+  }
+  if (entry.enabled !== undefined && typeof entry.enabled !== 'boolean') {
+    fail('enabled must be true or false');
+  }
+  if (entry.description !== undefined && typeof entry.description !== 'string') {
+    fail('description must be a string');
+  }
+  if (entry.timeoutMs !== undefined && !isTimeout(entry.timeoutMs)) {
+    fail('timeoutMs must be a whole number of milliseconds greater than 0');
+  }
+  if (entry.toolTimeouts !== undefined) {
+    const isObject = entry.toolTimeouts && typeof entry.toolTimeouts === 'object' && !Array.isArray(entry.toolTimeouts);
+    if (!isObject || !Object.values(entry.toolTimeouts).every(isTimeout)) {
+      fail('toolTimeouts must map tool names to whole numbers of milliseconds greater than 0');
+    }
+  }
+
+  const cwd = entry.cwd === undefined ? null : resolve(baseDir, entry.cwd);
+  const enabled = entry.enabled !== false;
+  // A disabled server may point at a directory that only exists where it runs
+  if (cwd && enabled && !isDirectory(cwd)) {
+    fail(`cwd ${cwd} is not a directory`);
+  }
+
+  const env = {};
+  for (const [key, value] of Object.entries(entry.env || {})) {
+    env[key] = enabled ? expandEnvValue(value, environment, name, key) : value;
+  }
+
+  return {
+    name,
+    command: entry.command,
+    args: entry.args || [],
+    env,
+    cwd,
+    enabled,
+    description: entry.description || '',
+    timeoutMs: entry.timeoutMs ?? null,
+    toolTimeouts: entry.toolTimeouts || {}
+  };
+}
+
+/**
+ * Read MCP servers from a JSON config file. Relative cwd paths are resolved
+ * against the file's directory.
+ * @param {string} path - Config file with an "mcpServers" object
+ * @param {Object} environment - Variables for ${VAR} references in env values
+ * @returns {Object} - { servers, errors }; a server with a config error is
+ *   left out and its error, naming the server, is listed instead
+ */
+export function loadMCPConfigFile(path, environment = process.env) {
+  let parsed;
+  try {
+    parsed = JSON.parse(readFileSync(path, 'utf-8'));
+  } catch (error) {
+    throw new Error(`MCP config file ${path}: ${error.message}`);
+  }
+  const entries = parsed?.mcpServers;
+  if (!entries || typeof entries !== 'object' || Array.isArray(entries)) {
+    throw new Error(`MCP config file ${path}: "mcpServers" must be an object of servers by name`);
+  }
+
+  const servers = [];
+  const errors = [];
+  for (const [name, entry] of Object.entries(entries)) {
+    try {
+      servers.push(normalizeServerConfig(name, entry, { baseDir: dirname(resolve(path)), environment }));
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  return { servers, errors };
+}
+
+/**
+ * Read MCP servers from MCP_SERVERS and MCP_<NAME>_COMMAND
+ * @param {Object} environment - Environment variables
+ * @returns {Object} - { servers, errors }
+ */
+export function loadMCPConfigFromEnv(environment = process.env) {
+  const names = (environment.MCP_SERVERS || '').split(',').map(name => name.trim()).filter(Boolean);
+
+  const servers = [];
+  const errors = [];
+  for (const name of names) {
+    const commandVar = `MCP_${name.toUpperCase()}_COMMAND`;
+    try {
+      checkServerName(name);
+      const [command, ...args] = parseCommandLine(environment[commandVar] || '');
+      if (!command) {
+        throw new Error(`MCP server "${name}": ${commandVar} is not set`);
+      }
+      servers.push({ name, command, args, env: {}, cwd: null, enabled: true, description: '', timeoutMs: null, toolTimeouts: {} });
+    } catch (error) {
+      errors.push(error.message);
+    }
+  }
+  return { servers, errors };
+}
+
+/**
+ * Work out which MCP servers to start: from MCP_CONFIG_FILE if it is set,
+ * otherwise from MCP_SERVERS
+ * @param {Object} environment - Environment variables
+ * @returns {Object} - { source: 'file' | 'env', servers, errors }
+ */
+export function loadMCPConfig(environment = process.env) {
+  if (environment.MCP_CONFIG_FILE) {
+    if (environment.MCP_SERVERS) {
+      console.warn('⚠️  MCP_CONFIG_FILE is set, so MCP_SERVERS is ignored');
+    }
+    return { source: 'file', ...loadMCPConfigFile(environment.MCP_CONFIG_FILE, environment) };
+  }
+  return { source: 'env', ...loadMCPConfigFromEnv(environment) };
+}
+
+// Client transport that talks to an MCP server process over its stdin and
+// stdout, one JSON-RPC message per line. The SDK's own stdio transport can't
+// start the process in another directory.
+class ServerProcessTransport {
+  constructor({ command, args, env, cwd }) {
+    this.params = { command, args, env, cwd };
+    this.abortController = new AbortController();
+    this.readBuffer = new ReadBuffer();
+    this.process = null;
+  }
+
+  start() {
+    if (this.process) {
+      throw new Error('MCP server process already started');
+    }
+    return new Promise((resolve, reject) => {
+      const { command, args, env, cwd } = this.params;
+      this.process = spawn(command, args, {
+        cwd: cwd ?? undefined,
+        env,
+        stdio: ['pipe', 'pipe', 'inherit'],
+        shell: false,
+        signal: this.abortController.signal
+      });
+
+      this.process.on('error', error => {
+        // close() aborts the process on purpose
+        if (error.name === 'AbortError') {
+          this.onclose?.();
+          return;
+        }
+        reject(error);
+        this.onerror?.(error);
+      });
+      this.process.on('spawn', () => resolve());
+      this.process.on('close', () => {
+        this.process = null;
+        this.onclose?.();
+      });
+      this.process.stdin.on('error', error => this.onerror?.(error));
+      this.process.stdout.on('error', error => this.onerror?.(error));
+      this.process.stdout.on('data', chunk => {
+        this.readBuffer.append(chunk);
+        this.readMessages();
+      });
+    });
+  }
+
+  readMessages() {
+    for (;;) {
+      let message;
+      try {
+        message = this.readBuffer.readMessage();
+      } catch (error) {
+        this.onerror?.(error);
+        continue;
+      }
+      if (message === null) return;
+      this.onmessage?.(message);
+    }
+  }
+
+  send(message) {
+    return new Promise(resolve => {
+      if (!this.process?.stdin) {
+        throw new Error('Not connected');
+      }
+      if (this.process.stdin.write(serializeMessage(message))) {
+        resolve();
+      } else {
+        this.process.stdin.once('drain', resolve);
+      }
+    });
+  }
+
+  async close() {
+    this.abortController.abort();
+    this.process = null;
+    this.readBuffer.clear();
+  }
+}
+
+/**
+ * Create the stdio transport that starts a configured MCP server in its cwd.
+ * The server gets the SDK's minimal default environment (PATH, HOME, ...)
+ * plus its own env.
+ * @param {Object} server - Server config from loadMCPConfig()
+ * @returns {Object} - MCP client transport
+ */
+export function createStdioTransport(server) {
+  return new ServerProcessTransport({
+    command: server.command,
+    args: server.args,
+    env: { ...getDefaultEnvironment(), ...server.env },
+    cwd: server.cwd
+  });
+}
+
+export default {
+  parseCommandLine,
+  normalizeServerConfig,
+  loadMCPConfigFile,
+  loadMCPConfigFromEnv,
+  loadMCPConfig,
+  createStdioTransport
+};
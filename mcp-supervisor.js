@@ -0,0 +1,250 @@
+import { withTimeout } from './mcp-tools.js';
+
+// Keeps the configured MCP servers running. Each server is in one state:
+//
+//   starting → up → restarting → up
+//                        ↓
+//                      failed
+//
+// starting:   being connected for the first time (or after a reload)
+// up:         connected and answering pings
+// restarting: its process exited, it stopped answering pings or it could not
+//             be started; another attempt is scheduled with backoff
+// failed:     still down after several attempts in a row; retried at the
+//             longest backoff until it comes back or the config is reloaded
+// disabled:   in the config with "enabled": false, so never started
+//
+// onChange is also told when a server is removed by a reload (state "stopped").
+
+export const MCP_SERVER_STATES = ['starting', 'up', 'restarting', 'failed', 'disabled'];
+
+// Attempts in a row after which a server that won't stay up is reported as failed
+const FAIL_AFTER_ATTEMPTS = 5;
+
+// Longest wait between restart attempts (ms)
+const MAX_RESTART_DELAY_MS = 5 * 60 * 1000;
+
+/**
+ * Create the supervisor for a set of MCP servers
+ * @param {Object} options - connect(server) resolves to a connected MCP client;
+ *   onChange(status) is called after every state change; pingIntervalMs,
+ *   pingTimeoutMs and restartDelayMs (doubled for each further attempt) tune
+ *   the health checks
+ * @returns {Object} - { reload(), client(), config(), clients(), status(), stop() }
+ */
+export function createMCPSupervisor({
+  connect,
+  onChange = () => {},
+  pingIntervalMs = 30000,
+  pingTimeoutMs = 5000,
+  restartDelayMs = 1000
+} = {}) {
+  const entries = new Map();
+  let pingTimer = null;
+
+  const describe = entry => ({
+    name: entry.server.name,
+    state: entry.state,
+    description: entry.server.description,
+    since: entry.since,
+    restarts: entry.restarts,
+    failed_attempts: entry.attempts,
+    last_error: entry.lastError,
+    next_attempt_at: entry.nextAttemptAt
+  });
+
+  const isCurrent = entry => entries.get(entry.server.name) === entry && !entry.stopped;
+
+  const setState = (entry, state) => {
+    entry.state = state;
+    entry.since = new Date().toISOString();
+    if (state !== 'restarting' && state !== 'failed') {
+      entry.nextAttemptAt = null;
+    }
+    onChange(describe(entry));
+  };
+
+  const closeClient = entry => {
+    const { client } = entry;
+    entry.client = null;
+    if (client) {
+      client.onclose = undefined;
+      client.close().catch(() => {});
+    }
+  };
+
+  const scheduleRestart = (entry, error) => {
+    closeClient(entry);
+    entry.attempts++;
+    entry.lastError = error.message;
+    const delay = Math.min(restartDelayMs * 2 ** (entry.attempts - 1), MAX_RESTART_DELAY_MS);
+    entry.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    setState(entry, entry.attempts >= FAIL_AFTER_ATTEMPTS ? 'failed' : 'restarting');
+
+    entry.timer = setTimeout(() => {
+      entry.timer = null;
+      startServer(entry);
+    }, delay);
+    entry.timer.unref?.();
+  };
+
+  async function startServer(entry) {
+    let client;
+    try {
+      client = await connect(entry.server);
+    } catch (error) {
+      if (isCurrent(entry)) scheduleRestart(entry, error);
+      return;
+    }
+
+    if (!isCurrent(entry)) {
+      client.close().catch(() => {});
+      return;
+    }
+
+    const restarted = entry.attempts > 0;
+    entry.client = client;
+    entry.attempts = 0;
+    entry.lastError = null;
+    if (restarted) entry.restarts++;
+    client.onclose = () => {
+      if (entry.client === client && isCurrent(entry)) {
+        scheduleRestart(entry, new Error('server process exited'));
+      }
+    };
+    setState(entry, 'up');
+  }
+
+  const stopEntry = entry => {
+    entry.stopped = true;
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    closeClient(entry);
+  };
+
+  const pingAll = () => {
+    for (const entry of entries.values()) {
+      if (entry.state !== 'up' || entry.pinging) continue;
+      const { client } = entry;
+      entry.pinging = true;
+      withTimeout(client.ping(), pingTimeoutMs, `no answer to a ping within ${pingTimeoutMs}ms`)
+        .catch(error => {
+          if (entry.client === client && isCurrent(entry)) scheduleRestart(entry, error);
+        })
+        .finally(() => {
+          entry.pinging = false;
+        });
+    }
+  };
+
+  const supervisor = {
+    /**
+     * Start, stop or restart servers so the running set matches the config.
+     * Unchanged servers that are up keep running; any that are down are
+     * retried straight away.
+     * @param {Array<Object>} servers - Server configs from loadMCPConfig()
+     * @returns {Promise<Array<Object>>} - Status of every server, once each has had a first attempt
+     */
+    async reload(servers) {
+      const configured = new Map(servers.map(server => [server.name, server]));
+
+      for (const [name, entry] of entries) {
+        const server = configured.get(name);
+        if (!server || JSON.stringify(server) !== JSON.stringify(entry.server)) {
+          stopEntry(entry);
+          entries.delete(name);
+          if (!server) onChange({ ...describe(entry), state: 'stopped' });
+        }
+      }
+
+      const starting = [];
+      for (const server of servers) {
+        let entry = entries.get(server.name);
+        if (!entry) {
+          entry = { server, state: null, since: null, client: null, timer: null, attempts: 0, restarts: 0, lastError: null, nextAttemptAt: null };
+          entries.set(server.name, entry);
+          if (!server.enabled) {
+            setState(entry, 'disabled');
+            continue;
+          }
+          setState(entry, 'starting');
+          starting.push(startServer(entry));
+        } else if (entry.state === 'restarting' || entry.state === 'failed') {
+          clearTimeout(entry.timer);
+          entry.timer = null;
+          entry.attempts = 0;
+          setState(entry, 'starting');
+          starting.push(startServer(entry));
+        }
+      }
+
+      if (!pingTimer && pingIntervalMs > 0) {
+        pingTimer = setInterval(pingAll, pingIntervalMs);
+        pingTimer.unref?.();
+      }
+
+      await Promise.all(starting);
+      return supervisor.status();
+    },
+
+    /**
+     * Connected client of a server
+     * @param {string} name - Server name
+     * @returns {Object|null} - The client, or null unless the server is up
+     */
+    client(name) {
+      const entry = entries.get(name);
+      return entry?.state === 'up' ? entry.client : null;
+    },
+
+    /**
+     * Configuration of a server
+     * @param {string} name - Server name
+     * @returns {Object|null} - Server config from loadMCPConfig()
+     */
+    config(name) {
+      return entries.get(name)?.server ?? null;
+    },
+
+    /**
+     * Servers that are up
+     * @returns {Array<Array>} - [name, client] pairs
+     */
+    clients() {
+      return [...entries.values()]
+        .filter(entry => entry.state === 'up')
+        .map(entry => [entry.server.name, entry.client]);
+    },
+
+    /**
+     * State of every configured server
+     * @param {string} [name] - Only this server
+     * @returns {Array<Object>|Object|null} - { name, state, description, since,
+     *   restarts, failed_attempts, last_error, next_attempt_at }
+     */
+    status(name) {
+      if (name !== undefined) {
+        const entry = entries.get(name);
+        return entry ? describe(entry) : null;
+      }
+      return [...entries.values()].map(describe);
+    },
+
+    /**
+     * Close every server and stop the health checks
+     */
+    stop() {
+      clearInterval(pingTimer);
+      pingTimer = null;
+      for (const entry of entries.values()) stopEntry(entry);
+      entries.clear();
+    }
+  };
+
+  return supervisor;
+}
+
+export default {
+  MCP_SERVER_STATES,
+  createMCPSupervisor
+};
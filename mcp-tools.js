@@ -0,0 +1,245 @@
+import { createHash } from 'crypto';
+
+// Names the assistant sees for MCP tools, the table that routes those names
+// back to the server and tool they came from, and the cache of each server's
+// tool listing. OpenAI function names may only use letters, digits,
+// underscores and hyphens, up to 64 characters.
+
+export const MAX_FUNCTION_NAME_LENGTH = 64;
+
+// Between the server and tool name (weather__get_forecast). Built-in tools use
+// single underscores, so an MCP tool can't take a built-in's name.
+export const TOOL_NAME_SEPARATOR = '__';
+
+// Characters of the name hash kept when a name is shortened
+const NAME_HASH_LENGTH = 8;
+
+function sanitizeNamePart(part) {
+  return String(part).replace(/[^A-Za-z0-9_-]/g, '_');
+}
+
+/**
+ * Name an MCP tool is offered to the assistant under
+ * @param {string} serverName - Configured server name
+ * @param {string} toolName - Tool name as the server lists it
+ * @returns {string} - e.g., "weather__get_forecast". Characters OpenAI doesn't
+ *   accept become underscores; a name over the length limit is shortened and
+ *   ends in a hash of the full name so it stays distinct.
+ */
+export function exposedToolName(serverName, toolName) {
+  const name = `${sanitizeNamePart(serverName)}${TOOL_NAME_SEPARATOR}${sanitizeNamePart(toolName)}`;
+  if (name.length <= MAX_FUNCTION_NAME_LENGTH) return name;
+
+  const hash = createHash('sha256').update(`${serverName}\0${toolName}`).digest('hex').slice(0, NAME_HASH_LENGTH);
+  return `${name.slice(0, MAX_FUNCTION_NAME_LENGTH - NAME_HASH_LENGTH - 1)}_${hash}`;
+}
+
+/**
+ * Build the function definitions for the assistant and the routing table for
+ * the tools of every MCP server
+ * @param {Array<Object>} listings - { serverName, tools } per server, tools as returned by listTools()
+ * @param {Array<string>} reservedNames - Names already taken (the built-in tools)
+ * @returns {Object} - { tools, routes, conflicts }: function definitions, a Map
+ *   from exposed name to { serverName, toolName, inputSchema }, and a message for each tool
+ *   left out because its name was already taken
+ */
+export function buildToolRoutes(listings, reservedNames = []) {
+  const reserved = new Set(reservedNames);
+  const tools = [];
+  const routes = new Map();
+  const conflicts = [];
+
+  for (const { serverName, tools: serverTools } of listings) {
+    for (const tool of serverTools) {
+      const name = exposedToolName(serverName, tool.name);
+      if (reserved.has(name)) {
+        conflicts.push(`MCP tool '${tool.name}' from '${serverName}' is named ${name}, the same as a built-in tool; leaving it out`);
+        continue;
+      }
+      const existing = routes.get(name);
+      if (existing) {
+        conflicts.push(`MCP tool '${tool.name}' from '${serverName}' is named ${name}, the same as '${existing.toolName}' from '${existing.serverName}'; leaving it out`);
+        continue;
+      }
+
+      const inputSchema = tool.inputSchema || { type: 'object', properties: {} };
+      routes.set(name, { serverName, toolName: tool.name, inputSchema });
+      tools.push({
+        type: 'function',
+        name,
+        description: tool.description || '',
+        parameters: inputSchema
+      });
+    }
+  }
+
+  return { tools, routes, conflicts };
+}
+
+// Ends the text of a result that was cut short
+const TRUNCATION_MARK = '\n[... truncated]';
+
+/**
+ * Keep a tool result small enough for the conversation. Text is cut short and
+ * anything else (images, audio, resources) is replaced by a note.
+ * @param {Object} result - CallToolResult from the MCP server
+ * @param {number} maxChars - Longest the result may be once serialized
+ * @returns {Object} - The result itself if it fits, otherwise { content,
+ *   isError, truncated, original_length, message } with one text item
+ */
+export function limitToolResult(result, maxChars) {
+  const serialized = JSON.stringify(result) ?? '';
+  if (serialized.length <= maxChars) return result;
+
+  const text = Array.isArray(result?.content)
+    ? result.content.map(item => (item.type === 'text' ? item.text : `[${item.type} content omitted]`)).join('\n')
+    : serialized;
+
+  const limited = {
+    content: [{ type: 'text', text: TRUNCATION_MARK }],
+    ...(result?.isError ? { isError: true } : {}),
+    truncated: true,
+    original_length: serialized.length,
+    message: 'This result was too long and has been cut short. If you need the rest, call the tool again asking for less.'
+  };
+
+  // Escaping can make the text longer once serialized, so trim until it fits
+  let kept = text.slice(0, Math.max(maxChars - JSON.stringify(limited).length, 0));
+  for (;;) {
+    limited.content[0].text = kept + TRUNCATION_MARK;
+    const overshoot = JSON.stringify(limited).length - maxChars;
+    if (overshoot <= 0 || kept.length === 0) return limited;
+    kept = kept.slice(0, Math.max(kept.length - overshoot, 0));
+  }
+}
+
+/**
+ * Settle with a promise, or reject if it takes too long
+ * @param {Promise} promise - Work to wait for
+ * @param {number} ms - Longest wait
+ * @param {string} message - Error message on timeout
+ * @returns {Promise}
+ */
+export function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(message)), ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Create the cache of MCP tool listings. Servers are listed when they come up
+ * and when they say their tools changed, never while a call is being set up.
+ * @param {Object} options - reservedNames (the built-in tools), listTimeoutMs
+ *   (how long one server has to list its tools), onConflict(message) for each
+ *   newly found name conflict, onError(serverName, error) when a listing fails
+ * @returns {Object} - { refresh(), remove(), settled(), tools(), route() }
+ */
+export function createToolCatalog({
+  reservedNames = [],
+  listTimeoutMs = 5000,
+  onConflict = () => {},
+  onError = () => {}
+} = {}) {
+  const listings = new Map();
+  const pending = new Map();
+  // Servers whose tools changed while they were being listed
+  const stale = new Set();
+  const reportedConflicts = new Set();
+  let current = buildToolRoutes([], reservedNames);
+
+  const rebuild = () => {
+    current = buildToolRoutes([...listings].map(([serverName, tools]) => ({ serverName, tools })), reservedNames);
+    for (const conflict of current.conflicts) {
+      if (reportedConflicts.has(conflict)) continue;
+      reportedConflicts.add(conflict);
+      onConflict(conflict);
+    }
+  };
+
+  const catalog = {
+    /**
+     * List a server's tools again. A server that fails to answer in time
+     * keeps its previous listing.
+     * @param {string} serverName - Server name
+     * @param {Object} client - Its connected MCP client
+     * @returns {Promise<Array|null>} - The server's tools, or null if listing failed
+     */
+    refresh(serverName, client) {
+      if (pending.has(serverName)) {
+        stale.add(serverName);
+        return pending.get(serverName);
+      }
+
+      const listing = withTimeout(client.listTools(), listTimeoutMs, `no tool list within ${listTimeoutMs}ms`)
+        .then(({ tools }) => {
+          if (pending.get(serverName) !== listing) return null;
+          listings.set(serverName, tools);
+          rebuild();
+          return tools;
+        })
+        .catch(error => {
+          onError(serverName, error);
+          return null;
+        })
+        .finally(() => {
+          if (pending.get(serverName) !== listing) return;
+          pending.delete(serverName);
+          if (stale.delete(serverName)) catalog.refresh(serverName, client);
+        });
+      pending.set(serverName, listing);
+      return listing;
+    },
+
+    /**
+     * Forget a server that is no longer configured
+     * @param {string} serverName - Server name
+     */
+    remove(serverName) {
+      pending.delete(serverName);
+      stale.delete(serverName);
+      if (listings.delete(serverName)) rebuild();
+    },
+
+    /**
+     * Wait for the listings under way
+     * @returns {Promise}
+     */
+    async settled() {
+      await Promise.all(pending.values());
+    },
+
+    /**
+     * Function definitions for the assistant
+     * @param {Array<string>} [serverNames] - Only tools of these servers
+     * @returns {Array<Object>}
+     */
+    tools(serverNames) {
+      if (!serverNames) return current.tools;
+      const included = new Set(serverNames);
+      return current.tools.filter(tool => included.has(current.routes.get(tool.name).serverName));
+    },
+
+    /**
+     * Where a tool the assistant called comes from
+     * @param {string} name - Exposed tool name
+     * @returns {Object|undefined} - { serverName, toolName, inputSchema }
+     */
+    route(name) {
+      return current.routes.get(name);
+    }
+  };
+
+  return catalog;
+}
+
+export default {
+  MAX_FUNCTION_NAME_LENGTH,
+  TOOL_NAME_SEPARATOR,
+  exposedToolName,
+  buildToolRoutes,
+  limitToolResult,
+  withTimeout,
+  createToolCatalog
+};
@@ -0,0 +1,90 @@
+import { Server } from '@modelcontextprotocol/sdk/server/index.js';
+import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js';
+import { ListToolsRequestSchema, CallToolRequestSchema } from '@modelcontextprotocol/sdk/types.js';
+
+// A stdio MCP server with a few tools, for exercising the MCP plumbing
+// without installing real servers. Start it from an MCP config entry:
+//   "mock": { "command": "node", "args": ["mock-mcp-server.js"] }
+// Set MOCK_LIST_DELAY_MS in its env to make it slow to list its tools.
+
+const LIST_DELAY_MS = Number(process.env.MOCK_LIST_DELAY_MS) || 0;
+
+const TOOLS = [
+  {
+    name: 'echo',
+    description: 'Return the arguments it was called with',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' } } }
+  },
+  {
+    name: 'exit',
+    description: 'Stop the server process, as if it had crashed',
+    inputSchema: { type: 'object', properties: {} }
+  },
+  {
+    name: 'add_tool',
+    description: 'Add a tool that echoes its arguments, and tell the client the tool list changed',
+    inputSchema: { type: 'object', properties: { name: { type: 'string' } }, required: ['name'] }
+  },
+  {
+    name: 'sleep',
+    description: 'Wait before answering, like a slow tool',
+    inputSchema: { type: 'object', properties: { ms: { type: 'integer', minimum: 0, maximum: 5000 } }, required: ['ms'] }
+  },
+  {
+    name: 'repeat',
+    description: 'Return a text repeated many times, like a tool with a huge result',
+    inputSchema: { type: 'object', properties: { text: { type: 'string' }, times: { type: 'integer', minimum: 1 } }, required: ['text', 'times'] }
+  },
+  {
+    name: 'environment',
+    description: 'Report the directory the server runs in and the value of one environment variable',
+    inputSchema: { type: 'object', properties: { variable: { type: 'string' } }, required: ['variable'] }
+  }
+];
+
+function textResult(value) {
+  return { content: [{ type: 'text', text: JSON.stringify(value) }] };
+}
+
+const addedTools = new Set();
+
+const server = new Server({ name: 'mock-mcp-server', version: '1.0.0' }, { capabilities: { tools: {} } });
+
+server.setRequestHandler(ListToolsRequestSchema, async () => {
+  await new Promise(resolve => setTimeout(resolve, LIST_DELAY_MS));
+  return { tools: TOOLS };
+});
+
+server.setRequestHandler(CallToolRequestSchema, async request => {
+  const { name, arguments: args = {} } = request.params;
+  if (name === 'echo' || addedTools.has(name)) {
+    return textResult(args);
+  }
+  if (name === 'add_tool') {
+    addedTools.add(args.name);
+    TOOLS.push({ name: args.name, description: 'Added at runtime', inputSchema: { type: 'object', properties: {} } });
+    await server.sendToolListChanged();
+    return textResult({ added: args.name });
+  }
+  if (name === 'exit') {
+    // Exit after the reply has gone out
+    setTimeout(() => process.exit(1), 10);
+    return textResult({ exiting: true });
+  }
+  if (name === 'sleep') {
+    await new Promise(resolve => setTimeout(resolve, args.ms));
+    return textResult({ slept: args.ms });
+  }
+  if (name === 'repeat') {
+    return { content: [{ type: 'text', text: args.text.repeat(args.times) }] };
+  }
+  if (name === 'environment') {
+    return textResult({ cwd: process.cwd(), value: process.env[args.variable] ?? null });
+  }
+  return { content: [{ type: 'text', text: `Unknown tool: ${name}` }], isError: true };
+});
+
+await server.connect(new StdioServerTransport());
+
+// Don't outlive the client, even with a slow reply still pending
+process.stdin.on('end', () => process.exit(0));
@@ -0,0 +1,313 @@
+import { readFileSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { WebSocketServer } from 'ws';
+
+// A scriptable stand-in for the OpenAI Realtime API. Point OPENAI_REALTIME_URL
+// at it and each connection plays through a scenario: a list of steps that
+// either wait for an event from the client ("expect") or send events to it
+// ("send"). See scenarios/ for examples.
+
+// 20ms of μ-law silence at 8kHz
+const SILENCE_CHUNK = Buffer.alloc(160, 0xff).toString('base64');
+
+/**
+ * Load a scenario from a JSON file
+ * @param {string} path - Scenario file
+ * @returns {Object} - Scenario with name and steps
+ */
+export function loadScenario(path) {
+  const scenario = JSON.parse(readFileSync(path, 'utf-8'));
+  if (!Array.isArray(scenario.steps)) {
+    throw new Error(`Scenario ${path} must have a "steps" array`);
+  }
+  return scenario;
+}
+
+// True if every key in pattern is present in value with a matching value
+function matches(value, pattern) {
+  if (pattern === null || typeof pattern !== 'object') {
+    return value === pattern;
+  }
+  if (value === null || typeof value !== 'object') {
+    return false;
+  }
+  return Object.entries(pattern).every(([key, expected]) => matches(value[key], expected));
+}
+
+function parseOutput(event) {
+  try {
+    return JSON.parse(event.item?.output);
+  } catch {
+    return undefined;
+  }
+}
+
+// Expand the shorthand actions in a "send" step into Realtime API events
+function expandAction(action, ids) {
+  if (action.say !== undefined) {
+    const responseId = ids.next('resp');
+    const itemId = ids.next('item');
+    const chunks = action.chunks ?? 5;
+    return [
+      { type: 'response.created', response: { id: responseId, status: 'in_progress' } },
+      { type: 'response.output_item.added', response_id: responseId, item: { id: itemId, type: 'message', role: 'assistant' } },
+      ...Array.from({ length: chunks }, () => ({
+        type: 'response.audio.delta',
+        response_id: responseId,
+        item_id: itemId,
+        delta: SILENCE_CHUNK
+      })),
+      { type: 'response.audio.done', response_id: responseId, item_id: itemId },
+      { type: 'response.audio_transcript.done', response_id: responseId, item_id: itemId, transcript: action.say },
+      { type: 'response.done', response: { id: responseId, status: 'completed' } }
+    ];
+  }
+
+  if (action.call !== undefined) {
+    const responseId = ids.next('resp');
+    return [
+      { type: 'response.created', response: { id: responseId, status: 'in_progress' } },
+      {
+        type: 'response.function_call_arguments.done',
+        response_id: responseId,
+        item_id: ids.next('item'),
+        call_id: action.call_id || ids.next('call'),
+        name: action.call,
+        arguments: JSON.stringify(action.arguments || {})
+      },
+      { type: 'response.done', response: { id: responseId, status: 'completed' } }
+    ];
+  }
+
+  if (action.caller_says !== undefined) {
+    const itemId = ids.next('item');
+    return [
+      { type: 'input_audio_buffer.speech_started', item_id: itemId },
+      { type: 'input_audio_buffer.speech_stopped', item_id: itemId },
+      { type: 'conversation.item.input_audio_transcription.completed', item_id: itemId, transcript: action.caller_says }
+    ];
+  }
+
+  // Anything else is sent as-is
+  return [action];
+}
+
+function createIdGenerator() {
+  const counters = {};
+  return {
+    next(prefix) {
+      counters[prefix] = (counters[prefix] || 0) + 1;
+      return `${prefix}_mock_${counters[prefix]}`;
+    }
+  };
+}
+
+// Play a scenario over one client connection
+function runSession(socket, request, scenario) {
+  const ids = createIdGenerator();
+  const session = {
+    url: request.url,
+    headers: request.headers,
+    received: [],
+    audioChunksReceived: 0,
+    failures: [],
+    done: false,
+    closed: false
+  };
+  const consumed = new Set();
+  let stepIndex = 0;
+  let settle;
+  session.finished = new Promise(resolve => { settle = resolve; });
+
+  const finish = () => {
+    if (session.done) return;
+    session.done = true;
+    settle(session);
+  };
+
+  const fail = message => {
+    session.failures.push(message);
+    finish();
+  };
+
+  const send = event => {
+    if (socket.readyState === socket.OPEN) {
+      socket.send(JSON.stringify(event));
+    }
+  };
+
+  // Find the first not-yet-consumed received event the step expects
+  const findExpected = step => session.received.findIndex((event, index) =>
+    !consumed.has(index) && event.type === step.expect && matches(event, step.match || {}));
+
+  let waiting = false;
+
+  const advance = () => {
+    while (!session.done && !waiting && stepIndex < scenario.steps.length) {
+      const step = scenario.steps[stepIndex];
+
+      if (step.send) {
+        const actions = Array.isArray(step.send) ? step.send : [step.send];
+        actions.flatMap(action => expandAction(action, ids)).forEach(send);
+        stepIndex++;
+        continue;
+      }
+
+      if (step.expect) {
+        const index = findExpected(step);
+        if (index === -1) return;
+        consumed.add(index);
+
+        if (step.output !== undefined) {
+          const output = parseOutput(session.received[index]);
+          if (!matches(output, step.output)) {
+            fail(`Step ${stepIndex + 1}: expected function output ${JSON.stringify(step.output)}, got ${session.received[index].item?.output}`);
+            return;
+          }
+        }
+        stepIndex++;
+        continue;
+      }
+
+      if (step.close) {
+        socket.close();
+        stepIndex++;
+        continue;
+      }
+
+      if (step.wait !== undefined) {
+        waiting = true;
+        setTimeout(() => {
+          waiting = false;
+          stepIndex++;
+          advance();
+        }, step.wait);
+        return;
+      }
+
+      fail(`Step ${stepIndex + 1}: unknown step ${JSON.stringify(step)}`);
+      return;
+    }
+
+    if (!waiting && stepIndex >= scenario.steps.length) {
+      finish();
+    }
+  };
+
+  socket.on('message', raw => {
+    let event;
+    try {
+      event = JSON.parse(raw);
+    } catch {
+      fail(`Client sent invalid JSON: ${raw}`);
+      return;
+    }
+
+    // Audio is counted rather than kept so long calls stay cheap
+    if (event.type === 'input_audio_buffer.append') {
+      session.audioChunksReceived++;
+      return;
+    }
+
+    session.received.push(event);
+    if (event.type === 'session.update') {
+      send({ type: 'session.updated', session: event.session });
+    }
+    advance();
+  });
+
+  socket.on('close', () => {
+    session.closed = true;
+    if (!session.done) {
+      fail(`Client disconnected at step ${stepIndex + 1} of ${scenario.steps.length}`);
+    }
+  });
+
+  send({ type: 'session.created', session: { id: ids.next('sess'), model: 'mock-realtime' } });
+  advance();
+
+  return session;
+}
+
+/**
+ * Start a mock Realtime server
+ * @param {Object} options - scenario (object or file path) and port (0 = any free port)
+ * @returns {Promise<Object>} - { url, port, sessions, setScenario(), nextSession(), close() }
+ */
+export async function createMockRealtimeServer({ scenario = { steps: [] }, port = 0 } = {}) {
+  let currentScenario = typeof scenario === 'string' ? loadScenario(scenario) : scenario;
+  const sessions = [];
+  const sessionWaiters = [];
+
+  const wss = new WebSocketServer({ port, host: '127.0.0.1' });
+  await new Promise((resolve, reject) => {
+    wss.once('listening', resolve);
+    wss.once('error', reject);
+  });
+
+  wss.on('connection', (socket, request) => {
+    const session = runSession(socket, request, currentScenario);
+    // A scenario that drops the connection can script what the client's reconnect sees
+    if (currentScenario.reconnect) {
+      currentScenario = currentScenario.reconnect;
+    }
+    sessions.push(session);
+    sessionWaiters.splice(0).forEach(resolve => resolve(session));
+  });
+
+  const actualPort = wss.address().port;
+
+  return {
+    url: `ws://127.0.0.1:${actualPort}/v1/realtime`,
+    port: actualPort,
+    sessions,
+
+    // Scenario for connections made from now on
+    setScenario(next) {
+      currentScenario = typeof next === 'string' ? loadScenario(next) : next;
+    },
+
+    // Resolve with the next session to connect
+    nextSession() {
+      return new Promise(resolve => sessionWaiters.push(resolve));
+    },
+
+    close() {
+      return new Promise(resolve => {
+        wss.clients.forEach(client => client.terminate());
+        wss.close(() => resolve());
+      });
+    }
+  };
+}
+
+// Run standalone: node mock-realtime.js <scenario.json> [port]
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const [scenarioPath, port = '8765'] = process.argv.slice(2);
+  if (!scenarioPath) {
+    console.error('Usage: node mock-realtime.js <scenario.json> [port]');
+    process.exit(1);
+  }
+
+  const scenario = loadScenario(scenarioPath);
+  const server = await createMockRealtimeServer({ scenario, port: Number(port) });
+  console.log(`🎭 Mock Realtime server on ${server.url}`);
+  console.log(`   Start the app with OPENAI_REALTIME_URL=${server.url}`);
+
+  const reported = new Set();
+  setInterval(() => {
+    server.sessions.filter(session => session.done && !reported.has(session)).forEach(session => {
+      reported.add(session);
+      if (session.failures.length > 0) {
+        console.log(`❌ Session failed: ${session.failures.join('; ')}`);
+      } else {
+        console.log(`✅ Session completed scenario "${scenario.name || scenarioPath}"`);
+      }
+    });
+  }, 250);
+}
+
+export default {
+  loadScenario,
+  createMockRealtimeServer
+};
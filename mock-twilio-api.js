@@ -0,0 +1,110 @@
+import { createServer } from 'http';
+import { pathToFileURL } from 'url';
+
+// Local stand-in for the parts of the Twilio REST API the server uses. Records
+// every request so tests can check what the server asked Twilio to do.
+
+const CALL_PATH = /^\/2010-04-01\/Accounts\/([^/]+)\/Calls\/([^/]+)\.json$/;
+
+function readBody(request) {
+  return new Promise((resolve, reject) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => resolve(body));
+    request.on('error', reject);
+  });
+}
+
+/**
+ * Start a mock Twilio REST API server
+ * @param {Object} options - port (0 = any free port)
+ * @returns {Promise<Object>} - { url, port, requests, failNext(), nextRequest(), close() }
+ */
+export async function createMockTwilioApiServer({ port = 0 } = {}) {
+  const requests = [];
+  const requestWaiters = [];
+  let failure = null;
+
+  const server = createServer(async (request, response) => {
+    const body = Object.fromEntries(new URLSearchParams(await readBody(request)));
+    const [user, password] = Buffer.from((request.headers.authorization || '').replace(/^Basic /, ''), 'base64')
+      .toString()
+      .split(':');
+    const match = request.url.match(CALL_PATH);
+
+    const recorded = {
+      method: request.method,
+      path: request.url,
+      accountSid: match && decodeURIComponent(match[1]),
+      callSid: match && decodeURIComponent(match[2]),
+      auth: { user, password },
+      body
+    };
+    requests.push(recorded);
+    requestWaiters.splice(0).forEach(resolve => resolve(recorded));
+
+    const reply = (status, payload) => {
+      response.writeHead(status, { 'content-type': 'application/json' });
+      response.end(JSON.stringify(payload));
+    };
+
+    if (failure) {
+      const { status, message } = failure;
+      failure = null;
+      reply(status, { code: 20000 + status, message, status });
+    } else if (request.method !== 'POST' || !match) {
+      reply(404, { code: 20404, message: 'The requested resource was not found', status: 404 });
+    } else {
+      reply(200, { sid: recorded.callSid, account_sid: recorded.accountSid, status: 'in-progress' });
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, '127.0.0.1', resolve);
+  });
+  const actualPort = server.address().port;
+
+  return {
+    url: `http://127.0.0.1:${actualPort}`,
+    port: actualPort,
+    requests,
+
+    // Answer the next request with an error instead
+    failNext(status = 500, message = 'Mock Twilio API failure') {
+      failure = { status, message };
+    },
+
+    // Resolve with the next request received
+    nextRequest() {
+      return new Promise(resolve => requestWaiters.push(resolve));
+    },
+
+    close() {
+      return new Promise(resolve => {
+        server.closeAllConnections();
+        server.close(() => resolve());
+      });
+    }
+  };
+}
+
+// Run standalone: node mock-twilio-api.js [port]
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const [port = '8766'] = process.argv.slice(2);
+  const server = await createMockTwilioApiServer({ port: Number(port) });
+  console.log(`🎭 Mock Twilio API on ${server.url}`);
+  console.log(`   Start the app with TWILIO_API_URL=${server.url}`);
+
+  let reported = 0;
+  setInterval(() => {
+    server.requests.slice(reported).forEach(request => {
+      console.log(`📨 ${request.method} ${request.path}`, request.body);
+    });
+    reported = server.requests.length;
+  }, 250);
+}
+
+export default {
+  createMockTwilioApiServer
+};
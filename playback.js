@@ -0,0 +1,99 @@
+import { SAMPLE_RATE } from './audio.js';
+
+// Tracks how much assistant audio the caller has actually heard. Every chunk
+// of audio forwarded to Twilio is followed by a mark; Twilio echoes a mark
+// back once the audio before it has finished playing. Between marks, progress
+// is estimated from Twilio's media timestamps.
+
+// One byte per sample in μ-law
+const BYTES_PER_MS = SAMPLE_RATE / 1000;
+
+/**
+ * Create a playback tracker for one call
+ * @returns {Object} - { audioSent, markPlayed, isPlaying, interrupt }
+ */
+export function createPlaybackTracker() {
+  // Marks sent to Twilio and not yet echoed, oldest first: { name, itemId, endMs }
+  let pendingMarks = [];
+  // Per assistant item: audio sent and audio confirmed played (ms)
+  let items = new Map();
+  // Media timestamp at which the audio now playing started
+  let playingSince = 0;
+  let markCount = 0;
+
+  return {
+    /**
+     * Record assistant audio forwarded to Twilio
+     * @param {string} itemId - Realtime conversation item the audio belongs to
+     * @param {number} byteLength - μ-law bytes sent
+     * @param {number} mediaTimestamp - Latest Twilio media timestamp (ms)
+     * @returns {string} - Name of the mark to send after the audio
+     */
+    audioSent(itemId, byteLength, mediaTimestamp) {
+      if (pendingMarks.length === 0) {
+        // Nothing queued at Twilio, so this audio starts playing now
+        playingSince = mediaTimestamp;
+      }
+
+      const item = items.get(itemId) || { sentMs: 0, playedMs: 0 };
+      item.sentMs += byteLength / BYTES_PER_MS;
+      items.set(itemId, item);
+
+      const name = `${itemId}:${++markCount}`;
+      pendingMarks.push({ name, itemId, endMs: item.sentMs });
+      return name;
+    },
+
+    /**
+     * Record a mark echoed by Twilio
+     * @param {string} name - Mark name
+     * @param {number} mediaTimestamp - Latest Twilio media timestamp (ms)
+     * @returns {boolean} - False if the mark is unknown (e.g., sent before a clear)
+     */
+    markPlayed(name, mediaTimestamp) {
+      const index = pendingMarks.findIndex(mark => mark.name === name);
+      if (index === -1) return false;
+
+      // Marks come back in order, so everything before this one has played too
+      for (const mark of pendingMarks.splice(0, index + 1)) {
+        items.get(mark.itemId).playedMs = mark.endMs;
+      }
+      playingSince = mediaTimestamp;
+      return true;
+    },
+
+    /**
+     * True while Twilio still has assistant audio queued or playing
+     */
+    isPlaying() {
+      return pendingMarks.length > 0;
+    },
+
+    /**
+     * The caller started speaking: work out where to cut the assistant off and
+     * forget everything still queued
+     * @param {number} mediaTimestamp - Latest Twilio media timestamp (ms)
+     * @returns {Object|null} - { itemId, audioEndMs, unplayedItemIds }, or null if nothing was playing
+     */
+    interrupt(mediaTimestamp) {
+      if (pendingMarks.length === 0) return null;
+
+      const current = pendingMarks[0];
+      const item = items.get(current.itemId);
+      const elapsed = Math.max(0, mediaTimestamp - playingSince);
+      const audioEndMs = Math.round(Math.min(current.endMs, item.playedMs + elapsed));
+
+      // Items queued behind the current one were never heard at all
+      const unplayedItemIds = [...new Set(pendingMarks.map(mark => mark.itemId))]
+        .filter(itemId => itemId !== current.itemId && items.get(itemId).playedMs === 0);
+
+      pendingMarks = [];
+      items = new Map();
+      return { itemId: current.itemId, audioEndMs, unplayedItemIds };
+    }
+  };
+}
+
+export default {
+  createPlaybackTracker
+};
@@ -0,0 +1,277 @@
+import { randomBytes } from 'crypto';
+import { writeFileSync } from 'fs';
+import { pathToFileURL } from 'url';
+import { parseArgs } from 'util';
+import WebSocket from 'ws';
+import { FRAME_BYTES, MULAW_SILENCE, readWavAsMuLaw, muLawToWav } from './audio.js';
+import { computeTwilioSignature } from './twilio-auth.js';
+
+// Plays the Twilio side of a phone call against a running server: fetches
+// TwiML from /incoming-call, opens the media stream it points to, sends the
+// caller's audio in real time and plays back what the assistant sends -
+// honouring mark and clear events the way Twilio does.
+
+const FRAME_MS = 20;
+const SILENCE_FRAME = Buffer.alloc(FRAME_BYTES, MULAW_SILENCE);
+
+const XML_ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&apos;': "'" };
+const unescapeXml = value => value.replace(/&(amp|lt|gt|quot|apos);/g, entity => XML_ENTITIES[entity]);
+
+/**
+ * Pull the media stream URL and custom parameters out of TwiML
+ * @param {string} twiml - TwiML from /incoming-call
+ * @returns {Object} - { streamUrl, parameters, verbs }
+ */
+export function parseStreamTwiML(twiml) {
+  const attributes = tag => Object.fromEntries(
+    [...tag.matchAll(/([A-Za-z]+)="([^"]*)"/g)].map(([, name, value]) => [name, unescapeXml(value)]));
+
+  const streamTag = twiml.match(/<Stream\b[^>]*>/);
+  const parameters = {};
+  for (const [tag] of twiml.matchAll(/<Parameter\b[^>]*\/?>/g)) {
+    const { name, value } = attributes(tag);
+    parameters[name] = value;
+  }
+
+  return {
+    streamUrl: streamTag ? attributes(streamTag[0]).url : null,
+    parameters,
+    verbs: [...twiml.matchAll(/<(Say|Reject|Hangup|Dial|Connect)\b/g)].map(([, verb]) => verb)
+  };
+}
+
+function randomSid(prefix) {
+  return prefix + randomBytes(16).toString('hex');
+}
+
+/**
+ * Place a simulated call
+ * @param {Object} options
+ * @param {string} options.url - Server base URL (default http://localhost:5050)
+ * @param {string} options.from - Caller phone number
+ * @param {string} options.to - Called phone number
+ * @param {string} options.authToken - Twilio auth token used to sign /incoming-call
+ * @param {Buffer} options.audio - Caller audio as 8kHz μ-law (silence if omitted)
+ * @param {number} options.lingerMs - Keep the call open this long after the caller audio ends
+ * @param {number} options.frameMs - Milliseconds between frames (20 = real time)
+ * @param {Function} options.log - Progress logger (default console.log)
+ * @returns {Promise<Object>} - Call summary, including the assistant audio as played
+ */
+export async function simulateCall({
+  url = 'http://localhost:5050',
+  from = '+15555550100',
+  to = '+15555550199',
+  authToken,
+  audio = Buffer.alloc(0),
+  lingerMs = 10000,
+  frameMs = FRAME_MS,
+  log = console.log
+} = {}) {
+  const callSid = randomSid('CA');
+  const accountSid = randomSid('AC');
+  const streamSid = randomSid('MZ');
+  const webhookUrl = `${url.replace(/\/+$/, '')}/incoming-call`;
+
+  // 1. Ask the server what to do with the call, as Twilio would
+  const params = { AccountSid: accountSid, CallSid: callSid, From: from, To: to, CallStatus: 'ringing', Direction: 'inbound' };
+  const headers = { 'content-type': 'application/x-www-form-urlencoded' };
+  if (authToken) {
+    headers['x-twilio-signature'] = computeTwilioSignature(authToken, webhookUrl, params);
+  }
+
+  log(`📞 Calling ${webhookUrl} from ${from}`);
+  const response = await fetch(webhookUrl, { method: 'POST', headers, body: new URLSearchParams(params).toString() });
+  const twiml = await response.text();
+  if (!response.ok) {
+    throw new Error(`/incoming-call returned ${response.status}: ${twiml}`);
+  }
+
+  const { streamUrl, parameters, verbs } = parseStreamTwiML(twiml);
+  log(`📜 TwiML verbs: ${verbs.join(', ') || 'none'}`);
+  if (!streamUrl) {
+    return { callSid, twiml, verbs, parameters, connected: false };
+  }
+
+  // Twilio always uses wss://; talk plain ws:// to a local http server
+  const target = url.startsWith('http://') ? streamUrl.replace(/^wss:/, 'ws:') : streamUrl;
+
+  // 2. Open the media stream
+  const ws = new WebSocket(target);
+  await new Promise((resolve, reject) => {
+    ws.once('open', resolve);
+    ws.once('error', reject);
+  });
+  log(`🔌 Media stream connected: ${target}`);
+  ws.on('error', error => log(`❌ Media stream error: ${error.message}`));
+
+  let sequenceNumber = 0;
+  const send = event => {
+    if (ws.readyState === WebSocket.OPEN) {
+      ws.send(JSON.stringify({ ...event, sequenceNumber: String(++sequenceNumber) }));
+    }
+  };
+
+  const summary = {
+    callSid,
+    streamSid,
+    twiml,
+    verbs,
+    parameters,
+    connected: true,
+    framesSent: 0,
+    framesReceived: 0,
+    marksEchoed: [],
+    clears: 0,
+    hungUp: false,
+    closedByServer: false,
+    assistantAudio: null
+  };
+
+  // Audio and marks waiting to be "played" to the caller
+  const playback = [];
+  const played = [];
+
+  const echoMark = name => {
+    summary.marksEchoed.push(name);
+    send({ event: 'mark', streamSid, mark: { name } });
+  };
+
+  ws.on('message', raw => {
+    const message = JSON.parse(raw);
+    if (message.event === 'media') {
+      const payload = Buffer.from(message.media.payload, 'base64');
+      for (let offset = 0; offset < payload.length; offset += FRAME_BYTES) {
+        playback.push({ frame: payload.subarray(offset, offset + FRAME_BYTES) });
+        summary.framesReceived++;
+      }
+    } else if (message.event === 'mark') {
+      playback.push({ mark: message.mark.name });
+    } else if (message.event === 'clear') {
+      // Twilio drops unplayed audio and returns any pending marks at once
+      summary.clears++;
+      const pending = playback.splice(0);
+      pending.filter(item => item.mark).forEach(item => echoMark(item.mark));
+      log(`✂️  Cleared ${pending.filter(item => item.frame).length} unplayed frame(s)`);
+    }
+  });
+
+  const closed = new Promise(resolve => ws.on('close', () => {
+    summary.closedByServer = !summary.hungUp;
+    resolve();
+  }));
+
+  send({ event: 'connected', protocol: 'Call', version: '1.0.0' });
+  send({
+    event: 'start',
+    streamSid,
+    start: {
+      accountSid,
+      callSid,
+      streamSid,
+      tracks: ['inbound'],
+      customParameters: parameters,
+      mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 }
+    }
+  });
+
+  // 3. Every frame: send 20ms of caller audio (silence once the file ends) and play 20ms back
+  const totalFrames = Math.ceil(audio.length / FRAME_BYTES) + Math.ceil(lingerMs / FRAME_MS);
+  await new Promise(resolve => {
+    let frameIndex = 0;
+    const timer = setInterval(() => {
+      if (ws.readyState !== WebSocket.OPEN || frameIndex >= totalFrames) {
+        clearInterval(timer);
+        resolve();
+        return;
+      }
+
+      const offset = frameIndex * FRAME_BYTES;
+      const chunk = offset < audio.length
+        ? Buffer.concat([audio.subarray(offset, offset + FRAME_BYTES), SILENCE_FRAME]).subarray(0, FRAME_BYTES)
+        : SILENCE_FRAME;
+      frameIndex++;
+      send({
+        event: 'media',
+        streamSid,
+        media: { track: 'inbound', chunk: String(frameIndex), timestamp: String(frameIndex * FRAME_MS), payload: chunk.toString('base64') }
+      });
+      summary.framesSent++;
+
+      // Marks are zero-length: return them as soon as the audio before them has played
+      while (playback[0]?.mark) echoMark(playback.shift().mark);
+      played.push(playback[0]?.frame ? playback.shift().frame : SILENCE_FRAME);
+      while (playback[0]?.mark) echoMark(playback.shift().mark);
+    }, frameMs);
+  });
+
+  // 4. Hang up
+  if (ws.readyState === WebSocket.OPEN) {
+    summary.hungUp = true;
+    send({ event: 'stop', streamSid, stop: { accountSid, callSid } });
+    ws.close();
+  }
+  await closed;
+
+  summary.assistantAudio = Buffer.concat(played);
+  log(`👋 Call ended${summary.closedByServer ? ' by the server' : ''}: sent ${summary.framesSent} frame(s), received ${summary.framesReceived}`);
+  return summary;
+}
+
+const USAGE = `Usage: node simulate-call.js [options]
+
+  --url <url>           Server base URL (default http://localhost:5050)
+  --from <number>       Caller phone number (default +15555550100)
+  --to <number>         Called number (default +15555550199)
+  --in <file.wav>       Caller audio (8/16-bit PCM or μ-law WAV; resampled to 8kHz mono)
+  --out <file.wav>      Save the assistant audio as the caller heard it
+  --linger <seconds>    Stay on the line after the caller audio ends (default 10)
+  --auth-token <token>  Sign /incoming-call like Twilio (default TWILIO_AUTH_TOKEN)
+  --help                Show this message`;
+
+// Run standalone: node simulate-call.js --from +15551234567 --in caller.wav --out assistant.wav
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const { values } = parseArgs({
+    options: {
+      url: { type: 'string' },
+      from: { type: 'string' },
+      to: { type: 'string' },
+      in: { type: 'string' },
+      out: { type: 'string' },
+      linger: { type: 'string', default: '10' },
+      'auth-token': { type: 'string' },
+      help: { type: 'boolean' }
+    }
+  });
+
+  if (values.help) {
+    console.log(USAGE);
+    process.exit(0);
+  }
+
+  try {
+    const summary = await simulateCall({
+      url: values.url,
+      from: values.from,
+      to: values.to,
+      authToken: values['auth-token'] || process.env.TWILIO_AUTH_TOKEN,
+      audio: values.in ? readWavAsMuLaw(values.in) : undefined,
+      lingerMs: Number(values.linger) * 1000
+    });
+
+    if (values.out && summary.assistantAudio) {
+      writeFileSync(values.out, muLawToWav(summary.assistantAudio));
+      console.log(`💾 Saved assistant audio to ${values.out} (${(summary.assistantAudio.length / 8000).toFixed(1)}s)`);
+    }
+    if (summary.marksEchoed.length > 0 || summary.clears > 0) {
+      console.log(`🔖 Marks returned: ${summary.marksEchoed.length}, clears: ${summary.clears}`);
+    }
+  } catch (error) {
+    console.error('❌ Simulated call failed:', error.message);
+    process.exit(1);
+  }
+}
+
+export default {
+  parseStreamTwiML,
+  simulateCall
+};
@@ -0,0 +1,142 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import {
+  SAMPLE_RATE,
+  MULAW_SILENCE,
+  linearToMuLaw,
+  muLawToLinear,
+  wavToMuLaw,
+  muLawToWav
+} from '../audio.js';
+
+// Build a 16-bit PCM WAV from interleaved samples
+function pcmWav(samples, { sampleRate = SAMPLE_RATE, channels = 1 } = {}) {
+  const data = Buffer.alloc(samples.length * 2);
+  samples.forEach((sample, i) => data.writeInt16LE(sample, i * 2));
+
+  const header = Buffer.alloc(44);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(36 + data.length, 4);
+  header.write('WAVE', 8, 'ascii');
+  header.write('fmt ', 12, 'ascii');
+  header.writeUInt32LE(16, 16);
+  header.writeUInt16LE(1, 20);
+  header.writeUInt16LE(channels, 22);
+  header.writeUInt32LE(sampleRate, 24);
+  header.writeUInt32LE(sampleRate * channels * 2, 28);
+  header.writeUInt16LE(channels * 2, 32);
+  header.writeUInt16LE(16, 34);
+  header.write('data', 36, 'ascii');
+  header.writeUInt32LE(data.length, 40);
+  return Buffer.concat([header, data]);
+}
+
+describe('Audio Module', function() {
+  describe('μ-law', function() {
+    it('should encode silence as 0xFF', function() {
+      expect(linearToMuLaw(0)).to.equal(MULAW_SILENCE);
+      expect(muLawToLinear(MULAW_SILENCE)).to.equal(0);
+    });
+
+    it('should round-trip samples within μ-law precision', function() {
+      for (const sample of [-32768, -12345, -1000, -100, 100, 1000, 12345, 32767]) {
+        const decoded = muLawToLinear(linearToMuLaw(sample));
+        expect(Math.abs(decoded - sample)).to.be.at.most(Math.max(16, Math.abs(sample) / 15));
+      }
+    });
+
+    it('should keep the sign of a sample', function() {
+      expect(muLawToLinear(linearToMuLaw(5000))).to.be.above(0);
+      expect(muLawToLinear(linearToMuLaw(-5000))).to.be.below(0);
+    });
+
+    it('should decode every byte back to the same byte', function() {
+      for (let byte = 0; byte < 256; byte++) {
+        // 0x7F and 0xFF both mean zero
+        const expected = byte === 0x7f ? 0xff : byte;
+        expect(linearToMuLaw(muLawToLinear(byte))).to.equal(expected);
+      }
+    });
+  });
+
+  describe('wavToMuLaw()', function() {
+    it('should encode 8kHz mono PCM sample for sample', function() {
+      const mulaw = wavToMuLaw(pcmWav([0, 1000, -1000, 0]));
+      expect([...mulaw]).to.deep.equal([0, 1000, -1000, 0].map(linearToMuLaw));
+    });
+
+    it('should resample and mix down stereo audio', function() {
+      // One second of 16kHz stereo: left and right cancel out to silence
+      const samples = [];
+      for (let i = 0; i < 16000; i++) {
+        samples.push(8000, -8000);
+      }
+      const mulaw = wavToMuLaw(pcmWav(samples, { sampleRate: 16000, channels: 2 }));
+
+      expect(mulaw).to.have.lengthOf(8000);
+      expect(mulaw.every(byte => byte === MULAW_SILENCE)).to.be.true;
+    });
+
+    it('should pass 8kHz μ-law through unchanged', function() {
+      const mulaw = Buffer.from([0x00, 0x7f, 0x80, 0xff, 0x12]);
+      expect(wavToMuLaw(muLawToWav(mulaw, { encoding: 'mulaw' }))).to.deep.equal(mulaw);
+    });
+
+    it('should skip chunks it does not understand', function() {
+      const wav = pcmWav([1000, 2000]);
+      const list = Buffer.concat([Buffer.from('LIST'), Buffer.from([3, 0, 0, 0]), Buffer.from('abc'), Buffer.from([0])]);
+      const withList = Buffer.concat([wav.subarray(0, 36), list, wav.subarray(36)]);
+
+      expect([...wavToMuLaw(withList)]).to.deep.equal([1000, 2000].map(linearToMuLaw));
+    });
+
+    it('should reject files that are not WAV', function() {
+      expect(() => wavToMuLaw(Buffer.from('ID3 this is an mp3'))).to.throw('Not a WAV file');
+    });
+
+    it('should reject unsupported encodings', function() {
+      const wav = pcmWav([0, 0]);
+      wav.writeUInt16LE(3, 20); // IEEE float
+      wav.writeUInt16LE(32, 34);
+      expect(() => wavToMuLaw(wav)).to.throw('Unsupported WAV encoding');
+    });
+  });
+
+  describe('muLawToWav()', function() {
+    const mulaw = Buffer.from([0xff, 0x00, 0x80, 0x7f, 0x42]);
+
+    it('should write a 16-bit PCM WAV by default', function() {
+      const wav = muLawToWav(mulaw);
+      expect(wav.toString('ascii', 0, 4)).to.equal('RIFF');
+      expect(wav.readUInt16LE(20)).to.equal(1);
+      expect(wav.readUInt32LE(24)).to.equal(SAMPLE_RATE);
+      expect(wav.readUInt16LE(34)).to.equal(16);
+      expect(wav.readUInt32LE(40)).to.equal(mulaw.length * 2);
+      expect(wav.readInt16LE(44 + 2)).to.equal(muLawToLinear(0x00));
+    });
+
+    it('should pad odd-length data to keep the RIFF chunk aligned', function() {
+      const wav = muLawToWav(mulaw, { encoding: 'mulaw' });
+      expect(wav.readUInt32LE(40)).to.equal(5);
+      expect(wav.length).to.equal(44 + 6);
+      expect(wav.readUInt32LE(4)).to.equal(wav.length - 8);
+    });
+
+    it('should round-trip through wavToMuLaw', function() {
+      expect(wavToMuLaw(muLawToWav(mulaw))).to.deep.equal(Buffer.from([0xff, 0x00, 0x80, 0xff, 0x42]));
+    });
+
+    it('should describe interleaved channels in the header', function() {
+      const wav = muLawToWav(Buffer.from([0xff, 0x00, 0xff, 0x00]), { channels: 2 });
+      expect(wav.readUInt16LE(22)).to.equal(2);
+      expect(wav.readUInt32LE(28)).to.equal(SAMPLE_RATE * 4);
+      expect(wav.readUInt16LE(32)).to.equal(4);
+      // Mixed back down, each frame averages the two channels
+      expect(wavToMuLaw(wav)).to.have.length(2);
+    });
+
+    it('should reject unknown encodings', function() {
+      expect(() => muLawToWav(mulaw, { encoding: 'mp3' })).to.throw('Unknown WAV encoding');
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { createCallLifecycle, isFurtherProgress, CALL_END_REASONS } from '../call-lifecycle.js';
+
+describe('Call Lifecycle', function() {
+  it('should start out connecting', function() {
+    const lifecycle = createCallLifecycle();
+    expect(lifecycle.state).to.equal('connecting');
+    expect(lifecycle.endReason).to.be.null;
+  });
+
+  it('should walk through a normal call', function() {
+    const transitions = [];
+    const lifecycle = createCallLifecycle({ onChange: (from, to) => transitions.push(`${from}>${to}`) });
+
+    expect(lifecycle.startGreeting()).to.be.true;
+    expect(lifecycle.activate()).to.be.true;
+    expect(lifecycle.end('completed')).to.be.true;
+    expect(lifecycle.close()).to.be.true;
+
+    expect(transitions).to.deep.equal(['connecting>greeting', 'greeting>active', 'active>ending', 'ending>closed']);
+    expect(lifecycle.endReason).to.equal('completed');
+  });
+
+  it('should refuse transitions out of order', function() {
+    const lifecycle = createCallLifecycle();
+
+    expect(lifecycle.activate()).to.be.false;
+    expect(lifecycle.close()).to.be.false;
+    expect(lifecycle.state).to.equal('connecting');
+  });
+
+  it('should end from any live state', function() {
+    for (const steps of [[], ['startGreeting'], ['startGreeting', 'activate']]) {
+      const lifecycle = createCallLifecycle();
+      steps.forEach(step => lifecycle[step]());
+      expect(lifecycle.end('timeout')).to.be.true;
+      expect(lifecycle.is('ending')).to.be.true;
+    }
+  });
+
+  it('should keep the first end reason', function() {
+    const lifecycle = createCallLifecycle();
+    lifecycle.startGreeting();
+    lifecycle.end('openai_error');
+
+    expect(lifecycle.end('caller_hangup')).to.be.false;
+    expect(lifecycle.endReason).to.equal('openai_error');
+  });
+
+  it('should know the end reason when reporting the ending transition', function() {
+    let reasonSeen;
+    const lifecycle = createCallLifecycle({
+      onChange: (from, to) => {
+        if (to === 'ending') reasonSeen = lifecycle.endReason;
+      }
+    });
+    lifecycle.end('caller_hangup');
+
+    expect(reasonSeen).to.equal('caller_hangup');
+  });
+
+  it('should reject unknown end reasons', function() {
+    const lifecycle = createCallLifecycle();
+    expect(() => lifecycle.end('vanished')).to.throw('Unknown call end reason');
+    expect(lifecycle.state).to.equal('connecting');
+    expect(CALL_END_REASONS).to.include.members(['completed', 'caller_hangup', 'assistant_ended', 'transferred', 'openai_error', 'timeout']);
+  });
+
+  describe('isFurtherProgress()', function() {
+    it('should only move forward through the stages', function() {
+      expect(isFurtherProgress('greeted', null)).to.be.true;
+      expect(isFurtherProgress('checklist_started', 'equipment_identified')).to.be.true;
+      expect(isFurtherProgress('greeted', 'caller_identified')).to.be.false;
+      expect(isFurtherProgress('checklist_started', 'checklist_started')).to.be.false;
+    });
+
+    it('should reject unknown stages', function() {
+      expect(() => isFurtherProgress('halfway', null)).to.throw('Unknown call progress stage');
+    });
+  });
+});
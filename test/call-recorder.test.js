@@ -0,0 +1,102 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { createCallRecorder } from '../call-recorder.js';
+import { SAMPLE_RATE, MULAW_SILENCE } from '../audio.js';
+
+// Interleaved μ-law frames of a recording, read back as [caller, assistant] pairs
+function channels(recorder) {
+  const wav = recorder.toWav({ encoding: 'mulaw' });
+  const data = wav.subarray(44, 44 + wav.readUInt32LE(40));
+  const left = [];
+  const right = [];
+  for (let i = 0; i < data.length; i += 2) {
+    left.push(data[i]);
+    right.push(data[i + 1]);
+  }
+  return { wav, left, right };
+}
+
+describe('Call Recorder', function() {
+  const CALLER = 0x10;
+  const ASSISTANT = 0x20;
+  const chunk = (byte, ms) => Buffer.alloc(ms * SAMPLE_RATE / 1000, byte);
+
+  it('should write the caller on the left and the assistant on the right', function() {
+    const recorder = createCallRecorder();
+    recorder.addInbound(chunk(CALLER, 20), 0);
+    recorder.addOutbound(chunk(ASSISTANT, 20), 0);
+
+    const { wav, left, right } = channels(recorder);
+    expect(wav.readUInt16LE(22)).to.equal(2);
+    expect(left).to.deep.equal(Array(160).fill(CALLER));
+    expect(right).to.deep.equal(Array(160).fill(ASSISTANT));
+  });
+
+  it('should place caller audio at its media timestamp', function() {
+    const recorder = createCallRecorder();
+    recorder.addInbound(chunk(CALLER, 20), 40);
+    recorder.addInbound(chunk(CALLER, 20));
+
+    const { left } = channels(recorder);
+    expect(left).to.have.length(640);
+    expect(left.slice(0, 320).every(byte => byte === MULAW_SILENCE)).to.be.true;
+    expect(left.slice(320).every(byte => byte === CALLER)).to.be.true;
+  });
+
+  it('should queue assistant audio behind audio still playing', function() {
+    const recorder = createCallRecorder();
+    recorder.addOutbound(chunk(ASSISTANT, 100), 0);
+    recorder.addOutbound(chunk(0x30, 20), 50);
+    recorder.addOutbound(chunk(0x40, 20), 500);
+
+    const { right } = channels(recorder);
+    expect(right[799]).to.equal(ASSISTANT);
+    expect(right[800]).to.equal(0x30);
+    expect(right[960]).to.equal(MULAW_SILENCE);
+    expect(right[4000]).to.equal(0x40);
+    expect(recorder.duration()).to.equal(520);
+  });
+
+  it('should drop assistant audio cleared before it played', function() {
+    const recorder = createCallRecorder();
+    recorder.addOutbound(chunk(ASSISTANT, 100), 0);
+    recorder.addOutbound(chunk(ASSISTANT, 100), 0);
+    recorder.clearOutbound(60);
+    recorder.addOutbound(chunk(0x30, 20), 80);
+
+    const { right } = channels(recorder);
+    expect(right.slice(0, 480).every(byte => byte === ASSISTANT)).to.be.true;
+    expect(right.slice(480, 640).every(byte => byte === MULAW_SILENCE)).to.be.true;
+    expect(right.slice(640)).to.deep.equal(Array(160).fill(0x30));
+  });
+
+  it('should fill at most a few seconds of silence for a jump in the timestamps', function() {
+    const recorder = createCallRecorder();
+    recorder.addInbound(chunk(CALLER, 20), 0);
+    recorder.addInbound(chunk(CALLER, 20), 1e12);
+    recorder.addOutbound(chunk(ASSISTANT, 20), 1e12);
+
+    expect(recorder.duration()).to.equal(20 + 5000 + 20 + 5000 + 20);
+    const { left, right } = channels(recorder);
+    expect(left[20 * 8 + 5000 * 8]).to.equal(CALLER);
+    expect(right[right.length - 1]).to.equal(ASSISTANT);
+  });
+
+  it('should stop recording at the maximum duration', function() {
+    const recorder = createCallRecorder({ maxDurationMs: 30 });
+    recorder.addInbound(chunk(CALLER, 20), 0);
+    recorder.addInbound(chunk(CALLER, 20), 20);
+    recorder.addInbound(chunk(CALLER, 20), 40);
+    recorder.addOutbound(chunk(ASSISTANT, 20), 60);
+
+    expect(recorder.duration()).to.equal(30);
+    const { left, right } = channels(recorder);
+    expect(left).to.deep.equal(Array(240).fill(CALLER));
+    expect(right.every(byte => byte === MULAW_SILENCE)).to.be.true;
+  });
+
+  it('should render an empty recording', function() {
+    const { wav } = channels(createCallRecorder());
+    expect(wav.readUInt32LE(40)).to.equal(0);
+  });
+});
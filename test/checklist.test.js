@@ -0,0 +1,138 @@
+import { expect } from 'chai';
+import { after, afterEach, before, describe, it } from 'mocha';
+import { existsSync, mkdirSync, unlinkSync, writeFileSync } from 'fs';
+import {
+  CHECKLIST_RESULTS,
+  loadChecklistTemplates,
+  getChecklistTemplate,
+  summarizeChecklist
+} from '../checklist.js';
+
+describe('Checklist Module', function() {
+  const TEST_TEMPLATES_PATH = './test-data/checklist-templates.test.json';
+
+  function writeTemplates(templates) {
+    writeFileSync(TEST_TEMPLATES_PATH, JSON.stringify(templates));
+  }
+
+  before(function() {
+    if (!existsSync('./test-data')) {
+      mkdirSync('./test-data', { recursive: true });
+    }
+  });
+
+  afterEach(function() {
+    // Restore the shipped templates for other suites
+    loadChecklistTemplates('./checklist-templates.json');
+  });
+
+  after(function() {
+    if (existsSync(TEST_TEMPLATES_PATH)) {
+      unlinkSync(TEST_TEMPLATES_PATH);
+    }
+  });
+
+  describe('CHECKLIST_RESULTS', function() {
+    it('should allow PASS, FAIL and NA', function() {
+      expect(CHECKLIST_RESULTS).to.deep.equal(['PASS', 'FAIL', 'NA']);
+    });
+  });
+
+  describe('getChecklistTemplate()', function() {
+    it('should return the template for a configured type', function() {
+      const keys = getChecklistTemplate('Mobile Scaffold Tower').map(item => item.key);
+      expect(keys).to.include('casters');
+      expect(keys).to.include('outriggers');
+    });
+
+    it('should match the type case-insensitively', function() {
+      expect(getChecklistTemplate('mobile scaffold tower'))
+        .to.deep.equal(getChecklistTemplate('Mobile Scaffold Tower'));
+    });
+
+    it('should fall back to the default template for other types', function() {
+      const keys = getChecklistTemplate('Fixed Frame Scaffold').map(item => item.key);
+      expect(keys).to.include('base_plates');
+      expect(keys).to.include('ties');
+      expect(getChecklistTemplate(undefined)).to.deep.equal(getChecklistTemplate('Fixed Frame Scaffold'));
+    });
+
+    it('should give every item a key, label and required flag', function() {
+      getChecklistTemplate('Suspended Scaffold').forEach(item => {
+        expect(item.key).to.be.a('string');
+        expect(item.label).to.be.a('string');
+        expect(item.required).to.be.a('boolean');
+      });
+    });
+  });
+
+  describe('loadChecklistTemplates()', function() {
+    it('should load templates from the given file', function() {
+      writeTemplates({
+        default: [{ key: 'planking', label: 'Planking' }],
+        types: { 'Cantilever Scaffold': [{ key: 'needles', label: 'Needle beams', required: false }] }
+      });
+
+      loadChecklistTemplates(TEST_TEMPLATES_PATH);
+
+      expect(getChecklistTemplate('Fixed Frame Scaffold')).to.deep.equal([
+        { key: 'planking', label: 'Planking', required: true }
+      ]);
+      expect(getChecklistTemplate('Cantilever Scaffold')).to.deep.equal([
+        { key: 'needles', label: 'Needle beams', required: false }
+      ]);
+    });
+
+    it('should reject items without a key or label', function() {
+      writeTemplates({ default: [{ label: 'Planking' }] });
+      expect(() => loadChecklistTemplates(TEST_TEMPLATES_PATH)).to.throw('item 1 is missing a key');
+
+      writeTemplates({ default: [{ key: 'planking' }] });
+      expect(() => loadChecklistTemplates(TEST_TEMPLATES_PATH)).to.throw('"planking" is missing a label');
+    });
+
+    it('should reject duplicate item keys', function() {
+      writeTemplates({
+        default: [
+          { key: 'planking', label: 'Planking' },
+          { key: 'planking', label: 'Planking again' }
+        ]
+      });
+      expect(() => loadChecklistTemplates(TEST_TEMPLATES_PATH)).to.throw('duplicate item "planking"');
+    });
+
+    it('should throw for a missing file', function() {
+      expect(() => loadChecklistTemplates('./test-data/does-not-exist.json')).to.throw();
+    });
+  });
+
+  describe('summarizeChecklist()', function() {
+    const template = [
+      { key: 'planking', label: 'Planking', required: true },
+      { key: 'guardrails', label: 'Guardrails', required: true },
+      { key: 'inspection_tag', label: 'Tag', required: false }
+    ];
+
+    it('should list required items that have not been answered', function() {
+      const { missing } = summarizeChecklist(template, [{ item_key: 'planking', result: 'PASS' }]);
+      expect(missing.map(item => item.key)).to.deep.equal(['guardrails']);
+    });
+
+    it('should count NA as answered', function() {
+      const { missing } = summarizeChecklist(template, [
+        { item_key: 'planking', result: 'PASS' },
+        { item_key: 'guardrails', result: 'NA' }
+      ]);
+      expect(missing).to.be.empty;
+    });
+
+    it('should list failed items', function() {
+      const { failed } = summarizeChecklist(template, [
+        { item_key: 'planking', result: 'FAIL' },
+        { item_key: 'guardrails', result: 'PASS' },
+        { item_key: 'inspection_tag', result: 'FAIL' }
+      ]);
+      expect(failed.map(item => item.item_key)).to.deep.equal(['planking', 'inspection_tag']);
+    });
+  });
+});
@@ -0,0 +1,66 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { summarizeConversation } from '../conversation-summary.js';
+
+describe('Conversation Summary', function() {
+  const scaffold = { id: 'SCAFF-003', type: 'scaffolding', location: 'Building B, Level 2', status: 'active' };
+
+  it('should tell the assistant to apologise and carry on', function() {
+    const summary = summarizeConversation();
+    expect(summary).to.include('dropped');
+    expect(summary).to.include('Do not start over');
+    expect(summary).to.include('has not given their name yet');
+    expect(summary).to.include('No equipment has been identified yet.');
+  });
+
+  it('should include the caller and the equipment being inspected', function() {
+    const summary = summarizeConversation({
+      callerName: 'Rita Reyes',
+      equipment: [{
+        equipment: scaffold,
+        checklist: [
+          { item_key: 'base_plates', result: 'PASS', note: null },
+          { item_key: 'guardrails', result: 'FAIL', note: 'top rail bent' }
+        ],
+        missing: [{ key: 'planks', label: 'Planks secure' }]
+      }]
+    });
+
+    expect(summary).to.include('Caller: Rita Reyes.');
+    expect(summary).to.include('SCAFF-003, scaffolding at Building B, Level 2');
+    expect(summary).to.include('base_plates PASS, guardrails FAIL (top rail bent)');
+    expect(summary).to.include('Still to check: Planks secure (planks)');
+    expect(summary).to.not.include('No equipment has been identified yet.');
+  });
+
+  it('should ask for the overall result once every checklist item is recorded', function() {
+    const summary = summarizeConversation({
+      equipment: [{ equipment: { ...scaffold, status: 'tagged_out' }, checklist: [], missing: [] }]
+    });
+    expect(summary).to.include('TAGGED OUT');
+    expect(summary).to.include('ask for the overall result');
+  });
+
+  it('should list submitted inspections instead of reopening them', function() {
+    const summary = summarizeConversation({
+      equipment: [{ equipment: scaffold, checklist: [], missing: [] }],
+      inspections: [{ id: 7, equipment_id: 'SCAFF-003', inspection_result: 'PASS' }]
+    });
+    expect(summary).to.include('Inspection already submitted: SCAFF-003 PASS (#7).');
+    expect(summary).to.not.include('Equipment being inspected');
+  });
+
+  it('should replay only the most recent caller and assistant lines', function() {
+    const transcript = [
+      { role: 'function_call', content: '{"equipment_id":"SCAFF-003"}' },
+      ...Array.from({ length: 14 }, (_, i) => ({ role: i % 2 ? 'assistant' : 'caller', content: `line ${i}` }))
+    ];
+    const summary = summarizeConversation({ transcript });
+
+    expect(summary).to.include('Most recent conversation:');
+    expect(summary).to.not.include('line 1\n');
+    expect(summary).to.include('Caller: line 2');
+    expect(summary).to.include('Assistant: line 13');
+    expect(summary).to.not.include('equipment_id');
+  });
+});
@@ -3,19 +3,47 @@ import { after, afterEach, before, beforeEach, describe, it } from 'mocha';
 import { existsSync, mkdirSync, unlinkSync } from 'fs';
 import {
   initializeDatabase,
-  createInspection,
-  getInspectionByStreamSid,
+  createCall,
+  getCallByStreamSid,
+  getAllCalls,
+  getInspectionById,
+  getInspectionsByStreamSid,
   getInspectionByEquipmentId,
   saveInspectionData,
-  completeInspection,
+  completeCall,
+  recordCallProgress,
+  setCallRecording,
+  getExpiredRecordings,
+  closeOrphanedCalls,
+  getIncompleteCalls,
+  addTranscriptEntry,
+  getTranscriptByInspectionId,
+  getTranscriptByStreamSid,
+  saveChecklistResponse,
+  getPendingChecklistResponses,
+  getChecklistByInspectionId,
   getAllInspections,
   getInspectionsByResult,
   getInspectionsByLocation,
+  toSearchQuery,
+  searchInspections,
   getInspectionStats,
   closeDatabase,
   getCallerByPhoneNumber,
   saveCallerName,
-  clearAllData
+  seedEquipment,
+  listEquipment,
+  findEquipmentById,
+  findEquipmentByStatus,
+  insertEquipment,
+  updateEquipment,
+  deleteEquipment,
+  getLatestInspectionTimes,
+  listInspectionSchedules,
+  setInspectionSchedule,
+  deleteInspectionSchedule,
+  clearAllData,
+  getDatabase
 } from '../database.js';
 
 describe('Database Module', function() {
@@ -73,6 +101,13 @@ describe('Database Module', function() {
       expect(tables).to.have.lengthOf(1);
     });
 
+    it('should create calls table', function() {
+      closeDatabase();
+      const db = initializeDatabase();
+      const tables = db.prepare("SELECT name FROM sqlite_master WHERE type='table' AND name='calls'").all();
+      expect(tables).to.have.lengthOf(1);
+    });
+
     it('should create callers table', function() {
       closeDatabase();
       const db = initializeDatabase();
@@ -81,56 +116,63 @@ describe('Database Module', function() {
     });
   });
 
-  describe('createInspection()', function() {
-    it('should create a new inspection with stream_sid', function() {
+  describe('createCall()', function() {
+    it('should create a new call with stream_sid', function() {
       const streamSid = 'test-stream-123';
-      const inspection = createInspection(streamSid);
-      
-      expect(inspection).to.not.be.undefined;
-      expect(inspection.stream_sid).to.equal(streamSid);
-      expect(inspection.status).to.equal('in_progress');
+      const call = createCall(streamSid);
+
+      expect(call).to.not.be.undefined;
+      expect(call.stream_sid).to.equal(streamSid);
+      expect(call.status).to.equal('in_progress');
     });
 
-    it('should create a new inspection with phone number', function() {
+    it('should create a new call with phone number', function() {
       const streamSid = 'test-stream-456';
       const phoneNumber = '+1234567890';
-      const inspection = createInspection(streamSid, phoneNumber);
-      
-      expect(inspection.phone_number).to.equal(phoneNumber);
+      const call = createCall(streamSid, phoneNumber);
+
+      expect(call.phone_number).to.equal(phoneNumber);
     });
 
-    it('should not create duplicate inspections with same stream_sid', function() {
+    it('should not create duplicate calls with same stream_sid', function() {
       const streamSid = 'test-stream-dup';
-      createInspection(streamSid);
-      createInspection(streamSid); // Try to create duplicate
-      
-      const allInspections = getAllInspections();
-      const duplicates = allInspections.filter(i => i.stream_sid === streamSid);
+      createCall(streamSid);
+      createCall(streamSid); // Try to create duplicate
+
+      const allCalls = getAllCalls();
+      const duplicates = allCalls.filter(c => c.stream_sid === streamSid);
       expect(duplicates).to.have.lengthOf(1);
     });
+
+    it('should not create an inspection until data is submitted', function() {
+      createCall('test-stream-empty');
+
+      expect(getInspectionsByStreamSid('test-stream-empty')).to.be.an('array').that.is.empty;
+      expect(getAllInspections()).to.be.an('array').that.is.empty;
+    });
   });
 
-  describe('getInspectionByStreamSid()', function() {
-    it('should retrieve an inspection by stream_sid', function() {
+  describe('getCallByStreamSid()', function() {
+    it('should retrieve a call by stream_sid', function() {
       const streamSid = 'test-stream-retrieve';
-      createInspection(streamSid);
-      
-      const inspection = getInspectionByStreamSid(streamSid);
-      expect(inspection).to.not.be.undefined;
-      expect(inspection.stream_sid).to.equal(streamSid);
+      createCall(streamSid);
+
+      const call = getCallByStreamSid(streamSid);
+      expect(call).to.not.be.undefined;
+      expect(call.stream_sid).to.equal(streamSid);
     });
 
     it('should return undefined for non-existent stream_sid', function() {
-      const inspection = getInspectionByStreamSid('non-existent');
-      expect(inspection).to.be.undefined;
+      const call = getCallByStreamSid('non-existent');
+      expect(call).to.be.undefined;
     });
   });
 
   describe('saveInspectionData()', function() {
     it('should save complete inspection data', function() {
       const streamSid = 'test-stream-save';
-      createInspection(streamSid);
-      
+      createCall(streamSid, '+1234567890');
+
       const inspectionData = {
         equipment_id: 'SCAFF-001',
         inspector_name: 'John Doe',
@@ -138,46 +180,487 @@ describe('Database Module', function() {
         inspection_result: 'PASS',
         comments: 'All checks passed'
       };
-      
-      saveInspectionData(streamSid, inspectionData);
-      
-      const inspection = getInspectionByStreamSid(streamSid);
+
+      const inspection = saveInspectionData(streamSid, inspectionData);
+      expect(inspection.id).to.be.a('number');
+      expect(inspection.stream_sid).to.equal(streamSid);
+      expect(inspection.phone_number).to.equal('+1234567890');
       expect(inspection.equipment_id).to.equal(inspectionData.equipment_id);
       expect(inspection.inspector_name).to.equal(inspectionData.inspector_name);
       expect(inspection.location).to.equal(inspectionData.location);
       expect(inspection.inspection_result).to.equal(inspectionData.inspection_result);
       expect(inspection.comments).to.equal(inspectionData.comments);
-      expect(inspection.status).to.equal('completed');
+      expect(inspection.submitted_at).to.not.be.null;
+      expect(getCallByStreamSid(streamSid).status).to.equal('completed');
     });
 
     it('should save inspection data with null comments', function() {
       const streamSid = 'test-stream-no-comments';
-      createInspection(streamSid);
-      
+      createCall(streamSid);
+
       const inspectionData = {
         equipment_id: 'SCAFF-002',
         inspector_name: 'Jane Smith',
         location: 'Warehouse B',
         inspection_result: 'FAIL'
       };
-      
-      saveInspectionData(streamSid, inspectionData);
-      
-      const inspection = getInspectionByStreamSid(streamSid);
+
+      const inspection = saveInspectionData(streamSid, inspectionData);
       expect(inspection.comments).to.be.null;
     });
+
+    it('should insert a new inspection for each submission in the same call', function() {
+      const streamSid = 'test-stream-multi';
+      createCall(streamSid);
+
+      const first = saveInspectionData(streamSid, {
+        equipment_id: 'SCAFF-001',
+        inspector_name: 'John Doe',
+        location: 'Warehouse A - Bay 3',
+        inspection_result: 'PASS'
+      });
+      const second = saveInspectionData(streamSid, {
+        equipment_id: 'SCAFF-002',
+        inspector_name: 'John Doe',
+        location: 'Warehouse A - Bay 5',
+        inspection_result: 'FAIL'
+      });
+
+      expect(second.id).to.not.equal(first.id);
+      expect(getInspectionById(first.id).equipment_id).to.equal('SCAFF-001');
+      expect(getInspectionById(second.id).equipment_id).to.equal('SCAFF-002');
+    });
+
+    it('should throw when no call exists for the stream', function() {
+      expect(() => saveInspectionData('unknown-stream', {
+        equipment_id: 'SCAFF-001',
+        inspector_name: 'John Doe',
+        location: 'Warehouse A',
+        inspection_result: 'PASS'
+      })).to.throw('No call found for stream unknown-stream');
+    });
+  });
+
+  describe('getInspectionsByStreamSid()', function() {
+    it('should return every inspection from a call in submission order', function() {
+      const streamSid = 'test-stream-list';
+      createCall(streamSid);
+
+      ['SCAFF-003', 'SCAFF-004', 'SCAFF-005'].forEach(equipmentId => {
+        saveInspectionData(streamSid, {
+          equipment_id: equipmentId,
+          inspector_name: 'Inspector',
+          location: 'Location',
+          inspection_result: 'PASS'
+        });
+      });
+
+      const inspections = getInspectionsByStreamSid(streamSid);
+      expect(inspections.map(i => i.equipment_id)).to.deep.equal(['SCAFF-003', 'SCAFF-004', 'SCAFF-005']);
+      inspections.forEach(i => expect(i.stream_sid).to.equal(streamSid));
+    });
+
+    it('should not include inspections from other calls', function() {
+      createCall('stream-a');
+      createCall('stream-b');
+      saveInspectionData('stream-b', {
+        equipment_id: 'SCAFF-001',
+        inspector_name: 'Inspector',
+        location: 'Location',
+        inspection_result: 'PASS'
+      });
+
+      expect(getInspectionsByStreamSid('stream-a')).to.be.an('array').that.is.empty;
+      expect(getInspectionsByStreamSid('stream-b')).to.have.lengthOf(1);
+    });
   });
 
-  describe('completeInspection()', function() {
-    it('should mark inspection as complete with call_ended_at', function() {
+  describe('completeCall()', function() {
+    it('should mark call as complete with call_ended_at', function() {
       const streamSid = 'test-stream-complete';
-      createInspection(streamSid);
+      createCall(streamSid);
+
+      completeCall(streamSid);
+
+      const call = getCallByStreamSid(streamSid);
+      expect(call.call_ended_at).to.not.be.null;
+      expect(call.call_duration_seconds).to.be.at.least(0);
+    });
+
+    it('should record why the call ended', function() {
+      createCall('stream-timeout');
+      completeCall('stream-timeout', 'timeout');
+
+      expect(getCallByStreamSid('stream-timeout').end_reason).to.equal('timeout');
+    });
+
+    it('should reject unknown end reasons', function() {
+      createCall('stream-unknown-end');
+      expect(() => completeCall('stream-unknown-end', 'vanished')).to.throw();
+    });
+
+    it('should include the end reason on inspections recorded during the call', function() {
+      createCall('stream-ended');
+      const inspection = saveInspectionData('stream-ended', {
+        equipment_id: 'SCAFF-001',
+        inspector_name: 'Inspector',
+        location: 'Location',
+        inspection_result: 'PASS'
+      });
+      expect(inspection.end_reason).to.be.null;
+
+      completeCall('stream-ended', 'completed');
+      expect(getInspectionById(inspection.id).end_reason).to.equal('completed');
+    });
+
+    it('should add the end reason column to older databases', function() {
+      closeDatabase();
+      let db = initializeDatabase();
+      db.exec('ALTER TABLE calls DROP COLUMN end_reason');
+      closeDatabase();
+
+      db = initializeDatabase();
+      const columns = db.prepare('PRAGMA table_info(calls)').all().map(col => col.name);
+      expect(columns).to.include('end_reason');
+    });
+
+    it('should mark a call that ended without an inspection as failed', function() {
+      createCall('stream-abandoned');
+      completeCall('stream-abandoned', 'caller_hangup');
+
+      expect(getCallByStreamSid('stream-abandoned').status).to.equal('failed');
+    });
+
+    it('should mark a call the assistant ended or transferred on purpose as completed', function() {
+      createCall('stream-hazard-transfer');
+      completeCall('stream-hazard-transfer', 'transferred', { note: 'Scaffold leaning', transferredTo: '+15550009999' });
+      createCall('stream-wrap-up');
+      completeCall('stream-wrap-up', 'assistant_ended', { note: 'Caller only had a question' });
+
+      expect(getCallByStreamSid('stream-hazard-transfer').status).to.equal('completed');
+      expect(getCallByStreamSid('stream-wrap-up').status).to.equal('completed');
+      expect(getIncompleteCalls()).to.be.empty;
+    });
+
+    it('should keep a call with an inspection completed', function() {
+      createCall('stream-submitted');
+      saveInspectionData('stream-submitted', {
+        equipment_id: 'SCAFF-001',
+        inspector_name: 'Inspector',
+        location: 'Location',
+        inspection_result: 'PASS'
+      });
+      completeCall('stream-submitted', 'openai_error');
+
+      expect(getCallByStreamSid('stream-submitted').status).to.equal('completed');
+    });
+  });
+
+  describe('recordCallProgress()', function() {
+    it('should record the stage and keep the last known equipment', function() {
+      createCall('stream-progress');
+      recordCallProgress('stream-progress', 'equipment_identified', 'SCAFF-001');
+      recordCallProgress('stream-progress', 'checklist_started');
+
+      const call = getCallByStreamSid('stream-progress');
+      expect(call.progress).to.equal('checklist_started');
+      expect(call.progress_equipment_id).to.equal('SCAFF-001');
+    });
+  });
+
+  describe('Call end details', function() {
+    it('should record a transfer on the call and its inspections', function() {
+      createCall('stream-transferred');
+      const { id } = saveInspectionData('stream-transferred', {
+        equipment_id: 'SCAFF-001',
+        inspector_name: 'Inspector',
+        location: 'Location',
+        inspection_result: 'FAIL'
+      });
+      completeCall('stream-transferred', 'transferred', { note: 'Guardrail missing on level 3', transferredTo: '+15550009999' });
+
+      expect(getInspectionById(id)).to.include({
+        end_reason: 'transferred',
+        end_note: 'Guardrail missing on level 3',
+        transferred_to: '+15550009999'
+      });
+    });
+
+    it('should leave the details empty when none are given', function() {
+      createCall('stream-assistant-ended');
+      completeCall('stream-assistant-ended', 'assistant_ended');
+
+      expect(getCallByStreamSid('stream-assistant-ended')).to.include({
+        end_reason: 'assistant_ended',
+        end_note: null,
+        transferred_to: null
+      });
+    });
+  });
+
+  describe('Call recordings', function() {
+    it('should link a recording to the call and its inspections', function() {
+      createCall('stream-recorded');
+      const { id } = saveInspectionData('stream-recorded', {
+        equipment_id: 'SCAFF-001',
+        inspector_name: 'Inspector',
+        location: 'Location',
+        inspection_result: 'PASS'
+      });
+      setCallRecording('stream-recorded', 'stream-recorded.wav');
+
+      expect(getCallByStreamSid('stream-recorded').recording_file).to.equal('stream-recorded.wav');
+      expect(getInspectionById(id).recording_file).to.equal('stream-recorded.wav');
+    });
+
+    it('should find recordings past the retention period', function() {
+      for (const [streamSid, endedAt] of [['stream-old-recording', '-40 days'], ['stream-new-recording', '-2 days']]) {
+        createCall(streamSid);
+        completeCall(streamSid, 'caller_hangup');
+        setCallRecording(streamSid, `${streamSid}.wav`);
+        getDatabase().prepare(`UPDATE calls SET call_ended_at = datetime('now', ?) WHERE stream_sid = ?`).run(endedAt, streamSid);
+      }
+      createCall('stream-unrecorded');
+      completeCall('stream-unrecorded', 'caller_hangup');
+      getDatabase().prepare(`UPDATE calls SET call_ended_at = datetime('now', '-40 days') WHERE stream_sid = ?`).run('stream-unrecorded');
+
+      expect(getExpiredRecordings(30)).to.deep.equal([
+        { stream_sid: 'stream-old-recording', recording_file: 'stream-old-recording.wav' }
+      ]);
+
+      setCallRecording('stream-old-recording', null);
+      expect(getExpiredRecordings(30)).to.be.empty;
+      expect(getExpiredRecordings(1)).to.have.length(1);
+    });
+  });
+
+  describe('closeOrphanedCalls()', function() {
+    it('should close calls left open and mark unsubmitted ones failed', function() {
+      createCall('stream-orphan');
+      createCall('stream-orphan-submitted');
+      saveInspectionData('stream-orphan-submitted', {
+        equipment_id: 'SCAFF-001',
+        inspector_name: 'Inspector',
+        location: 'Location',
+        inspection_result: 'PASS'
+      });
+      createCall('stream-already-ended');
+      completeCall('stream-already-ended', 'caller_hangup');
+
+      expect(closeOrphanedCalls()).to.equal(2);
+
+      const orphan = getCallByStreamSid('stream-orphan');
+      expect(orphan).to.include({ status: 'failed', end_reason: 'server_restart' });
+      expect(orphan.call_ended_at).to.not.be.null;
+      expect(getCallByStreamSid('stream-orphan-submitted')).to.include({ status: 'completed', end_reason: 'server_restart' });
+      expect(getCallByStreamSid('stream-already-ended').end_reason).to.equal('caller_hangup');
+      expect(closeOrphanedCalls()).to.equal(0);
+    });
+
+    it('should end an orphaned call at its last transcript entry', function() {
+      const call = createCall('stream-orphan-transcript');
+      getDatabase().prepare(`UPDATE calls SET call_started_at = '2025-01-01 10:00:00' WHERE id = ?`).run(call.id);
+      addTranscriptEntry('stream-orphan-transcript', { role: 'caller', content: 'Hello' });
+      getDatabase().prepare(`UPDATE transcript_entries SET created_at = '2025-01-01 10:02:30.000' WHERE call_id = ?`).run(call.id);
+
+      closeOrphanedCalls();
+
+      const closed = getCallByStreamSid('stream-orphan-transcript');
+      expect(closed.call_ended_at).to.equal('2025-01-01 10:02:30.000');
+      expect(closed.call_duration_seconds).to.equal(150);
+    });
+  });
+
+  describe('getIncompleteCalls()', function() {
+    it('should list failed calls with the caller and unsubmitted checklist answers', function() {
+      saveCallerName('+15550000001', 'Jane Doe');
+      createCall('stream-incomplete', '+15550000001');
+      recordCallProgress('stream-incomplete', 'checklist_started', 'SCAFF-001');
+      saveChecklistResponse('stream-incomplete', { equipment_id: 'SCAFF-001', item_key: 'planking', result: 'PASS' });
+      saveChecklistResponse('stream-incomplete', { equipment_id: 'SCAFF-001', item_key: 'guardrails', result: 'FAIL' });
+      completeCall('stream-incomplete', 'caller_hangup');
+
+      createCall('stream-live');
+      createCall('stream-done');
+      saveInspectionData('stream-done', {
+        equipment_id: 'SCAFF-002',
+        inspector_name: 'Inspector',
+        location: 'Location',
+        inspection_result: 'PASS'
+      });
+      completeCall('stream-done', 'completed');
+
+      const calls = getIncompleteCalls();
+      expect(calls).to.have.lengthOf(1);
+      expect(calls[0]).to.include({
+        stream_sid: 'stream-incomplete',
+        caller_name: 'Jane Doe',
+        status: 'failed',
+        end_reason: 'caller_hangup',
+        progress: 'checklist_started',
+        progress_equipment_id: 'SCAFF-001',
+        checklist_items_recorded: 2
+      });
+      expect(calls[0].checklist_equipment_ids).to.deep.equal(['SCAFF-001']);
+    });
+
+    it('should return an empty equipment list when nothing was recorded', function() {
+      createCall('stream-early-hangup');
+      completeCall('stream-early-hangup', 'caller_hangup');
+
+      const [call] = getIncompleteCalls();
+      expect(call.checklist_items_recorded).to.equal(0);
+      expect(call.checklist_equipment_ids).to.deep.equal([]);
+    });
+  });
+
+  describe('getAllCalls()', function() {
+    it('should include the number of inspections recorded on each call', function() {
+      createCall('stream-none');
+      createCall('stream-two');
+      ['SCAFF-001', 'SCAFF-002'].forEach(equipmentId => {
+        saveInspectionData('stream-two', {
+          equipment_id: equipmentId,
+          inspector_name: 'Inspector',
+          location: 'Location',
+          inspection_result: 'PASS'
+        });
+      });
+
+      const calls = getAllCalls();
+      expect(calls).to.have.lengthOf(2);
+      expect(calls.find(c => c.stream_sid === 'stream-none').inspection_count).to.equal(0);
+      expect(calls.find(c => c.stream_sid === 'stream-two').inspection_count).to.equal(2);
+    });
+  });
+
+  describe('Transcripts', function() {
+    const inspectionData = {
+      equipment_id: 'SCAFF-001',
+      inspector_name: 'John Doe',
+      location: 'Warehouse A - Bay 3',
+      inspection_result: 'PASS'
+    };
+
+    it('should store transcript entries in order', function() {
+      const streamSid = 'test-transcript-order';
+      createCall(streamSid);
       
-      completeInspection(streamSid);
+      addTranscriptEntry(streamSid, { role: 'assistant', content: 'Hi, what is your name?' });
+      addTranscriptEntry(streamSid, { role: 'caller', content: 'John Doe', item_id: 'item_1' });
+      addTranscriptEntry(streamSid, { role: 'function_call', function_name: 'save_caller_name', content: '{"caller_name":"John Doe"}' });
       
-      const inspection = getInspectionByStreamSid(streamSid);
-      expect(inspection.call_ended_at).to.not.be.null;
-      expect(inspection.call_duration_seconds).to.be.at.least(0);
+      const transcript = getTranscriptByStreamSid(streamSid);
+      expect(transcript.map(t => t.role)).to.deep.equal(['assistant', 'caller', 'function_call']);
+      expect(transcript[1].item_id).to.equal('item_1');
+      expect(transcript[2].function_name).to.equal('save_caller_name');
+      transcript.forEach(t => expect(t.created_at).to.be.a('string'));
+    });
+
+    it('should return null when the call does not exist', function() {
+      const result = addTranscriptEntry('no-such-stream', { role: 'caller', content: 'Hello' });
+      expect(result).to.be.null;
+    });
+
+    it('should reject unknown roles', function() {
+      createCall('test-transcript-role');
+      expect(() => addTranscriptEntry('test-transcript-role', { role: 'narrator', content: 'x' })).to.throw();
+    });
+
+    it('should link earlier entries to the inspection when it is submitted', function() {
+      const streamSid = 'test-transcript-link';
+      createCall(streamSid);
+      
+      addTranscriptEntry(streamSid, { role: 'caller', content: 'SCAFF-001 passes' });
+      const inspection = saveInspectionData(streamSid, inspectionData);
+      addTranscriptEntry(streamSid, { role: 'function_result', content: '{"success":true}', inspection_id: inspection.id });
+      addTranscriptEntry(streamSid, { role: 'caller', content: 'Thanks, bye' });
+      
+      const transcript = getTranscriptByInspectionId(inspection.id);
+      expect(transcript.map(t => t.content)).to.deep.equal(['SCAFF-001 passes', '{"success":true}']);
+      expect(getTranscriptByStreamSid(streamSid)).to.have.lengthOf(3);
+    });
+
+    it('should keep each inspection in a call to its own part of the conversation', function() {
+      const streamSid = 'test-transcript-multi';
+      createCall(streamSid);
+      
+      addTranscriptEntry(streamSid, { role: 'caller', content: 'First one passes' });
+      const first = saveInspectionData(streamSid, inspectionData);
+      addTranscriptEntry(streamSid, { role: 'caller', content: 'Second one fails' });
+      const second = saveInspectionData(streamSid, { ...inspectionData, equipment_id: 'SCAFF-002', inspection_result: 'FAIL' });
+      
+      expect(getTranscriptByInspectionId(first.id).map(t => t.content)).to.deep.equal(['First one passes']);
+      expect(getTranscriptByInspectionId(second.id).map(t => t.content)).to.deep.equal(['Second one fails']);
+    });
+  });
+
+  describe('Checklist Responses', function() {
+    const inspectionData = {
+      equipment_id: 'SCAFF-001',
+      inspector_name: 'John Doe',
+      location: 'Warehouse A - Bay 3',
+      inspection_result: 'FAIL'
+    };
+
+    it('should store responses against the call and equipment', function() {
+      createCall('test-checklist-save');
+      const response = saveChecklistResponse('test-checklist-save', {
+        equipment_id: 'scaff-001',
+        item_key: 'planking',
+        result: 'FAIL',
+        note: 'Cracked board on level 2'
+      });
+
+      expect(response.equipment_id).to.equal('SCAFF-001');
+      expect(response.result).to.equal('FAIL');
+      expect(response.note).to.equal('Cracked board on level 2');
+      expect(response.inspection_id).to.be.null;
+    });
+
+    it('should return null when the call does not exist', function() {
+      expect(saveChecklistResponse('no-such-stream', { equipment_id: 'SCAFF-001', item_key: 'planking', result: 'PASS' })).to.be.null;
+    });
+
+    it('should replace an earlier answer to the same item', function() {
+      createCall('test-checklist-replace');
+      saveChecklistResponse('test-checklist-replace', { equipment_id: 'SCAFF-001', item_key: 'planking', result: 'FAIL' });
+      saveChecklistResponse('test-checklist-replace', { equipment_id: 'SCAFF-001', item_key: 'planking', result: 'PASS' });
+
+      const pending = getPendingChecklistResponses('test-checklist-replace', 'SCAFF-001');
+      expect(pending).to.have.lengthOf(1);
+      expect(pending[0].result).to.equal('PASS');
+    });
+
+    it('should reject unknown results', function() {
+      createCall('test-checklist-result');
+      expect(() => saveChecklistResponse('test-checklist-result', { equipment_id: 'SCAFF-001', item_key: 'planking', result: 'OK' })).to.throw();
+    });
+
+    it('should link pending responses for the equipment to the submitted inspection', function() {
+      const streamSid = 'test-checklist-link';
+      createCall(streamSid);
+      saveChecklistResponse(streamSid, { equipment_id: 'SCAFF-001', item_key: 'planking', result: 'FAIL' });
+      saveChecklistResponse(streamSid, { equipment_id: 'SCAFF-001', item_key: 'guardrails', result: 'PASS' });
+      saveChecklistResponse(streamSid, { equipment_id: 'SCAFF-002', item_key: 'planking', result: 'PASS' });
+
+      const inspection = saveInspectionData(streamSid, inspectionData);
+
+      expect(getChecklistByInspectionId(inspection.id).map(r => r.item_key)).to.deep.equal(['planking', 'guardrails']);
+      expect(getPendingChecklistResponses(streamSid, 'SCAFF-001')).to.be.empty;
+      expect(getPendingChecklistResponses(streamSid, 'SCAFF-002')).to.have.lengthOf(1);
+    });
+
+    it('should start a fresh checklist when the same equipment is inspected again', function() {
+      const streamSid = 'test-checklist-again';
+      createCall(streamSid);
+      saveChecklistResponse(streamSid, { equipment_id: 'SCAFF-001', item_key: 'planking', result: 'FAIL' });
+      const first = saveInspectionData(streamSid, inspectionData);
+      saveChecklistResponse(streamSid, { equipment_id: 'SCAFF-001', item_key: 'planking', result: 'PASS' });
+      const second = saveInspectionData(streamSid, { ...inspectionData, inspection_result: 'PASS' });
+
+      expect(getChecklistByInspectionId(first.id)[0].result).to.equal('FAIL');
+      expect(getChecklistByInspectionId(second.id)[0].result).to.equal('PASS');
     });
   });
 
@@ -186,7 +669,7 @@ describe('Database Module', function() {
       const equipmentId = 'SCAFF-001';
       
       // Create multiple inspections for same equipment
-      createInspection('stream-1');
+      createCall('stream-1');
       saveInspectionData('stream-1', {
         equipment_id: equipmentId,
         inspector_name: 'Inspector 1',
@@ -194,7 +677,7 @@ describe('Database Module', function() {
         inspection_result: 'PASS'
       });
       
-      createInspection('stream-2');
+      createCall('stream-2');
       saveInspectionData('stream-2', {
         equipment_id: equipmentId,
         inspector_name: 'Inspector 2',
@@ -213,28 +696,38 @@ describe('Database Module', function() {
   });
 
   describe('getAllInspections()', function() {
+    function recordInspection(streamSid) {
+      createCall(streamSid);
+      saveInspectionData(streamSid, {
+        equipment_id: 'SCAFF-001',
+        inspector_name: 'Inspector',
+        location: 'Location',
+        inspection_result: 'PASS'
+      });
+    }
+
     it('should retrieve all inspections', function() {
-      createInspection('stream-1');
-      createInspection('stream-2');
-      createInspection('stream-3');
-      
+      recordInspection('stream-1');
+      recordInspection('stream-2');
+      recordInspection('stream-3');
+
       const inspections = getAllInspections();
       expect(inspections).to.have.lengthOf(3);
     });
 
     it('should respect the limit parameter', function() {
       for (let i = 0; i < 10; i++) {
-        createInspection(`stream-${i}`);
+        recordInspection(`stream-${i}`);
       }
-      
+
       const inspections = getAllInspections(5);
       expect(inspections).to.have.lengthOf(5);
     });
 
-    it('should return inspections in descending order by call_started_at', function() {
-      createInspection('stream-old');
-      createInspection('stream-new');
-      
+    it('should return inspections in descending order of submission', function() {
+      recordInspection('stream-old');
+      recordInspection('stream-new');
+
       const inspections = getAllInspections();
       expect(inspections[0].stream_sid).to.equal('stream-new');
     });
@@ -243,7 +736,7 @@ describe('Database Module', function() {
   describe('getInspectionsByResult()', function() {
     beforeEach(function() {
       // Create inspections with different results
-      createInspection('stream-pass-1');
+      createCall('stream-pass-1');
       saveInspectionData('stream-pass-1', {
         equipment_id: 'SCAFF-001',
         inspector_name: 'Inspector',
@@ -251,7 +744,7 @@ describe('Database Module', function() {
         inspection_result: 'PASS'
       });
       
-      createInspection('stream-fail-1');
+      createCall('stream-fail-1');
       saveInspectionData('stream-fail-1', {
         equipment_id: 'SCAFF-002',
         inspector_name: 'Inspector',
@@ -259,7 +752,7 @@ describe('Database Module', function() {
         inspection_result: 'FAIL'
       });
       
-      createInspection('stream-pass-2');
+      createCall('stream-pass-2');
       saveInspectionData('stream-pass-2', {
         equipment_id: 'SCAFF-003',
         inspector_name: 'Inspector',
@@ -283,7 +776,7 @@ describe('Database Module', function() {
 
   describe('getInspectionsByLocation()', function() {
     beforeEach(function() {
-      createInspection('stream-wh-a');
+      createCall('stream-wh-a');
       saveInspectionData('stream-wh-a', {
         equipment_id: 'SCAFF-001',
         inspector_name: 'Inspector',
@@ -291,7 +784,7 @@ describe('Database Module', function() {
         inspection_result: 'PASS'
       });
       
-      createInspection('stream-wh-b');
+      createCall('stream-wh-b');
       saveInspectionData('stream-wh-b', {
         equipment_id: 'SCAFF-002',
         inspector_name: 'Inspector',
@@ -315,13 +808,148 @@ describe('Database Module', function() {
       const inspections = getInspectionsByLocation('NonExistent');
       expect(inspections).to.be.an('array').that.is.empty;
     });
+
+    it('should match words in any order', function() {
+      const inspections = getInspectionsByLocation('bay three warehouse a');
+      expect(inspections.map(i => i.equipment_id)).to.deep.equal(['SCAFF-001']);
+    });
+
+    it('should list the most relevant location first, then the newest', function() {
+      createCall('stream-wh-b-yard');
+      saveInspectionData('stream-wh-b-yard', {
+        equipment_id: 'SCAFF-003',
+        inspector_name: 'Inspector',
+        location: 'Warehouse B - Bay 1 - Yard Side',
+        inspection_result: 'PASS'
+      });
+
+      const inspections = getInspectionsByLocation('warehouse b bay 1');
+      expect(inspections.map(i => i.equipment_id)).to.deep.equal(['SCAFF-002', 'SCAFF-003']);
+      expect(getInspectionsByLocation('warehouse b bay 1', 1)).to.have.lengthOf(1);
+    });
+  });
+
+  describe('searchInspections()', function() {
+    function inspect(streamSid, data, transcript = []) {
+      createCall(streamSid);
+      transcript.forEach(entry => addTranscriptEntry(streamSid, entry));
+      return saveInspectionData(streamSid, {
+        inspector_name: 'Inspector',
+        location: 'Warehouse A',
+        ...data
+      });
+    }
+
+    beforeEach(function() {
+      inspect('stream-toe-boards', {
+        equipment_id: 'SCAFF-001',
+        inspection_result: 'FAIL',
+        comments: 'Missing toe boards on the top lift'
+      });
+      inspect('stream-said-toe-board', {
+        equipment_id: 'SCAFF-002',
+        inspection_result: 'PASS',
+        comments: 'All items checked'
+      }, [
+        { role: 'caller', content: 'The toe board was missing but we fitted one before I called' },
+        { role: 'function_call', function_name: 'record_checklist_item', content: '{"note":"missing toe board"}' }
+      ]);
+      inspect('stream-unrelated', {
+        equipment_id: 'SCAFF-003',
+        inspection_result: 'PASS',
+        comments: 'Guardrails secure'
+      });
+    });
+
+    it('should find inspections by their comments and transcripts, ignoring word forms', function() {
+      const { inspections, total } = searchInspections('missing toe boards');
+      expect(total).to.equal(2);
+      expect(inspections.map(i => i.equipment_id)).to.have.members(['SCAFF-001', 'SCAFF-002']);
+    });
+
+    it('should highlight matched words in snippets', function() {
+      const { inspections } = searchInspections('toe board');
+      const fromComments = inspections.find(i => i.equipment_id === 'SCAFF-001');
+      const fromTranscript = inspections.find(i => i.equipment_id === 'SCAFF-002');
+
+      expect(fromComments.matches).to.deep.equal([
+        { source: 'comments', snippet: 'Missing <mark>toe</mark> <mark>boards</mark> on the top lift' }
+      ]);
+      expect(fromTranscript.matches).to.have.lengthOf(1);
+      expect(fromTranscript.matches[0]).to.include({ source: 'transcript', role: 'caller' });
+      expect(fromTranscript.matches[0].snippet).to.include('<mark>toe</mark> <mark>board</mark>');
+    });
+
+    it('should escape the text around highlighted words', function() {
+      inspect('stream-markup', {
+        equipment_id: 'SCAFF-004',
+        inspection_result: 'FAIL',
+        comments: '<script>alert("x")</script> guardrail & toe board loose'
+      });
+
+      const { inspections } = searchInspections('guardrail loose');
+      expect(inspections[0].matches[0].snippet).to.equal(
+        '&lt;script&gt;alert(&quot;x&quot;)&lt;/script&gt; <mark>guardrail</mark> &amp; toe board <mark>loose</mark>');
+    });
+
+    it('should not search tool calls', function() {
+      expect(searchInspections('fitted').total).to.equal(1);
+      expect(searchInspections('record_checklist_item').total).to.equal(0);
+    });
+
+    it('should require every word', function() {
+      expect(searchInspections('toe boards guardrails').total).to.equal(0);
+    });
+
+    it('should filter by result, equipment and date', function() {
+      expect(searchInspections('toe', { result: 'FAIL' }).inspections.map(i => i.equipment_id)).to.deep.equal(['SCAFF-001']);
+      expect(searchInspections('toe', { equipmentId: 'scaff-002' }).inspections.map(i => i.equipment_id)).to.deep.equal(['SCAFF-002']);
+
+      const today = new Date().toISOString().slice(0, 10);
+      expect(searchInspections('toe', { from: today, to: today }).total).to.equal(2);
+      expect(searchInspections('toe', { to: '2000-01-01' }).total).to.equal(0);
+    });
+
+    it('should page through results', function() {
+      const first = searchInspections('toe', { limit: 1 });
+      const second = searchInspections('toe', { limit: 1, offset: 1 });
+      expect(first.total).to.equal(2);
+      expect(first.inspections).to.have.lengthOf(1);
+      expect(second.inspections).to.have.lengthOf(1);
+      expect(second.inspections[0].id).to.not.equal(first.inspections[0].id);
+    });
+
+    it('should stop matching text that has been deleted', function() {
+      const db = getDatabase();
+      db.prepare('UPDATE inspections SET comments = ? WHERE equipment_id = ?').run('Replaced', 'SCAFF-001');
+      db.prepare('DELETE FROM calls WHERE stream_sid = ?').run('stream-said-toe-board');
+      expect(searchInspections('toe').total).to.equal(0);
+      expect(searchInspections('replaced').total).to.equal(1);
+    });
+
+    it('should index existing rows when the search tables are first created', function() {
+      closeDatabase();
+      let db = initializeDatabase();
+      db.exec('DROP TABLE inspection_search; DROP TABLE transcript_search');
+      closeDatabase();
+
+      initializeDatabase();
+      expect(searchInspections('toe').total).to.equal(2);
+    });
+
+    it('should take search operators and punctuation literally', function() {
+      expect(toSearchQuery('toe OR boards')).to.equal('"toe" AND "OR" AND "boards"');
+      expect(toSearchQuery('"toe board" -missing*')).to.equal('"toe board" AND "missing"');
+      expect(toSearchQuery(' ?! ')).to.be.null;
+      expect(searchInspections('toe* (boards')).to.have.property('total', 2);
+    });
   });
 
   describe('getInspectionStats()', function() {
     beforeEach(function() {
       // Create mix of completed inspections
       for (let i = 0; i < 5; i++) {
-        createInspection(`stream-pass-${i}`);
+        createCall(`stream-pass-${i}`);
         saveInspectionData(`stream-pass-${i}`, {
           equipment_id: `SCAFF-00${i}`,
           inspector_name: `Inspector ${i % 2}`,
@@ -331,7 +959,7 @@ describe('Database Module', function() {
       }
       
       for (let i = 0; i < 3; i++) {
-        createInspection(`stream-fail-${i}`);
+        createCall(`stream-fail-${i}`);
         saveInspectionData(`stream-fail-${i}`, {
           equipment_id: `SCAFF-10${i}`,
           inspector_name: `Inspector ${i}`,
@@ -422,6 +1050,182 @@ describe('Database Module', function() {
     });
   });
 
+  describe('Equipment Registry', function() {
+    const tower = {
+      id: 'scaff-100',
+      type: 'Mobile Scaffold Tower',
+      location: 'Warehouse Z - Bay_1',
+      height: '6m',
+      last_inspection: '2024-10-01',
+      notes: 'Test tower'
+    };
+
+    it('should insert equipment with an upper-cased ID and active status', function() {
+      const equipment = insertEquipment(tower);
+      
+      expect(equipment.id).to.equal('SCAFF-100');
+      expect(equipment.status).to.equal('active');
+      expect(equipment.location).to.equal(tower.location);
+    });
+
+    it('should find equipment by ID regardless of case', function() {
+      insertEquipment(tower);
+      
+      expect(findEquipmentById('SCAFF-100')).to.not.be.undefined;
+      expect(findEquipmentById('scaff-100')).to.not.be.undefined;
+      expect(findEquipmentById('SCAFF-999')).to.be.undefined;
+    });
+
+    it('should reject duplicate IDs', function() {
+      insertEquipment(tower);
+      expect(() => insertEquipment({ ...tower, id: 'SCAFF-100' })).to.throw();
+    });
+
+    it('should filter by status', function() {
+      insertEquipment(tower);
+      insertEquipment({ ...tower, id: 'SCAFF-101', status: 'maintenance' });
+      
+      expect(findEquipmentByStatus('maintenance').map(e => e.id)).to.deep.equal(['SCAFF-101']);
+    });
+
+    it('should update only the given fields', function() {
+      insertEquipment(tower);
+      
+      const updated = updateEquipment('SCAFF-100', { status: 'maintenance', notes: null });
+      expect(updated.status).to.equal('maintenance');
+      expect(updated.notes).to.be.null;
+      expect(updated.location).to.equal(tower.location);
+    });
+
+    it('should return undefined when updating missing equipment', function() {
+      expect(updateEquipment('SCAFF-999', { status: 'active' })).to.be.undefined;
+    });
+
+    it('should delete equipment', function() {
+      insertEquipment(tower);
+      
+      expect(deleteEquipment('SCAFF-100')).to.be.true;
+      expect(findEquipmentById('SCAFF-100')).to.be.undefined;
+      expect(deleteEquipment('SCAFF-100')).to.be.false;
+    });
+
+    it('should record the submission time as last_inspection', function() {
+      insertEquipment(tower);
+      createCall('stream-equipment-pass');
+      
+      const inspection = saveInspectionData('stream-equipment-pass', {
+        equipment_id: 'scaff-100',
+        inspector_name: 'Inspector',
+        location: tower.location,
+        inspection_result: 'PASS'
+      });
+      
+      const equipment = findEquipmentById('SCAFF-100');
+      expect(equipment.last_inspection).to.equal(inspection.submitted_at);
+      expect(equipment.status).to.equal('active');
+    });
+
+    it('should tag equipment out when an inspection fails', function() {
+      insertEquipment({ ...tower, status: 'maintenance' });
+      createCall('stream-equipment-fail');
+      
+      saveInspectionData('stream-equipment-fail', {
+        equipment_id: 'SCAFF-100',
+        inspector_name: 'Inspector',
+        location: tower.location,
+        inspection_result: 'FAIL'
+      });
+      
+      expect(findEquipmentById('SCAFF-100').status).to.equal('tagged_out');
+      expect(findEquipmentByStatus('tagged_out')).to.have.lengthOf(1);
+    });
+
+    it('should not return tagged-out equipment to service on a later pass', function() {
+      insertEquipment(tower);
+      createCall('stream-equipment-retest');
+      
+      ['FAIL', 'PASS'].forEach(result => {
+        saveInspectionData('stream-equipment-retest', {
+          equipment_id: 'SCAFF-100',
+          inspector_name: 'Inspector',
+          location: tower.location,
+          inspection_result: result
+        });
+      });
+      
+      expect(findEquipmentById('SCAFF-100').status).to.equal('tagged_out');
+    });
+
+    it('should seed only an empty registry', function() {
+      expect(seedEquipment([tower])).to.equal(1);
+      expect(seedEquipment([{ ...tower, id: 'SCAFF-101' }])).to.equal(0);
+      expect(listEquipment()).to.have.lengthOf(1);
+    });
+
+    it('should not seed again after every record is deleted', function() {
+      expect(seedEquipment([tower])).to.equal(1);
+      deleteEquipment('SCAFF-100');
+      
+      expect(seedEquipment([tower])).to.equal(0);
+      expect(listEquipment()).to.have.lengthOf(0);
+    });
+
+    it('should not seed a registry that already has records', function() {
+      insertEquipment({ ...tower, id: 'SCAFF-101' });
+      
+      expect(seedEquipment([tower])).to.equal(0);
+      deleteEquipment('SCAFF-101');
+      expect(seedEquipment([tower])).to.equal(0);
+      expect(listEquipment()).to.have.lengthOf(0);
+    });
+  });
+
+  describe('Inspection Schedules', function() {
+    it('should add equipment columns missing from older databases', function() {
+      closeDatabase();
+      let db = initializeDatabase();
+      db.exec('ALTER TABLE equipment DROP COLUMN inspection_interval_days');
+      closeDatabase();
+      
+      db = initializeDatabase();
+      const columns = db.prepare('PRAGMA table_info(equipment)').all().map(col => col.name);
+      expect(columns).to.include('inspection_interval_days');
+    });
+
+    it('should set and update a schedule per equipment type', function() {
+      setInspectionSchedule('Suspended Scaffold', 1);
+      const schedule = setInspectionSchedule('Suspended Scaffold', 3);
+      
+      expect(schedule.interval_days).to.equal(3);
+      expect(listInspectionSchedules()).to.have.lengthOf(1);
+    });
+
+    it('should reject non-positive intervals', function() {
+      expect(() => setInspectionSchedule('Suspended Scaffold', 0)).to.throw();
+    });
+
+    it('should delete a schedule', function() {
+      setInspectionSchedule('Suspended Scaffold', 1);
+      
+      expect(deleteInspectionSchedule('suspended scaffold')).to.be.true;
+      expect(deleteInspectionSchedule('Suspended Scaffold')).to.be.false;
+    });
+
+    it('should return the latest submission time per equipment', function() {
+      createCall('stream-latest');
+      const first = saveInspectionData('stream-latest', {
+        equipment_id: 'scaff-001',
+        inspector_name: 'Inspector',
+        location: 'Location',
+        inspection_result: 'PASS'
+      });
+      
+      const latest = getLatestInspectionTimes();
+      expect(latest['SCAFF-001']).to.equal(first.submitted_at);
+      expect(latest).to.not.have.property('SCAFF-002');
+    });
+  });
+
   describe('Database Safety Features', function() {
     describe('clearAllData()', function() {
       it('should throw error when NODE_ENV is production', function() {
@@ -435,11 +1239,19 @@ describe('Database Module', function() {
 
       it('should work in test environment', function() {
         // This test itself demonstrates that clearAllData works in test mode
-        createInspection('safety-test');
+        createCall('safety-test');
+        saveInspectionData('safety-test', {
+          equipment_id: 'SCAFF-001',
+          inspector_name: 'Inspector',
+          location: 'Location',
+          inspection_result: 'PASS'
+        });
+        expect(getAllCalls()).to.have.lengthOf(1);
         expect(getAllInspections()).to.have.lengthOf(1);
         
         clearAllData();
         
+        expect(getAllCalls()).to.have.lengthOf(0);
         expect(getAllInspections()).to.have.lengthOf(0);
       });
 
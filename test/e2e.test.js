@@ -0,0 +1,1155 @@
+import { expect } from 'chai';
+import { after, afterEach, before, describe, it } from 'mocha';
+import { spawn } from 'child_process';
+import { createServer } from 'net';
+import { existsSync, mkdirSync, rmSync, unlinkSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import WebSocket from 'ws';
+import { createMockRealtimeServer, loadScenario } from '../mock-realtime.js';
+import { createMockTwilioApiServer } from '../mock-twilio-api.js';
+import { computeTwilioSignature } from '../twilio-auth.js';
+import { simulateCall, parseStreamTwiML } from '../simulate-call.js';
+import { linearToMuLaw } from '../audio.js';
+
+// Drives whole calls through the real server: Twilio is played by the test,
+// OpenAI by mock-realtime.js.
+describe('End-to-End Call Tests', function() {
+  this.timeout(20000);
+
+  const TEST_DB_PATH = './test-data/e2e-test.db';
+  const TEST_RECORDINGS_DIR = './test-data/e2e-recordings';
+  const TEST_MCP_CONFIG = './test-data/e2e-mcp-config.json';
+  const TWILIO_AUTH_TOKEN = 'e2e-auth-token';
+  const ADMIN_TOKEN = 'e2e-admin-token';
+  const MOCK_MCP_SERVER = { command: process.execPath, args: [resolve('mock-mcp-server.js')] };
+  const E2E_MCP_SERVERS = {
+    mock: {
+      ...MOCK_MCP_SERVER,
+      cwd: '.',
+      env: { MOCK_GREETING: 'hello from ${E2E_MCP_GREETER}' },
+      description: 'Mock tools for tests',
+      toolTimeouts: { sleep: 200 }
+    },
+    paused: { ...MOCK_MCP_SERVER, enabled: false },
+    mock_echo: MOCK_MCP_SERVER,
+    slow: { ...MOCK_MCP_SERVER, env: { MOCK_LIST_DELAY_MS: '30000' } },
+    missing: { command: resolve('test-data/no-such-mcp-server') },
+    broken: { args: ['no-command.js'] }
+  };
+  const CALLER_PHONE = '+15550001111';
+  const TWILIO_ACCOUNT_SID = 'ACe2etest';
+  const SUPERVISOR_PHONE = '+15550009999';
+
+  let mockRealtime;
+  let mockTwilioApi;
+  let server;
+  let serverOutput = '';
+  let baseUrl;
+  let openCalls = [];
+
+  function removeTestDatabase() {
+    for (const file of [TEST_DB_PATH, `${TEST_DB_PATH}-shm`, `${TEST_DB_PATH}-wal`]) {
+      if (existsSync(file)) {
+        unlinkSync(file);
+      }
+    }
+  }
+
+  function getFreePort() {
+    return new Promise((resolve, reject) => {
+      const probe = createServer();
+      probe.once('error', reject);
+      probe.listen(0, '127.0.0.1', () => {
+        const { port } = probe.address();
+        probe.close(() => resolve(port));
+      });
+    });
+  }
+
+  async function startServer() {
+    const port = await getFreePort();
+    baseUrl = `http://127.0.0.1:${port}`;
+
+    server = spawn(process.execPath, ['index.js'], {
+      env: {
+        ...process.env,
+        NODE_ENV: 'test',
+        PORT: String(port),
+        DB_PATH: TEST_DB_PATH,
+        OPENAI_API_KEY: 'test-openai-key',
+        OPENAI_REALTIME_URL: mockRealtime.url,
+        TWILIO_ACCOUNT_SID,
+        TWILIO_AUTH_TOKEN,
+        ADMIN_TOKEN,
+        TWILIO_API_URL: mockTwilioApi.url,
+        SUPERVISOR_PHONE_NUMBER: SUPERVISOR_PHONE,
+        TWILIO_SKIP_VALIDATION: 'false',
+        PUBLIC_URL: '',
+        MCP_SERVERS: '',
+        MCP_CONFIG_FILE: TEST_MCP_CONFIG,
+        GREETING_DELAY_OFFSET_MS: '1',
+        MESSAGE_SEQUENCE_DELAY_MS: '1',
+        CALL_SETUP_TIMEOUT_SECONDS: '3',
+        OPENAI_RECONNECT_DELAY_MS: '20',
+        MCP_RESTART_DELAY_MS: '20',
+        MCP_LIST_TOOLS_TIMEOUT_MS: '1000',
+        MCP_TOOL_RESULT_MAX_CHARS: '500',
+        RECORD_CALLS: 'true',
+        RECORDINGS_DIR: TEST_RECORDINGS_DIR
+      },
+      stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    await new Promise((resolve, reject) => {
+      const timer = setTimeout(() => reject(new Error(`Server did not start:\n${serverOutput}`)), 10000);
+      const onData = chunk => {
+        serverOutput += chunk;
+        if (serverOutput.includes('Server is listening')) {
+          clearTimeout(timer);
+          resolve();
+        }
+      };
+      server.stdout.on('data', onData);
+      server.stderr.on('data', onData);
+      server.once('exit', code => {
+        clearTimeout(timer);
+        reject(new Error(`Server exited with code ${code}:\n${serverOutput}`));
+      });
+    });
+  }
+
+  async function api(path) {
+    const response = await fetch(baseUrl + path);
+    return response.json();
+  }
+
+  // Poll until check() returns a truthy value
+  async function waitFor(check, description, timeoutMs = 3000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const result = await check();
+      if (result) return result;
+      await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    throw new Error(`Timed out waiting for ${description}`);
+  }
+
+  // Play Twilio: fetch TwiML from /incoming-call, then open the media stream it points to
+  async function placeCall({ phone = CALLER_PHONE, callSid = `CA${Date.now()}` } = {}) {
+    const params = { CallSid: callSid, From: phone, To: '+15559990000' };
+    const response = await fetch(`${baseUrl}/incoming-call`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/x-www-form-urlencoded',
+        'x-twilio-signature': computeTwilioSignature(TWILIO_AUTH_TOKEN, `${baseUrl}/incoming-call`, params)
+      },
+      body: new URLSearchParams(params).toString()
+    });
+    expect(response.status).to.equal(200);
+    const twiml = await response.text();
+    const token = twiml.match(/<Parameter name="token" value="([^"]+)"/)[1];
+
+    const call = await openStream({ phone, token, callSid });
+    call.twiml = twiml;
+    return call;
+  }
+
+  // Play Twilio asking for the next TwiML once a stream has ended
+  async function streamEnded(callSid) {
+    const params = { CallSid: callSid };
+    const response = await fetch(`${baseUrl}/stream-ended`, {
+      method: 'POST',
+      headers: {
+        'content-type': 'application/x-www-form-urlencoded',
+        'x-twilio-signature': computeTwilioSignature(TWILIO_AUTH_TOKEN, `${baseUrl}/stream-ended`, params)
+      },
+      body: new URLSearchParams(params).toString()
+    });
+    expect(response.status).to.equal(200);
+    return response.text();
+  }
+
+  async function openStream(customParameters) {
+    const streamSid = `MZ${Math.random().toString(16).slice(2)}`;
+    const ws = new WebSocket(`${baseUrl.replace('http', 'ws')}/media-stream`);
+    const call = { ws, streamSid, received: [] };
+    call.closed = new Promise(resolve => ws.on('close', code => resolve(code)));
+    ws.on('message', data => call.received.push(JSON.parse(data)));
+    openCalls.push(call);
+
+    await new Promise((resolve, reject) => {
+      ws.once('open', resolve);
+      ws.once('error', reject);
+    });
+
+    ws.send(JSON.stringify({ event: 'connected', protocol: 'Call', version: '1.0.0' }));
+    ws.send(JSON.stringify({
+      event: 'start',
+      sequenceNumber: '1',
+      streamSid,
+      start: {
+        streamSid,
+        callSid: customParameters.callSid,
+        tracks: ['inbound'],
+        mediaFormat: { encoding: 'audio/x-mulaw', sampleRate: 8000, channels: 1 },
+        customParameters
+      }
+    }));
+    return call;
+  }
+
+  function sendAudio(call, frames = 5) {
+    const payload = Buffer.alloc(160, 0xff).toString('base64');
+    for (let i = 0; i < frames; i++) {
+      call.ws.send(JSON.stringify({ event: 'media', streamSid: call.streamSid, media: { track: 'inbound', payload } }));
+    }
+  }
+
+  async function hangUp(call) {
+    call.ws.close();
+    await call.closed;
+    await waitFor(async () => {
+      const { calls } = await api('/calls');
+      return calls.find(c => c.stream_sid === call.streamSid)?.call_ended_at;
+    }, 'the call to be completed');
+  }
+
+  // What the server sent back to the assistant for one of its tool calls
+  function functionOutput(session, callId) {
+    return JSON.parse(session.received.find(event =>
+      event.type === 'conversation.item.create' && event.item.call_id === callId).item.output);
+  }
+
+  async function expectScenarioCompleted(session) {
+    await session.finished;
+    expect(session.failures, session.failures.join('\n')).to.be.empty;
+  }
+
+  before(async function() {
+    if (!existsSync('./test-data')) {
+      mkdirSync('./test-data', { recursive: true });
+    }
+    removeTestDatabase();
+    writeFileSync(TEST_MCP_CONFIG, JSON.stringify({ mcpServers: E2E_MCP_SERVERS }));
+    process.env.E2E_MCP_GREETER = 'the e2e tests';
+    mockRealtime = await createMockRealtimeServer();
+    mockTwilioApi = await createMockTwilioApiServer();
+    await startServer();
+  });
+
+  afterEach(function() {
+    openCalls.forEach(call => call.ws.terminate());
+    openCalls = [];
+    if (this.currentTest.state === 'failed') {
+      console.log(serverOutput.split('\n').slice(-40).join('\n'));
+    }
+  });
+
+  after(async function() {
+    if (server && server.exitCode === null) {
+      await new Promise(resolve => {
+        server.once('exit', resolve);
+        server.kill('SIGTERM');
+      });
+    }
+    await mockRealtime?.close();
+    await mockTwilioApi?.close();
+    removeTestDatabase();
+    rmSync(TEST_RECORDINGS_DIR, { recursive: true, force: true });
+    rmSync(TEST_MCP_CONFIG, { force: true });
+    delete process.env.E2E_MCP_GREETER;
+  });
+
+  describe('Passing inspection', function() {
+    let call;
+    let session;
+
+    before(async function() {
+      mockRealtime.setScenario('./scenarios/passing-inspection.json');
+      const sessionStarted = mockRealtime.nextSession();
+      call = await placeCall();
+      session = await sessionStarted;
+      sendAudio(call);
+      await expectScenarioCompleted(session);
+      await waitFor(() => session.audioChunksReceived >= 5, 'caller audio to reach OpenAI');
+      await hangUp(call);
+    });
+
+    it('should connect to the configured realtime URL with the API key and model', function() {
+      expect(session.url).to.match(/^\/v1\/realtime\?model=/);
+      expect(session.headers.authorization).to.equal('Bearer test-openai-key');
+    });
+
+    it('should configure the session with the built-in tools and transcription', function() {
+      const update = session.received.find(event => event.type === 'session.update');
+      const toolNames = update.session.tools.map(tool => tool.name);
+
+      expect(toolNames).to.include.members(['get_equipment_info', 'record_checklist_item', 'submit_inspection_data', 'save_caller_name']);
+      expect(update.session.input_audio_transcription).to.deep.equal({ model: 'whisper-1' });
+    });
+
+    it('should greet a new caller and ask for their name', function() {
+      const greeting = session.received.find(event => event.type === 'conversation.item.create' && event.item.type === 'message');
+      expect(greeting.item.content[0].text).to.include('new caller');
+    });
+
+    it('should forward assistant audio to Twilio on the same stream', function() {
+      const media = call.received.filter(event => event.event === 'media');
+      expect(media.length).to.be.at.least(5);
+      media.forEach(event => expect(event.streamSid).to.equal(call.streamSid));
+    });
+
+    it('should save the inspection and its checklist', async function() {
+      const { inspections } = await api(`/inspections/call/${call.streamSid}`);
+      expect(inspections).to.have.lengthOf(1);
+      expect(inspections[0]).to.include({
+        equipment_id: 'SCAFF-003',
+        inspector_name: 'Jane Doe',
+        inspection_result: 'PASS',
+        phone_number: CALLER_PHONE
+      });
+
+      const { checklist } = await api(`/inspections/${inspections[0].id}/checklist`);
+      expect(checklist.map(item => item.item_key)).to.deep.equal(
+        ['base_plates', 'plumb_level', 'frames_bracing', 'planking', 'guardrails', 'ties', 'access']);
+    });
+
+    it('should record the transcript of the call', async function() {
+      const { transcript } = await api(`/calls/${call.streamSid}/transcript`);
+      const lines = transcript.map(entry => `${entry.role}: ${entry.function_name || entry.content}`);
+
+      expect(lines).to.include('caller: This is Jane Doe.');
+      expect(lines).to.include('assistant: Found it. Let\'s go through the checklist.');
+      expect(lines).to.include('function_call: submit_inspection_data');
+    });
+
+    it('should record the inspection on the equipment', async function() {
+      const { equipment } = await api('/equipment/SCAFF-003');
+      expect(equipment.status).to.equal('active');
+      expect(equipment.last_inspection).to.match(/^\d{4}-\d{2}-\d{2} /);
+    });
+
+    it('should find the inspection and equipment by location in any word order', async function() {
+      const { inspections } = await api(`/inspections/location/${encodeURIComponent('north side of building b')}`);
+      expect(inspections.map(inspection => inspection.equipment_id)).to.include('SCAFF-003');
+
+      const { equipment } = await api(`/equipment/location/${encodeURIComponent('north wall of building B')}`);
+      expect(equipment.map(item => item.id)).to.deep.equal(['SCAFF-003']);
+    });
+
+    it('should find the inspection by what was said on the call', async function() {
+      const { inspections, total, next_offset: nextOffset } = await api(`/inspections/search?q=${encodeURIComponent('jane doe')}&result=pass`);
+      expect(total).to.be.at.least(1);
+      expect(nextOffset).to.be.null;
+      const found = inspections.find(inspection => inspection.stream_sid === call.streamSid);
+      expect(found.matches[0]).to.deep.equal({ source: 'transcript', role: 'caller', snippet: 'This is <mark>Jane</mark> <mark>Doe</mark>.' });
+
+      const response = await fetch(`${baseUrl}/inspections/search?q=jane&limit=0`);
+      expect(response.status).to.equal(400);
+    });
+
+    it('should record that the call ended normally', async function() {
+      const { inspections } = await api(`/inspections/call/${call.streamSid}`);
+      expect(inspections[0].end_reason).to.equal('completed');
+    });
+
+    it('should serve a two-channel recording of the call from the inspection', async function() {
+      const inspection = await waitFor(async () => {
+        const { inspections } = await api(`/inspections/call/${call.streamSid}`);
+        return inspections[0].recording_file && inspections[0];
+      }, 'the recording to be saved');
+      expect(existsSync(`${TEST_RECORDINGS_DIR}/${inspection.recording_file}`)).to.be.true;
+
+      const response = await fetch(`${baseUrl}/inspections/${inspection.id}/recording`);
+      expect(response.status).to.equal(200);
+      expect(response.headers.get('content-type')).to.equal('audio/wav');
+      const wav = Buffer.from(await response.arrayBuffer());
+      expect(wav.toString('ascii', 0, 4)).to.equal('RIFF');
+      expect(wav.readUInt16LE(22)).to.equal(2);
+      // At least the caller audio sent and the assistant audio played
+      expect(wav.readUInt32LE(40)).to.be.at.least(5 * 160 * 2 * 2);
+
+      expect((await fetch(`${baseUrl}/inspections/999999/recording`)).status).to.equal(404);
+    });
+  });
+
+  describe('Failed checklist item', function() {
+    it('should refuse a PASS and tag the equipment out on FAIL', async function() {
+      mockRealtime.setScenario('./scenarios/failed-checklist-item.json');
+      const sessionStarted = mockRealtime.nextSession();
+      const call = await placeCall();
+      await expectScenarioCompleted(await sessionStarted);
+      await hangUp(call);
+
+      const { inspections } = await api(`/inspections/call/${call.streamSid}`);
+      expect(inspections.map(i => i.inspection_result)).to.deep.equal(['FAIL']);
+
+      const { equipment } = await api('/equipment/SCAFF-002');
+      expect(equipment.status).to.equal('tagged_out');
+    });
+  });
+
+  describe('Returning caller', function() {
+    it('should greet a caller by the name saved on an earlier call', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'conversation.item.create', match: { item: { type: 'message' } } }
+        ]
+      });
+      const sessionStarted = mockRealtime.nextSession();
+      const call = await placeCall();
+      const session = await sessionStarted;
+      await expectScenarioCompleted(session);
+      await hangUp(call);
+
+      const greeting = session.received.find(event => event.type === 'conversation.item.create');
+      expect(greeting.item.content[0].text).to.include('returning caller named Jane Doe');
+    });
+  });
+
+  describe('Unauthenticated streams', function() {
+    it('should close a stream with an invalid token without connecting to OpenAI', async function() {
+      const sessionsBefore = mockRealtime.sessions.length;
+      const call = await openStream({ phone: CALLER_PHONE, token: 'forged.token' });
+
+      expect(await call.closed).to.equal(1008);
+      expect(mockRealtime.sessions).to.have.lengthOf(sessionsBefore);
+      expect(serverOutput).to.include(`Rejected media stream ${call.streamSid}`);
+    });
+
+    it('should reject an unsigned /incoming-call', async function() {
+      const response = await fetch(`${baseUrl}/incoming-call`, {
+        method: 'POST',
+        headers: { 'content-type': 'application/x-www-form-urlencoded' },
+        body: 'From=%2B15550001111'
+      });
+      expect(response.status).to.equal(403);
+    });
+  });
+
+  describe('Simulated caller', function() {
+    it('should stream caller audio and capture the assistant audio as played', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'response.create' },
+          { send: [{ say: 'Hello from the mock', chunks: 10 }] }
+        ]
+      });
+      const sessionStarted = mockRealtime.nextSession();
+      // Half a second of a 400Hz tone
+      const audio = Buffer.from(Array.from({ length: 4000 }, (_, i) =>
+        linearToMuLaw(Math.round(8000 * Math.sin(2 * Math.PI * 400 * i / 8000)))));
+
+      const summary = await simulateCall({
+        url: baseUrl,
+        from: '+15550002222',
+        authToken: TWILIO_AUTH_TOKEN,
+        audio,
+        lingerMs: 4000,
+        frameMs: 2,
+        log: () => {}
+      });
+      const session = await sessionStarted;
+      await expectScenarioCompleted(session);
+
+      expect(summary.parameters.phone).to.equal('+15550002222');
+      expect(summary.parameters.token).to.be.a('string');
+      expect(summary.framesSent).to.equal(25 + 200);
+      expect(summary.framesReceived).to.equal(10);
+      expect(summary.assistantAudio).to.have.lengthOf(summary.framesSent * 160);
+      expect(session.audioChunksReceived).to.be.above(0);
+      expect(summary.closedByServer).to.be.false;
+    });
+
+    it('should parse the stream URL and parameters from TwiML', function() {
+      const parsed = parseStreamTwiML('<?xml version="1.0" encoding="UTF-8"?><Response><Connect>'
+        + '<Stream url="wss://example.com/media-stream"><Parameter name="phone" value="+1&quot;&amp;" />'
+        + '</Stream></Connect></Response>');
+
+      expect(parsed.streamUrl).to.equal('wss://example.com/media-stream');
+      expect(parsed.parameters).to.deep.equal({ phone: '+1"&' });
+      expect(parsed.verbs).to.deep.equal(['Connect']);
+    });
+  });
+
+  describe('Call lifecycle', function() {
+    async function endedCall(streamSid) {
+      return waitFor(async () => {
+        const { calls } = await api('/calls');
+        const record = calls.find(c => c.stream_sid === streamSid);
+        return record?.call_ended_at && record;
+      }, 'the call to end', 6000);
+    }
+
+    it('should finalize the call when Twilio sends stop', async function() {
+      mockRealtime.setScenario({ steps: [{ expect: 'session.update' }] });
+      const sessionStarted = mockRealtime.nextSession();
+      const call = await placeCall({ phone: '+15550004444' });
+      await expectScenarioCompleted(await sessionStarted);
+
+      call.ws.send(JSON.stringify({ event: 'stop', streamSid: call.streamSid, stop: {} }));
+      await call.closed;
+
+      expect((await endedCall(call.streamSid)).end_reason).to.equal('caller_hangup');
+    });
+
+    it('should list a call abandoned part way through the checklist for follow-up', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'response.create' },
+          { send: [{ say: 'Which equipment?' }, { call: 'get_equipment_info', call_id: 'call_lookup', arguments: { equipment_id: 'SCAFF-003' } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_lookup' } }, output: { success: true } },
+          { send: [{ call: 'record_checklist_item', call_id: 'call_item', arguments: { equipment_id: 'SCAFF-003', item: 'base_plates', result: 'PASS' } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_item' } }, output: { success: true } }
+        ]
+      });
+      const sessionStarted = mockRealtime.nextSession();
+      const call = await placeCall({ phone: '+15550005555' });
+      await expectScenarioCompleted(await sessionStarted);
+      await hangUp(call);
+
+      const { calls } = await api('/inspections/incomplete');
+      expect(calls.find(c => c.stream_sid === call.streamSid)).to.include({
+        status: 'failed',
+        end_reason: 'caller_hangup',
+        progress: 'checklist_started',
+        progress_equipment_id: 'SCAFF-003',
+        checklist_items_recorded: 1
+      });
+    });
+
+    it('should time out a call whose greeting never happens', async function() {
+      // The mock never answers, so the call is stuck greeting
+      mockRealtime.setScenario({ steps: [{ expect: 'session.update' }] });
+      const sessionStarted = mockRealtime.nextSession();
+      const call = await placeCall({ phone: '+15550004444' });
+      await sessionStarted;
+
+      await call.closed;
+      expect((await endedCall(call.streamSid)).end_reason).to.equal('timeout');
+      expect(serverOutput).to.include(`Call ${call.streamSid} not set up after 3s`);
+    });
+  });
+
+  describe('OpenAI reconnection', function() {
+    it('should resume the conversation in a new session with what it had established', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'response.create' },
+          { send: [{ say: 'Hello, who is calling?' }, { call: 'save_caller_name', call_id: 'call_name', arguments: { caller_name: 'Rita Reyes' } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_name' } }, output: { success: true } },
+          { send: [{ call: 'get_equipment_info', call_id: 'call_lookup', arguments: { equipment_id: 'SCAFF-003' } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_lookup' } }, output: { success: true } },
+          { send: [{ call: 'record_checklist_item', call_id: 'call_item', arguments: { equipment_id: 'SCAFF-003', item: 'base_plates', result: 'PASS' } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_item' } }, output: { success: true } },
+          { close: true }
+        ],
+        reconnect: {
+          steps: [
+            { expect: 'session.update' },
+            { expect: 'conversation.item.create', match: { item: { type: 'message', role: 'user' } } },
+            { expect: 'response.create' },
+            { send: [{ say: 'Sorry about that, we got cut off.' }] }
+          ]
+        }
+      });
+      const firstSession = mockRealtime.nextSession();
+      const call = await placeCall({ phone: '+15550006666' });
+      await expectScenarioCompleted(await firstSession);
+
+      const resumed = await mockRealtime.nextSession();
+      await expectScenarioCompleted(resumed);
+      await waitFor(() => call.received.filter(event => event.event === 'media').length >= 10, 'audio from the new session');
+
+      const summary = resumed.received.find(event => event.type === 'conversation.item.create').item.content[0].text;
+      expect(summary).to.include('dropped');
+      expect(summary).to.include('Rita Reyes');
+      expect(summary).to.include('SCAFF-003');
+      expect(summary).to.include('base_plates PASS');
+      expect(call.ws.readyState).to.equal(WebSocket.OPEN);
+      expect(serverOutput).to.include('Reconnected to OpenAI Realtime API');
+
+      await hangUp(call);
+    });
+
+    it('should not send a tool result to the session that replaced the one that asked for it', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'response.create' },
+          { send: [{ call: 'mock__sleep', call_id: 'call_dropped', arguments: { ms: 150 } }] },
+          { close: true }
+        ],
+        reconnect: {
+          steps: [
+            { expect: 'session.update' },
+            { expect: 'conversation.item.create', match: { item: { type: 'message', role: 'user' } } },
+            { expect: 'response.create' },
+            { send: [{ say: 'Sorry about that, we got cut off.' }] }
+          ]
+        }
+      });
+      const firstSession = mockRealtime.nextSession();
+      const call = await placeCall({ phone: '+15550006767' });
+      await expectScenarioCompleted(await firstSession);
+
+      const resumed = await mockRealtime.nextSession();
+      await expectScenarioCompleted(resumed);
+      await waitFor(() => serverOutput.includes(`Dropped conversation.item.create for ${call.streamSid}`), 'the late tool result to be dropped');
+      // Let any response.create that was still scheduled fire
+      await new Promise(resolve => setTimeout(resolve, 50));
+
+      expect(resumed.received.filter(event => event.item?.type === 'function_call_output')).to.be.empty;
+      expect(resumed.received.filter(event => event.type === 'response.create')).to.have.lengthOf(1);
+      expect(call.ws.readyState).to.equal(WebSocket.OPEN);
+      expect(server.exitCode).to.be.null;
+
+      await hangUp(call);
+    });
+
+    it('should end the call with a fallback message when OpenAI cannot be reached again', async function() {
+      mockRealtime.setScenario({ steps: [{ expect: 'session.update' }, { close: true }] });
+      const sessionsBefore = mockRealtime.sessions.length;
+      const call = await placeCall({ phone: '+15550004444', callSid: 'CAreconnectfails' });
+      expect(call.twiml).to.include(`<Connect action="${baseUrl}/stream-ended">`);
+
+      await call.closed;
+      const { calls } = await api('/calls');
+      expect(calls.find(c => c.stream_sid === call.streamSid).end_reason).to.equal('openai_error');
+      // The first session plus three reconnect attempts
+      expect(mockRealtime.sessions.length - sessionsBefore).to.equal(4);
+
+      const fallback = await streamEnded('CAreconnectfails');
+      expect(fallback).to.include('<Say>Sorry, we are having technical difficulties');
+      expect(fallback).to.include('<Hangup />');
+      expect(await streamEnded('CAreconnectfails')).to.not.include('<Say>');
+    });
+
+    it('should just hang up when a stream ends normally', async function() {
+      expect(await streamEnded('CAnothingtosay')).to.match(/<Response><Hangup \/><\/Response>$/);
+    });
+  });
+
+  describe('Hang-up and transfer', function() {
+    // The assistant calls the tool, then says its last words
+    async function callEndingWith(tool, args, lastWords) {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'response.create' },
+          { send: [{ say: 'Hello, who is calling?' }] },
+          { send: [{ call: tool, call_id: 'call_action', arguments: args }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_action' } }, output: { success: true } },
+          { expect: 'response.create' },
+          { send: [{ say: lastWords, chunks: 25 }] }
+        ]
+      });
+      const sessionStarted = mockRealtime.nextSession();
+      const summary = await simulateCall({
+        url: baseUrl,
+        from: '+15550007777',
+        authToken: TWILIO_AUTH_TOKEN,
+        lingerMs: 10000,
+        frameMs: 2,
+        log: () => {}
+      });
+      await expectScenarioCompleted(await sessionStarted);
+      const endedCall = await waitFor(async () => {
+        const { calls } = await api('/calls');
+        const call = calls.find(c => c.stream_sid === summary.streamSid);
+        return call?.call_ended_at && call;
+      }, 'the call to be completed');
+      return { summary, endedCall };
+    }
+
+    it('should hang up once the goodbye has played', async function() {
+      const { summary, endedCall } = await callEndingWith('end_call', { reason: 'caller finished' }, 'Thanks, goodbye!');
+
+      expect(summary.closedByServer).to.be.true;
+      // The greeting and every frame of the goodbye were played before the stream closed
+      expect(summary.marksEchoed).to.have.lengthOf(30);
+      expect(endedCall).to.include({ end_reason: 'assistant_ended', end_note: 'caller finished' });
+      expect(await streamEnded(summary.callSid)).to.match(/<Response><Hangup \/><\/Response>$/);
+    });
+
+    it('should transfer the live call to the supervisor through the Twilio API', async function() {
+      const requestsBefore = mockTwilioApi.requests.length;
+      const { summary, endedCall } = await callEndingWith(
+        'transfer_to_supervisor',
+        { reason: 'Base plate sinking on SCAFF-002 with a crew on it' },
+        'Connecting you to a supervisor now.'
+      );
+
+      expect(summary.marksEchoed).to.have.lengthOf(30);
+      const [request] = mockTwilioApi.requests.slice(requestsBefore);
+      expect(request).to.include({ method: 'POST', accountSid: TWILIO_ACCOUNT_SID, callSid: summary.callSid });
+      expect(request.auth).to.deep.equal({ user: TWILIO_ACCOUNT_SID, password: TWILIO_AUTH_TOKEN });
+      expect(request.body.Twiml).to.include(`<Dial>${SUPERVISOR_PHONE}</Dial>`);
+
+      expect(endedCall).to.include({
+        end_reason: 'transferred',
+        end_note: 'Base plate sinking on SCAFF-002 with a crew on it',
+        transferred_to: SUPERVISOR_PHONE
+      });
+    });
+
+    it('should dial the supervisor when the stream ends if the Twilio API fails', async function() {
+      mockTwilioApi.failNext(503, 'Service unavailable');
+      const { summary, endedCall } = await callEndingWith(
+        'transfer_to_supervisor',
+        { reason: 'Caller asked for a person' },
+        'Connecting you to a supervisor now.'
+      );
+
+      expect(endedCall.end_reason).to.equal('transferred');
+      expect(serverOutput).to.include('Could not transfer');
+      expect(await streamEnded(summary.callSid)).to.include(`<Dial>${SUPERVISOR_PHONE}</Dial>`);
+    });
+  });
+
+  describe('Keypad entry', function() {
+    const sendDigits = (call, digits) => [...digits].forEach(digit => call.ws.send(JSON.stringify({
+      event: 'dtmf',
+      streamSid: call.streamSid,
+      dtmf: { track: 'inbound_track', digit }
+    })));
+    it('should resolve a keyed-in number against the registry and have the assistant confirm it', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'conversation.item.create', match: { item: { type: 'message', role: 'user' } } },
+          { expect: 'response.create' },
+          { send: [{ say: 'What equipment are you inspecting?' }] },
+          { expect: 'conversation.item.create', match: { item: { type: 'message', role: 'user' } } },
+          { expect: 'response.create' },
+          { send: [{ say: 'That is SCAFF-013 at the loading dock, is that right?' }] }
+        ]
+      });
+      const sessionStarted = mockRealtime.nextSession();
+      const call = await placeCall({ phone: '+15550008888' });
+      const session = await sessionStarted;
+      await waitFor(() => call.received.some(event => event.event === 'media'), 'the assistant to ask for the equipment');
+
+      sendDigits(call, '9*13#');
+      await expectScenarioCompleted(session);
+
+      const messages = session.received.filter(event => event.type === 'conversation.item.create' && event.item.type === 'message');
+      const keypadMessage = messages[1].item.content[0].text;
+      expect(keypadMessage).to.include('keyed in equipment number 13');
+      expect(keypadMessage).to.include('get_equipment_info with "SCAFF-013"');
+
+      await hangUp(call);
+      const { transcript } = await api(`/calls/${call.streamSid}/transcript`);
+      expect(transcript.map(entry => entry.content)).to.include('[Keypad] 13#');
+    });
+
+    it('should offer keypad entry after two failed equipment lookups', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'response.create' },
+          { send: [{ call: 'get_equipment_info', call_id: 'call_lookup_1', arguments: { equipment_id: 'SCAFF 30' } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_lookup_1' } }, output: { success: false } },
+          { send: [{ call: 'get_equipment_info', call_id: 'call_lookup_2', arguments: { equipment_id: 'SCAFF-31' } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_lookup_2' } }, output: { success: false } }
+        ]
+      });
+      const sessionStarted = mockRealtime.nextSession();
+      const call = await placeCall({ phone: '+15550008888' });
+      const session = await sessionStarted;
+      await expectScenarioCompleted(session);
+      await hangUp(call);
+
+      expect(functionOutput(session, 'call_lookup_1')).to.not.have.property('keypad_hint');
+      expect(functionOutput(session, 'call_lookup_2').keypad_hint).to.include('pound key');
+    });
+  });
+
+  describe('MCP servers', function() {
+    it('should start the servers in the config file and offer their tools', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'response.create' },
+          { send: [{ call: 'mock__environment', call_id: 'call_mcp', arguments: { variable: 'MOCK_GREETING' } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_mcp' } } }
+        ]
+      });
+      const sessionStarted = mockRealtime.nextSession();
+      const call = await placeCall({ phone: '+15550001212' });
+      const session = await sessionStarted;
+      await expectScenarioCompleted(session);
+      await hangUp(call);
+
+      const update = session.received.find(event => event.type === 'session.update');
+      const toolNames = update.session.tools.map(tool => tool.name);
+      expect(toolNames).to.include.members(['mock__echo', 'mock__environment']);
+      expect(toolNames.filter(name => name.startsWith('paused__'))).to.be.empty;
+
+      const [content] = functionOutput(session, 'call_mcp').content;
+      expect(JSON.parse(content.text)).to.deep.equal({ cwd: resolve('test-data'), value: 'hello from the e2e tests' });
+    });
+
+    it('should route tools of a server with an underscore in its name', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'response.create' },
+          { send: [{ call: 'mock_echo__echo', call_id: 'call_echo', arguments: { text: 'routed' } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_echo' } } },
+          { send: [{ call: 'mock_echo', call_id: 'call_unknown', arguments: {} }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_unknown' } } }
+        ]
+      });
+      const sessionStarted = mockRealtime.nextSession();
+      const call = await placeCall({ phone: '+15550001313' });
+      const session = await sessionStarted;
+      await expectScenarioCompleted(session);
+      await hangUp(call);
+
+      const [content] = functionOutput(session, 'call_echo').content;
+      expect(JSON.parse(content.text)).to.deep.equal({ text: 'routed' });
+      expect(functionOutput(session, 'call_unknown')).to.deep.equal({ error: "Unknown tool 'mock_echo'" });
+    });
+
+    it('should report the state of each server in the health check', async function() {
+      const health = await waitFor(async () => {
+        const body = await api('/');
+        return body.mcpServers.find(server => server.name === 'missing').state === 'failed' && body;
+      }, 'the missing server to be reported as failed');
+
+      const states = Object.fromEntries(health.mcpServers.map(server => [server.name, server.state]));
+      expect(states).to.deep.equal({ mock: 'up', paused: 'disabled', mock_echo: 'up', slow: 'up', missing: 'failed' });
+      const missing = health.mcpServers.find(server => server.name === 'missing');
+      expect(missing.failed_attempts).to.be.at.least(5);
+      expect(missing.last_error).to.include('ENOENT');
+      expect(missing.next_attempt_at).to.be.a('string');
+    });
+
+    it('should restart a server whose process exits', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'response.create' },
+          { send: [{ call: 'mock_echo__exit', call_id: 'call_exit', arguments: {} }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_exit' } } }
+        ]
+      });
+      const sessionStarted = mockRealtime.nextSession();
+      const call = await placeCall({ phone: '+15550001414' });
+      const session = await sessionStarted;
+      await expectScenarioCompleted(session);
+      await hangUp(call);
+
+      const restarted = await waitFor(async () => {
+        const { mcpServers } = await api('/');
+        const server = mcpServers.find(server => server.name === 'mock_echo');
+        return server.state === 'up' && server.restarts === 1 && server;
+      }, 'mock_echo to be restarted');
+      expect(restarted.failed_attempts).to.equal(0);
+      expect(serverOutput).to.include("MCP server 'mock_echo' is down (server process exited)");
+      expect(serverOutput).to.include("MCP server 'mock_echo' restarted");
+    });
+
+    it('should refuse to reload without the admin token', async function() {
+      const unauthenticated = await fetch(`${baseUrl}/mcp/reload`, { method: 'POST' });
+      expect(unauthenticated.status).to.equal(401);
+
+      const wrongToken = await fetch(`${baseUrl}/mcp/reload`, {
+        method: 'POST',
+        headers: { Authorization: 'Bearer not-the-admin-token' }
+      });
+      expect(wrongToken.status).to.equal(401);
+      expect(serverOutput).to.include('Rejected POST /mcp/reload');
+    });
+
+    it('should reload the config without restarting the phone server', async function() {
+      const reload = async () => {
+        const response = await fetch(`${baseUrl}/mcp/reload`, {
+          method: 'POST',
+          headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+        });
+        return { status: response.status, body: await response.json() };
+      };
+
+      try {
+        const { missing, broken, ...servers } = E2E_MCP_SERVERS;
+        writeFileSync(TEST_MCP_CONFIG, JSON.stringify({ mcpServers: { ...servers, extra: MOCK_MCP_SERVER } }));
+
+        const { status, body } = await reload();
+        expect(status).to.equal(200);
+        expect(body.errors).to.be.empty;
+        expect(body.servers.map(server => [server.name, server.state])).to.deep.equal([
+          ['mock', 'up'], ['paused', 'disabled'], ['mock_echo', 'up'], ['slow', 'up'], ['extra', 'up']
+        ]);
+        expect(serverOutput).to.include("MCP server 'missing' stopped (removed from the config)");
+
+        writeFileSync(TEST_MCP_CONFIG, '{ not json');
+        const invalid = await reload();
+        expect(invalid.status).to.equal(400);
+        expect(invalid.body.error).to.equal('Invalid MCP configuration');
+        const { mcpServers } = await api('/');
+        expect(mcpServers.map(server => server.name)).to.include('extra');
+      } finally {
+        writeFileSync(TEST_MCP_CONFIG, JSON.stringify({ mcpServers: E2E_MCP_SERVERS }));
+        await reload();
+      }
+      const { mcpServers } = await api('/');
+      expect(mcpServers.map(server => server.name)).to.deep.equal(['mock', 'paused', 'mock_echo', 'slow', 'missing']);
+    });
+
+    it('should set up calls from the cached tool lists without waiting for a slow server', async function() {
+      mockRealtime.setScenario({ steps: [{ expect: 'session.update' }] });
+      const sessionStarted = mockRealtime.nextSession();
+      const placedAt = Date.now();
+      const call = await placeCall({ phone: '+15550001515' });
+      const session = await sessionStarted;
+      await expectScenarioCompleted(session);
+      expect(Date.now() - placedAt).to.be.below(1000);
+      await hangUp(call);
+
+      const update = session.received.find(event => event.type === 'session.update');
+      const toolNames = update.session.tools.map(tool => tool.name);
+      expect(toolNames).to.include('mock__echo');
+      expect(toolNames.filter(name => name.startsWith('slow__'))).to.be.empty;
+      expect(serverOutput).to.include("Could not list tools from MCP server 'slow': no tool list within 1000ms");
+
+      const { mcpServers } = await api('/');
+      expect(mcpServers.find(server => server.name === 'slow').tools).to.equal(0);
+    });
+
+    it('should pick up tools a server adds while running', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'response.create' },
+          { send: [{ call: 'mock__add_tool', call_id: 'call_add', arguments: { name: 'greet' } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_add' } } }
+        ]
+      });
+      let sessionStarted = mockRealtime.nextSession();
+      let call = await placeCall({ phone: '+15550001616' });
+      await expectScenarioCompleted(await sessionStarted);
+      await hangUp(call);
+
+      await waitFor(async () => {
+        const { mcpServers } = await api('/');
+        return mcpServers.find(server => server.name === 'mock').tools === 7;
+      }, 'the new tool to be listed');
+
+      mockRealtime.setScenario({ steps: [{ expect: 'session.update' }] });
+      sessionStarted = mockRealtime.nextSession();
+      call = await placeCall({ phone: '+15550001616' });
+      const session = await sessionStarted;
+      await expectScenarioCompleted(session);
+      await hangUp(call);
+
+      const update = session.received.find(event => event.type === 'session.update');
+      expect(update.session.tools.map(tool => tool.name)).to.include('mock__greet');
+    });
+
+    it('should check arguments, time out slow tools and cut long results short', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'response.create' },
+          { send: [{ call: 'mock__environment', call_id: 'call_invalid', arguments: { variable: 42 } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_invalid' } } },
+          { send: [{ call: 'mock__sleep', call_id: 'call_slow', arguments: { ms: 2000 } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_slow' } } },
+          { send: [{ call: 'mock__repeat', call_id: 'call_long', arguments: { text: 'scaffold "tag" ', times: 200 } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_long' } } }
+        ]
+      });
+      const sessionStarted = mockRealtime.nextSession();
+      const call = await placeCall({ phone: '+15550001717' });
+      const session = await sessionStarted;
+      await expectScenarioCompleted(session);
+      await hangUp(call);
+
+      expect(functionOutput(session, 'call_invalid')).to.deep.equal({
+        success: false,
+        error: 'Invalid arguments',
+        details: ['variable must be of type string'],
+        message: 'Fix the arguments to match the mock__environment parameters and call it again.'
+      });
+
+      const slow = functionOutput(session, 'call_slow');
+      expect(slow).to.include({ success: false, error: 'Tool timed out' });
+      expect(slow.message).to.include('within 0.2 seconds');
+
+      const long = session.received.find(event => event.item?.call_id === 'call_long').item.output;
+      expect(long.length).to.be.at.most(500);
+      const limited = JSON.parse(long);
+      expect(limited.truncated).to.be.true;
+      expect(limited.content[0].text).to.match(/^scaffold "tag" scaffold/);
+      expect(limited.content[0].text).to.match(/\[\.\.\. truncated\]$/);
+    });
+
+    it('should report a misconfigured server by name and start the rest', function() {
+      expect(serverOutput).to.include('MCP server "broken": command is required');
+      expect(serverOutput).to.include("MCP server 'mock' initialized (Mock tools for tests)");
+      expect(serverOutput).to.include("MCP server 'paused' is disabled");
+    });
+  });
+
+  describe('Equipment due for inspection', function() {
+    it('should take a whole number of days as the window', async function() {
+      const due = await api('/equipment/due?within=3');
+      expect(due.within).to.equal(3);
+      expect((await api('/equipment/due')).within).to.equal(7);
+
+      for (const within of ['', '1.5', '-1', 'soon', '3&within=4']) {
+        const response = await fetch(`${baseUrl}/equipment/due?within=${within}`);
+        expect(response.status, `within=${within}`).to.equal(400);
+        expect((await response.json()).error).to.equal('within must be a whole number of days');
+      }
+    });
+  });
+
+  describe('Admin routes', function() {
+    it('should refuse registry and schedule changes without the admin token', async function() {
+      const { equipment: before } = await api('/equipment/SCAFF-002');
+      const { schedules: schedulesBefore } = await api('/inspection-schedules');
+      const changes = [
+        ['POST', '/equipment', { id: 'SCAFF-900', type: 'Mobile Scaffold Tower', location: 'Yard' }],
+        ['PUT', '/equipment/SCAFF-002', { type: 'Mobile Scaffold Tower', location: 'Yard' }],
+        ['PATCH', '/equipment/SCAFF-002', { status: 'active' }],
+        ['POST', '/equipment/SCAFF-002/return-to-service', {}],
+        ['DELETE', '/equipment/SCAFF-002'],
+        ['PUT', '/inspection-schedules/Tube%20and%20Coupler', { interval_days: 1 }],
+        ['DELETE', '/inspection-schedules/Tube%20and%20Coupler']
+      ];
+
+      for (const [method, path, body] of changes) {
+        const response = await fetch(baseUrl + path, {
+          method,
+          ...(body ? { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(body) } : {})
+        });
+        expect(response.status, `${method} ${path}`).to.equal(401);
+      }
+
+      expect((await api('/equipment/SCAFF-002')).equipment).to.deep.equal(before);
+      expect((await api('/inspection-schedules')).schedules).to.deep.equal(schedulesBefore);
+      expect((await api('/equipment/SCAFF-900')).error).to.equal('Equipment not found');
+      expect(serverOutput).to.include('Rejected DELETE /equipment/SCAFF-002');
+    });
+  });
+
+  describe('Spoken equipment IDs', function() {
+    it('should resolve transcribed IDs and suggest close matches for unknown ones', async function() {
+      mockRealtime.setScenario({
+        steps: [
+          { expect: 'session.update' },
+          { expect: 'response.create' },
+          { send: [{ call: 'get_equipment_info', call_id: 'call_spoken', arguments: { equipment_id: 'scaffold zero one three' } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_spoken' } }, output: { success: true } },
+          { send: [{ call: 'get_equipment_info', call_id: 'call_misheard', arguments: { equipment_id: 'scaff thirty' } }] },
+          { expect: 'conversation.item.create', match: { item: { call_id: 'call_misheard' } }, output: { success: false } }
+        ]
+      });
+      const sessionStarted = mockRealtime.nextSession();
+      const call = await placeCall({ phone: '+15550001010' });
+      const session = await sessionStarted;
+      await expectScenarioCompleted(session);
+      await hangUp(call);
+
+      const spoken = functionOutput(session, 'call_spoken');
+      expect(spoken.equipment.id).to.equal('SCAFF-013');
+      expect(spoken.message).to.include('as SCAFF-013');
+
+      const misheard = functionOutput(session, 'call_misheard');
+      expect(misheard.suggestions[0]).to.include({ equipment_id: 'SCAFF-013' });
+      expect(misheard.suggestions[0].confidence).to.be.within(0, 1);
+      expect(misheard.message).to.include('Did you mean SCAFF-013');
+    });
+
+    it('should not let an API request with a near-miss ID change a similar record', async function() {
+      const { equipment: before } = await api('/equipment/SCAFF-013');
+
+      const deleted = await fetch(`${baseUrl}/equipment/SCAFF-13`, {
+        method: 'DELETE',
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}` }
+      });
+      expect(deleted.status).to.equal(404);
+
+      const replaced = await fetch(`${baseUrl}/equipment/SCAFF-13`, {
+        method: 'PUT',
+        headers: { Authorization: `Bearer ${ADMIN_TOKEN}`, 'Content-Type': 'application/json' },
+        body: JSON.stringify({ type: 'Mobile Tower', location: 'Yard', status: 'decommissioned' })
+      });
+      expect(replaced.status).to.equal(404);
+
+      expect((await fetch(`${baseUrl}/equipment/SCAFF-13`)).status).to.equal(404);
+      const { equipment: after } = await api('/equipment/SCAFF-013');
+      expect(after).to.deep.equal(before);
+    });
+  });
+
+  describe('Barge-in', function() {
+    const speechStarted = { type: 'input_audio_buffer.speech_started', audio_start_ms: 0, item_id: 'item_caller' };
+
+    async function callWithScenario(steps) {
+      mockRealtime.setScenario({ steps });
+      const sessionStarted = mockRealtime.nextSession();
+      const summary = await simulateCall({
+        url: baseUrl,
+        from: '+15550003333',
+        authToken: TWILIO_AUTH_TOKEN,
+        lingerMs: 10000,
+        frameMs: 2,
+        log: () => {}
+      });
+      const session = await sessionStarted;
+      await expectScenarioCompleted(session);
+      return { summary, session };
+    }
+
+    it('should clear Twilio and truncate the assistant at the audio actually played', async function() {
+      const { summary, session } = await callWithScenario([
+        { expect: 'session.update' },
+        { expect: 'response.create' },
+        // Five seconds of assistant audio; the caller cuts in part way through
+        { send: [{ say: 'A long explanation of the checklist', chunks: 250 }] },
+        { wait: 100 },
+        { send: [speechStarted] },
+        { expect: 'conversation.item.truncate', match: { item_id: 'item_mock_1', content_index: 0 } }
+      ]);
+
+      const truncate = session.received.find(event => event.type === 'conversation.item.truncate');
+      expect(truncate.audio_end_ms).to.be.above(0).and.below(5000);
+      expect(summary.clears).to.equal(1);
+      // Every mark comes back: the played ones as they play, the rest on clear
+      expect(summary.marksEchoed).to.have.lengthOf(250);
+      expect(serverOutput).to.include('Caller interrupted');
+    });
+
+    it('should not interrupt once the assistant audio has finished playing', async function() {
+      const { summary, session } = await callWithScenario([
+        { expect: 'session.update' },
+        { expect: 'response.create' },
+        { send: [{ say: 'Short answer', chunks: 5 }] },
+        { wait: 300 },
+        { send: [speechStarted, { say: 'Go ahead', chunks: 1 }] }
+      ]);
+
+      expect(summary.framesReceived).to.equal(6);
+      expect(summary.clears).to.equal(0);
+      expect(session.received.filter(event => event.type === 'conversation.item.truncate')).to.be.empty;
+    });
+  });
+
+  describe('Mock scenarios', function() {
+    it('should load the shipped scenario files', function() {
+      for (const file of ['passing-inspection', 'failed-checklist-item']) {
+        const scenario = loadScenario(`./scenarios/${file}.json`);
+        expect(scenario.name).to.be.a('string');
+        expect(scenario.steps).to.be.an('array').that.is.not.empty;
+      }
+    });
+  });
+});
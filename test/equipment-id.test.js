@@ -0,0 +1,89 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { parseEquipmentId, normalizeEquipmentId, scoreEquipmentIdMatch } from '../equipment-id.js';
+
+describe('Equipment ID Normalization', function() {
+  describe('normalizeEquipmentId()', function() {
+    it('should leave registry IDs as they are', function() {
+      expect(normalizeEquipmentId('SCAFF-013')).to.equal('SCAFF-013');
+      expect(normalizeEquipmentId(' scaff-013 ')).to.equal('SCAFF-013');
+      expect(normalizeEquipmentId('SCAFF013')).to.equal('SCAFF-013');
+    });
+
+    it('should read spelled-out digits', function() {
+      expect(normalizeEquipmentId('scaff zero one three')).to.equal('SCAFF-013');
+      expect(normalizeEquipmentId('scaff oh oh seven')).to.equal('SCAFF-007');
+      expect(normalizeEquipmentId('scaff double oh seven')).to.equal('SCAFF-007');
+      expect(normalizeEquipmentId('scaff niner')).to.equal('SCAFF-009');
+    });
+
+    it('should read number words', function() {
+      expect(normalizeEquipmentId('scaffold thirteen')).to.equal('SCAFF-013');
+      expect(normalizeEquipmentId('scaffold twenty one')).to.equal('SCAFF-021');
+      expect(normalizeEquipmentId('scaffold twenty')).to.equal('SCAFF-020');
+    });
+
+    it('should pad the number to three digits', function() {
+      expect(normalizeEquipmentId('scaffold 13')).to.equal('SCAFF-013');
+      expect(normalizeEquipmentId('SCAFF-7')).to.equal('SCAFF-007');
+      expect(normalizeEquipmentId('SCAFF-1234')).to.equal('SCAFF-1234');
+    });
+
+    it('should join spelled-out letters', function() {
+      expect(normalizeEquipmentId('S-C-A-F-F 0 0 7')).to.equal('SCAFF-007');
+      expect(normalizeEquipmentId('sierra charlie alpha foxtrot foxtrot one')).to.equal('SCAFF-001');
+      expect(normalizeEquipmentId('ess see ay eff eff five')).to.equal('SCAFF-005');
+    });
+
+    it('should correct common mis-hearings', function() {
+      expect(normalizeEquipmentId('staff 13')).to.equal('SCAFF-013');
+      expect(normalizeEquipmentId('scarf zero to one')).to.equal('SCAFF-021');
+      expect(normalizeEquipmentId('scaff o13')).to.equal('SCAFF-013');
+    });
+
+    it('should ignore words around the ID', function() {
+      expect(normalizeEquipmentId("it's scaffold number thirteen please")).to.equal('SCAFF-013');
+      expect(normalizeEquipmentId('oh, scaff dash four')).to.equal('SCAFF-004');
+    });
+
+    it('should keep a number heard without a prefix', function() {
+      expect(normalizeEquipmentId('thirteen')).to.equal('013');
+    });
+
+    it('should return null when nothing was heard', function() {
+      expect(normalizeEquipmentId('')).to.be.null;
+      expect(normalizeEquipmentId('   ')).to.be.null;
+    });
+  });
+
+  describe('parseEquipmentId()', function() {
+    it('should split the prefix from the number without leading zeros', function() {
+      expect(parseEquipmentId('SCAFF-013')).to.deep.equal({ prefix: 'SCAFF', number: '13' });
+      expect(parseEquipmentId('SCAFF-000')).to.deep.equal({ prefix: 'SCAFF', number: '0' });
+      expect(parseEquipmentId('scaffold')).to.deep.equal({ prefix: 'SCAFF', number: '' });
+    });
+  });
+
+  describe('scoreEquipmentIdMatch()', function() {
+    it('should score the same ID as 1', function() {
+      expect(scoreEquipmentIdMatch('scaffold thirteen', 'SCAFF-013')).to.equal(1);
+    });
+
+    it('should score swapped digits above unrelated numbers', function() {
+      expect(scoreEquipmentIdMatch('SCAFF-031', 'SCAFF-013')).to.be.above(scoreEquipmentIdMatch('SCAFF-031', 'SCAFF-005'));
+    });
+
+    it('should score thirty close to thirteen', function() {
+      expect(scoreEquipmentIdMatch('SCAFF-030', 'SCAFF-013')).to.equal(0.8);
+    });
+
+    it('should score a missing prefix below a matching one', function() {
+      const score = scoreEquipmentIdMatch('thirteen', 'SCAFF-013');
+      expect(score).to.be.above(0).and.below(1);
+    });
+
+    it('should score 0 without a number', function() {
+      expect(scoreEquipmentIdMatch('scaffold', 'SCAFF-013')).to.equal(0);
+    });
+  });
+});
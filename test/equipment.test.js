@@ -1,15 +1,74 @@
 import { expect } from 'chai';
-import { describe, it } from 'mocha';
+import { after, before, describe, it } from 'mocha';
+import { existsSync, mkdirSync, unlinkSync } from 'fs';
 import {
+  initializeDatabase,
+  closeDatabase,
+  clearAllData,
+  createCall,
+  saveInspectionData,
+  insertEquipment,
+  setInspectionSchedule
+} from '../database.js';
+import {
+  EQUIPMENT_SEED,
+  seedEquipmentRegistry,
   getAllEquipment,
   getEquipmentById,
+  findSimilarEquipment,
+  getEquipmentByNumber,
   searchEquipmentByLocation,
   getEquipmentByStatus,
-  getEquipmentStats
+  getEquipmentStats,
+  getInspectionStatus,
+  getOverdueEquipment,
+  getEquipmentDueWithin
 } from '../equipment.js';
 
 describe('Equipment Module', function() {
+  const TEST_DB_PATH = './test-data/equipment-test.db';
   
+  before(function() {
+    // Ensure test data directory exists
+    if (!existsSync('./test-data')) {
+      mkdirSync('./test-data', { recursive: true });
+    }
+    // Equipment lookups are backed by the database
+    process.env.DB_PATH = TEST_DB_PATH;
+    initializeDatabase();
+    clearAllData();
+    seedEquipmentRegistry();
+  });
+
+  after(function() {
+    closeDatabase();
+    // Clean up test database file
+    try {
+      if (existsSync(TEST_DB_PATH)) {
+        unlinkSync(TEST_DB_PATH);
+      }
+      if (existsSync(`${TEST_DB_PATH}-shm`)) {
+        unlinkSync(`${TEST_DB_PATH}-shm`);
+      }
+      if (existsSync(`${TEST_DB_PATH}-wal`)) {
+        unlinkSync(`${TEST_DB_PATH}-wal`);
+      }
+    } catch (err) {
+      console.warn('Error cleaning up test database:', err);
+    }
+  });
+
+  describe('seedEquipmentRegistry()', function() {
+    it('should seed the registry from the default equipment list', function() {
+      expect(getAllEquipment()).to.have.lengthOf(EQUIPMENT_SEED.length);
+    });
+
+    it('should not seed again once the registry has records', function() {
+      expect(seedEquipmentRegistry()).to.equal(0);
+      expect(getAllEquipment()).to.have.lengthOf(EQUIPMENT_SEED.length);
+    });
+  });
+
   describe('getAllEquipment()', function() {
     it('should return an array of equipment', function() {
       const equipment = getAllEquipment();
@@ -92,6 +151,71 @@ describe('Equipment Module', function() {
       expect(equipment1).to.not.deep.equal(equipment2);
       expect(equipment1.id).to.not.equal(equipment2.id);
     });
+
+    it('should resolve IDs as the speech recognizer hears them', function() {
+      expect(getEquipmentById('scaff zero one three').id).to.equal('SCAFF-013');
+      expect(getEquipmentById('scaffold 13').id).to.equal('SCAFF-013');
+      expect(getEquipmentById('S-C-A-F-F 0 0 7').id).to.equal('SCAFF-007');
+    });
+
+    it('should match IDs padded differently from the registry', function() {
+      insertEquipment({ id: 'CRANE-1', type: 'Crane', location: 'Yard' });
+      try {
+        expect(getEquipmentById('crane 001').id).to.equal('CRANE-1');
+        expect(getEquipmentById('SCAFF-0013').id).to.equal('SCAFF-013');
+      } finally {
+        clearAllData();
+        seedEquipmentRegistry();
+      }
+    });
+  });
+
+  describe('findSimilarEquipment()', function() {
+    it('should rank registry IDs by how closely they match', function() {
+      const candidates = findSimilarEquipment('SCAFF-031');
+      expect(candidates[0].equipment.id).to.equal('SCAFF-013');
+      expect(candidates[0].confidence).to.be.below(1);
+      const confidences = candidates.map(candidate => candidate.confidence);
+      expect(confidences).to.deep.equal([...confidences].sort((a, b) => b - a));
+    });
+
+    it('should suggest the teen for a misheard "thirty"', function() {
+      expect(findSimilarEquipment('scaff thirty')[0].equipment.id).to.equal('SCAFF-013');
+    });
+
+    it('should respect limit and minConfidence', function() {
+      expect(findSimilarEquipment('SCAFF-099', { limit: 2 })).to.have.length.at.most(2);
+      expect(findSimilarEquipment('SCAFF-013', { minConfidence: 1 }).map(c => c.equipment.id)).to.deep.equal(['SCAFF-013']);
+    });
+
+    it('should return nothing without a number to match', function() {
+      expect(findSimilarEquipment('scaffold')).to.be.empty;
+      expect(findSimilarEquipment('')).to.be.empty;
+    });
+  });
+
+  describe('getEquipmentByNumber()', function() {
+    it('should match the number at the end of the ID, ignoring leading zeros', function() {
+      expect(getEquipmentByNumber('13').map(e => e.id)).to.deep.equal(['SCAFF-013']);
+      expect(getEquipmentByNumber('013').map(e => e.id)).to.deep.equal(['SCAFF-013']);
+      expect(getEquipmentByNumber('0013').map(e => e.id)).to.deep.equal(['SCAFF-013']);
+    });
+
+    it('should return nothing for unknown numbers and non-digits', function() {
+      expect(getEquipmentByNumber('999')).to.be.empty;
+      expect(getEquipmentByNumber('')).to.be.empty;
+      expect(getEquipmentByNumber('1a')).to.be.empty;
+    });
+
+    it('should return every piece of equipment sharing the number', function() {
+      insertEquipment({ id: 'LADDER-13', type: 'Ladder', location: 'Yard' });
+      try {
+        expect(getEquipmentByNumber('13').map(e => e.id)).to.have.members(['SCAFF-013', 'LADDER-13']);
+      } finally {
+        clearAllData();
+        seedEquipmentRegistry();
+      }
+    });
   });
 
   describe('searchEquipmentByLocation()', function() {
@@ -153,6 +277,26 @@ describe('Equipment Module', function() {
       
       expect(equipment.length).to.be.at.least(2);
     });
+
+    it('should match words in any order and number words as digits', function() {
+      expect(searchEquipmentByLocation('Bay 3 warehouse A').map(e => e.id)).to.deep.equal(['SCAFF-001']);
+      expect(searchEquipmentByLocation('warehouse a bay three').map(e => e.id)).to.deep.equal(['SCAFF-001']);
+      expect(searchEquipmentByLocation('north wall of building B').map(e => e.id)).to.deep.equal(['SCAFF-003']);
+    });
+
+    it('should match whole numbers only', function() {
+      expect(searchEquipmentByLocation('Manufacturing Floor 1').map(e => e.id)).to.deep.equal(['SCAFF-006']);
+    });
+
+    it('should list the closest location first', function() {
+      insertEquipment({ id: 'SCAFF-100', type: 'Tower', location: 'Warehouse A - Bay 3 - Mezzanine' });
+      try {
+        expect(searchEquipmentByLocation('warehouse a bay 3').map(e => e.id)).to.deep.equal(['SCAFF-001', 'SCAFF-100']);
+      } finally {
+        clearAllData();
+        seedEquipmentRegistry();
+      }
+    });
   });
 
   describe('getEquipmentByStatus()', function() {
@@ -305,7 +449,7 @@ describe('Equipment Module', function() {
 
     it('should have valid status values', function() {
       const equipment = getAllEquipment();
-      const validStatuses = ['active', 'maintenance', 'inactive', 'decommissioned'];
+      const validStatuses = ['active', 'maintenance', 'inactive', 'decommissioned', 'tagged_out'];
       
       equipment.forEach(e => {
         expect(validStatuses).to.include(e.status);
@@ -335,4 +479,92 @@ describe('Equipment Module', function() {
       expect(heights.size).to.be.at.least(5);
     });
   });
+
+  describe('Inspection Schedules', function() {
+    afterEach(function() {
+      // Restore the seeded registry for the read-only tests above
+      clearAllData();
+      seedEquipmentRegistry();
+    });
+
+    it('should return null for equipment without an inspection interval', function() {
+      expect(getInspectionStatus(getEquipmentById('SCAFF-001'))).to.be.null;
+    });
+
+    it('should use the per-equipment interval from the seed data', function() {
+      const status = getInspectionStatus(getEquipmentById('SCAFF-005'), new Date('2024-09-05T12:00:00Z'));
+      
+      expect(status.interval_days).to.equal(1);
+      expect(status.interval_source).to.equal('equipment');
+      expect(status.last_inspected_at).to.equal('2024-09-05');
+      expect(status.next_due_at).to.equal('2024-09-06T00:00:00.000Z');
+      expect(status.overdue).to.be.false;
+    });
+
+    it('should report how many days overdue equipment is', function() {
+      const status = getInspectionStatus(getEquipmentById('SCAFF-005'), new Date('2024-09-08T12:00:00Z'));
+      
+      expect(status.overdue).to.be.true;
+      expect(status.days_overdue).to.equal(2);
+    });
+
+    it('should fall back to the schedule for the equipment type', function() {
+      setInspectionSchedule('mobile scaffold tower', 7);
+      
+      const status = getInspectionStatus(getEquipmentById('SCAFF-001'), new Date('2024-09-20T00:00:00Z'));
+      expect(status.interval_days).to.equal(7);
+      expect(status.interval_source).to.equal('type');
+      expect(status.overdue).to.be.false;
+    });
+
+    it('should prefer the per-equipment interval over the type schedule', function() {
+      setInspectionSchedule('Suspended Scaffold', 30);
+      
+      expect(getInspectionStatus(getEquipmentById('SCAFF-005')).interval_days).to.equal(1);
+      expect(getInspectionStatus(getEquipmentById('SCAFF-015')).interval_days).to.equal(30);
+    });
+
+    it('should treat scheduled equipment that was never inspected as overdue', function() {
+      const equipment = insertEquipment({ id: 'SCAFF-100', type: 'Tower', location: 'Yard', inspection_interval_days: 7 });
+      
+      const status = getInspectionStatus(equipment);
+      expect(status.overdue).to.be.true;
+      expect(status.next_due_at).to.be.null;
+    });
+
+    it('should not schedule decommissioned equipment', function() {
+      const equipment = insertEquipment({ id: 'SCAFF-100', type: 'Tower', location: 'Yard', status: 'decommissioned', inspection_interval_days: 7 });
+      expect(getInspectionStatus(equipment)).to.be.null;
+    });
+
+    it('should work from the latest completed inspection', function() {
+      createCall('schedule-stream');
+      const inspection = saveInspectionData('schedule-stream', {
+        equipment_id: 'SCAFF-005',
+        inspector_name: 'Inspector',
+        location: 'Building D - East Facade',
+        inspection_result: 'PASS'
+      });
+      
+      const status = getInspectionStatus(getEquipmentById('SCAFF-005'));
+      expect(status.last_inspected_at).to.equal(inspection.submitted_at);
+      expect(status.overdue).to.be.false;
+    });
+
+    it('should list overdue equipment', function() {
+      setInspectionSchedule('Cantilever Scaffold', 14);
+      
+      const overdue = getOverdueEquipment(new Date('2024-09-20T00:00:00Z'));
+      expect(overdue.map(e => e.id)).to.deep.equal(['SCAFF-005', 'SCAFF-011']);
+      overdue.forEach(e => expect(e.inspection_schedule.overdue).to.be.true);
+    });
+
+    it('should list equipment falling due within a window', function() {
+      setInspectionSchedule('Cantilever Scaffold', 14);
+      const now = new Date('2024-09-10T00:00:00Z');
+      
+      expect(getEquipmentDueWithin(7, now).map(e => e.id)).to.deep.equal(['SCAFF-011']);
+      expect(getEquipmentDueWithin(3, now)).to.be.empty;
+    });
+  });
 });
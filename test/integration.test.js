@@ -3,18 +3,20 @@ import { after, before, describe, it } from 'mocha';
 import { existsSync, mkdirSync, unlinkSync } from 'fs';
 import {
   initializeDatabase,
-  createInspection,
+  createCall,
+  getCallByStreamSid,
   saveInspectionData,
-  completeInspection,
-  getInspectionByStreamSid,
+  completeCall,
+  getInspectionsByStreamSid,
   getInspectionStats,
+  updateEquipment,
   closeDatabase,
   saveCallerName,
   getCallerByPhoneNumber,
   clearAllData
 } from '../database.js';
-import { getEquipmentById, searchEquipmentByLocation, getAllEquipment } from '../equipment.js';
-import { validateInspectionData } from '../validation.js';
+import { seedEquipmentRegistry, getEquipmentById, searchEquipmentByLocation, getAllEquipment } from '../equipment.js';
+import { validateInspectionData, validateEquipmentData } from '../validation.js';
 
 describe('Integration Tests', function() {
   const TEST_DB_PATH = './test-data/integration-test.db';
@@ -32,6 +34,7 @@ describe('Integration Tests', function() {
   beforeEach(function() {
     // Clear data before each test
     clearAllData();
+    seedEquipmentRegistry();
   });
 
   after(function() {
@@ -54,13 +57,13 @@ describe('Integration Tests', function() {
 
   describe('Complete Inspection Workflow', function() {
     it('should handle a complete inspection from start to finish', function() {
-      // Step 1: Start inspection
+      // Step 1: Start call
       const streamSid = 'integration-test-001';
       const phoneNumber = '+15551234567';
       
-      const inspection = createInspection(streamSid, phoneNumber);
-      expect(inspection).to.not.be.undefined;
-      expect(inspection.status).to.equal('in_progress');
+      const call = createCall(streamSid, phoneNumber);
+      expect(call).to.not.be.undefined;
+      expect(call.status).to.equal('in_progress');
       
       // Step 2: Save caller name
       const callerName = 'John Inspector';
@@ -86,19 +89,44 @@ describe('Integration Tests', function() {
       expect(validation.valid).to.be.true;
       
       // Step 5: Save inspection data
-      saveInspectionData(streamSid, inspectionData);
-      
-      const savedInspection = getInspectionByStreamSid(streamSid);
+      const savedInspection = saveInspectionData(streamSid, inspectionData);
       expect(savedInspection.equipment_id).to.equal(inspectionData.equipment_id);
       expect(savedInspection.inspector_name).to.equal(inspectionData.inspector_name);
-      expect(savedInspection.status).to.equal('completed');
+      expect(savedInspection.phone_number).to.equal(phoneNumber);
+      expect(getCallByStreamSid(streamSid).status).to.equal('completed');
+      
+      // Step 6: Complete call (hang up)
+      completeCall(streamSid);
+      
+      const completedCall = getCallByStreamSid(streamSid);
+      expect(completedCall.call_ended_at).to.not.be.null;
+      expect(completedCall.call_duration_seconds).to.be.at.least(0);
+      
+      const [completedInspection] = getInspectionsByStreamSid(streamSid);
+      expect(completedInspection.call_ended_at).to.equal(completedCall.call_ended_at);
+    });
+
+    it('should record several inspections during a single call', function() {
+      const streamSid = 'integration-multi-call';
+      createCall(streamSid, '+15551230000');
+      
+      ['SCAFF-001', 'SCAFF-007', 'SCAFF-009'].forEach(equipmentId => {
+        const equipment = getEquipmentById(equipmentId);
+        const data = {
+          equipment_id: equipment.id,
+          inspector_name: 'Multi Inspector',
+          location: equipment.location,
+          inspection_result: 'PASS'
+        };
+        expect(validateInspectionData(data).valid).to.be.true;
+        saveInspectionData(streamSid, data);
+      });
       
-      // Step 6: Complete inspection (end call)
-      completeInspection(streamSid);
+      completeCall(streamSid);
       
-      const completedInspection = getInspectionByStreamSid(streamSid);
-      expect(completedInspection.call_ended_at).to.not.be.null;
-      expect(completedInspection.call_duration_seconds).to.be.at.least(0);
+      const inspections = getInspectionsByStreamSid(streamSid);
+      expect(inspections.map(i => i.equipment_id)).to.deep.equal(['SCAFF-001', 'SCAFF-007', 'SCAFF-009']);
+      expect(getInspectionStats().calls).to.equal(1);
     });
 
     it('should handle multiple inspections and aggregate stats', function() {
@@ -131,7 +159,7 @@ describe('Integration Tests', function() {
       ];
       
       inspections.forEach(insp => {
-        createInspection(insp.streamSid);
+        createCall(insp.streamSid);
         const equipment = getEquipmentById(insp.equipmentId);
         
         saveInspectionData(insp.streamSid, {
@@ -150,6 +178,33 @@ describe('Integration Tests', function() {
     });
   });
 
+  describe('Equipment Status Tracking', function() {
+    it('should tag failed equipment out until it is returned to service', function() {
+      const streamSid = 'integration-tag-out';
+      createCall(streamSid);
+      
+      const equipment = getEquipmentById('SCAFF-002');
+      expect(equipment.status).to.equal('active');
+      
+      const inspection = saveInspectionData(streamSid, {
+        equipment_id: equipment.id,
+        inspector_name: 'Inspector',
+        location: equipment.location,
+        inspection_result: 'FAIL',
+        comments: 'Missing toe boards on top platform'
+      });
+      
+      const tagged = getEquipmentById('SCAFF-002');
+      expect(tagged.status).to.equal('tagged_out');
+      expect(tagged.last_inspection).to.equal(inspection.submitted_at);
+      expect(validateEquipmentData({ last_inspection: tagged.last_inspection }, { partial: true }).valid).to.be.true;
+      
+      // Returning to service is an explicit registry update
+      updateEquipment(tagged.id, { status: 'active' });
+      expect(getEquipmentById('SCAFF-002').status).to.equal('active');
+    });
+  });
+
   describe('Equipment Search and Validation', function() {
     it('should search equipment by location and validate result', function() {
       const searchResults = searchEquipmentByLocation('Warehouse A');
@@ -189,21 +244,21 @@ describe('Integration Tests', function() {
       
       // First call
       saveCallerName(phoneNumber, callerName);
-      createInspection('call-1', phoneNumber);
+      createCall('call-1', phoneNumber);
       
       // Second call - should be able to retrieve caller
       const caller = getCallerByPhoneNumber(phoneNumber);
       expect(caller).to.not.be.null;
       expect(caller.caller_name).to.equal(callerName);
       
-      createInspection('call-2', phoneNumber);
+      createCall('call-2', phoneNumber);
       
-      // Both inspections should have the phone number
-      const inspection1 = getInspectionByStreamSid('call-1');
-      const inspection2 = getInspectionByStreamSid('call-2');
+      // Both calls should have the phone number
+      const call1 = getCallByStreamSid('call-1');
+      const call2 = getCallByStreamSid('call-2');
       
-      expect(inspection1.phone_number).to.equal(phoneNumber);
-      expect(inspection2.phone_number).to.equal(phoneNumber);
+      expect(call1.phone_number).to.equal(phoneNumber);
+      expect(call2.phone_number).to.equal(phoneNumber);
     });
 
     it('should update caller name on subsequent saves', function() {
@@ -229,7 +284,7 @@ describe('Integration Tests', function() {
       expect(equipment).to.not.be.undefined;
       
       // Create inspection
-      createInspection(streamSid);
+      createCall(streamSid);
       
       // Save with equipment data
       const inspectionData = {
@@ -242,7 +297,7 @@ describe('Integration Tests', function() {
       saveInspectionData(streamSid, inspectionData);
       
       // Retrieve and verify all data matches
-      const saved = getInspectionByStreamSid(streamSid);
+      const [saved] = getInspectionsByStreamSid(streamSid);
       expect(saved.equipment_id).to.equal(equipment.id);
       expect(saved.location).to.equal(equipment.location);
       expect(saved.inspector_name).to.equal(inspectionData.inspector_name);
@@ -253,7 +308,7 @@ describe('Integration Tests', function() {
       const streamSid = 'special-chars-test';
       const equipment = getAllEquipment()[0];
       
-      createInspection(streamSid);
+      createCall(streamSid);
       
       const inspectionData = {
         equipment_id: equipment.id,
@@ -265,7 +320,7 @@ describe('Integration Tests', function() {
       
       saveInspectionData(streamSid, inspectionData);
       
-      const saved = getInspectionByStreamSid(streamSid);
+      const [saved] = getInspectionsByStreamSid(streamSid);
       expect(saved.inspector_name).to.equal(inspectionData.inspector_name);
       expect(saved.comments).to.equal(inspectionData.comments);
     });
@@ -288,7 +343,7 @@ describe('Integration Tests', function() {
 
     it('should prevent saving invalid inspection data', function() {
       const streamSid = 'invalid-test';
-      createInspection(streamSid);
+      createCall(streamSid);
       
       const invalidData = {
         equipment_id: 'NONEXISTENT-999',
@@ -302,8 +357,8 @@ describe('Integration Tests', function() {
       
       // Don't save if validation fails
       if (!validation.valid) {
-        const inspection = getInspectionByStreamSid(streamSid);
-        expect(inspection.equipment_id).to.be.null;
+        const inspections = getInspectionsByStreamSid(streamSid);
+        expect(inspections).to.be.an('array').that.is.empty;
       }
     });
   });
@@ -317,7 +372,7 @@ describe('Integration Tests', function() {
       const inspectionIds = ['scenario-1', 'scenario-2', 'scenario-3'];
       
       inspectionIds.forEach(sid => {
-        createInspection(sid);
+        createCall(sid);
         saveInspectionData(sid, {
           equipment_id: equipmentId,
           inspector_name: 'Inspector',
@@ -338,7 +393,7 @@ describe('Integration Tests', function() {
         const equipment = searchEquipmentByLocation(loc)[0];
         if (equipment) {
           const sid = `location-test-${idx}`;
-          createInspection(sid);
+          createCall(sid);
           saveInspectionData(sid, {
             equipment_id: equipment.id,
             inspector_name: `Inspector ${idx + 1}`,
@@ -0,0 +1,52 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { createKeypadBuffer, describeKeypadEntry } from '../keypad.js';
+
+describe('Keypad Entry', function() {
+  const press = (keypad, keys) => [...keys].map(key => keypad.press(key)).filter(entry => entry !== null);
+
+  describe('createKeypadBuffer()', function() {
+    it('should return the digits once # is pressed', function() {
+      const keypad = createKeypadBuffer();
+      expect(keypad.press('1')).to.be.null;
+      expect(keypad.press('3')).to.be.null;
+      expect(keypad.pending()).to.equal('13');
+      expect(keypad.press('#')).to.equal('13');
+      expect(keypad.pending()).to.equal('');
+    });
+
+    it('should start over on *', function() {
+      expect(press(createKeypadBuffer(), '19*13#')).to.deep.equal(['13']);
+    });
+
+    it('should ignore # with nothing entered', function() {
+      expect(press(createKeypadBuffer(), '##7#')).to.deep.equal(['7']);
+    });
+
+    it('should ignore anything but digits and cap the length', function() {
+      expect(press(createKeypadBuffer(), 'A1B2')).to.deep.equal([]);
+      expect(press(createKeypadBuffer(), '123456789#')).to.deep.equal(['123456']);
+    });
+  });
+
+  describe('describeKeypadEntry()', function() {
+    const scaffold = { id: 'SCAFF-013', type: 'Mobile Scaffold Tower', location: 'Building D - Loading Dock' };
+
+    it('should name the one matching piece of equipment and ask for confirmation', function() {
+      const message = describeKeypadEntry('13', [scaffold]);
+      expect(message).to.include('keyed in equipment number 13');
+      expect(message).to.include('get_equipment_info with "SCAFF-013"');
+      expect(message).to.include('confirm');
+    });
+
+    it('should ask which one when several share the number', function() {
+      const message = describeKeypadEntry('13', [scaffold, { id: 'LADDER-13', type: 'Ladder', location: 'Yard' }]);
+      expect(message).to.include('SCAFF-013 (Mobile Scaffold Tower at Building D - Loading Dock), LADDER-13 (Ladder at Yard)');
+      expect(message).to.include('which one');
+    });
+
+    it('should ask the caller to try again when nothing matches', function() {
+      expect(describeKeypadEntry('99', [])).to.include('No equipment in the registry has that number');
+    });
+  });
+});
@@ -0,0 +1,58 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { tokenizeLocation, scoreLocationMatch, rankLocations } from '../location-search.js';
+
+describe('Location Search', function() {
+  describe('tokenizeLocation()', function() {
+    it('should lowercase and split on punctuation', function() {
+      expect(tokenizeLocation('Warehouse A - Bay 3')).to.deep.equal(['warehouse', 'a', 'bay', '3']);
+    });
+
+    it('should turn number words and ordinals into digits', function() {
+      expect(tokenizeLocation('bay three')).to.deep.equal(['bay', '3']);
+      expect(tokenizeLocation('bay twenty one')).to.deep.equal(['bay', '21']);
+      expect(tokenizeLocation('second floor')).to.deep.equal(['2', 'floor']);
+      expect(tokenizeLocation('2nd floor, bay 03')).to.deep.equal(['2', 'floor', 'bay', '3']);
+    });
+
+    it('should drop filler words and expand abbreviations', function() {
+      expect(tokenizeLocation('north wall of the bldg B')).to.deep.equal(['north', 'wall', 'building', 'b']);
+      expect(tokenizeLocation('mfg flr 2')).to.deep.equal(['manufacturing', 'floor', '2']);
+    });
+
+    it('should reduce plurals', function() {
+      expect(tokenizeLocation('bays')).to.deep.equal(['bay']);
+      expect(tokenizeLocation('glass')).to.deep.equal(['glass']);
+    });
+  });
+
+  describe('scoreLocationMatch()', function() {
+    it('should score the same words in the same order as 1', function() {
+      expect(scoreLocationMatch('warehouse a bay 3', 'Warehouse A - Bay 3')).to.equal(1);
+    });
+
+    it('should match words in any order, scoring a little lower', function() {
+      const score = scoreLocationMatch('bay three warehouse a', 'Warehouse A - Bay 3');
+      expect(score).to.be.above(0.8).and.below(1);
+    });
+
+    it('should score 0 unless every word matches', function() {
+      expect(scoreLocationMatch('warehouse a bay 7', 'Warehouse A - Bay 3')).to.equal(0);
+      expect(scoreLocationMatch('bay 1', 'Warehouse B - Bay 11')).to.equal(0);
+      expect(scoreLocationMatch('', 'Warehouse A')).to.equal(0);
+    });
+
+    it('should match the start of a longer word', function() {
+      expect(scoreLocationMatch('manufact floor 2', 'Manufacturing Floor 2')).to.be.above(0);
+      expect(scoreLocationMatch('ma floor 2', 'Manufacturing Floor 2')).to.equal(0);
+    });
+  });
+
+  describe('rankLocations()', function() {
+    it('should return matching locations, fullest match first', function() {
+      const ranked = rankLocations('building b', ['Building B - North Wall', 'Building B', 'Building C', 'Building B']);
+      expect(ranked.map(match => match.location)).to.deep.equal(['Building B', 'Building B - North Wall']);
+      expect(ranked[0].relevance).to.be.above(ranked[1].relevance);
+    });
+  });
+});
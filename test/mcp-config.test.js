@@ -0,0 +1,218 @@
+import { expect } from 'chai';
+import { after, before, describe, it } from 'mocha';
+import { existsSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { resolve } from 'path';
+import { Client } from '@modelcontextprotocol/sdk/client/index.js';
+import {
+  parseCommandLine,
+  normalizeServerConfig,
+  loadMCPConfigFile,
+  loadMCPConfigFromEnv,
+  loadMCPConfig,
+  createStdioTransport
+} from '../mcp-config.js';
+
+describe('MCP Config', function() {
+  const TEST_DIR = './test-data/mcp-config';
+  const CONFIG_PATH = `${TEST_DIR}/mcp-config.json`;
+
+  const writeConfig = config => writeFileSync(CONFIG_PATH, typeof config === 'string' ? config : JSON.stringify(config));
+
+  before(function() {
+    if (!existsSync(`${TEST_DIR}/servers`)) {
+      mkdirSync(`${TEST_DIR}/servers`, { recursive: true });
+    }
+  });
+
+  after(function() {
+    rmSync(TEST_DIR, { recursive: true, force: true });
+  });
+
+  describe('parseCommandLine()', function() {
+    it('should split on spaces and keep quoted arguments together', function() {
+      expect(parseCommandLine('npx -y server "/path/with spaces/db.sqlite" \'a b\''))
+        .to.deep.equal(['npx', '-y', 'server', '/path/with spaces/db.sqlite', 'a b']);
+    });
+
+    it('should ignore repeated spaces', function() {
+      expect(parseCommandLine('  npx   server ')).to.deep.equal(['npx', 'server']);
+      expect(parseCommandLine('')).to.deep.equal([]);
+    });
+  });
+
+  describe('normalizeServerConfig()', function() {
+    it('should accept underscores in server names', function() {
+      expect(normalizeServerConfig('my_db', { command: 'npx' }).name).to.equal('my_db');
+    });
+
+    it('should fill in defaults', function() {
+      expect(normalizeServerConfig('memory', { command: 'npx' })).to.deep.equal({
+        name: 'memory', command: 'npx', args: [], env: {}, cwd: null, enabled: true, description: '', timeoutMs: null, toolTimeouts: {}
+      });
+    });
+
+    it('should read the tool call timeouts', function() {
+      const server = normalizeServerConfig('github', { command: 'npx', timeoutMs: 20000, toolTimeouts: { search_code: 60000 } });
+      expect(server).to.include({ timeoutMs: 20000 });
+      expect(server.toolTimeouts).to.deep.equal({ search_code: 60000 });
+    });
+
+    it('should resolve cwd against the base directory', function() {
+      const server = normalizeServerConfig('local', { command: 'node', cwd: 'servers' }, { baseDir: TEST_DIR });
+      expect(server.cwd).to.equal(resolve(TEST_DIR, 'servers'));
+    });
+
+    it('should fill ${VAR} references in env from the environment', function() {
+      const server = normalizeServerConfig('github', {
+        command: 'npx',
+        env: { GITHUB_TOKEN: '${TOKEN}', MODE: 'read-${LEVEL}' }
+      }, { environment: { TOKEN: 'secret', LEVEL: 'only' } });
+      expect(server.env).to.deep.equal({ GITHUB_TOKEN: 'secret', MODE: 'read-only' });
+    });
+
+    it('should name the server in every error', function() {
+      const errorFor = (name, entry) => {
+        try {
+          normalizeServerConfig(name, entry, { environment: {} });
+        } catch (error) {
+          return error.message;
+        }
+        return null;
+      };
+
+      expect(errorFor('weather', null)).to.equal('MCP server "weather": must be an object');
+      expect(errorFor('weather', { args: [] })).to.equal('MCP server "weather": command is required');
+      expect(errorFor('weather', { command: 'npx', args: 'server' })).to.equal('MCP server "weather": args must be an array of strings');
+      expect(errorFor('weather', { command: 'npx', env: { PORT: 80 } })).to.equal('MCP server "weather": env must map variable names to strings');
+      expect(errorFor('weather', { command: 'npx', enabled: 'no' })).to.equal('MCP server "weather": enabled must be true or false');
+      expect(errorFor('weather', { command: 'npx', timeoutMs: '5s' })).to.equal('MCP server "weather": timeoutMs must be a whole number of milliseconds greater than 0');
+      expect(errorFor('weather', { command: 'npx', toolTimeouts: { get_forecast: 0 } }))
+        .to.equal('MCP server "weather": toolTimeouts must map tool names to whole numbers of milliseconds greater than 0');
+      expect(errorFor('weather', { command: 'npx', environment: {} })).to.match(/^MCP server "weather": unknown field "environment"/);
+      expect(errorFor('weather', { command: 'npx', cwd: './nowhere' })).to.match(/^MCP server "weather": cwd .*nowhere is not a directory$/);
+      expect(errorFor('weather', { command: 'npx', env: { KEY: '${MISSING}' } }))
+        .to.equal('MCP server "weather": env KEY refers to ${MISSING}, which is not set');
+      expect(errorFor('my weather', { command: 'npx' })).to.equal('MCP server "my weather": name may only contain letters, digits, underscores and hyphens');
+    });
+
+    it('should not check the cwd or env of a disabled server', function() {
+      const server = normalizeServerConfig('later', { command: 'npx', cwd: './nowhere', env: { KEY: '${MISSING}' }, enabled: false }, { environment: {} });
+      expect(server.enabled).to.be.false;
+      expect(server.env).to.deep.equal({ KEY: '${MISSING}' });
+    });
+  });
+
+  describe('loadMCPConfigFile()', function() {
+    it('should load every server, resolving cwd against the config file', function() {
+      writeConfig({
+        mcpServers: {
+          memory: { command: 'npx', args: ['-y', '@modelcontextprotocol/server-memory'], description: 'Memory' },
+          local: { command: 'node', args: ['server.js'], cwd: 'servers', enabled: false }
+        }
+      });
+
+      const { servers, errors } = loadMCPConfigFile(CONFIG_PATH);
+      expect(errors).to.be.empty;
+      expect(servers.map(server => server.name)).to.deep.equal(['memory', 'local']);
+      expect(servers[0]).to.include({ command: 'npx', description: 'Memory', enabled: true });
+      expect(servers[1]).to.include({ cwd: resolve(TEST_DIR, 'servers'), enabled: false });
+    });
+
+    it('should leave out servers with config errors and report them', function() {
+      writeConfig({ mcpServers: { memory: { command: 'npx' }, broken: { args: [] } } });
+
+      const { servers, errors } = loadMCPConfigFile(CONFIG_PATH);
+      expect(servers.map(server => server.name)).to.deep.equal(['memory']);
+      expect(errors).to.deep.equal(['MCP server "broken": command is required']);
+    });
+
+    it('should load the example config', function() {
+      const { servers, errors } = loadMCPConfigFile('./mcp-config.example.json', {});
+      expect(errors).to.be.empty;
+      expect(servers.find(server => server.name === 'weather').env).to.have.property('WEATHER_API_KEY');
+    });
+
+    it('should throw for an unreadable file or a missing mcpServers object', function() {
+      expect(() => loadMCPConfigFile(`${TEST_DIR}/missing.json`)).to.throw(/^MCP config file .*missing\.json: /);
+
+      writeConfig('{ not json');
+      expect(() => loadMCPConfigFile(CONFIG_PATH)).to.throw(/^MCP config file .*mcp-config\.json: /);
+
+      writeConfig({ servers: {} });
+      expect(() => loadMCPConfigFile(CONFIG_PATH)).to.throw('"mcpServers" must be an object of servers by name');
+    });
+  });
+
+  describe('loadMCPConfigFromEnv()', function() {
+    it('should read MCP_SERVERS and each MCP_<NAME>_COMMAND', function() {
+      const { servers, errors } = loadMCPConfigFromEnv({
+        MCP_SERVERS: 'sqlite, weather',
+        MCP_SQLITE_COMMAND: 'npx -y server-sqlite "/data/my db.sqlite"',
+        MCP_WEATHER_COMMAND: 'npx -y server-weather'
+      });
+      expect(errors).to.be.empty;
+      expect(servers[0]).to.include({ name: 'sqlite', command: 'npx' });
+      expect(servers[0].args).to.deep.equal(['-y', 'server-sqlite', '/data/my db.sqlite']);
+      expect(servers[1].name).to.equal('weather');
+    });
+
+    it('should report servers without a command', function() {
+      const { servers, errors } = loadMCPConfigFromEnv({ MCP_SERVERS: 'weather' });
+      expect(servers).to.be.empty;
+      expect(errors).to.deep.equal(['MCP server "weather": MCP_WEATHER_COMMAND is not set']);
+    });
+  });
+
+  describe('loadMCPConfig()', function() {
+    it('should prefer MCP_CONFIG_FILE over MCP_SERVERS', function() {
+      writeConfig({ mcpServers: { memory: { command: 'npx' } } });
+      const config = loadMCPConfig({ MCP_CONFIG_FILE: CONFIG_PATH });
+      expect(config.source).to.equal('file');
+      expect(config.servers.map(server => server.name)).to.deep.equal(['memory']);
+    });
+
+    it('should fall back to MCP_SERVERS', function() {
+      const config = loadMCPConfig({ MCP_SERVERS: 'memory', MCP_MEMORY_COMMAND: 'npx server-memory' });
+      expect(config.source).to.equal('env');
+      expect(config.servers.map(server => server.name)).to.deep.equal(['memory']);
+    });
+
+    it('should configure no servers when neither is set', function() {
+      expect(loadMCPConfig({})).to.deep.equal({ source: 'env', servers: [], errors: [] });
+    });
+  });
+
+  describe('createStdioTransport()', function() {
+    this.timeout(10000);
+
+    it('should start the server in its cwd with its env', async function() {
+      const server = normalizeServerConfig('mock', {
+        command: process.execPath,
+        args: [resolve('mock-mcp-server.js')],
+        cwd: `${TEST_DIR}/servers`,
+        env: { MOCK_GREETING: 'hello' }
+      });
+      const client = new Client({ name: 'mcp-config-test', version: '1.0.0' }, { capabilities: {} });
+      await client.connect(createStdioTransport(server));
+      try {
+        const { content } = await client.callTool({ name: 'environment', arguments: { variable: 'MOCK_GREETING' } });
+        expect(JSON.parse(content[0].text)).to.deep.equal({ cwd: resolve(TEST_DIR, 'servers'), value: 'hello' });
+        expect(process.cwd()).to.equal(resolve('.'));
+      } finally {
+        await client.close();
+      }
+    });
+
+    it('should fail to connect when the command cannot be started', async function() {
+      const server = normalizeServerConfig('missing', { command: resolve(TEST_DIR, 'no-such-server') });
+      const client = new Client({ name: 'mcp-config-test', version: '1.0.0' }, { capabilities: {} });
+      let error;
+      try {
+        await client.connect(createStdioTransport(server));
+      } catch (caught) {
+        error = caught;
+      }
+      expect(error?.code).to.equal('ENOENT');
+    });
+  });
+});
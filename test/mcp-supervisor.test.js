@@ -0,0 +1,169 @@
+import { expect } from 'chai';
+import { afterEach, describe, it } from 'mocha';
+import { createMCPSupervisor } from '../mcp-supervisor.js';
+
+describe('MCP Supervisor', function() {
+  let supervisor;
+
+  afterEach(function() {
+    supervisor?.stop();
+    supervisor = null;
+  });
+
+  const server = (name, extra = {}) => ({ name, command: 'node', args: [], env: {}, cwd: null, enabled: true, description: '', ...extra });
+
+  // Stands in for a connected MCP client; exit() acts like the server process dying
+  const fakeClient = ({ ping = async () => ({}) } = {}) => {
+    const client = {
+      closed: false,
+      ping,
+      async close() {
+        client.closed = true;
+      },
+      exit() {
+        client.onclose?.();
+      }
+    };
+    return client;
+  };
+
+  async function waitFor(check, description, timeoutMs = 2000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+      const result = await check();
+      if (result) return result;
+      await new Promise(resolve => setTimeout(resolve, 5));
+    }
+    throw new Error(`Timed out waiting for ${description}`);
+  }
+
+  const states = () => Object.fromEntries(supervisor.status().map(status => [status.name, status.state]));
+
+  it('should start enabled servers and report disabled ones', async function() {
+    const changes = [];
+    supervisor = createMCPSupervisor({
+      connect: async () => fakeClient(),
+      onChange: status => changes.push(`${status.name}:${status.state}`)
+    });
+
+    const statuses = await supervisor.reload([server('memory', { description: 'Memory' }), server('later', { enabled: false })]);
+    expect(statuses.map(status => [status.name, status.state])).to.deep.equal([['memory', 'up'], ['later', 'disabled']]);
+    expect(statuses[0]).to.include({ description: 'Memory', restarts: 0, failed_attempts: 0, last_error: null, next_attempt_at: null });
+    expect(changes).to.have.members(['memory:starting', 'memory:up', 'later:disabled']);
+    expect(supervisor.clients().map(([name]) => name)).to.deep.equal(['memory']);
+    expect(supervisor.config('memory')).to.include({ name: 'memory', description: 'Memory' });
+    expect(supervisor.config('weather')).to.be.null;
+    expect(supervisor.client('later')).to.be.null;
+  });
+
+  it('should restart a server whose process exits', async function() {
+    const clients = [];
+    supervisor = createMCPSupervisor({
+      connect: async () => {
+        clients.push(fakeClient());
+        return clients.at(-1);
+      },
+      restartDelayMs: 5
+    });
+    await supervisor.reload([server('memory')]);
+
+    clients[0].exit();
+    expect(supervisor.status('memory')).to.include({ state: 'restarting', failed_attempts: 1, last_error: 'server process exited' });
+    expect(supervisor.client('memory')).to.be.null;
+
+    await waitFor(() => supervisor.status('memory').state === 'up', 'the restart');
+    expect(supervisor.status('memory')).to.include({ restarts: 1, failed_attempts: 0, last_error: null });
+    expect(supervisor.client('memory')).to.equal(clients[1]);
+  });
+
+  it('should retry a server that could not be started, reporting it failed after several attempts', async function() {
+    let attempts = 0;
+    supervisor = createMCPSupervisor({
+      connect: async () => {
+        attempts++;
+        throw new Error('spawn npx ENOENT');
+      },
+      restartDelayMs: 1
+    });
+
+    const [status] = await supervisor.reload([server('weather')]);
+    expect(status).to.include({ state: 'restarting', failed_attempts: 1, last_error: 'spawn npx ENOENT' });
+    expect(Date.parse(status.next_attempt_at)).to.be.greaterThan(Date.now() - 1000);
+
+    await waitFor(() => supervisor.status('weather').state === 'failed', 'the server to be reported failed');
+    expect(attempts).to.equal(5);
+  });
+
+  it('should restart a server that stops answering pings', async function() {
+    const hung = fakeClient({ ping: () => new Promise(() => {}) });
+    const clients = [hung, fakeClient()];
+    supervisor = createMCPSupervisor({
+      connect: async () => clients.shift(),
+      pingIntervalMs: 5,
+      pingTimeoutMs: 10,
+      restartDelayMs: 1
+    });
+    await supervisor.reload([server('memory')]);
+
+    await waitFor(() => supervisor.status('memory').restarts === 1, 'the restart');
+    expect(hung.closed).to.be.true;
+    expect(states()).to.deep.equal({ memory: 'up' });
+  });
+
+  it('should reload: stop removed servers, restart changed ones and keep the rest', async function() {
+    const connected = [];
+    const changes = [];
+    supervisor = createMCPSupervisor({
+      connect: async config => {
+        const client = fakeClient();
+        connected.push([config.name, client]);
+        return client;
+      },
+      onChange: status => changes.push(`${status.name}:${status.state}`)
+    });
+    await supervisor.reload([server('memory'), server('weather'), server('github')]);
+    const [[, memory], [, weather], [, github]] = connected;
+    changes.length = 0;
+
+    await supervisor.reload([server('memory'), server('weather', { args: ['--metric'] }), server('files')]);
+
+    expect(states()).to.deep.equal({ memory: 'up', weather: 'up', files: 'up' });
+    expect(memory.closed).to.be.false;
+    expect(supervisor.client('memory')).to.equal(memory);
+    expect(weather.closed).to.be.true;
+    expect(supervisor.client('weather')).to.not.equal(weather);
+    expect(github.closed).to.be.true;
+    expect(changes).to.include('github:stopped');
+
+    // The closed client's exit must not restart the server that replaced it
+    weather.exit();
+    expect(supervisor.status('weather').state).to.equal('up');
+  });
+
+  it('should retry a down server straight away on reload', async function() {
+    let available = false;
+    supervisor = createMCPSupervisor({
+      connect: async () => {
+        if (!available) throw new Error('not yet');
+        return fakeClient();
+      },
+      restartDelayMs: 60000
+    });
+    await supervisor.reload([server('memory')]);
+    expect(supervisor.status('memory').state).to.equal('restarting');
+
+    available = true;
+    const [status] = await supervisor.reload([server('memory')]);
+    expect(status.state).to.equal('up');
+  });
+
+  it('should close every client on stop', async function() {
+    const client = fakeClient();
+    supervisor = createMCPSupervisor({ connect: async () => client });
+    await supervisor.reload([server('memory')]);
+
+    supervisor.stop();
+    expect(client.closed).to.be.true;
+    expect(supervisor.status()).to.be.empty;
+  });
+});
@@ -0,0 +1,216 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import {
+  MAX_FUNCTION_NAME_LENGTH,
+  exposedToolName,
+  buildToolRoutes,
+  limitToolResult,
+  withTimeout,
+  createToolCatalog
+} from '../mcp-tools.js';
+
+describe('MCP Tools', function() {
+  const OPENAI_FUNCTION_NAME = /^[A-Za-z0-9_-]{1,64}$/;
+
+  describe('exposedToolName()', function() {
+    it('should join the server and tool name with a double underscore', function() {
+      expect(exposedToolName('weather', 'get_forecast')).to.equal('weather__get_forecast');
+      expect(exposedToolName('my_db', 'query')).to.equal('my_db__query');
+    });
+
+    it('should replace characters OpenAI does not accept', function() {
+      expect(exposedToolName('files', 'read.file/v2')).to.equal('files__read_file_v2');
+      expect(exposedToolName('files', 'lire fichier é')).to.match(OPENAI_FUNCTION_NAME);
+    });
+
+    it('should shorten long names and keep them distinct', function() {
+      const base = 'x'.repeat(70);
+      const first = exposedToolName('server', `${base}_a`);
+      const second = exposedToolName('server', `${base}_b`);
+
+      expect(first).to.have.lengthOf(MAX_FUNCTION_NAME_LENGTH);
+      expect(first).to.match(OPENAI_FUNCTION_NAME);
+      expect(first.startsWith('server__xxx')).to.be.true;
+      expect(first).to.not.equal(second);
+      expect(exposedToolName('server', `${base}_a`)).to.equal(first);
+    });
+  });
+
+  describe('buildToolRoutes()', function() {
+    const tool = (name, extra = {}) => ({ name, ...extra });
+
+    it('should route each exposed name to its server and original tool name', function() {
+      const { tools, routes, conflicts } = buildToolRoutes([
+        { serverName: 'my_db', tools: [tool('run.query', { description: 'Run SQL', inputSchema: { type: 'object', properties: { sql: { type: 'string' } } } })] },
+        { serverName: 'weather', tools: [tool('get_forecast')] }
+      ]);
+
+      expect(conflicts).to.be.empty;
+      expect(tools.map(t => t.name)).to.deep.equal(['my_db__run_query', 'weather__get_forecast']);
+      expect(tools[0]).to.deep.equal({
+        type: 'function',
+        name: 'my_db__run_query',
+        description: 'Run SQL',
+        parameters: { type: 'object', properties: { sql: { type: 'string' } } }
+      });
+      expect(tools[1].parameters).to.deep.equal({ type: 'object', properties: {} });
+      expect(routes.get('my_db__run_query')).to.deep.equal({
+        serverName: 'my_db',
+        toolName: 'run.query',
+        inputSchema: { type: 'object', properties: { sql: { type: 'string' } } }
+      });
+      expect(routes.get('weather__get_forecast')).to.include({ serverName: 'weather', toolName: 'get_forecast' });
+    });
+
+    it('should keep the first of two tools with the same exposed name', function() {
+      const { tools, routes, conflicts } = buildToolRoutes([
+        { serverName: 'a', tools: [tool('b__c'), tool('b.c__d')] },
+        { serverName: 'a__b', tools: [tool('c')] },
+        { serverName: 'files', tools: [tool('read.file'), tool('read_file')] }
+      ]);
+
+      expect(tools.map(t => t.name)).to.deep.equal(['a__b__c', 'a__b_c__d', 'files__read_file']);
+      expect(routes.get('a__b__c')).to.include({ serverName: 'a', toolName: 'b__c' });
+      expect(routes.get('files__read_file')).to.include({ serverName: 'files', toolName: 'read.file' });
+      expect(conflicts).to.deep.equal([
+        "MCP tool 'c' from 'a__b' is named a__b__c, the same as 'b__c' from 'a'; leaving it out",
+        "MCP tool 'read_file' from 'files' is named files__read_file, the same as 'read.file' from 'files'; leaving it out"
+      ]);
+    });
+
+    it('should never route a built-in tool name to an MCP server', function() {
+      const { tools, routes, conflicts } = buildToolRoutes(
+        [{ serverName: 'get', tools: [tool('_equipment_info'), tool('weather')] }],
+        ['get_equipment_info', 'get___equipment_info']
+      );
+
+      expect(tools.map(t => t.name)).to.deep.equal(['get__weather']);
+      expect(routes.has('get___equipment_info')).to.be.false;
+      expect(conflicts).to.have.lengthOf(1);
+      expect(conflicts[0]).to.include('the same as a built-in tool');
+    });
+  });
+
+  describe('limitToolResult()', function() {
+    it('should pass a result that fits through unchanged', function() {
+      const result = { content: [{ type: 'text', text: 'Sunny, 21C' }] };
+      expect(limitToolResult(result, 100)).to.equal(result);
+    });
+
+    it('should cut long text short to fit the limit once serialized', function() {
+      const result = { content: [{ type: 'text', text: 'line "one"\n'.repeat(500) }], isError: true };
+      const limited = limitToolResult(result, 400);
+
+      expect(JSON.stringify(limited).length).to.be.at.most(400);
+      expect(limited).to.include({ isError: true, truncated: true, original_length: JSON.stringify(result).length });
+      expect(limited.content).to.have.lengthOf(1);
+      expect(limited.content[0].text.startsWith('line "one"\nline "one"')).to.be.true;
+      expect(limited.content[0].text.endsWith('[... truncated]')).to.be.true;
+      expect(limited.message).to.include('cut short');
+    });
+
+    it('should replace content other than text with a note', function() {
+      const result = {
+        content: [
+          { type: 'image', data: 'A'.repeat(2000), mimeType: 'image/png' },
+          { type: 'text', text: 'Photo of SCAFF-013' }
+        ]
+      };
+      const limited = limitToolResult(result, 400);
+      expect(limited.content[0].text).to.equal('[image content omitted]\nPhoto of SCAFF-013\n[... truncated]');
+    });
+  });
+
+  describe('withTimeout()', function() {
+    it('should settle with the promise when it is in time', async function() {
+      expect(await withTimeout(Promise.resolve('listed'), 50, 'too slow')).to.equal('listed');
+    });
+
+    it('should reject with the message when it is not', async function() {
+      const error = await withTimeout(new Promise(() => {}), 5, 'too slow').catch(caught => caught);
+      expect(error.message).to.equal('too slow');
+    });
+  });
+
+  describe('createToolCatalog()', function() {
+    // Stands in for an MCP client; set tools or delay before listing
+    const fakeClient = (tools, { delayMs = 0 } = {}) => {
+      const client = {
+        tools,
+        listings: 0,
+        async listTools() {
+          client.listings++;
+          const listed = client.tools.map(name => ({ name }));
+          await new Promise(resolve => setTimeout(resolve, delayMs));
+          return { tools: listed };
+        }
+      };
+      return client;
+    };
+
+    it('should cache each server listing and route its tools', async function() {
+      const catalog = createToolCatalog();
+      const weather = fakeClient(['get_forecast']);
+      await catalog.refresh('weather', weather);
+      await catalog.refresh('memory', fakeClient(['store', 'recall']));
+
+      expect(catalog.tools().map(tool => tool.name)).to.deep.equal(['weather__get_forecast', 'memory__store', 'memory__recall']);
+      expect(catalog.tools(['memory']).map(tool => tool.name)).to.deep.equal(['memory__store', 'memory__recall']);
+      expect(catalog.route('weather__get_forecast')).to.include({ serverName: 'weather', toolName: 'get_forecast' });
+
+      catalog.tools();
+      expect(weather.listings).to.equal(1);
+    });
+
+    it('should keep the previous listing of a server that is too slow to answer', async function() {
+      const errors = [];
+      const catalog = createToolCatalog({ listTimeoutMs: 20, onError: (serverName, error) => errors.push(`${serverName}: ${error.message}`) });
+      const weather = fakeClient(['get_forecast']);
+      await catalog.refresh('weather', weather);
+
+      weather.tools = ['get_forecast', 'get_alerts'];
+      const slow = fakeClient(['get_forecast', 'get_alerts'], { delayMs: 200 });
+      expect(await catalog.refresh('weather', slow)).to.be.null;
+
+      expect(errors).to.deep.equal(['weather: no tool list within 20ms']);
+      expect(catalog.tools().map(tool => tool.name)).to.deep.equal(['weather__get_forecast']);
+    });
+
+    it('should list again when the tools change during a listing', async function() {
+      const catalog = createToolCatalog();
+      const client = fakeClient(['store'], { delayMs: 10 });
+      const first = catalog.refresh('memory', client);
+      client.tools = ['store', 'recall'];
+      expect(catalog.refresh('memory', client)).to.equal(first);
+
+      await first;
+      await catalog.settled();
+      expect(client.listings).to.equal(2);
+      expect(catalog.tools().map(tool => tool.name)).to.deep.equal(['memory__store', 'memory__recall']);
+    });
+
+    it('should forget a removed server, even one still being listed', async function() {
+      const catalog = createToolCatalog();
+      await catalog.refresh('weather', fakeClient(['get_forecast']));
+      const listing = catalog.refresh('memory', fakeClient(['store'], { delayMs: 10 }));
+
+      catalog.remove('weather');
+      catalog.remove('memory');
+      await listing;
+
+      expect(catalog.tools()).to.be.empty;
+      expect(catalog.route('weather__get_forecast')).to.be.undefined;
+    });
+
+    it('should report each name conflict once', async function() {
+      const conflicts = [];
+      const catalog = createToolCatalog({ reservedNames: ['get_equipment_info'], onConflict: message => conflicts.push(message) });
+      const client = fakeClient(['read.file', 'read_file']);
+      await catalog.refresh('files', client);
+      await catalog.refresh('files', client);
+
+      expect(conflicts).to.have.lengthOf(1);
+      expect(conflicts[0]).to.include("MCP tool 'read_file' from 'files'");
+    });
+  });
+});
@@ -0,0 +1,82 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { createPlaybackTracker } from '../playback.js';
+
+// 100ms of 8kHz μ-law
+const CHUNK_BYTES = 800;
+
+describe('Playback Tracker', function() {
+  it('should not interrupt when nothing is playing', function() {
+    const playback = createPlaybackTracker();
+    expect(playback.isPlaying()).to.be.false;
+    expect(playback.interrupt(1000)).to.be.null;
+  });
+
+  it('should name a mark for every chunk of audio sent', function() {
+    const playback = createPlaybackTracker();
+    const first = playback.audioSent('item_1', CHUNK_BYTES, 0);
+    const second = playback.audioSent('item_1', CHUNK_BYTES, 0);
+
+    expect(first).to.not.equal(second);
+    expect(playback.isPlaying()).to.be.true;
+  });
+
+  it('should stop playing once every mark has come back', function() {
+    const playback = createPlaybackTracker();
+    playback.audioSent('item_1', CHUNK_BYTES, 0);
+    const last = playback.audioSent('item_1', CHUNK_BYTES, 0);
+
+    // A later mark also confirms the ones before it
+    expect(playback.markPlayed(last, 200)).to.be.true;
+    expect(playback.isPlaying()).to.be.false;
+    expect(playback.interrupt(300)).to.be.null;
+  });
+
+  it('should cut off at the last played mark plus the time since', function() {
+    const playback = createPlaybackTracker();
+    const marks = [1, 2, 3, 4].map(() => playback.audioSent('item_1', CHUNK_BYTES, 1000));
+    playback.markPlayed(marks[1], 1200);
+
+    expect(playback.interrupt(1250)).to.deep.equal({ itemId: 'item_1', audioEndMs: 250, unplayedItemIds: [] });
+  });
+
+  it('should never cut off past the end of the chunk that is playing', function() {
+    const playback = createPlaybackTracker();
+    playback.audioSent('item_1', CHUNK_BYTES, 1000);
+    playback.audioSent('item_1', CHUNK_BYTES, 1000);
+
+    // The first mark is overdue, e.g. because of network delay
+    expect(playback.interrupt(5000).audioEndMs).to.equal(100);
+  });
+
+  it('should measure playback from when audio was sent to an idle stream', function() {
+    const playback = createPlaybackTracker();
+    const mark = playback.audioSent('item_1', CHUNK_BYTES, 0);
+    playback.markPlayed(mark, 100);
+
+    // Silence, then a new response starts playing at 3000ms
+    playback.audioSent('item_2', CHUNK_BYTES, 3000);
+    expect(playback.interrupt(3040)).to.deep.equal({ itemId: 'item_2', audioEndMs: 40, unplayedItemIds: [] });
+  });
+
+  it('should report items queued behind the interrupted one as unplayed', function() {
+    const playback = createPlaybackTracker();
+    playback.audioSent('item_1', CHUNK_BYTES, 0);
+    playback.audioSent('item_2', CHUNK_BYTES, 0);
+    playback.audioSent('item_3', CHUNK_BYTES, 0);
+
+    const interruption = playback.interrupt(50);
+    expect(interruption.itemId).to.equal('item_1');
+    expect(interruption.unplayedItemIds).to.deep.equal(['item_2', 'item_3']);
+  });
+
+  it('should forget queued audio after an interruption', function() {
+    const playback = createPlaybackTracker();
+    const mark = playback.audioSent('item_1', CHUNK_BYTES, 0);
+    playback.interrupt(50);
+
+    expect(playback.isPlaying()).to.be.false;
+    // Twilio returns marks for cleared audio; they are no longer tracked
+    expect(playback.markPlayed(mark, 60)).to.be.false;
+  });
+});
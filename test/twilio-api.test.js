@@ -0,0 +1,60 @@
+import { expect } from 'chai';
+import { after, before, describe, it } from 'mocha';
+import { updateCall } from '../twilio-api.js';
+import { createMockTwilioApiServer } from '../mock-twilio-api.js';
+
+describe('Twilio REST API', function() {
+  let mockApi;
+
+  before(async function() {
+    mockApi = await createMockTwilioApiServer();
+  });
+
+  after(async function() {
+    await mockApi.close();
+  });
+
+  describe('updateCall()', function() {
+    const options = () => ({
+      accountSid: 'ACtest',
+      authToken: 'secret',
+      callSid: 'CA123',
+      twiml: '<Response><Dial>+15550009999</Dial></Response>',
+      apiUrl: `${mockApi.url}/`
+    });
+
+    it('should post the new TwiML to the call with basic auth', async function() {
+      const call = await updateCall(options());
+
+      expect(call).to.include({ sid: 'CA123', status: 'in-progress' });
+      const request = mockApi.requests.at(-1);
+      expect(request).to.include({ method: 'POST', path: '/2010-04-01/Accounts/ACtest/Calls/CA123.json' });
+      expect(request.auth).to.deep.equal({ user: 'ACtest', password: 'secret' });
+      expect(request.body).to.deep.equal({ Twiml: '<Response><Dial>+15550009999</Dial></Response>' });
+    });
+
+    it('should report errors from Twilio', async function() {
+      mockApi.failNext(404, 'The requested resource was not found');
+
+      try {
+        await updateCall(options());
+        expect.fail('updateCall should have thrown');
+      } catch (error) {
+        expect(error.message).to.equal('Twilio API returned 404: The requested resource was not found');
+      }
+    });
+
+    it('should require credentials and a call SID', async function() {
+      for (const missing of ['accountSid', 'authToken', 'callSid']) {
+        const requestsBefore = mockApi.requests.length;
+        try {
+          await updateCall({ ...options(), [missing]: undefined });
+          expect.fail('updateCall should have thrown');
+        } catch (error) {
+          expect(error.message).to.include('required');
+        }
+        expect(mockApi.requests).to.have.lengthOf(requestsBefore);
+      }
+    });
+  });
+});
@@ -0,0 +1,114 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import {
+  computeTwilioSignature,
+  validateTwilioSignature,
+  createStreamToken,
+  verifyStreamToken,
+  validateBearerToken
+} from '../twilio-auth.js';
+
+describe('Twilio Auth Module', function() {
+  // Example from Twilio's webhook security documentation
+  const AUTH_TOKEN = '12345';
+  const URL = 'https://mycompany.com/myapp.php?foo=1&bar=2';
+  const PARAMS = {
+    CallSid: 'CA1234567890ABCDE',
+    Caller: '+12349013030',
+    Digits: '1234',
+    From: '+12349013030',
+    To: '+18005551212'
+  };
+  const SIGNATURE = '0/KCTR6DLpKmkAf8muzZqo1nDgQ=';
+
+  describe('computeTwilioSignature()', function() {
+    it('should match the signature Twilio computes', function() {
+      expect(computeTwilioSignature(AUTH_TOKEN, URL, PARAMS)).to.equal(SIGNATURE);
+    });
+
+    it('should not depend on parameter order', function() {
+      const reversed = Object.fromEntries(Object.entries(PARAMS).reverse());
+      expect(computeTwilioSignature(AUTH_TOKEN, URL, reversed)).to.equal(SIGNATURE);
+    });
+  });
+
+  describe('validateTwilioSignature()', function() {
+    it('should accept a valid signature', function() {
+      expect(validateTwilioSignature(AUTH_TOKEN, SIGNATURE, URL, PARAMS)).to.be.true;
+    });
+
+    it('should reject a tampered parameter', function() {
+      expect(validateTwilioSignature(AUTH_TOKEN, SIGNATURE, URL, { ...PARAMS, From: '+15550000000' })).to.be.false;
+    });
+
+    it('should reject a different URL', function() {
+      expect(validateTwilioSignature(AUTH_TOKEN, SIGNATURE, 'https://mycompany.com/other.php', PARAMS)).to.be.false;
+    });
+
+    it('should reject a missing signature or auth token', function() {
+      expect(validateTwilioSignature(AUTH_TOKEN, undefined, URL, PARAMS)).to.be.false;
+      expect(validateTwilioSignature(undefined, SIGNATURE, URL, PARAMS)).to.be.false;
+      expect(validateTwilioSignature('wrong-token', SIGNATURE, URL, PARAMS)).to.be.false;
+    });
+  });
+
+  describe('Stream tokens', function() {
+    const SECRET = 'stream-secret';
+    const NOW = Date.parse('2025-01-15T12:00:00Z');
+
+    it('should round-trip claims', function() {
+      const token = createStreamToken(SECRET, { phone: '+15551234567', call_sid: 'CA1' }, { now: NOW });
+      const result = verifyStreamToken(SECRET, token, { now: NOW + 5000 });
+
+      expect(result.valid).to.be.true;
+      expect(result.claims.phone).to.equal('+15551234567');
+      expect(result.claims.call_sid).to.equal('CA1');
+    });
+
+    it('should reject an expired token', function() {
+      const token = createStreamToken(SECRET, {}, { ttlSeconds: 60, now: NOW });
+      const result = verifyStreamToken(SECRET, token, { now: NOW + 61000 });
+
+      expect(result.valid).to.be.false;
+      expect(result.reason).to.equal('expired stream token');
+    });
+
+    it('should reject a token signed with a different secret', function() {
+      const token = createStreamToken('other-secret', {}, { now: NOW });
+      expect(verifyStreamToken(SECRET, token, { now: NOW }).reason).to.equal('invalid stream token signature');
+    });
+
+    it('should reject a token with modified claims', function() {
+      const [, signature] = createStreamToken(SECRET, { phone: '+15551234567' }, { now: NOW }).split('.');
+      const forged = Buffer.from(JSON.stringify({ phone: '+15550000000', exp: NOW / 1000 + 60 })).toString('base64url');
+
+      expect(verifyStreamToken(SECRET, `${forged}.${signature}`, { now: NOW }).valid).to.be.false;
+    });
+
+    it('should reject missing and malformed tokens', function() {
+      expect(verifyStreamToken(SECRET, undefined).reason).to.equal('missing stream token');
+      expect(verifyStreamToken(SECRET, 'not-a-token').reason).to.equal('malformed stream token');
+      expect(verifyStreamToken(SECRET, 'a.b.c').reason).to.equal('malformed stream token');
+    });
+  });
+
+  describe('validateBearerToken()', function() {
+    it('should accept the token as a bearer credential', function() {
+      expect(validateBearerToken('admin-secret', 'Bearer admin-secret')).to.be.true;
+      expect(validateBearerToken('admin-secret', 'bearer admin-secret')).to.be.true;
+    });
+
+    it('should reject a wrong, missing or malformed credential', function() {
+      expect(validateBearerToken('admin-secret', 'Bearer admin-secreT')).to.be.false;
+      expect(validateBearerToken('admin-secret', undefined)).to.be.false;
+      expect(validateBearerToken('admin-secret', 'admin-secret')).to.be.false;
+      expect(validateBearerToken('admin-secret', 'Basic admin-secret')).to.be.false;
+      expect(validateBearerToken('admin-secret', 'Bearer admin-secret extra')).to.be.false;
+    });
+
+    it('should reject everything when no token is configured', function() {
+      expect(validateBearerToken('', 'Bearer ')).to.be.false;
+      expect(validateBearerToken(undefined, 'Bearer undefined')).to.be.false;
+    });
+  });
+});
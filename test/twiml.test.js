@@ -0,0 +1,114 @@
+import { expect } from 'chai';
+import { describe, it } from 'mocha';
+import { escapeXml, say, reject, hangup, dial, connectStream, twiml } from '../twiml.js';
+
+describe('TwiML Module', function() {
+  const DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>';
+  const countTags = (xml, name) => (xml.match(new RegExp(`<${name}[\\s/>]`, 'g')) || []).length;
+
+  describe('escapeXml()', function() {
+    it('should escape markup characters', function() {
+      expect(escapeXml(`<a href="x">'Tom' & Jerry</a>`))
+        .to.equal('&lt;a href=&quot;x&quot;&gt;&apos;Tom&apos; &amp; Jerry&lt;/a&gt;');
+    });
+
+    it('should escape existing entities again', function() {
+      expect(escapeXml('&amp;')).to.equal('&amp;amp;');
+    });
+
+    it('should strip characters XML does not allow', function() {
+      expect(escapeXml('a\u0000b\u0008c\u001Fd\uFFFEe')).to.equal('abcde');
+      expect(escapeXml('lone \uD800 surrogate')).to.equal('lone  surrogate');
+    });
+
+    it('should keep tabs, newlines and valid unicode', function() {
+      expect(escapeXml('a\tb\nc\r😀 é')).to.equal('a\tb\nc\r😀 é');
+    });
+
+    it('should convert non-string values', function() {
+      expect(escapeXml(42)).to.equal('42');
+    });
+  });
+
+  describe('Verbs', function() {
+    it('should render <Say> with attributes', function() {
+      expect(twiml(say('Hello there', { voice: 'alice', language: 'en-US' })))
+        .to.equal(`${DECLARATION}<Response><Say voice="alice" language="en-US">Hello there</Say></Response>`);
+    });
+
+    it('should render <Reject> and <Hangup>', function() {
+      expect(twiml(reject({ reason: 'busy' }))).to.equal(`${DECLARATION}<Response><Reject reason="busy" /></Response>`);
+      expect(twiml(reject())).to.equal(`${DECLARATION}<Response><Reject /></Response>`);
+      expect(twiml(hangup())).to.equal(`${DECLARATION}<Response><Hangup /></Response>`);
+    });
+
+    it('should render <Dial> with a number', function() {
+      expect(twiml(dial('+15551234567', { callerId: '+15557654321', timeout: 20 })))
+        .to.equal(`${DECLARATION}<Response><Dial callerId="+15557654321" timeout="20">+15551234567</Dial></Response>`);
+    });
+
+    it('should render <Connect><Stream> with parameters, skipping empty ones', function() {
+      const xml = twiml(connectStream('wss://example.com/media-stream', { phone: '+15551234567', token: null }));
+      expect(xml).to.equal(`${DECLARATION}<Response><Connect><Stream url="wss://example.com/media-stream">`
+        + '<Parameter name="phone" value="+15551234567" /></Stream></Connect></Response>');
+    });
+
+    it('should render a <Connect> action for when the stream ends', function() {
+      const xml = twiml(connectStream('wss://example.com/media-stream', {}, { action: 'https://example.com/stream-ended?a=1&b=2' }));
+      expect(xml).to.equal(`${DECLARATION}<Response><Connect action="https://example.com/stream-ended?a=1&amp;b=2">`
+        + '<Stream url="wss://example.com/media-stream" /></Connect></Response>');
+    });
+
+    it('should render several verbs in order', function() {
+      const xml = twiml(say('Goodbye'), hangup());
+      expect(xml).to.equal(`${DECLARATION}<Response><Say>Goodbye</Say><Hangup /></Response>`);
+    });
+
+    it('should render an empty response', function() {
+      expect(twiml()).to.equal(`${DECLARATION}<Response />`);
+    });
+  });
+
+  describe('Hostile input', function() {
+    it('should not let a crafted From value add verbs', function() {
+      const from = '+15551234567" /></Stream></Connect><Dial>+19005550000</Dial><Connect><Stream url="wss://evil.example';
+      const xml = twiml(connectStream('wss://example.com/media-stream', { phone: from }));
+
+      expect(countTags(xml, 'Dial')).to.equal(0);
+      expect(countTags(xml, 'Connect')).to.equal(1);
+      expect(countTags(xml, 'Stream')).to.equal(1);
+      expect(xml).to.include('value="+15551234567&quot; /&gt;&lt;/Stream&gt;');
+    });
+
+    it('should not let a crafted Host header break out of the url attribute', function() {
+      const host = 'example.com/media-stream"><Parameter name="phone" value="+10000000000" /></Stream></Connect><Hangup /><Connect><Stream url="x';
+      const xml = twiml(connectStream(`wss://${host}`, {}));
+
+      expect(countTags(xml, 'Parameter')).to.equal(0);
+      expect(countTags(xml, 'Hangup')).to.equal(0);
+    });
+
+    it('should escape text nodes', function() {
+      const xml = twiml(say('</Say><Dial>+19005550000</Dial><Say>'));
+      expect(countTags(xml, 'Dial')).to.equal(0);
+      expect(xml).to.include('&lt;/Say&gt;&lt;Dial&gt;');
+    });
+
+    it('should not let comments, CDATA or processing instructions through', function() {
+      const xml = twiml(say('<!-- x --><![CDATA[<Hangup/>]]><?xml-stylesheet href="evil"?>'));
+      expect(xml).to.not.include('<!--');
+      expect(xml).to.not.include('<![CDATA[');
+      expect(xml).to.not.include('<?xml-stylesheet');
+    });
+
+    it('should drop control characters that would make the document invalid', function() {
+      const xml = twiml(connectStream('wss://example.com/media-stream', { phone: '+1555\u0000\u001B1234' }));
+      expect(xml).to.include('value="+15551234"');
+    });
+
+    it('should escape hostile parameter names', function() {
+      const xml = twiml(connectStream('wss://example.com/media-stream', { 'a" b="c': 'v' }));
+      expect(xml).to.include('name="a&quot; b=&quot;c"');
+    });
+  });
+});
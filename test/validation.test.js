@@ -1,9 +1,51 @@
 import { expect } from 'chai';
-import { describe, it } from 'mocha';
-import { validateInspectionData } from '../validation.js';
+import { after, before, describe, it } from 'mocha';
+import { existsSync, mkdirSync, unlinkSync } from 'fs';
+import { initializeDatabase, closeDatabase, clearAllData } from '../database.js';
+import { seedEquipmentRegistry } from '../equipment.js';
+import { getChecklistTemplate } from '../checklist.js';
+import {
+  validateInspectionData,
+  validateChecklistResponse,
+  validateEquipmentData,
+  validateInspectionSchedule,
+  validateInspectionSearch,
+  validateToolArguments
+} from '../validation.js';
 
 describe('Validation Module', function() {
+  const TEST_DB_PATH = './test-data/validation-test.db';
   
+  before(function() {
+    // Ensure test data directory exists
+    if (!existsSync('./test-data')) {
+      mkdirSync('./test-data', { recursive: true });
+    }
+    // Equipment lookups are backed by the database
+    process.env.DB_PATH = TEST_DB_PATH;
+    initializeDatabase();
+    clearAllData();
+    seedEquipmentRegistry();
+  });
+
+  after(function() {
+    closeDatabase();
+    // Clean up test database file
+    try {
+      if (existsSync(TEST_DB_PATH)) {
+        unlinkSync(TEST_DB_PATH);
+      }
+      if (existsSync(`${TEST_DB_PATH}-shm`)) {
+        unlinkSync(`${TEST_DB_PATH}-shm`);
+      }
+      if (existsSync(`${TEST_DB_PATH}-wal`)) {
+        unlinkSync(`${TEST_DB_PATH}-wal`);
+      }
+    } catch (err) {
+      console.warn('Error cleaning up test database:', err);
+    }
+  });
+
   describe('validateInspectionData()', function() {
     
     describe('Valid Data', function() {
@@ -383,4 +425,264 @@ describe('Validation Module', function() {
       });
     });
   });
+
+  describe('Checklist', function() {
+    const data = {
+      equipment_id: 'SCAFF-003',
+      inspector_name: 'John Doe',
+      location: 'Building B - North Side',
+      inspection_result: 'PASS'
+    };
+    const answerAll = result => getChecklistTemplate('Fixed Frame Scaffold')
+      .filter(item => item.required)
+      .map(item => ({ item_key: item.key, result }));
+
+    it('should accept a submission with every required item answered', function() {
+      const result = validateInspectionData(data, { checklist: answerAll('PASS') });
+      expect(result.valid).to.be.true;
+    });
+
+    it('should count NA as answered', function() {
+      const result = validateInspectionData(data, { checklist: answerAll('NA') });
+      expect(result.valid).to.be.true;
+    });
+
+    it('should reject a submission with required items missing', function() {
+      const checklist = answerAll('PASS').filter(item => item.item_key !== 'ties');
+      const result = validateInspectionData(data, { checklist });
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.include('checklist incomplete, still required: ties');
+    });
+
+    it('should reject a PASS when any item failed', function() {
+      const checklist = answerAll('PASS').map(item =>
+        item.item_key === 'guardrails' ? { ...item, result: 'FAIL' } : item);
+      const result = validateInspectionData(data, { checklist });
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.include('inspection_result must be "FAIL" because checklist items failed: guardrails');
+
+      expect(validateInspectionData({ ...data, inspection_result: 'FAIL' }, { checklist }).valid).to.be.true;
+    });
+
+    it('should use the template for the equipment type', function() {
+      // SCAFF-001 is a Mobile Scaffold Tower, which has no "ties" item
+      const result = validateInspectionData({ ...data, equipment_id: 'SCAFF-001' }, { checklist: answerAll('PASS') });
+      expect(result.valid).to.be.false;
+      expect(result.errors[0]).to.include('casters');
+    });
+
+    describe('validateChecklistResponse()', function() {
+      it('should accept an item from the equipment checklist', function() {
+        const result = validateChecklistResponse({ equipment_id: 'SCAFF-001', item: 'casters', result: 'PASS', note: 'Locked' });
+        expect(result.valid).to.be.true;
+      });
+
+      it('should reject an item not on the checklist', function() {
+        const result = validateChecklistResponse({ equipment_id: 'SCAFF-003', item: 'casters', result: 'PASS' });
+        expect(result.valid).to.be.false;
+        expect(result.errors[0]).to.include('not on the Fixed Frame Scaffold checklist');
+      });
+
+      it('should reject unknown equipment and invalid results', function() {
+        const result = validateChecklistResponse({ equipment_id: 'SCAFF-999', item: 'planking', result: 'OK' });
+        expect(result.errors).to.include('equipment_id "SCAFF-999" not found in registry');
+        expect(result.errors).to.include('result must be one of: PASS, FAIL, NA');
+      });
+    });
+  });
+
+  describe('validateEquipmentData()', function() {
+    const validEquipment = {
+      id: 'SCAFF-016',
+      type: 'Mobile Scaffold Tower',
+      location: 'Warehouse E - Bay 2',
+      height: '6m',
+      last_inspection: '2024-10-01',
+      status: 'active',
+      notes: 'New tower'
+    };
+
+    it('should validate complete equipment data', function() {
+      const result = validateEquipmentData(validEquipment);
+      expect(result.valid).to.be.true;
+      expect(result.errors).to.be.an('array').that.is.empty;
+    });
+
+    it('should validate equipment with only required fields', function() {
+      const result = validateEquipmentData({ id: 'TOWER-1', type: 'Tower', location: 'Yard' });
+      expect(result.valid).to.be.true;
+    });
+
+    it('should require id, type and location', function() {
+      const result = validateEquipmentData({});
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.include('id is required');
+      expect(result.errors).to.include('type is required');
+      expect(result.errors).to.include('location is required');
+    });
+
+    it('should reject malformed IDs', function() {
+      const result = validateEquipmentData({ ...validEquipment, id: 'SCAFF 016' });
+      expect(result.valid).to.be.false;
+      expect(result.errors.some(e => e.includes('id may only contain'))).to.be.true;
+    });
+
+    it('should reject invalid last_inspection dates', function() {
+      const result = validateEquipmentData({ ...validEquipment, last_inspection: '10/01/2024' });
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.include('last_inspection must be a date in YYYY-MM-DD (or YYYY-MM-DD HH:MM:SS) format');
+    });
+
+    it('should reject unknown statuses', function() {
+      const result = validateEquipmentData({ ...validEquipment, status: 'broken' });
+      expect(result.valid).to.be.false;
+      expect(result.errors.some(e => e.startsWith('status must be one of'))).to.be.true;
+    });
+
+    it('should accept a positive inspection interval or null', function() {
+      expect(validateEquipmentData({ ...validEquipment, inspection_interval_days: 1 }).valid).to.be.true;
+      expect(validateEquipmentData({ ...validEquipment, inspection_interval_days: null }).valid).to.be.true;
+    });
+
+    it('should reject invalid inspection intervals', function() {
+      [0, -7, 1.5, 'daily'].forEach(interval => {
+        const result = validateEquipmentData({ ...validEquipment, inspection_interval_days: interval });
+        expect(result.valid).to.be.false;
+        expect(result.errors.some(e => e.startsWith('inspection_interval_days'))).to.be.true;
+      });
+    });
+
+    it('should reject unknown fields', function() {
+      const result = validateEquipmentData({ ...validEquipment, color: 'blue' });
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.include('unknown field "color"');
+    });
+
+    it('should reject non-object data', function() {
+      expect(validateEquipmentData(null).valid).to.be.false;
+      expect(validateEquipmentData([]).valid).to.be.false;
+    });
+
+    describe('Partial updates', function() {
+      it('should only check the fields present', function() {
+        const result = validateEquipmentData({ status: 'maintenance' }, { partial: true });
+        expect(result.valid).to.be.true;
+      });
+
+      it('should still reject blank required fields', function() {
+        const result = validateEquipmentData({ location: '  ' }, { partial: true });
+        expect(result.valid).to.be.false;
+        expect(result.errors).to.include('location is required');
+      });
+
+      it('should require at least one field', function() {
+        const result = validateEquipmentData({}, { partial: true });
+        expect(result.valid).to.be.false;
+        expect(result.errors).to.include('at least one field is required');
+      });
+    });
+  });
+
+  describe('validateInspectionSchedule()', function() {
+    it('should accept a whole number of days', function() {
+      expect(validateInspectionSchedule({ interval_days: 7 }).valid).to.be.true;
+    });
+
+    it('should reject missing or invalid intervals', function() {
+      expect(validateInspectionSchedule({}).valid).to.be.false;
+      expect(validateInspectionSchedule(null).valid).to.be.false;
+      expect(validateInspectionSchedule({ interval_days: 0 }).valid).to.be.false;
+      expect(validateInspectionSchedule({ interval_days: '7' }).valid).to.be.false;
+    });
+  });
+
+  describe('validateInspectionSearch()', function() {
+    it('should accept a search with every filter', function() {
+      const result = validateInspectionSearch({
+        q: 'toe boards', result: 'fail', equipment_id: 'SCAFF-001', from: '2024-01-01', to: '2024-12-31', limit: '50', offset: '100'
+      });
+      expect(result.valid).to.be.true;
+    });
+
+    it('should require search text with a letter or digit', function() {
+      expect(validateInspectionSearch({}).errors).to.include('q is required');
+      expect(validateInspectionSearch({ q: '  ' }).errors).to.include('q is required');
+      expect(validateInspectionSearch({ q: '*?' }).errors).to.include('q must contain at least one letter or digit');
+    });
+
+    it('should reject invalid filters and paging', function() {
+      const { errors } = validateInspectionSearch({ q: 'toe', result: 'MAYBE', from: '01/02/2024', limit: '500', offset: '-1' });
+      expect(errors).to.include('result must be PASS or FAIL');
+      expect(errors).to.include('from must be a date in YYYY-MM-DD format');
+      expect(errors).to.include('limit must be a whole number from 1 to 100');
+      expect(errors).to.include('offset must be a whole number');
+    });
+
+    it('should reject a date range that ends before it starts', function() {
+      expect(validateInspectionSearch({ q: 'toe', from: '2024-02-01', to: '2024-01-01' }).errors)
+        .to.deep.equal(['from must not be after to']);
+    });
+  });
+
+  describe('validateToolArguments()', function() {
+    const forecastSchema = {
+      type: 'object',
+      properties: {
+        city: { type: 'string', minLength: 2 },
+        days: { type: 'integer', minimum: 1, maximum: 7 },
+        units: { type: 'string', enum: ['metric', 'imperial'] },
+        hours: { type: 'array', items: { type: 'integer' }, maxItems: 3 },
+        location: {
+          type: 'object',
+          properties: { lat: { type: 'number' }, lon: { type: 'number' } },
+          required: ['lat', 'lon']
+        }
+      },
+      required: ['city'],
+      additionalProperties: false
+    };
+
+    it('should accept arguments that match the schema', function() {
+      const result = validateToolArguments({ city: 'Leeds', days: 3, units: 'metric', hours: [6, 12], location: { lat: 53.8, lon: -1.5 } }, forecastSchema);
+      expect(result.valid).to.be.true;
+      expect(result.errors).to.be.empty;
+    });
+
+    it('should name each argument that is wrong', function() {
+      const result = validateToolArguments({ days: 2.5, units: 'kelvin', hours: [6, 'noon', 18, 20], location: { lat: '53.8' }, country: 'UK' }, forecastSchema);
+      expect(result.valid).to.be.false;
+      expect(result.errors).to.have.members([
+        'city is required',
+        'days must be a whole number',
+        'units must be one of: "metric", "imperial"',
+        'hours must have at most 3 items',
+        'hours[1] must be a whole number',
+        'location.lon is required',
+        'location.lat must be of type number',
+        'unknown field "country"'
+      ]);
+    });
+
+    it('should check string and number limits', function() {
+      const result = validateToolArguments({ city: 'L', days: 9 }, forecastSchema);
+      expect(result.errors).to.deep.equal(['city must be at least 2 characters', 'days must be at most 7']);
+    });
+
+    it('should accept a value matching any of several forms', function() {
+      const schema = { type: 'object', properties: { id: { anyOf: [{ type: 'string', pattern: '^[A-Z]+-[0-9]+$' }, { type: 'integer' }] } } };
+      expect(validateToolArguments({ id: 'SCAFF-001' }, schema).valid).to.be.true;
+      expect(validateToolArguments({ id: 13 }, schema).valid).to.be.true;
+      expect(validateToolArguments({ id: 'scaff one' }, schema).errors).to.deep.equal(['id does not match any of the allowed forms']);
+    });
+
+    it('should reject arguments that are not an object', function() {
+      expect(validateToolArguments(['Leeds'], forecastSchema).errors).to.deep.equal(['arguments must be of type object']);
+    });
+
+    it('should allow anything a schema does not restrict', function() {
+      expect(validateToolArguments({ anything: [1, 'two'] }, { type: 'object' }).valid).to.be.true;
+      expect(validateToolArguments({ query: 'x' }, undefined).valid).to.be.true;
+      expect(validateToolArguments({ text: 'x' }, { type: 'object', properties: { text: { type: 'string', pattern: '(' } } }).valid).to.be.true;
+    });
+  });
 });
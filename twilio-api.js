@@ -0,0 +1,43 @@
+// Just enough of the Twilio REST API to act on a live call. Point TWILIO_API_URL
+// at mock-twilio-api.js to run without a Twilio account.
+
+const DEFAULT_API_URL = 'https://api.twilio.com';
+
+/**
+ * Replace what a live call is doing with new TwiML (e.g., <Dial> to transfer it)
+ * @param {Object} options
+ * @param {string} options.accountSid - Twilio account SID
+ * @param {string} options.authToken - Twilio auth token
+ * @param {string} options.callSid - SID of the call to update
+ * @param {string} options.twiml - TwiML document the call should run instead
+ * @param {string} options.apiUrl - REST API base URL (default https://api.twilio.com)
+ * @returns {Promise<Object>} - The updated call resource
+ */
+export async function updateCall({ accountSid, authToken, callSid, twiml, apiUrl = DEFAULT_API_URL }) {
+  if (!accountSid || !authToken) {
+    throw new Error('TWILIO_ACCOUNT_SID and TWILIO_AUTH_TOKEN are required to update a call');
+  }
+  if (!callSid) {
+    throw new Error('Call SID is required to update a call');
+  }
+
+  const url = `${apiUrl.replace(/\/+$/, '')}/2010-04-01/Accounts/${encodeURIComponent(accountSid)}/Calls/${encodeURIComponent(callSid)}.json`;
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      authorization: `Basic ${Buffer.from(`${accountSid}:${authToken}`).toString('base64')}`,
+      'content-type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({ Twiml: twiml }).toString()
+  });
+
+  const body = await response.json().catch(() => ({}));
+  if (!response.ok) {
+    throw new Error(`Twilio API returned ${response.status}: ${body.message || response.statusText}`);
+  }
+  return body;
+}
+
+export default {
+  updateCall
+};
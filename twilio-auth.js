@@ -0,0 +1,115 @@
+import { createHmac, timingSafeEqual } from 'crypto';
+
+// Media streams must start within this many seconds of the TwiML being issued
+const DEFAULT_STREAM_TOKEN_TTL_SECONDS = 60;
+
+function safeEqual(a, b) {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && timingSafeEqual(bufferA, bufferB);
+}
+
+/**
+ * Compute the X-Twilio-Signature Twilio sends with a webhook request:
+ * HMAC-SHA1 of the full URL followed by each POST parameter name and value
+ * sorted by name, keyed with the account auth token, base64 encoded
+ * @param {string} authToken - Twilio auth token
+ * @param {string} url - Full URL Twilio requested, including query string
+ * @param {Object} params - POST body parameters
+ * @returns {string} - Expected signature
+ */
+export function computeTwilioSignature(authToken, url, params = {}) {
+  const data = Object.keys(params)
+    .sort()
+    .reduce((acc, key) => acc + key + (params[key] ?? ''), url);
+
+  return createHmac('sha1', authToken).update(data, 'utf-8').digest('base64');
+}
+
+/**
+ * Check an X-Twilio-Signature header against the request it came with
+ * @param {string} authToken - Twilio auth token
+ * @param {string} signature - Value of the X-Twilio-Signature header
+ * @param {string} url - Full URL Twilio requested, including query string
+ * @param {Object} params - POST body parameters
+ * @returns {boolean} - True if the signature matches
+ */
+export function validateTwilioSignature(authToken, signature, url, params = {}) {
+  if (!authToken || !signature) return false;
+  return safeEqual(signature, computeTwilioSignature(authToken, url, params));
+}
+
+/**
+ * Create a signed, short-lived token for the media stream. The token is
+ * passed to Twilio as a Stream <Parameter> and comes back in the start event.
+ * @param {string} secret - Signing secret
+ * @param {Object} claims - Data to bind to the stream (e.g., phone, call_sid)
+ * @param {Object} options - ttlSeconds and now (ms, for testing)
+ * @returns {string} - Token in "<payload>.<signature>" form
+ */
+export function createStreamToken(secret, claims = {}, { ttlSeconds = DEFAULT_STREAM_TOKEN_TTL_SECONDS, now = Date.now() } = {}) {
+  const payload = Buffer.from(JSON.stringify({
+    ...claims,
+    exp: Math.floor(now / 1000) + ttlSeconds
+  })).toString('base64url');
+  const signature = createHmac('sha256', secret).update(payload).digest('base64url');
+
+  return `${payload}.${signature}`;
+}
+
+/**
+ * Verify a media stream token
+ * @param {string} secret - Signing secret
+ * @param {string} token - Token from the stream's custom parameters
+ * @param {Object} options - now (ms, for testing)
+ * @returns {Object} - { valid, claims } or { valid: false, reason }
+ */
+export function verifyStreamToken(secret, token, { now = Date.now() } = {}) {
+  if (!token || typeof token !== 'string') {
+    return { valid: false, reason: 'missing stream token' };
+  }
+
+  const [payload, signature, ...rest] = token.split('.');
+  if (!payload || !signature || rest.length > 0) {
+    return { valid: false, reason: 'malformed stream token' };
+  }
+
+  const expected = createHmac('sha256', secret).update(payload).digest('base64url');
+  if (!safeEqual(signature, expected)) {
+    return { valid: false, reason: 'invalid stream token signature' };
+  }
+
+  let claims;
+  try {
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf-8'));
+  } catch (error) {
+    return { valid: false, reason: 'malformed stream token' };
+  }
+
+  if (!Number.isFinite(claims.exp) || claims.exp * 1000 < now) {
+    return { valid: false, reason: 'expired stream token' };
+  }
+
+  return { valid: true, claims };
+}
+
+/**
+ * Check an Authorization header against a shared secret
+ * @param {string} token - Expected token
+ * @param {string} authorization - Value of the Authorization header ("Bearer <token>")
+ * @returns {boolean} - True if the header carries the token
+ */
+export function validateBearerToken(token, authorization) {
+  if (!token || typeof authorization !== 'string') return false;
+  const [scheme, credentials, ...rest] = authorization.trim().split(/\s+/);
+  if (scheme.toLowerCase() !== 'bearer' || !credentials || rest.length > 0) return false;
+  return safeEqual(credentials, token);
+}
+
+export default {
+  computeTwilioSignature,
+  validateTwilioSignature,
+  createStreamToken,
+  verifyStreamToken,
+  validateBearerToken
+};
@@ -0,0 +1,121 @@
+// Minimal TwiML builder. Every attribute value and text node is XML-escaped,
+// so caller-supplied values (From, Host, ...) can never add markup of their own.
+
+// Characters XML 1.0 does not allow at all, even escaped
+const INVALID_XML_CHARS = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]|[\uD800-\uDBFF](?![\uDC00-\uDFFF])|(?<![\uD800-\uDBFF])[\uDC00-\uDFFF]/g;
+
+const XML_ENTITIES = {
+  '&': '&amp;',
+  '<': '&lt;',
+  '>': '&gt;',
+  '"': '&quot;',
+  "'": '&apos;'
+};
+
+const NAME_PATTERN = /^[A-Za-z][A-Za-z0-9]*$/;
+
+/**
+ * Escape a value for use in an XML attribute or text node
+ * @param {*} value - Value to escape (converted to a string)
+ * @returns {string} - Escaped text
+ */
+export function escapeXml(value) {
+  return String(value)
+    .replace(INVALID_XML_CHARS, '')
+    .replace(/[&<>"']/g, char => XML_ENTITIES[char]);
+}
+
+function element(name, attributes = {}, children = []) {
+  return { name, attributes, children };
+}
+
+function render(node) {
+  if (typeof node === 'string') {
+    return escapeXml(node);
+  }
+
+  if (!NAME_PATTERN.test(node.name)) {
+    throw new Error(`Invalid TwiML element name: ${node.name}`);
+  }
+
+  const attributes = Object.entries(node.attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (!NAME_PATTERN.test(key)) {
+        throw new Error(`Invalid TwiML attribute name: ${key}`);
+      }
+      return ` ${key}="${escapeXml(value)}"`;
+    })
+    .join('');
+
+  if (node.children.length === 0) {
+    return `<${node.name}${attributes} />`;
+  }
+  return `<${node.name}${attributes}>${node.children.map(render).join('')}</${node.name}>`;
+}
+
+/**
+ * <Say> - speak text to the caller
+ * @param {string} text - What to say
+ * @param {Object} options - voice, language, loop
+ */
+export function say(text, { voice, language, loop } = {}) {
+  return element('Say', { voice, language, loop }, [String(text)]);
+}
+
+/**
+ * <Reject> - decline the call without answering (no charge)
+ * @param {Object} options - reason: "rejected" or "busy"
+ */
+export function reject({ reason } = {}) {
+  return element('Reject', { reason });
+}
+
+/**
+ * <Hangup> - end the call
+ */
+export function hangup() {
+  return element('Hangup');
+}
+
+/**
+ * <Dial> - connect the caller to another phone number
+ * @param {string} number - Number to dial (E.164)
+ * @param {Object} options - callerId, timeout, action, method
+ */
+export function dial(number, { callerId, timeout, action, method } = {}) {
+  return element('Dial', { callerId, timeout, action, method }, [String(number)]);
+}
+
+/**
+ * <Connect><Stream> - connect the call audio to a media stream WebSocket
+ * @param {string} url - wss:// URL of the media stream endpoint
+ * @param {Object} parameters - Custom parameters, delivered in the stream's start event
+ * @param {Object} options - action: URL Twilio requests for new TwiML once the stream ends; method
+ */
+export function connectStream(url, parameters = {}, { action, method } = {}) {
+  const parameterNodes = Object.entries(parameters)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([name, value]) => element('Parameter', { name, value }));
+
+  return element('Connect', { action, method }, [element('Stream', { url }, parameterNodes)]);
+}
+
+/**
+ * Render a complete TwiML document
+ * @param {...Object} verbs - Verbs from say(), reject(), hangup(), dial(), connectStream()
+ * @returns {string} - TwiML XML
+ */
+export function twiml(...verbs) {
+  return `<?xml version="1.0" encoding="UTF-8"?>${render(element('Response', {}, verbs))}`;
+}
+
+export default {
+  escapeXml,
+  say,
+  reject,
+  hangup,
+  dial,
+  connectStream,
+  twiml
+};
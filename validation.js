@@ -1,17 +1,25 @@
-import { getEquipmentById } from './equipment.js';
+import { getEquipmentById, EQUIPMENT_STATUSES } from './equipment.js';
+import { getChecklistTemplate, summarizeChecklist, CHECKLIST_RESULTS } from './checklist.js';
+
+const EQUIPMENT_FIELDS = ['id', 'type', 'location', 'height', 'last_inspection', 'status', 'notes', 'inspection_interval_days'];
+
+const isIntervalDays = value => Number.isInteger(value) && value > 0;
 
 /**
  * Validate inspection data before saving
  * @param {Object} data - Inspection data to validate
+ * @param {Object} options - Pass the checklist responses recorded for this
+ *   equipment to require every mandatory item and force FAIL on a failed item
  * @returns {Object} - Validation result with valid flag and errors array
  */
-export function validateInspectionData(data) {
+export function validateInspectionData(data, { checklist } = {}) {
   const errors = [];
+  let equipment = null;
   
   if (!data.equipment_id || data.equipment_id.trim() === '') {
     errors.push('equipment_id is required');
   } else {
-    const equipment = getEquipmentById(data.equipment_id);
+    equipment = getEquipmentById(data.equipment_id);
     if (!equipment) {
       errors.push(`equipment_id "${data.equipment_id}" not found in registry`);
     }
@@ -31,6 +39,319 @@ export function validateInspectionData(data) {
     errors.push('inspection_result must be exactly "PASS" or "FAIL"');
   }
   
+  if (equipment && checklist) {
+    const { missing, failed } = summarizeChecklist(getChecklistTemplate(equipment.type), checklist);
+    if (missing.length > 0) {
+      errors.push(`checklist incomplete, still required: ${missing.map(item => item.key).join(', ')}`);
+    }
+    if (failed.length > 0 && data.inspection_result === 'PASS') {
+      errors.push(`inspection_result must be "FAIL" because checklist items failed: ${failed.map(item => item.item_key).join(', ')}`);
+    }
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validate a single checklist answer against the equipment's template
+ * @param {Object} data - { equipment_id, item, result, note }
+ * @returns {Object} - Validation result with valid flag and errors array
+ */
+export function validateChecklistResponse(data) {
+  const errors = [];
+  
+  if (!data.equipment_id || data.equipment_id.trim() === '') {
+    errors.push('equipment_id is required');
+  } else {
+    const equipment = getEquipmentById(data.equipment_id);
+    if (!equipment) {
+      errors.push(`equipment_id "${data.equipment_id}" not found in registry`);
+    } else if (!getChecklistTemplate(equipment.type).some(item => item.key === data.item)) {
+      const keys = getChecklistTemplate(equipment.type).map(item => item.key);
+      errors.push(`item "${data.item}" is not on the ${equipment.type} checklist (expected one of: ${keys.join(', ')})`);
+    }
+  }
+  
+  if (!CHECKLIST_RESULTS.includes(data.result)) {
+    errors.push(`result must be one of: ${CHECKLIST_RESULTS.join(', ')}`);
+  }
+  
+  if (data.note != null && typeof data.note !== 'string') {
+    errors.push('note must be a string');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validate equipment data before creating or updating a registry record
+ * @param {Object} data - Equipment fields to validate
+ * @param {Object} options - Set partial to true to only check the fields present (PATCH)
+ * @returns {Object} - Validation result with valid flag and errors array
+ */
+export function validateEquipmentData(data, { partial = false } = {}) {
+  const errors = [];
+  
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, errors: ['equipment data must be an object'] };
+  }
+  
+  const isChecked = field => !partial || field in data;
+  const isBlank = value => typeof value !== 'string' || value.trim() === '';
+  
+  for (const field of Object.keys(data)) {
+    if (!EQUIPMENT_FIELDS.includes(field)) {
+      errors.push(`unknown field "${field}"`);
+    }
+  }
+  
+  if (partial && !EQUIPMENT_FIELDS.some(field => field in data)) {
+    errors.push('at least one field is required');
+  }
+  
+  if (isChecked('id')) {
+    if (isBlank(data.id)) {
+      errors.push('id is required');
+    } else if (!/^[A-Za-z0-9]+(-[A-Za-z0-9]+)*$/.test(data.id.trim())) {
+      errors.push('id may only contain letters, digits and single hyphens (e.g., "SCAFF-016")');
+    }
+  }
+  
+  if (isChecked('type') && isBlank(data.type)) {
+    errors.push('type is required');
+  }
+  
+  if (isChecked('location') && isBlank(data.location)) {
+    errors.push('location is required');
+  }
+  
+  for (const field of ['height', 'notes']) {
+    if (data[field] != null && typeof data[field] !== 'string') {
+      errors.push(`${field} must be a string`);
+    }
+  }
+  
+  if (data.last_inspection != null) {
+    // Dates come from the API; full timestamps are written when an inspection is submitted
+    const isDate = typeof data.last_inspection === 'string'
+      && /^\d{4}-\d{2}-\d{2}( \d{2}:\d{2}:\d{2})?$/.test(data.last_inspection)
+      && !Number.isNaN(Date.parse(data.last_inspection));
+    if (!isDate) {
+      errors.push('last_inspection must be a date in YYYY-MM-DD (or YYYY-MM-DD HH:MM:SS) format');
+    }
+  }
+  
+  if (data.inspection_interval_days != null && !isIntervalDays(data.inspection_interval_days)) {
+    errors.push('inspection_interval_days must be a whole number of days greater than 0 (1 = daily, 7 = weekly)');
+  }
+  
+  if ('status' in data && !EQUIPMENT_STATUSES.includes(data.status)) {
+    errors.push(`status must be one of: ${EQUIPMENT_STATUSES.join(', ')}`);
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+/**
+ * Validate a per-type inspection schedule
+ * @param {Object} data - Schedule with interval_days
+ * @returns {Object} - Validation result with valid flag and errors array
+ */
+export function validateInspectionSchedule(data) {
+  const errors = [];
+  
+  if (!data || !isIntervalDays(data.interval_days)) {
+    errors.push('interval_days must be a whole number of days greater than 0 (1 = daily, 7 = weekly)');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+// Most results one page of an inspection search may return
+export const MAX_SEARCH_LIMIT = 100;
+
+const isSearchDate = value => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+const isWholeNumber = value => /^\d+$/.test(value);
+
+/**
+ * Validate the query string of an inspection search
+ * @param {Object} query - { q, result, equipment_id, from, to, limit, offset }
+ * @returns {Object} - Validation result with valid flag and errors array
+ */
+export function validateInspectionSearch(query) {
+  const errors = [];
+  
+  if (typeof query.q !== 'string' || query.q.trim() === '') {
+    errors.push('q is required');
+  } else if (!/[\p{L}\p{N}]/u.test(query.q)) {
+    errors.push('q must contain at least one letter or digit');
+  }
+  
+  if (query.result !== undefined && !['PASS', 'FAIL'].includes(String(query.result).toUpperCase())) {
+    errors.push('result must be PASS or FAIL');
+  }
+  
+  for (const field of ['from', 'to']) {
+    if (query[field] !== undefined && !isSearchDate(query[field])) {
+      errors.push(`${field} must be a date in YYYY-MM-DD format`);
+    }
+  }
+  if (isSearchDate(query.from) && isSearchDate(query.to) && query.from > query.to) {
+    errors.push('from must not be after to');
+  }
+  
+  if (query.limit !== undefined && (!isWholeNumber(query.limit) || Number(query.limit) < 1 || Number(query.limit) > MAX_SEARCH_LIMIT)) {
+    errors.push(`limit must be a whole number from 1 to ${MAX_SEARCH_LIMIT}`);
+  }
+  
+  if (query.offset !== undefined && !isWholeNumber(query.offset)) {
+    errors.push('offset must be a whole number');
+  }
+  
+  return {
+    valid: errors.length === 0,
+    errors: errors
+  };
+}
+
+// JSON Schema types, as an MCP tool's inputSchema names them
+const JSON_TYPES = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  integer: value => Number.isInteger(value),
+  boolean: value => typeof value === 'boolean',
+  object: value => value !== null && typeof value === 'object' && !Array.isArray(value),
+  array: value => Array.isArray(value),
+  null: value => value === null
+};
+
+const sameValue = (a, b) => JSON.stringify(a) === JSON.stringify(b);
+
+// A pattern JavaScript can't compile is the tool's problem, not the caller's
+function matchesPattern(value, pattern) {
+  try {
+    return new RegExp(pattern, 'u').test(value);
+  } catch {
+    return true;
+  }
+}
+
+// Check one value against a JSON Schema. Covers the keywords tool schemas
+// use for arguments; anything else (formats, $ref, ...) is not checked.
+function checkSchema(value, schema, path, errors) {
+  if (!schema || typeof schema !== 'object') return;
+  const name = path || 'arguments';
+
+  const alternatives = schema.anyOf || schema.oneOf;
+  if (Array.isArray(alternatives)) {
+    const matches = alternatives.some(alternative => {
+      const alternativeErrors = [];
+      checkSchema(value, alternative, path, alternativeErrors);
+      return alternativeErrors.length === 0;
+    });
+    if (!matches) {
+      errors.push(`${name} does not match any of the allowed forms`);
+      return;
+    }
+  }
+
+  if (schema.type !== undefined) {
+    const types = [].concat(schema.type);
+    if (!types.some(type => !JSON_TYPES[type] || JSON_TYPES[type](value))) {
+      errors.push(`${name} must be ${types.map(type => (type === 'integer' ? 'a whole number' : `of type ${type}`)).join(' or ')}`);
+      return;
+    }
+  }
+
+  if (Array.isArray(schema.enum) && !schema.enum.some(option => sameValue(option, value))) {
+    errors.push(`${name} must be one of: ${schema.enum.map(option => JSON.stringify(option)).join(', ')}`);
+  }
+  if (schema.const !== undefined && !sameValue(schema.const, value)) {
+    errors.push(`${name} must be ${JSON.stringify(schema.const)}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${name} must be at least ${schema.minLength} characters`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${name} must be at most ${schema.maxLength} characters`);
+    }
+    if (typeof schema.pattern === 'string' && !matchesPattern(value, schema.pattern)) {
+      errors.push(`${name} must match the pattern ${schema.pattern}`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${name} must be at least ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${name} must be at most ${schema.maximum}`);
+    }
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) {
+      errors.push(`${name} must be greater than ${schema.exclusiveMinimum}`);
+    }
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) {
+      errors.push(`${name} must be less than ${schema.exclusiveMaximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${name} must have at least ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${name} must have at most ${schema.maxItems} items`);
+    }
+    if (schema.items && !Array.isArray(schema.items)) {
+      value.forEach((item, index) => checkSchema(item, schema.items, `${name}[${index}]`, errors));
+    }
+  }
+
+  if (JSON_TYPES.object(value)) {
+    const prefix = path ? `${path}.` : '';
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${prefix}${key} is required`);
+      }
+    }
+    for (const [key, propertyValue] of Object.entries(value)) {
+      if (properties[key]) {
+        checkSchema(propertyValue, properties[key], `${prefix}${key}`, errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push(`unknown field "${prefix}${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        checkSchema(propertyValue, schema.additionalProperties, `${prefix}${key}`, errors);
+      }
+    }
+  }
+}
+
+/**
+ * Validate the arguments the assistant passed to an MCP tool against the
+ * tool's inputSchema
+ * @param {*} args - Parsed arguments
+ * @param {Object} schema - JSON Schema from the tool listing
+ * @returns {Object} - Validation result with valid flag and errors array
+ */
+export function validateToolArguments(args, schema) {
+  const errors = [];
+  checkSchema(args, schema, '', errors);
+
   return {
     valid: errors.length === 0,
     errors: errors
@@ -38,5 +359,10 @@ export function validateInspectionData(data) {
 }
 
 export default {
-  validateInspectionData
+  validateInspectionData,
+  validateChecklistResponse,
+  validateEquipmentData,
+  validateInspectionSchedule,
+  validateInspectionSearch,
+  validateToolArguments
 };